@@ -0,0 +1,89 @@
+/**
+ * Application clock.
+ *
+ * Everything that asks "what time is it?" for musical or visual purposes —
+ * the mapper's time of day, moon phase, season, the visualizer's sun and moon
+ * arcs, the on-screen local time — reads this clock instead of Date. Swap in
+ * a simulated clock and the whole app runs at that moment: midnight in
+ * January, a replayed session's original afternoon, a timelapse's virtual
+ * hours. Tests can pin time with createFixedClock() instead of fake timers.
+ *
+ * Real elapsed time (scheduling, recording timestamps, listening duration)
+ * keeps using Date.now().
+ */
+
+/**
+ * @typedef {Object} Clock
+ * @property {() => number} now - Epoch milliseconds
+ */
+
+/** @type {Clock} */
+export const systemClock = { now: () => Date.now() };
+
+let activeClock = systemClock;
+
+/**
+ * A clock stopped at one moment.
+ * @param {number|Date} time
+ * @returns {Clock}
+ */
+export function createFixedClock(time) {
+  const ms = typeof time === 'number' ? time : time.getTime();
+  return { now: () => ms };
+}
+
+/**
+ * A clock that starts at `startMs` and runs on from there, optionally
+ * faster or slower than real time.
+ * @param {number} startMs - Simulated time at creation
+ * @param {object} [options]
+ * @param {number} [options.rate=1] - Simulated ms per real ms
+ * @param {Clock} [options.source] - Real-time reference (tests)
+ * @returns {Clock}
+ */
+export function createSimulatedClock(startMs, { rate = 1, source = systemClock } = {}) {
+  const realStart = source.now();
+  return { now: () => startMs + (source.now() - realStart) * rate };
+}
+
+/**
+ * Make a clock the app-wide clock; pass null for the system clock.
+ * @param {Clock|null} clock
+ */
+export function setClock(clock) {
+  activeClock = clock ?? systemClock;
+}
+
+/** @returns {Clock} The app-wide clock */
+export function getClock() {
+  return activeClock;
+}
+
+/** True when the app is running at a simulated time. */
+export function isSimulatedClock() {
+  return activeClock !== systemClock;
+}
+
+/** App-clock time in epoch milliseconds. */
+export function clockNow() {
+  return activeClock.now();
+}
+
+/** App-clock time as a Date. */
+export function clockDate() {
+  return new Date(activeClock.now());
+}
+
+/**
+ * Parse "YYYY-MM-DD HH:MM" (or with a T) as wall-clock time at a location.
+ * @param {string} text
+ * @param {number} utcOffsetSeconds - The location's offset from UTC
+ * @returns {number|null} Epoch milliseconds, or null if unparseable
+ */
+export function parseLocalDateTime(text, utcOffsetSeconds = 0) {
+  const match = /^\s*(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2}))?\s*$/.exec(text ?? '');
+  if (!match) return null;
+  const [, year, month, day, hour = '0', minute = '0'] = match;
+  const ms = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute));
+  return Number.isFinite(ms) ? ms - utcOffsetSeconds * 1000 : null;
+}
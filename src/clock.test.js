@@ -0,0 +1,60 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import {
+  clockDate,
+  clockNow,
+  createFixedClock,
+  createSimulatedClock,
+  getClock,
+  isSimulatedClock,
+  parseLocalDateTime,
+  setClock,
+  systemClock,
+} from './clock.js';
+
+describe('app clock', () => {
+  afterEach(() => setClock(null));
+
+  it('defaults to the system clock', () => {
+    expect(getClock()).toBe(systemClock);
+    expect(isSimulatedClock()).toBe(false);
+    expect(Math.abs(clockNow() - Date.now())).toBeLessThan(1000);
+  });
+
+  it('reads time from an installed clock and resets with null', () => {
+    const at = Date.UTC(2025, 0, 15, 0, 0);
+    setClock(createFixedClock(new Date(at)));
+    expect(isSimulatedClock()).toBe(true);
+    expect(clockNow()).toBe(at);
+    expect(clockDate().toISOString()).toBe('2025-01-15T00:00:00.000Z');
+
+    setClock(null);
+    expect(getClock()).toBe(systemClock);
+  });
+
+  it('runs a simulated clock on from its start at the given rate', () => {
+    let real = 1000;
+    const source = { now: () => real };
+    const clock = createSimulatedClock(50000, { rate: 60, source });
+    expect(clock.now()).toBe(50000);
+    real += 1000;
+    expect(clock.now()).toBe(50000 + 60000);
+  });
+});
+
+describe('parseLocalDateTime', () => {
+  it('parses date and time as wall-clock time at the offset', () => {
+    // 09:30 in UTC+2 is 07:30 UTC
+    expect(parseLocalDateTime('2025-07-04 09:30', 7200)).toBe(Date.UTC(2025, 6, 4, 7, 30));
+    expect(parseLocalDateTime('2025-07-04T09:30', -3600)).toBe(Date.UTC(2025, 6, 4, 10, 30));
+  });
+
+  it('treats a bare date as local midnight', () => {
+    expect(parseLocalDateTime('2025-12-25')).toBe(Date.UTC(2025, 11, 25));
+  });
+
+  it('returns null for anything else', () => {
+    expect(parseLocalDateTime('')).toBeNull();
+    expect(parseLocalDateTime('tomorrow')).toBeNull();
+    expect(parseLocalDateTime(null)).toBeNull();
+  });
+});
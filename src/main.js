@@ -1,26 +1,61 @@
 import * as Tone from 'tone';
 import { inject } from '@vercel/analytics';
-import { createSoundEngine } from './music/engine.js';
+import { createSoundEngine, HANDOFF_FADE_SECONDS } from './music/engine.js';
+import { createMixer, MIXER_VOICES, parseMixerState } from './music/mixer.js';
+import { LOUDNESS_TARGETS } from './music/loudness.js';
 import { mapWeatherToMusic } from './music/mapper.js';
 import { createInterpolator } from './music/interpolator.js';
-import { getBrowserLocation, formatLocation, reverseGeocode } from './weather/location.js';
-import { buildShareSearch, parseSharedCoordinates, resolveStartupLocation } from './weather/share.js';
+import { BUILT_IN_PROFILES, DEFAULT_PROFILE, getBuiltInProfile, parseProfile } from './music/profile.js';
+import { applyInputLocks, createLocks, parseLocks, TIME_OF_DAY_LOCKS } from './music/locks.js';
+import { explainMapping } from './music/explain.js';
+import { DEFAULT_STYLE, getStyle, STYLES } from './music/styles.js';
+import { renderWeatherToWav, MAX_RENDER_MINUTES } from './music/render.js';
+import { createSessionRecorder } from './music/recorder.js';
+import { buildStemZip } from './music/stems.js';
+import { createNoteLogger } from './music/midilog.js';
+import { createMidiOutput } from './music/midiout.js';
+import { setRandomSeed, generateSeed } from './music/random.js';
+import { getBrowserLocation, formatLocation, reverseGeocode, searchCities } from './weather/location.js';
+import { createTour, parseCityList, sunriseStops, TOUR_CITIES, TOUR_INTERVALS_MINUTES, TOUR_SOURCES } from './weather/tour.js';
+import {
+  buildShareSearch,
+  parseSharedCoordinates,
+  parseSharedDate,
+  parseSharedLocks,
+  parseSharedSeed,
+  parseSharedStyle,
+  resolveStartupLocation,
+} from './weather/share.js';
 import { getMoonriseTime, getMoonsetTime, getMoonPhaseName } from './weather/moon.js';
 import { describeWeatherCode } from './weather/codes.js';
 import { getSeasonName } from './weather/season.js';
 import { degreesToCompass } from './ui/display.js';
-import { createWeatherFetcher } from './weather/fetcher.js';
+import { createWeatherFetcher, fetchWeather } from './weather/fetcher.js';
+import { DEFAULT_PROVIDER_ID, getWeatherProvider, WEATHER_PROVIDERS } from './weather/providers/index.js';
 import { createTideFetcher } from './weather/tides.js';
 import { createAirQualityFetcher } from './weather/airquality.js';
+import { createWeatherSessionRecorder, createWeatherReplayer, parseWeatherSession } from './weather/session.js';
+import { createForecastTimelapse } from './weather/timelapse.js';
+import { fetchHistoricalWeather, historyProvider, parseHistoryDate } from './weather/history.js';
+import { createWeatherSimulator } from './weather/simulator.js';
 import { createDisplay } from './ui/display.js';
 import { createControls } from './ui/controls.js';
 import { createVisualizer } from './ui/visualizer.js';
 import { setupInfoPanels } from './ui/panels.js';
 import { setupOverlayStartShortcuts, setupSecondaryMenu, showPrimaryControls } from './ui/shell.js';
 import { handleMainKeydown } from './ui/shortcuts.js';
+import { setupSimulatorPanel } from './ui/simulator.js';
+import { setupLocksPanel } from './ui/locks.js';
+import { setupMappingEditor } from './ui/mapping-editor.js';
+import { setupExplainPanel } from './ui/explain.js';
+import { setupTourCard } from './ui/tour.js';
+import { setupMixerPanel } from './ui/mixer.js';
+import { setupMeterBridge } from './ui/meters.js';
+import { downloadBlob, buildExportFilename, pickTextFile } from './ui/download.js';
 import { setupGuitarPanel, toggleGuitarPanel as toggleGuitarPanelFn, onGuitarChordChange, stopCountdown } from './ui/guitar.js';
 import { setupPullToRefresh } from './ui/pull-to-refresh.js';
 import { classifyBiome } from './weather/biome.js';
+import { getSunTimes } from './weather/sun.js';
 import {
   createMovementConductor,
   CONDUCTOR_ENABLED,
@@ -28,6 +63,7 @@ import {
   smoothstep,
 } from './music/movement.js';
 import { VERSION } from './version.js';
+import { clockDate, createSimulatedClock, isSimulatedClock, parseLocalDateTime, setClock } from './clock.js';
 
 // Vercel Web Analytics (framework-agnostic integration for this vanilla JS app).
 inject();
@@ -43,6 +79,7 @@ if (overlayVersion) overlayVersion.textContent = `v${VERSION}`;
 setupPullToRefresh();
 
 let engine = null;
+const outgoingEngines = new Set(); // Engines still fading out under the current one
 let interpolator = null;
 let weatherFetcher = null;
 let tideFetcher = null;
@@ -55,20 +92,57 @@ let currentTideData = null;
 let currentAqiData = null;
 let currentLatitude = null;
 let currentLongitude = null;
+let currentLocationName = null;
 let currentBiome = 'grassland';
 let isPlaying = true; // Track play/pause state for the pause button
 let currentLocationRequestId = 0;
 let userVolumeScale = 0.8;
 let secondaryMenuController = null;
-
-// ── Voice volume param mapping (module-level for applyExpression access) ──
-const VOICE_VOLUME_PARAMS_MAP = {
-  pad: 'padVolume', arpeggio: 'arpeggioVolume', bass: 'bassVolume',
-  melody: 'melodyVolume', texture: 'textureVolume',
-  percussion: 'percussionVolume', drone: 'droneVolume',
-  windChime: 'windChimeVolume', choir: 'choirVolume',
-};
-let mutedVoiceTracker = null; // Set reference, assigned in boot()
+let sessionRecorder = null;
+let noteLogger = null;
+let midiOutput = null;
+let currentSeed = null;        // Random seed of the current location session (shared in links)
+let pendingSharedSeed = null;  // Seed from a shared link, consumed by the first startForLocation()
+let pendingSharedDate = null;  // Historical date from a shared link, played once boot finishes
+let mixMeterInterval = null;   // Polls voice levels into the mixer panel while it's open
+let meterBridgeInterval = null; // Polls the meter bridge while the audio panel is open
+let weatherMode = 'live';      // 'live' | 'replay' (recorded session) | 'timelapse' (forecast played fast) | 'history' (a past day) | 'simulated' (what-if panel)
+let historyDate = null;        // "YYYY-MM-DD" of the past day being played in 'history' mode
+let liveLocation = null;       // { latitude, longitude, name } to go back to once a replay has moved to the recorded place
+let isInternalMuted = false; // Internal voices silenced while MIDI drives external gear
+let weatherProviderId = localStorage.getItem('weatherProvider') ?? DEFAULT_PROVIDER_ID;
+let userClock = null;          // Simulated clock from the "time" menu item; null = real time
+let customProfile = loadCustomProfile();  // Mapping profile loaded from a file, kept across visits
+let mappingEditor = null;      // Curve editor panel; follows each weather update while open
+let explainPanel = null;       // Explain-this-sound panel; keeps input history even while closed
+let mappingProfile = localStorage.getItem('mappingProfile') === 'file' && customProfile
+  ? customProfile
+  : getBuiltInProfile(localStorage.getItem('mappingProfile')) ?? DEFAULT_PROFILE;
+let musicStyle = getStyle(localStorage.getItem('musicStyle')) ?? DEFAULT_STYLE;  // See music/styles.js
+let worldTour = null;          // Radio mode hopping between locations (weather/tour.js); null when off
+let worldTourSource = null;    // The running tour's TOUR_SOURCES entry
+let tourCard = null;           // Location card announcing each tour stop
+let tourIntervalMinutes = TOUR_INTERVALS_MINUTES.includes(Number(localStorage.getItem('tourIntervalMinutes')))
+  ? Number(localStorage.getItem('tourIntervalMinutes'))
+  : TOUR_INTERVALS_MINUTES[0];
+
+// Loudness normalization target in LUFS (music/loudness.js); null = off
+let loudnessTarget = LOUDNESS_TARGETS.includes(Number(localStorage.getItem('loudnessTarget')))
+  ? Number(localStorage.getItem('loudnessTarget'))
+  : null;
+
+// The listener's mixer: per-voice faders, mutes and solos, kept across visits
+const mixer = createMixer(parseMixerState(localStorage.getItem('mixer')));
+
+// Every live update that reaches onWeatherUpdate, for "export session" → replay later
+const weatherSessionLog = createWeatherSessionRecorder();
+
+// Pinned mapper inputs and musical outputs (see music/locks.js); persisted and shared.
+// ownLocks are the listener's saved ones — the same as what's heard until a
+// shared link's locks play for a visit.
+const weatherLocks = createLocks(parseLocks(localStorage.getItem('weatherLocks')));
+const ownLocks = createLocks(parseLocks(localStorage.getItem('weatherLocks')));
+weatherLocks.onChange(onLocksChange);
 
 // ── Pressure trend buffer ──
 // Rolling window of the last 3 pressure readings (timestamp + value).
@@ -82,7 +156,13 @@ const pressureHistory = []; // [{ value: number, timestamp: number }, ...]
 function getPressureTrend(pressureHpa) {
   pressureHistory.push({ value: pressureHpa, timestamp: Date.now() });
   if (pressureHistory.length > 3) pressureHistory.shift();
+  return peekPressureTrend();
+}
 
+/**
+ * Read the current pressure trend without recording a new sample.
+ */
+function peekPressureTrend() {
   if (pressureHistory.length < 2) return 0;
   const delta = pressureHistory.at(-1).value - pressureHistory[0].value;
   return Math.max(-1, Math.min(1, delta / 5)); // Normalize: ±5 hPa = ±1.0
@@ -154,16 +234,11 @@ function applyExpression(expression, rampTime = 5) {
 
   const { dynamicSwell, harmonicTension, rhythmicEnergy, melodicUrgency, effectDepth } = expression;
 
-  // ── Voice volumes: additive dB swell ──
-  const mutedVoicesSet = mutedVoiceTracker;
+  // ── Voice volumes: additive dB swell (the mixer sits after, see applyMix) ──
   for (const [paramKey, maxSwell] of Object.entries(SWELL_RANGES)) {
     const baseline = params[paramKey];
     if (baseline == null) continue;
 
-    // Find voice name from param key
-    const voiceName = Object.entries(VOICE_VOLUME_PARAMS_MAP).find(([, p]) => p === paramKey)?.[0];
-    if (voiceName && mutedVoicesSet?.has(voiceName)) continue; // Don't swell muted voices
-
     const swellDb = dynamicSwell * maxSwell;
     const stillnessCutDb = (STILLNESS_DB_CUTS[paramKey] ?? 10) * stillnessDepth;
     engine.rampParam(paramKey, baseline + swellDb - stillnessCutDb, rampTime);
@@ -274,33 +349,238 @@ function stopConductorTick() {
 if (import.meta.hot) {
   import.meta.hot.dispose(() => {
     if (engine) engine.dispose();
+    outgoingEngines.forEach((outgoing) => outgoing.dispose());
     if (weatherFetcher) weatherFetcher.stop();
     if (tideFetcher) tideFetcher.stop();
     if (aqiFetcher) aqiFetcher.stop();
     if (visualizer) visualizer.dispose();
     if (secondaryMenuController) secondaryMenuController.dispose();
+    if (sessionRecorder) sessionRecorder.dispose();
+    if (noteLogger) noteLogger.dispose();
+    if (midiOutput) midiOutput.dispose();
     stopConductorTick();
+    clearInterval(mixMeterInterval);
+    clearInterval(meterBridgeInterval);
   });
 }
 
 /**
- * Process a weather update: map to music, interpolate, update display + visuals.
+ * Point the session recorder at the current engine. AudioWorklet needs a
+ * secure context, so failure just leaves recording unavailable.
  */
-function onWeatherUpdate(weather) {
-  if (!interpolator || !display || !visualizer) return;
+function attachSessionRecorder() {
+  sessionRecorder?.attach(engine).catch((err) => {
+    console.warn('Session recorder unavailable:', err);
+  });
+}
+
+/**
+ * A take hit the recorder's length cap: download what was captured and say
+ * why recording stopped.
+ */
+function onTakeLimitReached(blob) {
+  downloadBlob(blob, buildExportFilename(currentLocationName, 'wav'));
+  const recordBtn = document.getElementById('record-btn');
+  if (recordBtn) {
+    recordBtn.classList.remove('recording');
+    recordBtn.textContent = `record (stopped at ${Math.round(sessionRecorder.maxTakeSeconds / 60)} min)`;
+  }
+}
+
+/**
+ * Stop the running stem take (if any) and download it as a zip of WAVs.
+ */
+async function exportStemTake() {
+  const stemsBtn = document.getElementById('stems-btn');
+  if (stemsBtn) {
+    stemsBtn.classList.remove('recording');
+    stemsBtn.textContent = 'record stems';
+  }
+  const capture = await engine?.stems?.stop();
+  if (!capture) return;
+  const filename = buildExportFilename(currentLocationName, 'zip');
+  downloadBlob(buildStemZip(capture, filename.replace(/\.zip$/, '-')), filename);
+}
 
-  const pressureTrend = getPressureTrend(weather.pressure);
+/**
+ * Map the last weather update again, e.g. after a lock or profile change.
+ */
+function remapCurrentWeather() {
+  const weather = weatherFetcher?.lastState;
+  if (weather) onWeatherUpdate(weather, { pressureTrend: peekPressureTrend(), isRemap: true });
+}
+
+/**
+ * The mapping profile file loaded on an earlier visit, or null.
+ */
+function loadCustomProfile() {
+  const text = localStorage.getItem('customMappingProfile');
+  if (!text) return null;
+  try {
+    return parseProfile(text);
+  } catch (err) {
+    console.warn('[SONAR] Saved mapping profile no longer valid:', err);
+    return null;
+  }
+}
+
+/**
+ * Remember which mapping profile is chosen; a file profile by name 'file'.
+ * @param {object} profile
+ */
+function persistMappingProfile(profile) {
+  localStorage.setItem('mappingProfile', profile === customProfile ? 'file' : profile.name);
+}
+
+/**
+ * Switch mapping profile and hear it straight away.
+ * @param {object} profile - A resolved profile (see music/profile.js)
+ * @param {{ persist?: boolean }} [options] - persist = false while a mapping edit is still being dragged
+ */
+function setMappingProfile(profile, { persist = true } = {}) {
+  mappingProfile = profile;
+  if (persist) persistMappingProfile(profile);
+  const profileBtn = document.getElementById('profile-btn');
+  if (profileBtn) profileBtn.textContent = `profile: ${profile.name}`;
+  remapCurrentWeather();
+}
+
+/**
+ * Switch musical style without restarting: the engine crossfades its voices
+ * and the re-mapped weather picks up the style's tempo, rhythms and effects.
+ * @param {import('./music/styles.js').Style} style
+ * @param {{ persist?: boolean }} [options] - persist = false for a shared link's style, heard for the visit only
+ */
+function setMusicStyle(style, { persist = true } = {}) {
+  musicStyle = style;
+  if (persist) localStorage.setItem('musicStyle', style.name);
+  engine?.setStyle(style);
+  remapCurrentWeather();
 
-  const musicalParams = mapWeatherToMusic(weather, {
+  if (window.location.search) history.replaceState(null, '', currentShareSearch());
+
+  const styleBtn = document.getElementById('style-btn');
+  if (styleBtn) styleBtn.textContent = `style: ${style.label}`;
+}
+
+/** Linear mixer gain per voice, as the engine takes it */
+function currentMixGains() {
+  return Object.fromEntries(MIXER_VOICES.map((voice) => [voice, mixer.gain(voice)]));
+}
+
+/**
+ * Hand the mixer to the engine: one gain per voice, after the weather's
+ * volumes and the conductor's swell, so both carry on underneath it.
+ * @param {number} [rampTime=0.1]
+ */
+function applyMix(rampTime = 0.1) {
+  Object.entries(currentMixGains()).forEach(([voice, gain]) => engine?.setVoiceMix(voice, gain, rampTime));
+}
+
+/**
+ * A lock edit from the panel: saved on top of the listener's own locks — never
+ * a shared link's — then heard straight away.
+ * @param {(locks: ReturnType<typeof createLocks>) => void} edit
+ */
+function editLocks(edit) {
+  edit(ownLocks);
+  const text = ownLocks.toString();
+  if (text) localStorage.setItem('weatherLocks', text);
+  else localStorage.removeItem('weatherLocks');
+  edit(weatherLocks);
+}
+
+/**
+ * A lock was set or released: hold or free the locked outputs, and re-map the
+ * current weather so input locks are heard straight away.
+ */
+function onLocksChange() {
+  interpolator?.setOutputLocks(weatherLocks.outputs);
+  remapCurrentWeather();
+
+  // A shared link's URL keeps describing what's playing
+  if (window.location.search) history.replaceState(null, '', currentShareSearch());
+
+  const locksBtn = document.getElementById('locks-btn');
+  if (locksBtn) locksBtn.textContent = weatherLocks.size ? `locks: ${weatherLocks.size}` : 'locks';
+}
+
+/**
+ * Share query for what's playing: location, seed, locks, style and — for a
+ * past day — its date.
+ * @param {{ date?: string|null }} [overrides] - Date to use instead of the current mode's
+ */
+function currentShareSearch({ date = weatherMode === 'history' ? historyDate : null } = {}) {
+  return buildShareSearch(currentLatitude, currentLongitude, {
+    seed: currentSeed,
+    date,
+    locks: weatherLocks.toString() || null,
+    style: musicStyle === DEFAULT_STYLE ? null : musicStyle.name,
+  });
+}
+
+/**
+ * Mapper options derived from the current location's side data (tide, AQI, biome)
+ * and the chosen profile and style.
+ */
+function buildMapOptions(pressureTrend) {
+  return {
     tideLevel: currentTideData?.waterLevel ?? null,
     aqiLevel: currentAqiData?.aqi ?? null,
     pm25: currentAqiData?.pm25 ?? null,
     latitude: currentLatitude ?? 40,
     pressureTrend,
     biome: currentBiome,
-  });
+    profile: mappingProfile,
+    style: musicStyle,
+  };
+}
+
+/** The interpolator scheduled a discrete change (a key, a pattern…) — show it in the explain panel */
+function noteDiscreteChange(key, value) {
+  explainPanel?.noteChange(key, value, Date.now());
+}
+
+/**
+ * Process a weather update: map to music, interpolate, update display + visuals.
+ * Time of day, moon and season come from the app clock (see clock.js). A
+ * timelapse passes its forecast pressure trend; live and replayed updates use
+ * the recorded pressure history. A remap (lock or profile change) replays
+ * the last update without logging it to the session again.
+ * @param {import('./weather/fetcher.js').WeatherState} weather
+ * @param {{ pressureTrend?: number, isRemap?: boolean }} [context]
+ */
+function onWeatherUpdate(weather, { pressureTrend = null, isRemap = false } = {}) {
+  if (!interpolator || !display || !visualizer) return;
+
+  const now = clockDate();
+  if (pressureTrend === null) pressureTrend = getPressureTrend(weather.pressure);
+
+  if (weatherMode === 'live' && !isRemap) {
+    weatherSessionLog.record({
+      latitude: currentLatitude,
+      longitude: currentLongitude,
+      weather,
+      tide: currentTideData,
+      aqi: currentAqiData,
+      biome: currentBiome,
+    });
+  }
+
+  // Live sunrise/sunset are today's; at a simulated time use that day's instead
+  if (followsUserClock() && isSimulatedClock() && currentLatitude != null) {
+    const { sunrise, sunset } = getSunTimes(currentLatitude, currentLongitude, now);
+    weather = { ...weather, sunrise, sunset };
+  }
+
+  // Locked inputs reach the mapper in place of the weather; the display keeps the real readings
+  const locked = applyInputLocks(weather, buildMapOptions(pressureTrend), weatherLocks.inputs);
+  const musicalParams = interpolator.update(mapWeatherToMusic(locked.weather, locked.options));
+  engine?.setBiome(musicalParams._meta.biome);
 
-  interpolator.update(musicalParams);
+  midiOutput?.sendParams(musicalParams);
+  mappingEditor?.setLive(musicalParams._meta.inputs);
+  explainPanel?.update(explainMapping(locked.weather, musicalParams, locked.options), Date.now());
   display.update(weather, musicalParams, currentTideData, currentAqiData);
 
   // Update conductor weather context for personality selection
@@ -309,7 +589,6 @@ function onWeatherUpdate(weather) {
   }
 
   // Compute moonrise/moonset from phase + today's sunrise/sunset
-  const now = new Date();
   const moonrise = getMoonriseTime(now, weather.sunrise, weather.sunset);
   const moonset  = getMoonsetTime(now, weather.sunrise, weather.sunset);
 
@@ -398,45 +677,6 @@ function onWeatherUpdate(weather) {
     // Aurora intensity for northern lights (Feature 4)
     auroraIntensity,
   });
-
-  // ── Detailed logging: data inputs → sound mappings ──
-  console.groupCollapsed(
-    `🌤 Weather Update: ${weather.temperature.toFixed(1)}°C ${musicalParams._meta.category} → ${musicalParams.rootNote} ${musicalParams.scaleType}`
-  );
-
-  console.log('%c── Environment Inputs ──', 'font-weight: bold; color: #7ba4ff');
-  console.table({
-    'Temperature':    { value: `${weather.temperature.toFixed(1)}°C`, effect: `→ ${musicalParams.rootNote} ${musicalParams.scaleType} (mode), ${musicalParams.bpm} BPM` },
-    'Humidity':       { value: `${weather.humidity}%`, effect: `→ reverb decay ${musicalParams.reverbDecay.toFixed(1)}s, wet ${(musicalParams.reverbWet * 100).toFixed(0)}%` },
-    'Pressure':       { value: `${weather.pressure.toFixed(0)} hPa`, effect: `→ bass cutoff ${musicalParams.bassCutoff.toFixed(0)}Hz, bass vol ${musicalParams.bassVolume.toFixed(1)}dB, drone vol ${musicalParams.droneVolume.toFixed(1)}dB` },
-    'Wind':           { value: `${weather.windSpeed.toFixed(1)} km/h @ ${weather.windDirection}°`, effect: `→ rhythm ${musicalParams.rhythmDensity.toFixed(2)}, arp "${musicalParams.arpeggioPattern}", perc pan ${musicalParams.percussionPan.toFixed(2)}` },
-    'UV Index':       { value: `${(weather.uvIndex ?? 0).toFixed(1)}`, effect: `→ arp filter ${musicalParams.arpeggioFilterCutoff.toFixed(0)}Hz` },
-    'Weather Code':   { value: `${weather.weatherCode} (${musicalParams._meta.category})`, effect: `→ spread ${musicalParams.padSpread}¢, perc "${musicalParams.percussionPattern}", arp "${musicalParams.arpeggioRhythmPattern}"` },
-    'Time of Day':    { value: musicalParams._meta.timeOfDay, effect: `→ brightness ${musicalParams.padBrightness.toFixed(2)}, master ${musicalParams.masterFilterCutoff.toFixed(0)}Hz, vel ${musicalParams.globalVelocityScale.toFixed(2)}x` },
-    'Moon':           { value: `${(musicalParams._meta.moonFullness * 100).toFixed(0)}% full`, effect: `→ LFO ${musicalParams.lfoRate.toFixed(3)}Hz/${musicalParams.lfoDepth.toFixed(2)}, chorus ${musicalParams.chorusDepth.toFixed(2)}` },
-    'Season':         { value: `factor ${musicalParams._meta.seasonalFactor.toFixed(2)}`, effect: `→ brightness/filter modulation` },
-    'AQI':            { value: currentAqiData ? `${currentAqiData.aqi} (norm ${musicalParams._meta.aqiNorm.toFixed(2)})` : 'n/a', effect: currentAqiData ? `→ filter haze, reverb boost` : '→ no effect' },
-    'Tide':           { value: currentTideData ? `${currentTideData.waterLevel.toFixed(1)}ft` : 'n/a', effect: currentTideData ? `→ bass swell` : '→ no effect' },
-    'Golden Hour':    { value: `${(musicalParams._meta.filterWarmth * 100).toFixed(0)}%`, effect: musicalParams._meta.filterWarmth > 0 ? `→ warm filter reduction` : '→ no effect' },
-  });
-
-  console.log('%c── Sound Output ──', 'font-weight: bold; color: #ffba7a');
-  console.table({
-    'Key & Tempo':    `${musicalParams.rootNote} ${musicalParams.scaleType} @ ${musicalParams.bpm} BPM`,
-    'Pad':            `vol ${musicalParams.padVolume}dB, bright ${musicalParams.padBrightness.toFixed(2)}, spread ${musicalParams.padSpread}¢`,
-    'Arpeggio':       `vol ${musicalParams.arpeggioVolume.toFixed(1)}dB, filter ${musicalParams.arpeggioFilterCutoff.toFixed(0)}Hz, pan ${musicalParams.arpeggioPan.toFixed(2)}`,
-    'Bass':           `vol ${musicalParams.bassVolume.toFixed(1)}dB, cutoff ${musicalParams.bassCutoff.toFixed(0)}Hz`,
-    'Drone':          `vol ${musicalParams.droneVolume.toFixed(1)}dB`,
-    'Melody':         `vol ${musicalParams.melodyVolume.toFixed(1)}dB, mood "${musicalParams.melodyMood}", pan ${musicalParams.melodyPan.toFixed(2)}`,
-    'Texture':        `vol ${musicalParams.textureVolume}dB, noise "${musicalParams.noiseType || 'off'}", filter ${musicalParams.textureFilterCutoff.toFixed(0)}Hz`,
-    'Percussion':     `vol ${musicalParams.percussionVolume}dB, "${musicalParams.percussionPattern}", pan ${musicalParams.percussionPan.toFixed(2)}`,
-    'Master Filter':  `${musicalParams.masterFilterCutoff.toFixed(0)}Hz`,
-    'Master Volume':  `${musicalParams.globalVelocityScale.toFixed(2)}x`,
-    'Reverb':         `decay ${musicalParams.reverbDecay.toFixed(1)}s, wet ${(musicalParams.reverbWet * 100).toFixed(0)}%`,
-    'Chorus/LFO':     `chorus ${musicalParams.chorusDepth.toFixed(2)}, LFO ${musicalParams.lfoRate.toFixed(3)}Hz/${musicalParams.lfoDepth.toFixed(2)}`,
-  });
-
-  console.groupEnd();
 }
 
 /**
@@ -446,31 +686,55 @@ function onWeatherUpdate(weather) {
  */
 async function startForLocation(latitude, longitude, locationName, { fadeIn = false, updateUrl = true } = {}) {
   const requestId = ++currentLocationRequestId;
+  setWeatherMode('live');
+  liveLocation = null;
   display.setLocation(locationName || 'Loading...');
 
   // Store lat/lng for seasonal awareness and permalink
   currentLatitude = latitude;
   currentLongitude = longitude;
+  currentLocationName = locationName || null;
+
+  // Every location session gets a seed so it can be re-heard from a share link.
+  // Reseeding restarts all generative streams (progressions, melody, patterns…).
+  currentSeed = pendingSharedSeed ?? generateSeed();
+  pendingSharedSeed = null;
+  setRandomSeed(currentSeed);
 
   // Update URL so the current location is shareable.
   // Skip for geolocation-based loads: writing coords here would cause the next
   // page visit to parse them as a "shared link" and bypass fresh geolocation.
   if (updateUrl) {
-    history.replaceState(null, '', buildShareSearch(latitude, longitude));
+    history.replaceState(null, '', currentShareSearch({ date: null }));
   } else {
     // Clear any leftover share params (e.g. from a previously visited shared link)
     history.replaceState(null, '', window.location.pathname);
   }
 
-  // ── Tear down old audio engine ──
+  // ── Hand over to a fresh audio engine ──
   // Tone.js audio nodes are permanently destroyed by dispose() and cannot be
   // restarted, so we recreate the engine from scratch on each location change.
   // This prevents accumulation of orphaned synths, sequences, and LFOs — the
   // source of the glitching heard after changing location more than once.
+  // The old engine isn't cut off: it fades out under the new one and disposes
+  // itself once silent. On first load the placeholder engine just goes.
   if (engine) {
-    engine.dispose();
+    // A stem take can't outlive its engine — hand over what was captured so far
+    if (engine.stems?.isRecording) {
+      await exportStemTake();
+      if (requestId !== currentLocationRequestId) return;
+    }
+    if (fadeIn) {
+      engine.dispose();
+    } else {
+      const outgoing = engine;
+      outgoingEngines.add(outgoing);
+      outgoing.handOff(HANDOFF_FADE_SECONDS).then(() => outgoingEngines.delete(outgoing));
+    }
     stopCountdown();
-    engine = createSoundEngine();
+    engine = createSoundEngine({ stemCapture: true, style: musicStyle });
+    applyMix(0);
+    engine.setLoudnessTarget(loudnessTarget);
     engine.start({ bpm: 72 });
     engine.onChordChange((chordInfo) => {
       visualizer.onChordChange(chordInfo);
@@ -479,12 +743,19 @@ async function startForLocation(latitude, longitude, locationName, { fadeIn = fa
         intervalSeconds: engine.progressionPlayer.currentIntervalSeconds,
       });
     });
-    // First load: start silent and swell up; location changes: cut in immediately
-    engine.setUserGainScale(fadeIn ? 0 : userVolumeScale, 0);
-    if (fadeIn) engine.setUserGainScale(userVolumeScale, 3);
+    // Start silent and swell up — quickly on first load, across the old
+    // engine's fade on a location change
+    engine.setUserGainScale(0, 0);
+    engine.setUserGainScale(userVolumeScale, fadeIn ? 3 : HANDOFF_FADE_SECONDS);
     engine.setSleepGainScale(1, 0);
     // Recreate interpolator too — it closes over the old (now-disposed) engine
-    interpolator = createInterpolator(engine);
+    interpolator = createInterpolator(engine, { outputLocks: weatherLocks.outputs, onDiscreteChange: noteDiscreteChange });
+    // Keep the rolling recording going across the engine swap
+    attachSessionRecorder();
+    sessionRecorder?.resume();
+    noteLogger?.attach(engine);
+    midiOutput?.attach(engine);
+    engine.setInternalMuted(isInternalMuted, 0);
     // Reset conductor for fresh location — new movement arc begins
     if (CONDUCTOR_ENABLED && movementConductor) {
       movementConductor.reset();
@@ -511,18 +782,23 @@ async function startForLocation(latitude, longitude, locationName, { fadeIn = fa
   currentAqiData = null;
 
   // Classify biome for this location once weather provides elevation.
-  // Fire-and-forget; result is used on a subsequent weather update.
+  // Fire-and-forget; when it arrives the weather is remapped, so the biome's
+  // space crossfades in without waiting for the next update.
   currentBiome = 'grassland'; // Reset to default while classifying
   let biomeClassificationStarted = false;
 
   // Set up weather fetching
-  const nextWeatherFetcher = createWeatherFetcher(latitude, longitude);
+  const nextWeatherFetcher = createWeatherFetcher(latitude, longitude, 15 * 60000, { providerId: weatherProviderId });
   nextWeatherFetcher.onUpdate((weather) => {
     if (requestId !== currentLocationRequestId) return;
     if (!biomeClassificationStarted) {
       biomeClassificationStarted = true;
       classifyBiome(latitude, longitude, { elevation: weather.elevation ?? 0 })
-        .then(b => { if (requestId === currentLocationRequestId) currentBiome = b; })
+        .then(b => {
+          if (requestId !== currentLocationRequestId) return;
+          currentBiome = b;
+          if (weatherMode === 'live') remapCurrentWeather();
+        })
         .catch(() => { /* Biome classification failed — grassland fallback is fine */ });
     }
     onWeatherUpdate(weather);
@@ -570,10 +846,312 @@ async function startForLocation(latitude, longitude, locationName, { fadeIn = fa
   if (!locationName) {
     const name = await reverseGeocode(latitude, longitude);
     if (requestId !== currentLocationRequestId) return;
+    currentLocationName = name;
     display.setLocation(name);
   }
 }
 
+/**
+ * Reflect where the weather is coming from in the menu, timelapse bar and
+ * simulated badge, and install the matching app clock — the source's own for
+ * replay, timelapse and history, the user's chosen time (or real time) for
+ * live and simulated weather.
+ * @param {'live'|'replay'|'timelapse'|'history'|'simulated'} mode
+ * @param {import('./clock.js').Clock} [sourceClock]
+ */
+function setWeatherMode(mode, sourceClock = null) {
+  weatherMode = mode;
+  if (mode !== 'live') endWorldTour(); // Replays, timelapses and simulations stay put
+  setClock(followsUserClock() ? userClock : sourceClock);
+  const replayBtn = document.getElementById('session-replay-btn');
+  if (replayBtn) replayBtn.textContent = mode === 'replay' ? 'back to live' : 'replay session';
+  const timelapseBtn = document.getElementById('timelapse-btn');
+  if (timelapseBtn) timelapseBtn.textContent = mode === 'timelapse' ? 'back to live' : 'hear tomorrow';
+  const historyBtn = document.getElementById('history-btn');
+  if (historyBtn) historyBtn.textContent = mode === 'history' ? 'back to live' : 'hear a past date';
+  document.getElementById('timelapse-bar')?.classList.toggle('hidden', !isTimelapseMode());
+  document.getElementById('simulated-badge')?.classList.toggle('hidden', mode !== 'simulated');
+}
+
+/** Live and simulated weather happen "now" — the real time or the user's chosen one */
+function followsUserClock() {
+  return weatherMode === 'live' || weatherMode === 'simulated';
+}
+
+/** Forecast timelapses and historical days both play on the timelapse bar */
+function isTimelapseMode() {
+  return weatherMode === 'timelapse' || weatherMode === 'history';
+}
+
+/**
+ * Leave a replay, timelapse, historical day or simulation for live weather
+ * where the listener was before — not wherever a replay's frames left off.
+ */
+async function returnToLive() {
+  const { latitude, longitude, name } = liveLocation
+    ?? { latitude: currentLatitude, longitude: currentLongitude, name: currentLocationName };
+  await startForLocation(latitude, longitude, name);
+}
+
+/**
+ * Stop the live fetchers without touching the engine — the first step of
+ * swapping in a replay or timelapse. Invalidates pending live callbacks.
+ * @returns {number} Request id for the new weather source
+ */
+function detachLiveFetchers() {
+  const requestId = ++currentLocationRequestId;
+  if (weatherFetcher) weatherFetcher.stop();
+  if (tideFetcher) { tideFetcher.stop(); tideFetcher = null; }
+  if (aqiFetcher) { aqiFetcher.stop(); aqiFetcher = null; }
+  return requestId;
+}
+
+/**
+ * Swap the live fetchers for a recorded session. The engine keeps running;
+ * each replayed frame restores the tide/AQI/biome context it was recorded with.
+ * Frames carry their own coordinates, so the live location is kept aside for
+ * returnToLive().
+ */
+async function startReplay(session, speed = 1) {
+  const requestId = detachLiveFetchers();
+  liveLocation ??= { latitude: currentLatitude, longitude: currentLongitude, name: currentLocationName };
+
+  const replayer = createWeatherReplayer(session, { speed });
+  replayer.onUpdate((weather, frame) => {
+    if (requestId !== currentLocationRequestId) return;
+    currentLatitude = frame.latitude ?? currentLatitude;
+    currentLongitude = frame.longitude ?? currentLongitude;
+    currentTideData = frame.tide ?? null;
+    currentAqiData = frame.aqi ?? null;
+    currentBiome = frame.biome ?? 'grassland';
+    onWeatherUpdate(weather);
+  });
+  replayer.onEnd(() => {
+    if (requestId === currentLocationRequestId) console.info('[SONAR] Weather replay finished');
+  });
+
+  weatherFetcher = replayer;
+  setWeatherMode('replay', replayer.clock);
+  display.setLocation(`${currentLocationName ?? 'Recorded session'} (replay ${speed}×)`);
+  await replayer.start();
+}
+
+/**
+ * Tide/AQI/biome/pressure-trend context for the what-if simulator.
+ */
+function simulatorContext() {
+  return { tide: currentTideData, aqi: currentAqiData, biome: currentBiome, pressureTrend: peekPressureTrend() };
+}
+
+/**
+ * Swap the current weather source for the what-if simulator, starting from
+ * the conditions being heard. Each panel change is mapped straight away.
+ * Returning to live goes through returnToLive().
+ * @returns {ReturnType<typeof createWeatherSimulator>|null} Null before the first weather update
+ */
+function startSimulation() {
+  const base = weatherFetcher?.lastState;
+  if (!base) return null;
+
+  const simulator = createWeatherSimulator(base, simulatorContext());
+  const requestId = detachLiveFetchers();
+  simulator.onUpdate((weather, { tide, aqi, biome, pressureTrend }) => {
+    if (requestId !== currentLocationRequestId) return;
+    currentTideData = tide;
+    currentAqiData = aqi;
+    currentBiome = biome;
+    onWeatherUpdate(weather, { pressureTrend });
+  });
+
+  weatherFetcher = simulator;
+  setWeatherMode('simulated');
+  simulator.start();
+  return simulator;
+}
+
+/**
+ * Play the next hours of forecast for the current location compressed into
+ * a few minutes. Uses the live fetcher's forecast when it has one, otherwise
+ * fetches it. Tide/AQI/biome hold their current values throughout.
+ * @param {number} spanHours - Forecast hours to cover (24–48)
+ * @param {number} minutes - Real time to play them in
+ */
+async function startTimelapse(spanHours, minutes) {
+  let hourly = weatherFetcher?.forecast;
+  let base = weatherFetcher?.lastState;
+  if (!hourly?.length && currentLatitude != null) {
+    const pendingRequestId = currentLocationRequestId;
+    const fetched = await fetchWeather(currentLatitude, currentLongitude, { providerId: weatherProviderId });
+    if (pendingRequestId !== currentLocationRequestId) return; // Location changed meanwhile
+    if (fetched) ({ hourly, ...base } = fetched);
+  }
+  if (!hourly?.length || !base) {
+    console.warn('[SONAR] No hourly forecast available for a timelapse');
+    return;
+  }
+
+  let timelapse;
+  try {
+    timelapse = createForecastTimelapse(hourly, {
+      latitude: currentLatitude,
+      longitude: currentLongitude,
+      base,
+      spanHours,
+      durationMs: minutes * 60000,
+    });
+  } catch (err) {
+    console.warn('[SONAR] Timelapse unavailable:', err);
+    return;
+  }
+
+  await playTimelapse(timelapse, 'timelapse', `${currentLocationName ?? 'Here'} (next ${Math.round(timelapse.spanHours)}h in ${minutes} min)`);
+}
+
+/**
+ * Play a past day at the current location, midnight to midnight, compressed
+ * into a few minutes. Sun, moon and season follow the historical date
+ * through the timelapse's clock. Tide/AQI/biome hold their current values.
+ * @param {string} date - "YYYY-MM-DD" (see parseHistoryDate)
+ * @param {number} minutes - Real time to play the day in
+ */
+async function startHistoricalDay(date, minutes) {
+  if (currentLatitude == null) return;
+  const pendingRequestId = currentLocationRequestId;
+  const fetched = await fetchHistoricalWeather(currentLatitude, currentLongitude, date);
+  if (pendingRequestId !== currentLocationRequestId) return; // Location changed meanwhile
+  if (!fetched) return;
+
+  const { hourly, ...base } = fetched;
+  let timelapse;
+  try {
+    timelapse = createForecastTimelapse(hourly, {
+      latitude: currentLatitude,
+      longitude: currentLongitude,
+      base,
+      startMs: hourly[0].time.getTime(),
+      spanHours: 24,
+      durationMs: minutes * 60000,
+    });
+  } catch (err) {
+    console.warn('[SONAR] Historical day unavailable:', err);
+    return;
+  }
+
+  historyDate = date;
+  // Keep a shared link's URL pointing at the day being heard
+  if (window.location.search) {
+    history.replaceState(null, '', currentShareSearch({ date }));
+  }
+  await playTimelapse(timelapse, 'history', `${currentLocationName ?? 'Here'} (${date} in ${minutes} min)`);
+}
+
+/**
+ * Swap the live fetchers for a timelapse and drive the timelapse bar from it.
+ * @param {ReturnType<typeof createForecastTimelapse>} timelapse
+ * @param {'timelapse'|'history'} mode
+ * @param {string} locationLabel
+ */
+async function playTimelapse(timelapse, mode, locationLabel) {
+  const requestId = detachLiveFetchers();
+  const scrubber = document.getElementById('timelapse-scrubber');
+  const timeLabel = document.getElementById('timelapse-time');
+
+  timelapse.onUpdate((weather, { pressureTrend, progress }) => {
+    if (requestId !== currentLocationRequestId) return;
+    onWeatherUpdate(weather, { pressureTrend });
+    if (scrubber && !scrubber.matches(':active')) scrubber.value = String(Math.round(progress * 1000));
+    if (timeLabel) {
+      timeLabel.textContent = formatLocationTime(new Date(timelapse.clock.now()), weather.utcOffsetSeconds ?? 0, { withDate: mode === 'history' });
+    }
+  });
+  timelapse.onEnd(() => {
+    if (requestId !== currentLocationRequestId) return;
+    console.info(mode === 'history' ? '[SONAR] Historical day finished' : '[SONAR] Forecast timelapse finished');
+  });
+
+  weatherFetcher = timelapse;
+  setWeatherMode(mode, timelapse.clock);
+  display.setLocation(locationLabel);
+  await timelapse.start();
+}
+
+/**
+ * "Tue 3:00 PM" in the location's local time — with the date ("Jan 15
+ * 3:00 PM") when `withDate` is set.
+ * @param {Date} date
+ * @param {number} utcOffsetSeconds
+ * @param {{ withDate?: boolean }} [options]
+ */
+function formatLocationTime(date, utcOffsetSeconds, { withDate = false } = {}) {
+  const local = new Date(date.getTime() + utcOffsetSeconds * 1000);
+  const day = withDate
+    ? `${['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'][local.getUTCMonth()]} ${local.getUTCDate()}`
+    : ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][local.getUTCDay()];
+  const hours = local.getUTCHours();
+  const minutes = String(local.getUTCMinutes()).padStart(2, '0');
+  return `${day} ${hours % 12 || 12}:${minutes} ${hours >= 12 ? 'PM' : 'AM'}`;
+}
+
+const TOUR_LABELS = { world: 'world tour', sunrise: 'sunrise tour', custom: 'my cities' };
+
+/**
+ * Start radio mode: hop through the source's stops every tourIntervalMinutes,
+ * announcing each on the location card. Every hop goes through
+ * startForLocation, so it crossfades and updates the share link.
+ * @param {'world'|'sunrise'|'custom'} source
+ * @param {import('./weather/tour.js').TourStop[]} [customStops] - The user's cities, for 'custom'
+ */
+function startWorldTour(source, customStops = []) {
+  endWorldTour();
+  const getStops = {
+    world: () => TOUR_CITIES,
+    sunrise: () => sunriseStops(TOUR_CITIES, clockDate()),
+    custom: () => customStops,
+  }[source];
+  worldTour = createTour({
+    getStops,
+    intervalMs: tourIntervalMinutes * 60000,
+    onHop: (stop, info) => {
+      tourCard?.show(stop, { ...info, sourceLabel: TOUR_LABELS[source] });
+      // A stop that fails to load is reported; the tour still hops on at its next interval
+      startForLocation(stop.latitude, stop.longitude, stop.name).catch((err) => {
+        console.error(`Tour stop ${stop.name} failed:`, err);
+      });
+    },
+  });
+  worldTourSource = source;
+  updateTourButton();
+  worldTour.start();
+}
+
+/** Leave radio mode, staying at the current stop */
+function endWorldTour() {
+  if (!worldTour) return;
+  worldTour.stop();
+  worldTour = null;
+  worldTourSource = null;
+  tourCard?.hide();
+  updateTourButton();
+}
+
+function updateTourButton() {
+  const tourBtn = document.getElementById('tour-btn');
+  if (tourBtn) tourBtn.textContent = `tour: ${worldTourSource ? TOUR_LABELS[worldTourSource] : 'off'}`;
+}
+
+/**
+ * Geocode user-entered places, keeping the best match for each. Names
+ * nothing matches are dropped.
+ * @param {string[]} names
+ * @returns {Promise<import('./weather/tour.js').TourStop[]>}
+ */
+async function resolveTourCities(names) {
+  const matches = await Promise.all(names.map((name) => searchCities(name)));
+  return matches
+    .filter((results) => results.length > 0)
+    .map(([best]) => ({ name: formatLocation(best), latitude: best.latitude, longitude: best.longitude }));
+}
+
 /**
  * Boot sequence: create engine with placeholder params, then connect to real weather.
  */
@@ -584,8 +1162,16 @@ async function boot(latitude, longitude, locationName, { updateUrl = true } = {}
   const canvas = document.getElementById('visualizer');
 
   // Create the sound engine and interpolator
-  engine = createSoundEngine();
-  interpolator = createInterpolator(engine);
+  engine = createSoundEngine({ stemCapture: true, style: musicStyle });
+  applyMix(0);
+  engine.setLoudnessTarget(loudnessTarget);
+  interpolator = createInterpolator(engine, { outputLocks: weatherLocks.outputs, onDiscreteChange: noteDiscreteChange });
+  sessionRecorder = createSessionRecorder({ onTakeLimit: onTakeLimitReached });
+  attachSessionRecorder();
+  noteLogger = createNoteLogger();
+  noteLogger.attach(engine);
+  midiOutput = createMidiOutput();
+  midiOutput.attach(engine);
 
   // Create movement conductor
   if (CONDUCTOR_ENABLED) {
@@ -595,6 +1181,7 @@ async function boot(latitude, longitude, locationName, { updateUrl = true } = {}
   // Create UI
   display = createDisplay();
   createControls(async (result) => {
+    endWorldTour(); // Picking a place by hand ends radio mode
     const name = formatLocation(result);
     await startForLocation(result.latitude, result.longitude, name);
   });
@@ -619,9 +1206,11 @@ async function boot(latitude, longitude, locationName, { updateUrl = true } = {}
   pauseBtn.addEventListener('click', () => {
     if (isPlaying) {
       engine.stop();
+      sessionRecorder?.pause();
       if (CONDUCTOR_ENABLED && movementConductor) movementConductor.pause();
     } else {
       engine.resume();
+      sessionRecorder?.resume();
       if (CONDUCTOR_ENABLED && movementConductor) movementConductor.resume();
     }
     isPlaying = !isPlaying;
@@ -657,7 +1246,7 @@ async function boot(latitude, longitude, locationName, { updateUrl = true } = {}
   secondaryMenuController = setupSecondaryMenu({
     menuBtn,
     secondaryMenu,
-    keepOpenItemIds: ['sleep-btn', 'share-btn'],
+    keepOpenItemIds: ['sleep-btn', 'share-btn', 'render-btn', 'save-recent-btn', 'record-btn', 'stems-btn', 'midi-btn', 'midi-out-btn', 'midi-mute-btn', 'session-export-btn', 'weather-source-btn', 'time-btn', 'tour-btn', 'tour-every-btn', 'loudness-btn'],
   });
 
   // Wire sleep timer — cycles off → 30 → 60 → 90 min
@@ -693,6 +1282,7 @@ async function boot(latitude, longitude, locationName, { updateUrl = true } = {}
         sleepFadeTimeout = setTimeout(() => {
           if (engine) engine.stop();
           if (engine) engine.setSleepGainScale(1, 0);
+          sessionRecorder?.pause();
           if (CONDUCTOR_ENABLED && movementConductor) movementConductor.pause();
           isPlaying = false;
           setPauseButtonState(false);
@@ -703,45 +1293,28 @@ async function boot(latitude, longitude, locationName, { updateUrl = true } = {}
     });
   }
 
-  // Wire mute panel — per-voice mute toggles
-  const mutePanel = document.getElementById('mute-panel');
+  // Wire mixer panel — per-voice faders, mutes and solos, with live meters
+  const mixPanel = document.getElementById('mix-panel');
   const mixBtn = document.getElementById('mix-btn');
-  const VOICE_VOLUME_PARAMS = VOICE_VOLUME_PARAMS_MAP;
-  const mutedVoices = new Set();
-  mutedVoiceTracker = mutedVoices; // Expose to module-level applyExpression
 
-  if (mixBtn && mutePanel) {
+  if (mixBtn && mixPanel) {
+    const mixerPanel = setupMixerPanel(mixPanel, {
+      mixer,
+      onChange: () => {
+        applyMix(0.1);
+        localStorage.setItem('mixer', JSON.stringify(mixer.toJSON()));
+      },
+    });
     mixBtn.addEventListener('click', () => {
-      mutePanel.classList.toggle('hidden');
-      document.body.classList.toggle('mix-open', !mutePanel.classList.contains('hidden'));
+      mixPanel.classList.toggle('hidden');
+      document.body.classList.toggle('mix-open', mixerPanel.isOpen);
+      clearInterval(mixMeterInterval);
+      mixMeterInterval = mixerPanel.isOpen
+        ? setInterval(() => { if (engine) mixerPanel.setMeters(engine.getVoiceLevels()); }, 100)
+        : null;
     });
   }
 
-  document.querySelectorAll('.mute-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      if (!engine) return;
-      const voice = btn.dataset.voice;
-      const param = VOICE_VOLUME_PARAMS[voice];
-      if (!param) return;
-      if (mutedVoices.has(voice)) {
-        mutedVoices.delete(voice);
-        btn.classList.remove('muted');
-        let savedVol = interpolator.currentParams?.[param] ?? 0;
-        // Add expression swell offset if conductor is active
-        if (CONDUCTOR_ENABLED && movementConductor) {
-          const expr = movementConductor.getExpression();
-          const maxSwell = SWELL_RANGES[param] ?? 0;
-          savedVol += expr.dynamicSwell * maxSwell;
-        }
-        engine.rampParam(param, savedVol, 1);
-      } else {
-        mutedVoices.add(voice);
-        btn.classList.add('muted');
-        engine.rampParam(param, -80, 1);
-      }
-    });
-  });
-
   // ── Weather panel (W key) ──
   const weatherPanel = document.getElementById('weather-panel');
   const weatherContent = document.getElementById('weather-content');
@@ -786,7 +1359,7 @@ async function boot(latitude, longitude, locationName, { updateUrl = true } = {}
     const condition = describeWeatherCode(w.weatherCode);
     const windDir = degreesToCompass(w.windDirection);
     const moonName = getMoonPhaseName();
-    const season = capitalizeFirst(getSeasonName(new Date(), currentLatitude ?? 40));
+    const season = capitalizeFirst(getSeasonName(clockDate(), currentLatitude ?? 40));
 
     const lines = [
       `<strong>Temperature:</strong> ${tempF}\u00B0F (feels ${feelsF}\u00B0F)`,
@@ -814,6 +1387,10 @@ async function boot(latitude, longitude, locationName, { updateUrl = true } = {}
     if (currentTideData) {
       lines.push(`<strong>Tide:</strong> ${currentTideData.waterLevel.toFixed(1)} ft`);
     }
+    if (w.provider) {
+      const source = w.provider === historyProvider.id ? historyProvider : getWeatherProvider(w.provider);
+      lines.push(`<strong>Source:</strong> ${source?.name ?? w.provider}`);
+    }
 
     return lines.join('<br>');
   }
@@ -891,7 +1468,7 @@ async function boot(latitude, longitude, locationName, { updateUrl = true } = {}
     // Season + biome as active modifiers
     const seasonName = capitalizeFirst(p.seasonalPalette ?? '');
     const biome = capitalizeFirst(p._meta?.biome ?? 'grassland');
-    lines.push(`${sec(seasonName)} \u00B7 ${sec(biome)} ${arrow} reverb, spread & brightness modifiers`);
+    lines.push(`${sec(seasonName)} \u00B7 ${sec(biome)} ${arrow} space, reverb, spread & brightness modifiers`);
 
     lines.push('');
 
@@ -943,6 +1520,24 @@ async function boot(latitude, longitude, locationName, { updateUrl = true } = {}
   const conductorCurrent = document.getElementById('conductor-current');
   const conductorNext = document.getElementById('conductor-next');
   const conductorMenuBtn = document.getElementById('conductor-btn');
+
+  // Meter bridge in the audio panel — every voice and bus, the limiter's gain
+  // reduction and loudness — polled only while the panel is open
+  const meterBridgeEl = document.getElementById('meter-bridge');
+  const meterBridge = meterBridgeEl
+    ? setupMeterBridge(meterBridgeEl, document.getElementById('loudness-readout'))
+    : null;
+  const onAudioPanelToggle = (isOpen) => {
+    clearInterval(meterBridgeInterval);
+    meterBridgeInterval = isOpen && meterBridge
+      ? setInterval(() => {
+        if (!engine) return;
+        meterBridge.update(engine.getMeterLevels());
+        meterBridge.setLoudness(engine.getLoudness());
+      }, 100)
+      : null;
+  };
+
   const panelControls = setupInfoPanels({
     weatherPanel,
     weatherContent,
@@ -954,6 +1549,7 @@ async function boot(latitude, longitude, locationName, { updateUrl = true } = {}
     audioClose,
     audioMenuBtn,
     buildAudioText,
+    onAudioPanelToggle,
     conductorPanel,
     conductorStatus,
     conductorTimeline,
@@ -985,7 +1581,7 @@ async function boot(latitude, longitude, locationName, { updateUrl = true } = {}
       // Construct the share URL from the current loaded coordinates.
       // We can't rely on window.location.href because geolocation-based loads
       // intentionally skip writing coords to the URL (updateUrl: false).
-      const shareSearch = buildShareSearch(currentLatitude, currentLongitude);
+      const shareSearch = currentShareSearch();
       const url = shareSearch
         ? window.location.origin + window.location.pathname + shareSearch
         : window.location.href;
@@ -1010,6 +1606,444 @@ async function boot(latitude, longitude, locationName, { updateUrl = true } = {}
     });
   }
 
+  // Wire render button — offline-renders N minutes of the current location to WAV
+  const renderBtn = document.getElementById('render-btn');
+  if (renderBtn) {
+    let isRendering = false;
+
+    renderBtn.addEventListener('click', async () => {
+      const weather = weatherFetcher?.lastState;
+      if (isRendering || !weather) return;
+
+      const answer = window.prompt(`Render how many minutes? (1–${MAX_RENDER_MINUTES})`, '3');
+      if (answer == null) return;
+      const minutes = Number(answer);
+      if (!Number.isFinite(minutes) || minutes <= 0) return;
+
+      isRendering = true;
+      renderBtn.disabled = true;
+      renderBtn.textContent = 'rendering…';
+      try {
+        const blob = await renderWeatherToWav(weather, {
+          durationSeconds: Math.min(minutes, MAX_RENDER_MINUTES) * 60,
+          mapOptions: buildMapOptions(peekPressureTrend()),
+          mix: currentMixGains(),
+        });
+        downloadBlob(blob, buildExportFilename(currentLocationName, 'wav'));
+      } catch (err) {
+        console.error('Offline render failed:', err);
+      } finally {
+        isRendering = false;
+        renderBtn.disabled = false;
+        renderBtn.textContent = 'render';
+      }
+    });
+  }
+
+  // Wire recorder buttons — dump the rolling buffer, or start/stop a take
+  const saveRecentBtn = document.getElementById('save-recent-btn');
+  if (saveRecentBtn) {
+    saveRecentBtn.addEventListener('click', () => {
+      const blob = sessionRecorder?.saveHistory();
+      if (blob) downloadBlob(blob, buildExportFilename(currentLocationName, 'wav'));
+    });
+  }
+
+  const recordBtn = document.getElementById('record-btn');
+  if (recordBtn) {
+    recordBtn.addEventListener('click', () => {
+      if (!sessionRecorder) return;
+      if (sessionRecorder.isTakeActive) {
+        const blob = sessionRecorder.stopTake();
+        if (blob) downloadBlob(blob, buildExportFilename(currentLocationName, 'wav'));
+        recordBtn.classList.remove('recording');
+        recordBtn.textContent = 'record';
+      } else {
+        sessionRecorder.startTake();
+        recordBtn.classList.add('recording');
+        recordBtn.textContent = 'stop recording';
+      }
+    });
+  }
+
+  const stemsBtn = document.getElementById('stems-btn');
+  if (stemsBtn) {
+    stemsBtn.addEventListener('click', async () => {
+      if (!engine?.stems) return;
+      if (engine.stems.isRecording) {
+        await exportStemTake();
+        return;
+      }
+      try {
+        await engine.stems.start();
+        stemsBtn.classList.add('recording');
+        stemsBtn.textContent = 'stop stems';
+      } catch (err) {
+        console.warn('Stem capture unavailable:', err);
+      }
+    });
+  }
+
+  // Wire MIDI export — chords, bass, melody, arpeggio and chimes logged this session
+  const midiBtn = document.getElementById('midi-btn');
+  if (midiBtn) {
+    midiBtn.addEventListener('click', () => {
+      const blob = noteLogger?.exportMidi(currentLocationName ?? '');
+      if (blob) downloadBlob(blob, buildExportFilename(currentLocationName, 'mid'));
+    });
+  }
+
+  // Wire Web MIDI output — cycles off → each available port → off
+  const midiOutBtn = document.getElementById('midi-out-btn');
+  const midiMuteBtn = document.getElementById('midi-mute-btn');
+  if (midiOutBtn && navigator.requestMIDIAccess) {
+    midiOutBtn.classList.remove('hidden');
+
+    const setInternalMuted = (muted) => {
+      isInternalMuted = muted;
+      engine?.setInternalMuted(muted);
+      if (midiMuteBtn) midiMuteBtn.textContent = muted ? 'internal sound: off' : 'internal sound: on';
+    };
+
+    midiOutBtn.addEventListener('click', async () => {
+      if (!midiOutput) return;
+      let outputs = [];
+      try {
+        outputs = await midiOutput.listOutputs();
+      } catch (err) {
+        console.warn('Web MIDI unavailable:', err);
+        return;
+      }
+      const ids = [null, ...outputs.map((o) => o.id)];
+      const next = ids[(ids.indexOf(midiOutput.outputId) + 1) % ids.length];
+      await midiOutput.selectOutput(next);
+      if (next && interpolator?.currentParams) midiOutput.sendParams(interpolator.currentParams);
+
+      midiOutBtn.textContent = `midi out: ${midiOutput.outputName ?? 'off'}`;
+      midiMuteBtn?.classList.toggle('hidden', !next);
+      // Never leave the app silent with nothing listening to the MIDI stream
+      if (!next && isInternalMuted) setInternalMuted(false);
+    });
+
+    midiMuteBtn?.addEventListener('click', () => setInternalMuted(!isInternalMuted));
+  }
+
+  // Wire weather source — cycles through providers; failover still applies
+  const weatherSourceBtn = document.getElementById('weather-source-btn');
+  if (weatherSourceBtn) {
+    const updateLabel = () => {
+      const provider = getWeatherProvider(weatherProviderId) ?? getWeatherProvider(DEFAULT_PROVIDER_ID);
+      weatherSourceBtn.textContent = `weather: ${provider.name}`;
+    };
+    updateLabel();
+
+    weatherSourceBtn.addEventListener('click', () => {
+      const ids = WEATHER_PROVIDERS.map((p) => p.id);
+      weatherProviderId = ids[(ids.indexOf(weatherProviderId) + 1) % ids.length];
+      localStorage.setItem('weatherProvider', weatherProviderId);
+      updateLabel();
+      // Replay/timelapse weather is fixed; the new source applies back on live
+      if (weatherMode === 'live') weatherFetcher?.setProvider(weatherProviderId);
+    });
+  }
+
+  // Wire musical style — cycles the styles, crossfading without a restart
+  const styleBtn = document.getElementById('style-btn');
+  if (styleBtn) {
+    styleBtn.textContent = `style: ${musicStyle.label}`;
+    styleBtn.addEventListener('click', () => {
+      setMusicStyle(STYLES[(STYLES.indexOf(musicStyle) + 1) % STYLES.length]);
+    });
+  }
+
+  // Wire world tour — cycles off → world → sunrise → my cities, hopping every N minutes
+  const tourCardEl = document.getElementById('tour-card');
+  if (tourCardEl) tourCard = setupTourCard(tourCardEl);
+  const tourBtn = document.getElementById('tour-btn');
+  if (tourBtn) {
+    tourBtn.addEventListener('click', async () => {
+      const source = TOUR_SOURCES[TOUR_SOURCES.indexOf(worldTourSource) + 1] ?? null;
+      if (source !== 'custom') {
+        if (source) startWorldTour(source);
+        else endWorldTour();
+        return;
+      }
+      const answer = window.prompt('Places to tour, separated by semicolons', localStorage.getItem('tourCities') ?? '');
+      const names = parseCityList(answer);
+      if (names.length === 0) {
+        endWorldTour();
+        return;
+      }
+      localStorage.setItem('tourCities', names.join('; '));
+      const stops = await resolveTourCities(names);
+      if (stops.length === 0) {
+        console.warn('[SONAR] None of these places were found:', names);
+        endWorldTour();
+        return;
+      }
+      startWorldTour('custom', stops);
+    });
+  }
+  const tourEveryBtn = document.getElementById('tour-every-btn');
+  if (tourEveryBtn) {
+    tourEveryBtn.textContent = `tour every: ${tourIntervalMinutes}m`;
+    tourEveryBtn.addEventListener('click', () => {
+      tourIntervalMinutes = TOUR_INTERVALS_MINUTES[(TOUR_INTERVALS_MINUTES.indexOf(tourIntervalMinutes) + 1) % TOUR_INTERVALS_MINUTES.length];
+      localStorage.setItem('tourIntervalMinutes', String(tourIntervalMinutes));
+      tourEveryBtn.textContent = `tour every: ${tourIntervalMinutes}m`;
+      worldTour?.setInterval(tourIntervalMinutes * 60000);
+    });
+  }
+
+  // Wire loudness normalization — cycle the targets, off first
+  const loudnessBtn = document.getElementById('loudness-btn');
+  if (loudnessBtn) {
+    const label = () => `loudness: ${loudnessTarget === null ? 'off' : `${loudnessTarget} LUFS`}`;
+    loudnessBtn.textContent = label();
+    loudnessBtn.addEventListener('click', () => {
+      loudnessTarget = LOUDNESS_TARGETS[(LOUDNESS_TARGETS.indexOf(loudnessTarget) + 1) % LOUDNESS_TARGETS.length];
+      if (loudnessTarget === null) localStorage.removeItem('loudnessTarget');
+      else localStorage.setItem('loudnessTarget', String(loudnessTarget));
+      loudnessBtn.textContent = label();
+      engine?.setLoudnessTarget(loudnessTarget);
+    });
+  }
+
+  // Wire mapping profiles — cycle the built-ins (and a loaded file), or load one
+  const profileBtn = document.getElementById('profile-btn');
+  if (profileBtn) {
+    profileBtn.textContent = `profile: ${mappingProfile.name}`;
+    profileBtn.addEventListener('click', () => {
+      const profiles = customProfile ? [...BUILT_IN_PROFILES, customProfile] : BUILT_IN_PROFILES;
+      setMappingProfile(profiles[(profiles.indexOf(mappingProfile) + 1) % profiles.length]);
+      if (mappingEditor?.isOpen) mappingEditor.show(mappingProfile);
+    });
+  }
+
+  const profileLoadBtn = document.getElementById('profile-load-btn');
+  if (profileLoadBtn) {
+    profileLoadBtn.addEventListener('click', async () => {
+      const file = await pickTextFile('.json,application/json');
+      if (!file) return;
+      try {
+        customProfile = parseProfile(file.text);
+      } catch (err) {
+        // Schema errors list every bad path — the button's tooltip keeps them
+        // for the person who wrote the file
+        console.warn('[SONAR] Mapping profile invalid:', err);
+        profileLoadBtn.textContent = 'load profile: invalid';
+        profileLoadBtn.title = err.message;
+        return;
+      }
+      profileLoadBtn.textContent = 'load profile';
+      profileLoadBtn.removeAttribute('title');
+      localStorage.setItem('customMappingProfile', file.text);
+      setMappingProfile(customProfile);
+      if (mappingEditor?.isOpen) mappingEditor.show(mappingProfile);
+    });
+  }
+
+  // Wire mapping editor — edits are heard at once and kept as the file profile
+  // once they're finished
+  const mappingPanelEl = document.getElementById('mapping-panel');
+  const mappingBtn = document.getElementById('mapping-btn');
+  if (mappingPanelEl && mappingBtn) {
+    mappingEditor = setupMappingEditor(mappingPanelEl, {
+      onChange: (profile) => {
+        if (!BUILT_IN_PROFILES.includes(profile)) customProfile = profile;
+        setMappingProfile(profile, { persist: false });
+      },
+      onCommit: (profile) => {
+        if (!BUILT_IN_PROFILES.includes(profile)) localStorage.setItem('customMappingProfile', JSON.stringify(profile));
+        persistMappingProfile(profile);
+      },
+      onExport: (profile) => {
+        const blob = new Blob([JSON.stringify(profile, null, 2)], { type: 'application/json' });
+        downloadBlob(blob, buildExportFilename(`profile ${profile.name}`, 'json'));
+      },
+    });
+
+    mappingBtn.addEventListener('click', () => {
+      if (mappingEditor.isOpen) {
+        mappingEditor.hide();
+        return;
+      }
+      mappingEditor.show(mappingProfile, interpolator?.currentParams?._meta?.inputs);
+    });
+  }
+
+  // Wire explain panel — which inputs moved which params, refreshed by onWeatherUpdate
+  const explainPanelEl = document.getElementById('explain-panel');
+  const explainBtn = document.getElementById('explain-btn');
+  if (explainPanelEl && explainBtn) {
+    explainPanel = setupExplainPanel(explainPanelEl);
+    explainBtn.addEventListener('click', () => {
+      if (explainPanel.isOpen) explainPanel.hide();
+      else explainPanel.show();
+    });
+  }
+
+  // Wire weather session export/replay — JSON fixtures of everything onWeatherUpdate saw
+  const sessionExportBtn = document.getElementById('session-export-btn');
+  if (sessionExportBtn) {
+    sessionExportBtn.addEventListener('click', () => {
+      if (weatherSessionLog.frameCount === 0) return;
+      const json = JSON.stringify(weatherSessionLog.toJSON(), null, 2);
+      const blob = new Blob([json], { type: 'application/json' });
+      downloadBlob(blob, buildExportFilename(currentLocationName, 'json'));
+    });
+  }
+
+  // Wire simulated time — run the live weather at any local date/time
+  const timeBtn = document.getElementById('time-btn');
+  if (timeBtn) {
+    timeBtn.addEventListener('click', () => {
+      const utcOffset = weatherFetcher?.lastState?.utcOffsetSeconds ?? 0;
+      const answer = window.prompt('Simulated local time (YYYY-MM-DD HH:MM) — leave blank for now', '');
+      if (answer == null) return;
+      const startMs = parseLocalDateTime(answer, utcOffset);
+      if (answer.trim() && startMs === null) return;
+
+      userClock = startMs === null ? null : createSimulatedClock(startMs);
+      timeBtn.textContent = startMs === null
+        ? 'time: now'
+        : `time: ${formatLocationTime(new Date(startMs), utcOffset, { withDate: true })}`;
+      if (!followsUserClock()) return; // Applies when back on live weather
+      setClock(userClock);
+      if (weatherFetcher?.lastState) onWeatherUpdate(weatherFetcher.lastState);
+    });
+  }
+
+  // Wire forecast timelapse — "hear tomorrow"; the bar's scrubber seeks
+  const timelapseBtn = document.getElementById('timelapse-btn');
+  if (timelapseBtn) {
+    timelapseBtn.addEventListener('click', async () => {
+      if (weatherMode !== 'live') {
+        await returnToLive();
+        return;
+      }
+      const hoursAnswer = window.prompt('Hours of forecast to play (24–48)', '24');
+      if (hoursAnswer == null) return;
+      const minutesAnswer = window.prompt('Play them in how many minutes?', '3');
+      if (minutesAnswer == null) return;
+      const hours = Math.max(1, Math.min(48, Number(hoursAnswer) || 24));
+      const minutes = Math.max(0.5, Math.min(60, Number(minutesAnswer) || 3));
+      await startTimelapse(hours, minutes);
+    });
+  }
+
+  // Wire historical replay — a past day at this location, e.g. a birthday
+  const historyBtn = document.getElementById('history-btn');
+  if (historyBtn) {
+    historyBtn.addEventListener('click', async () => {
+      if (weatherMode !== 'live') {
+        await returnToLive();
+        return;
+      }
+      const dateAnswer = window.prompt('Date to hear (YYYY-MM-DD, back to 1940)', '');
+      if (dateAnswer == null) return;
+      const date = parseHistoryDate(dateAnswer);
+      if (!date) {
+        console.warn('[SONAR] Not a past date the archive covers:', dateAnswer);
+        return;
+      }
+      const minutesAnswer = window.prompt('Play the day in how many minutes?', '3');
+      if (minutesAnswer == null) return;
+      await startHistoricalDay(date, Math.max(0.5, Math.min(60, Number(minutesAnswer) || 3)));
+    });
+  }
+
+  // Wire what-if simulator — sliders take over from live weather on first touch
+  const simulatorPanelEl = document.getElementById('simulator-panel');
+  const simulateBtn = document.getElementById('simulate-btn');
+  if (simulatorPanelEl && simulateBtn) {
+    const simulatorPanel = setupSimulatorPanel(simulatorPanelEl, {
+      onInput: (key, value) => {
+        if (weatherMode !== 'simulated' && !startSimulation()) return;
+        weatherFetcher.set(key, value);
+      },
+      onLive: async () => {
+        simulatorPanel.hide();
+        if (weatherMode !== 'live') await returnToLive();
+      },
+    });
+
+    simulateBtn.addEventListener('click', () => {
+      if (simulatorPanel.isOpen) {
+        simulatorPanel.hide();
+        return;
+      }
+      const base = weatherFetcher?.lastState;
+      if (!base) return;
+      simulatorPanel.show(weatherMode === 'simulated'
+        ? weatherFetcher.values
+        : createWeatherSimulator(base, simulatorContext()).values);
+    });
+  }
+
+  // Wire locks — pin inputs the mapper sees, or outputs the interpolator holds
+  const locksPanelEl = document.getElementById('locks-panel');
+  const locksBtn = document.getElementById('locks-btn');
+  if (locksPanelEl && locksBtn) {
+    const locksPanel = setupLocksPanel(locksPanelEl, {
+      onLock: (key, value) => editLocks((locks) => locks.set(key, value)),
+      onClear: () => editLocks((locks) => locks.replace({})),
+    });
+    if (weatherLocks.size) locksBtn.textContent = `locks: ${weatherLocks.size}`;
+
+    locksBtn.addEventListener('click', () => {
+      if (locksPanel.isOpen) {
+        locksPanel.hide();
+        return;
+      }
+      const base = weatherFetcher?.lastState;
+      if (!base) return;
+      const params = interpolator?.currentParams ?? {};
+      const timeOfDay = params._meta?.timeOfDay;
+      locksPanel.show({ ...weatherLocks.inputs, ...weatherLocks.outputs }, {
+        ...createWeatherSimulator(base, simulatorContext()).values,
+        timeOfDay: timeOfDay in TIME_OF_DAY_LOCKS ? timeOfDay : null,
+        ...params,
+      });
+    });
+  }
+
+  const timelapseScrubber = document.getElementById('timelapse-scrubber');
+  if (timelapseScrubber) {
+    // Hold still while dragging, pick up from the new spot on release
+    timelapseScrubber.addEventListener('input', () => {
+      if (!isTimelapseMode()) return;
+      weatherFetcher.stop();
+      weatherFetcher.seek(Number(timelapseScrubber.value) / 1000);
+    });
+    timelapseScrubber.addEventListener('change', () => {
+      if (isTimelapseMode()) weatherFetcher.start();
+    });
+  }
+
+  const sessionReplayBtn = document.getElementById('session-replay-btn');
+  if (sessionReplayBtn) {
+    sessionReplayBtn.addEventListener('click', async () => {
+      if (weatherMode !== 'live') {
+        await returnToLive();
+        return;
+      }
+      const file = await pickTextFile('.json,application/json');
+      if (!file) return;
+      let session;
+      try {
+        session = parseWeatherSession(file.text);
+      } catch (err) {
+        console.error('Could not load weather session:', err);
+        return;
+      }
+      const answer = window.prompt('Replay speed (1 = real time, 60 = an hour per minute)', '60');
+      if (answer == null) return;
+      const speed = Number(answer);
+      await startReplay(session, Number.isFinite(speed) && speed > 0 ? speed : 1);
+    });
+  }
+
   // Guitar practice panel (hidden — G key or chord display click)
   const guitarPanelEl = document.getElementById('guitar-panel');
   if (guitarPanelEl) setupGuitarPanel(guitarPanelEl);
@@ -1032,12 +2066,23 @@ async function boot(latitude, longitude, locationName, { updateUrl = true } = {}
       audioPanel,
       conductorPanel,
       guitarPanel: guitarPanelEl,
+      simulatorPanel: simulatorPanelEl,
+      locksPanel: locksPanelEl,
+      mappingPanel: mappingPanelEl,
+      explainPanel: explainPanelEl,
       locationBtn: document.getElementById('location-btn'),
       mixBtn,
       toggleWeatherPanel,
       toggleAudioPanel,
       toggleConductorPanel,
       toggleGuitarPanel: () => toggleGuitarPanelFn(),
+      nextTourStop: () => worldTour?.next(),
+      previousTourStop: () => worldTour?.back(),
+      pinTourStop: () => {
+        if (!worldTour) return;
+        worldTour.togglePin();
+        tourCard?.setPinned(worldTour.isPinned);
+      },
       canvas,
     });
   });
@@ -1123,7 +2168,16 @@ function init() {
       // Check for permalink ?lat=&lng= params — shared links are authoritative.
       // If present, boot directly into the shared coordinates.
       const sharedCoords = parseSharedCoordinates(window.location.search);
+      pendingSharedSeed = sharedCoords ? parseSharedSeed(window.location.search) : null;
+      pendingSharedDate = sharedCoords ? parseHistoryDate(parseSharedDate(window.location.search)) : null;
+      const sharedLocks = sharedCoords ? parseSharedLocks(window.location.search) : null;
+      const sharedStyle = sharedCoords ? getStyle(parseSharedStyle(window.location.search)) : null;
       history.replaceState(null, '', window.location.pathname);
+      // A shared link's locks (none when it has no locks param) and style
+      // replace this listener's own for this visit; the saved ones come back
+      // next time
+      if (sharedCoords) weatherLocks.replace(parseLocks(sharedLocks));
+      if (sharedStyle) setMusicStyle(sharedStyle, { persist: false });
 
       // Avoid unnecessary geolocation prompt for shared links.
       const browserLoc = sharedCoords ? null : await getBrowserLocation();
@@ -1136,6 +2190,13 @@ function init() {
         updateUrl: startupLocation.updateUrl,
       });
 
+      // A shared link with a date plays that day rather than today
+      if (pendingSharedDate) {
+        const date = pendingSharedDate;
+        pendingSharedDate = null;
+        await startHistoricalDay(date, 3);
+      }
+
       // Startup succeeded; remove one-time overlay keyboard shortcuts.
       overlayShortcutController?.dispose();
       overlayShortcutController = null;
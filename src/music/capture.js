@@ -0,0 +1,63 @@
+import * as Tone from 'tone';
+
+/**
+ * Loader for the capture AudioWorklet (see worklets/capture-processor.js).
+ *
+ * Tone's Context.addAudioWorkletModule() only ever loads one module per
+ * context, so we call audioWorklet.addModule() on the raw context ourselves and
+ * cache the promise per context.
+ */
+
+const PROCESSOR_URL = new URL('./worklets/capture-processor.js', import.meta.url);
+const PROCESSOR_NAME = 'sonar-capture';
+
+const moduleLoads = new WeakMap();
+
+function loadCaptureModule(context) {
+  let load = moduleLoads.get(context);
+  if (!load) {
+    load = context.rawContext.audioWorklet.addModule(PROCESSOR_URL.href);
+    // Let a failed load (e.g. insecure context) be retried later
+    load.catch(() => moduleLoads.delete(context));
+    moduleLoads.set(context, load);
+  }
+  return load;
+}
+
+/**
+ * Create a capture node with `numberOfInputs` stereo inputs and no outputs.
+ * Captured blocks arrive on `node.port` as `{ inputs: Float32Array[][] }`.
+ *
+ * @param {number} [numberOfInputs=1]
+ * @param {object} [context] - Tone context (defaults to the global one)
+ * @returns {Promise<AudioWorkletNode>}
+ */
+export async function createCaptureNode(numberOfInputs = 1, context = Tone.getContext()) {
+  await loadCaptureModule(context);
+  return context.createAudioWorkletNode(PROCESSOR_NAME, {
+    numberOfInputs,
+    numberOfOutputs: 0,
+    channelCount: 2,
+    channelCountMode: 'explicit',
+  });
+}
+
+/**
+ * Join captured blocks (each an array of per-channel Float32Arrays) into one
+ * array per channel.
+ * @param {Float32Array[][]} blocks
+ * @param {number} [channelCount=2]
+ * @returns {Float32Array[]}
+ */
+export function concatBlocks(blocks, channelCount = 2) {
+  const total = blocks.reduce((sum, block) => sum + block[0].length, 0);
+  return Array.from({ length: channelCount }, (_, c) => {
+    const out = new Float32Array(total);
+    let offset = 0;
+    for (const block of blocks) {
+      out.set(block[c] ?? block[0], offset);
+      offset += block[0].length;
+    }
+    return out;
+  });
+}
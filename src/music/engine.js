@@ -10,10 +10,29 @@ import { createWindChimeVoice } from './voices/windchime.js';
 import { createChoirVoice } from './voices/choir.js';
 import { voiceLead } from './scale.js';
 import { clampPan, createSpatialNode, widthToZ } from './spatial.js';
+import { createStemCapture } from './stems.js';
+import { createRandomStream } from './random.js';
+import { blockLevels, gainReductionDb, METER_BLOCK_SIZE, UNMETERED } from './meters.js';
+import { DEFAULT_STYLE, STYLE_FADE_SECONDS, STYLE_VOICES, styleVoiceGain } from './styles.js';
+import { dryLevel, SEND_EFFECTS, SEND_VOICES, serialChainSends } from './sends.js';
+import { BIOME_FADE_SECONDS, BIOME_SPACES, biomeImpulseResponse } from './impulse.js';
+import {
+  channelMeanSquare, createLoudnessMeter, K_WEIGHTING, LOUDNESS_INTERVAL_MS,
+  NORMALIZE_MEASURE_SECONDS, NORMALIZE_RAMP_SECONDS, normalizationGainDb,
+} from './loudness.js';
 import {
   generateProgression, createProgressionPlayer, shouldImmediatelyChange,
 } from './progression.js';
 
+/** Share of the reverb return the biome space takes; the algorithmic reverb keeps the rest of its power */
+const SPACE_LEVEL = 0.5;
+
+const microtonalRandom = createRandomStream('microtonal');
+const shootingStarRandom = createRandomStream('shootingStar');
+
+/** Seconds an outgoing engine takes to fade under the next one (see handOff) */
+export const HANDOFF_FADE_SECONDS = 8;
+
 /**
  * The top-level sound engine. Owns all voices, shared effects, and master bus.
  *
@@ -23,32 +42,123 @@ import {
  * - Melody voice (occasional phrases triggered on chord changes)
  * - Binaural panning (voices spread across stereo field)
  * - Master velocity gain node (time-of-day volume scaling)
- * - Parallel sub-bass bus (bass + drone tapped before chorus for physical thump)
+ * - Parallel sub-bass bus (bass + drone tapped before the effects for physical thump)
+ * - Send/return effects: every voice sends its own amount to the shared chorus,
+ *   delay and reverb, which run fully wet on their returns, and its dry gain
+ *   gives up as much as a wet/dry blend would
+ * - Biome space: the reverb send also feeds a convolution stage playing the
+ *   biome's synthetic impulse response (see impulse.js), crossfaded on change
+ * - Style gains (one per voice, ahead of its panner) that crossfade between styles
+ * - Mix gains (one per voice, after its style gain) for the listener's mixer
+ * - Meters on every voice, the sub bus, the percussion return and both sides of the limiter
+ * - Loudness: K-weighted LUFS of the output, and an optional slow normalization
+ *   gain ahead of the limiter that holds it near a chosen target
+ * - Hand-off: an outgoing engine fades under an incoming one, then disposes itself
  *
  * Audio graph:
- *   [Voices] -> [Panners] -> [Chorus] -> [Delay] -> [Reverb] -> [Master Filter] -> [Master Velocity] -> [Limiter] -> [Analyser] -> [Destination]
- *                    ↘ (bass + drone panners also connect here)
- *                    [Sub Bus] -> [Sub Lowpass 100Hz] -> [Sub Saturator] -> [Sub Gain] -> [Master Velocity]
+ *   [Voices] -> [Style Gains] -> [Mix Gains] -> [Panners] -> [Dry Gains] -> [Dry Bus] --------> [Master Filter] -> [Master Velocity] -> [Loudness Gain] -> [Limiter] -> [Analyser] -> [Destination]
+ *                                                  ├-> [Chorus Send] -> [Chorus] -> [Chorus Return] ↗
+ *                                                  ├-> [Delay Send]  -> [Delay]  -> [Delay Return]  ↗
+ *                                                  └-> [Reverb Send] -> [Reverb] -> [Reverb Return] ↗
+ *                                                                    └-> [Biome Convolvers A/B] -> [Space Crossfade] ↗ (into the reverb return)
+ *                                    ↘ (bass + drone panners also connect here)
+ *                                    [Sub Bus] -> [Sub Lowpass 100Hz] -> [Sub Saturator] -> [Sub Gain] -> [Master Velocity]
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.stemCapture=false] - Expose `engine.stems`, a time-aligned
+ *   capture of every voice's panner output plus the shared effects return
+ * @param {import('./styles.js').Style} [options.style] - Musical style to start in (see styles.js)
  */
-export function createSoundEngine() {
-  // Shared effects
+export function createSoundEngine({ stemCapture = false, style = DEFAULT_STYLE } = {}) {
+  // Shared effects — fully wet; how much of each reaches the mix is its
+  // return level, how much of each voice goes in is that voice's send.
   const chorus = new Tone.Chorus({
     frequency: 0.3,
     depth: 0.5,
-    wet: 0.2,
+    wet: 1,
   }).start();
 
   const delay = new Tone.FeedbackDelay({
     delayTime: '8n.',
     feedback: 0.2,
-    wet: 0.15,
+    wet: 1,
   });
 
   const reverb = new Tone.Reverb({
     decay: 4,
-    wet: 0.3,
+    wet: 1,
   });
 
+  // Returns: chorus and delay sit at a fixed blend (the Milky Way lifts the
+  // chorus), the reverb return is the weather's reverbWet. Each voice's dry
+  // level gives way to them (see dryLevel), so they are the old wet amounts.
+  const returnLevels = { chorus: 0.2, delay: 0.15, reverb: 0.3 };
+  const chorusReturn = new Tone.Gain(returnLevels.chorus);
+  const delayReturn = new Tone.Gain(returnLevels.delay);
+  const reverbReturn = new Tone.Gain(returnLevels.reverb);
+  const effectReturns = { chorus: chorusReturn, delay: delayReturn, reverb: reverbReturn };
+  const dryBus = new Tone.Gain(1);
+
+  // ── Biome space — convolution with the biome's impulse response ──
+  // The reverb sends feed the algorithmic reverb (the humidity-driven tail)
+  // and this stage (the terrain's reflections) alike; both share the reverb
+  // return, split so together they carry the reverb's old level. Two
+  // convolvers, so a new biome fades in under the old one; only one is fed
+  // outside a fade, so there is one convolution's cost the rest of the time.
+  const reverbBus = new Tone.Gain(1);
+  const spaceConvolvers = [new Tone.Convolver(), new Tone.Convolver()];
+  const spaceFade = new Tone.CrossFade(0);
+  const spaceLevel = new Tone.Gain(SPACE_LEVEL);
+  const reverbTailLevel = new Tone.Gain(Math.sqrt(1 - SPACE_LEVEL ** 2));
+  let currentBiome = null;
+  let activeConvolver = 0;
+  let spaceFadeTimer = null;
+  let queuedSpace = null;   // { biome, fadeSeconds } asked for during a fade
+
+  /**
+   * Load a biome's space into the idle convolver and fade over to it. While
+   * a fade runs, the outgoing convolver is still heard, so a change then
+   * waits for the fade to finish rather than swapping its buffer.
+   * @param {string} biome
+   * @param {number} fadeSeconds - 0 switches at once
+   */
+  function setBiomeSpace(biome, fadeSeconds) {
+    const name = biome in BIOME_SPACES ? biome : 'grassland';
+    if (spaceFadeTimer !== null) {
+      queuedSpace = { biome: name, fadeSeconds };
+      return;
+    }
+    if (name === currentBiome) return;
+    const first = currentBiome === null;
+    currentBiome = name;
+    const previous = activeConvolver;
+    const next = first ? activeConvolver : 1 - activeConvolver;
+    const channels = biomeImpulseResponse(name, Tone.getContext().sampleRate);
+    spaceConvolvers[next].buffer = Tone.ToneAudioBuffer.fromArray(channels);
+    reverbBus.connect(spaceConvolvers[next]);
+    activeConvolver = next;
+    if (first) {
+      spaceFade.fade.value = next;
+    } else if (fadeSeconds > 0) {
+      spaceFade.fade.rampTo(next, fadeSeconds);
+      spaceFadeTimer = setTimeout(() => finishSpaceFade(previous), fadeSeconds * 1000);
+    } else {
+      spaceFade.fade.value = next;
+      reverbBus.disconnect(spaceConvolvers[previous]);
+    }
+  }
+
+  /** Stop feeding the faded-out convolver, then take up any change that waited */
+  function finishSpaceFade(previous) {
+    spaceFadeTimer = null;
+    reverbBus.disconnect(spaceConvolvers[previous]);
+    if (queuedSpace) {
+      const { biome, fadeSeconds } = queuedSpace;
+      queuedSpace = null;
+      setBiomeSpace(biome, fadeSeconds);
+    }
+  }
+
   const masterFilter = new Tone.Filter({
     frequency: 8000,
     type: 'lowpass',
@@ -60,9 +170,11 @@ export function createSoundEngine() {
   let weatherGainScale = 1;
   let userGainScale = 1;
   let sleepGainScale = 1;
+  let internalMuteScale = 1;  // 0 while external MIDI gear plays the parts
+  let handOffScale = 1;       // 0 once the engine hands off to another
 
   function applyMasterGain(duration = 0) {
-    const target = weatherGainScale * userGainScale * sleepGainScale;
+    const target = weatherGainScale * userGainScale * sleepGainScale * internalMuteScale * handOffScale;
     if (duration > 0) {
       masterVelocity.gain.linearRampTo(target, duration);
     } else {
@@ -71,7 +183,7 @@ export function createSoundEngine() {
   }
 
   // ── Parallel sub-bass bus ──
-  // Bass and drone panners connect here in addition to the main chorus chain.
+  // Bass and drone panners connect here in addition to the dry bus and sends.
   // This path bypasses chorus/reverb (which smear phase at low frequencies),
   // producing a clean, punchy sub signal that is felt rather than heard.
   const subBus = new Tone.Gain(1);
@@ -92,9 +204,10 @@ export function createSoundEngine() {
   subSaturator.connect(subGain);
   subGain.connect(masterVelocity);
 
-  // ── Percussion reverb (short, dedicated — bypasses shared reverb) ──
+  // ── Percussion reverb (short, dedicated — ahead of its shared sends) ──
   // Percussion gets its own short reverb so hits sit in the same acoustic
-  // space as the pads without inheriting the 1.5–10s humidity-driven tail.
+  // space as the pads without inheriting the 1.5–10s humidity-driven tail;
+  // its reverb send only lends it a little of that tail.
   // Fixed 0.6s decay; wet level is weather-driven (fog = wetter, storm = drier).
   const percussionReverb = new Tone.Reverb({ decay: 0.6, wet: 0.22 });
 
@@ -102,44 +215,109 @@ export function createSoundEngine() {
 
   const analyser = new Tone.Analyser('fft', 256);
   const waveformAnalyser = new Tone.Analyser('waveform', 256);
+  // Meters are waveform analysers read as peak/RMS (see meters.js); where
+  // one can't be made the level reads as unmetered rather than failing.
   const createOptionalMeter = () => {
-    let MeterCtor = null;
-    try {
-      MeterCtor = Tone.Meter;
-    } catch {
-      return null;
-    }
-    if (typeof MeterCtor !== 'function') return null;
     try {
-      return new MeterCtor();
+      return new Tone.Analyser('waveform', METER_BLOCK_SIZE);
     } catch {
       return null;
     }
   };
-  const voiceMeters = {
-    pad: createOptionalMeter(),
-    choir: createOptionalMeter(),
-    percussion: createOptionalMeter(),
+  // One meter per voice, after its mix gain — what the mixer strip shows
+  const voiceMeters = Object.fromEntries(STYLE_VOICES.map((voice) => [voice, createOptionalMeter()]));
+  // Bus meters: sub-bass bus, percussion reverb return, master into and out of the limiter
+  const busMeters = {
+    sub: createOptionalMeter(),
+    percussionReturn: createOptionalMeter(),
+    masterPre: createOptionalMeter(),
+    masterPost: createOptionalMeter(),
   };
   const tapMeter = (source, meter) => {
     if (!meter || typeof source?.connect !== 'function') return;
     source.connect(meter);
   };
-  const readMeterDb = (meter) => {
-    const value = meter?.getValue?.();
-    const sample = Array.isArray(value) ? Math.max(...value) : value;
-    return Number.isFinite(sample) ? sample : null;
+  const readMeter = (meter) => {
+    const samples = meter?.getValue?.();
+    return samples?.length ? blockLevels(samples) : UNMETERED;
   };
 
-  // Chain shared effects: chorus -> delay -> reverb -> master filter -> velocity -> limiter -> analysers -> destination
-  chorus.connect(delay);
-  delay.connect(reverb);
-  reverb.connect(masterFilter);
+  // ── Loudness normalization gain — between master velocity and the limiter ──
+  // Unity until a target is set (see setLoudnessTarget and loudness.js)
+  const loudnessGain = new Tone.Gain(1);
+
+  // Dry bus and effect returns -> master filter -> velocity -> loudness gain -> limiter -> analysers -> destination
+  dryBus.connect(masterFilter);
+  chorus.connect(chorusReturn);
+  delay.connect(delayReturn);
+  reverbBus.connect(reverb);
+  reverb.connect(reverbTailLevel);
+  reverbTailLevel.connect(reverbReturn);
+  spaceConvolvers[0].connect(spaceFade.a);
+  spaceConvolvers[1].connect(spaceFade.b);
+  spaceFade.connect(spaceLevel);
+  spaceLevel.connect(reverbReturn);
+  setBiomeSpace('grassland', 0);
+  Object.values(effectReturns).forEach((effectReturn) => effectReturn.connect(masterFilter));
   masterFilter.connect(masterVelocity);
-  masterVelocity.connect(limiter);
+  masterVelocity.connect(loudnessGain);
+  loudnessGain.connect(limiter);
   limiter.connect(analyser);
   limiter.connect(waveformAnalyser);
   limiter.toDestination();
+  tapMeter(subGain, busMeters.sub);
+  tapMeter(loudnessGain, busMeters.masterPre);
+  tapMeter(limiter, busMeters.masterPost);
+
+  // ── Loudness meters — K-weighted stereo taps read as LUFS ──
+  // `post` is what the listener hears. `pre` is the master before the
+  // normalization gain with the listener's own gains (volume, sleep fade,
+  // MIDI mute, hand-off) taken back out: normalization evens out the
+  // weather, the conductor's swells and stillness but never fights the slider.
+  const createLoudnessTap = (source) => {
+    try {
+      const shelf = new Tone.Filter({ type: 'highshelf', ...K_WEIGHTING.shelf });
+      const highpass = new Tone.Filter({ type: 'highpass', rolloff: -12, ...K_WEIGHTING.highpass });
+      const meter = new Tone.Analyser({ type: 'waveform', size: METER_BLOCK_SIZE, channels: 2 });
+      source.connect(shelf);
+      shelf.connect(highpass);
+      highpass.connect(meter);
+      return { nodes: [shelf, highpass, meter], analyser: meter };
+    } catch {
+      return null;
+    }
+  };
+  const loudnessTaps = { pre: createLoudnessTap(masterVelocity), post: createLoudnessTap(limiter) };
+  const loudnessMeters = { pre: createLoudnessMeter(), post: createLoudnessMeter() };
+  let loudnessTarget = null;
+  let normalizationDb = 0;
+  let lastNormalizedAt = -Infinity;
+
+  /** Mean square of a loudness tap's latest block, or null where unmetered */
+  const readLoudnessTap = (tap) => {
+    const value = tap?.analyser.getValue?.();
+    const channels = Array.isArray(value) ? value : [value];
+    return channels[0]?.length ? channelMeanSquare(channels) : null;
+  };
+
+  function measureLoudness() {
+    const now = Date.now();
+    const post = readLoudnessTap(loudnessTaps.post);
+    if (post !== null) loudnessMeters.post.push(post, now);
+
+    const pre = readLoudnessTap(loudnessTaps.pre);
+    const listenerScale = userGainScale * sleepGainScale * internalMuteScale * handOffScale;
+    if (pre === null || listenerScale <= 0) return; // Silenced on purpose — nothing to judge by
+    loudnessMeters.pre.push(pre / listenerScale ** 2, now);
+
+    // Judge only a full window: a quiet first few seconds isn't the weather's level
+    if (loudnessTarget === null || loudnessMeters.pre.seconds < NORMALIZE_MEASURE_SECONDS) return;
+    if (now - lastNormalizedAt < 1000) return;
+    lastNormalizedAt = now;
+    normalizationDb = normalizationGainDb(loudnessMeters.pre.over(NORMALIZE_MEASURE_SECONDS), loudnessTarget);
+    loudnessGain.gain.linearRampTo(10 ** (normalizationDb / 20), NORMALIZE_RAMP_SECONDS);
+  }
+  const loudnessInterval = setInterval(measureLoudness, LOUDNESS_INTERVAL_MS);
 
   // Listener pose for 3D spatialization.
   const listener = Tone.getListener?.();
@@ -172,7 +350,130 @@ export function createSoundEngine() {
   const windChime = createWindChimeVoice();
   const choir = createChoirVoice();
 
-  // Wind chime keeps its own path to reverb but now through a spatial node.
+  // ── Effect sends — one gain per voice per shared effect (see sends.js) ──
+  // They start out as the old serial chain; the mapper's effectSends take over.
+  // Each voice's dry gain gives up what its sends and the returns take.
+  const sharedEffects = { chorus, delay, reverb: reverbBus };
+  const sendLevels = serialChainSends();
+  const sendGains = Object.fromEntries(SEND_VOICES.map((voice) => [
+    voice,
+    Object.fromEntries(SEND_EFFECTS.map((effect) => {
+      const send = new Tone.Gain(sendLevels[voice][effect]);
+      send.connect(sharedEffects[effect]);
+      return [effect, send];
+    })),
+  ]));
+  // Percussion's dry path skips the master filter, as it always has
+  const dryGains = Object.fromEntries(SEND_VOICES.map((voice) => {
+    const dry = new Tone.Gain(dryLevel(sendLevels[voice], returnLevels));
+    dry.connect(voice === 'percussion' ? masterVelocity : dryBus);
+    return [voice, dry];
+  }));
+  // The shooting-star ding goes to the reverb alone, as the wind chime does by default
+  const shootingStarSends = { chorus: 0, delay: 0, reverb: 1 };
+  const shootingStarDry = new Tone.Gain(dryLevel(shootingStarSends, returnLevels));
+  shootingStarDry.connect(dryBus);
+
+  /** Feed a voice's (panned) output to its dry gain and its effect sends */
+  function connectToBuses(voice, source) {
+    source.connect(dryGains[voice]);
+    SEND_EFFECTS.forEach((effect) => source.connect(sendGains[voice][effect]));
+  }
+
+  function rampGain(node, level, duration) {
+    if (duration > 0) node.gain.rampTo(level, duration);
+    else node.gain.value = level;
+  }
+
+  /** Bring every dry gain in line with the current sends and return levels */
+  function updateDryLevels(duration) {
+    SEND_VOICES.forEach((voice) => rampGain(dryGains[voice], dryLevel(sendLevels[voice], returnLevels), duration));
+    rampGain(shootingStarDry, dryLevel(shootingStarSends, returnLevels), duration);
+  }
+
+  /**
+   * @param {import('./sends.js').EffectSends} sends
+   * @param {number} duration - Ramp time in seconds; 0 sets at once
+   */
+  function setEffectSends(sends, duration) {
+    for (const [voice, levels] of Object.entries(sends ?? {})) {
+      for (const effect of SEND_EFFECTS) {
+        const send = sendGains[voice]?.[effect];
+        if (!send || !Number.isFinite(levels?.[effect])) continue;
+        sendLevels[voice][effect] = levels[effect];
+        rampGain(send, levels[effect], duration);
+      }
+    }
+    updateDryLevels(duration);
+  }
+
+  /**
+   * @param {'chorus'|'delay'|'reverb'} effect
+   * @param {number} level
+   * @param {number} duration - Ramp time in seconds; 0 sets at once
+   */
+  function setReturnLevel(effect, level, duration) {
+    returnLevels[effect] = level;
+    rampGain(effectReturns[effect], level, duration);
+    updateDryLevels(duration);
+  }
+
+  // ── Style gains — which voices the current style plays, and how loud ──
+  // Rain drops follow the texture voice's level on their own path.
+  let currentStyle = style;
+  const styleGains = Object.fromEntries(STYLE_VOICES.map((voice) => [voice, new Tone.Gain(styleVoiceGain(style, voice))]));
+  const rainStyleGain = new Tone.Gain(styleVoiceGain(style, 'texture'));
+
+  // ── Mix gains — the listener's faders, mutes and solos (see mixer.js) ──
+  // After the style gains, so they layer on top of the weather-driven volumes,
+  // the conductor's swell and the style. Rain again has its own.
+  const mixGains = Object.fromEntries(STYLE_VOICES.map((voice) => [voice, new Tone.Gain(1)]));
+  const rainMixGain = new Tone.Gain(1);
+
+  // Synths a style's timbres are laid over, and the weather timbres they replace
+  const styleSynths = { pad: [pad.synthA, pad.synthB], arpeggio: [arpeggio.synth], melody: [melody.synth] };
+  const timbreVoices = { pad, arpeggio, melody };
+  let currentTimbreProfile = null;
+  let currentSeasonalPalette = null;
+  // Each dressed synth's own values for whatever its style sets, from before
+  // the style touched it. The weather only resets some of them (never decay,
+  // sustain or a fat oscillator's count and spread), so restoring takes these.
+  const undressedTimbres = new Map();
+
+  /** The synth's current values for the options a style is about to set */
+  function currentTimbre(synth, options) {
+    const current = synth.get();
+    return Object.fromEntries(Object.entries(options).map(([section, values]) => [
+      section,
+      typeof values === 'object'
+        ? Object.fromEntries(Object.keys(values).map((key) => [key, current[section]?.[key]]))
+        : current[section],
+    ]));
+  }
+
+  function applyStyleTimbres() {
+    for (const [voice, options] of Object.entries(currentStyle.timbres)) {
+      styleSynths[voice]?.forEach((synth) => {
+        if (!undressedTimbres.has(synth)) undressedTimbres.set(synth, currentTimbre(synth, options));
+        synth.set(options);
+      });
+    }
+  }
+
+  /** Put the weather's own timbres back on the voices a style had dressed */
+  function restoreWeatherTimbres(previousStyle) {
+    for (const voice of Object.keys(previousStyle.timbres)) {
+      styleSynths[voice]?.forEach((synth) => {
+        if (!undressedTimbres.has(synth)) return;
+        synth.set(undressedTimbres.get(synth));
+        undressedTimbres.delete(synth);
+      });
+      if (currentTimbreProfile) timbreVoices[voice]?.setTimbreProfile(currentTimbreProfile);
+      if (currentSeasonalPalette) timbreVoices[voice]?.setSeasonalPalette(currentSeasonalPalette);
+    }
+  }
+
+  // Wind chime — spatialized; its sends go to the reverb alone by default.
   const windChimePanner = createSpatialNode(Tone, {
     pan: 0.15,
     z: -0.58,
@@ -233,56 +534,101 @@ export function createSoundEngine() {
   const milkyWayTremolo = new Tone.Tremolo({ frequency: 1.2, depth: 0, wet: 0 }).start();
 
   // ── Shooting star synth — single-use ding ──
-  // A tiny bell-like tone fired once per meteor streak. Routes through the main
-  // reverb so it shares the room with the rest of the audio environment.
+  // A tiny bell-like tone fired once per meteor streak. Plays dry and into the
+  // main reverb so it shares the room with the rest of the audio environment.
   const shootingStarSynth = new Tone.Synth({
     oscillator: { type: 'sine' },
     envelope: { attack: 0.001, decay: 0.8, sustain: 0, release: 1.2 },
     volume: -28,
-  }).connect(reverb);
-
-  // Connect voices -> spatial nodes -> wideners/chorus bus
-  pad.output.connect(padHPF);
-  tapMeter(pad.output, voiceMeters.pad);
+  });
+  shootingStarSynth.connect(shootingStarDry);
+  shootingStarSynth.connect(reverbBus);
+
+  // Connect voices -> spatial nodes -> wideners -> dry bus + effect sends
+  pad.output.connect(styleGains.pad);
+  styleGains.pad.connect(mixGains.pad);
+  mixGains.pad.connect(padHPF);
+  tapMeter(mixGains.pad, voiceMeters.pad);
   padHPF.connect(padPanner.node);
   padPanner.node.connect(milkyWayTremolo);
-  milkyWayTremolo.connect(chorus);
+  connectToBuses('pad', milkyWayTremolo);
 
-  arpeggio.output.connect(arpeggioPanner.node);
+  arpeggio.output.connect(styleGains.arpeggio);
+  styleGains.arpeggio.connect(mixGains.arpeggio);
+  mixGains.arpeggio.connect(arpeggioPanner.node);
+  tapMeter(mixGains.arpeggio, voiceMeters.arpeggio);
   arpeggioPanner.node.connect(arpeggioWidener);
-  arpeggioWidener.connect(chorus);
+  connectToBuses('arpeggio', arpeggioWidener);
 
-  bass.output.connect(bassPanner);
-  bassPanner.connect(chorus);
+  bass.output.connect(styleGains.bass);
+  styleGains.bass.connect(mixGains.bass);
+  mixGains.bass.connect(bassPanner);
+  tapMeter(mixGains.bass, voiceMeters.bass);
+  connectToBuses('bass', bassPanner);
   bassPanner.connect(subBus);  // Second connection — parallel sub-bass tap
 
-  texture.output.connect(texturePanner.node);
-  texturePanner.node.connect(chorus);
+  texture.output.connect(styleGains.texture);
+  styleGains.texture.connect(mixGains.texture);
+  mixGains.texture.connect(texturePanner.node);
+  tapMeter(mixGains.texture, voiceMeters.texture);
+  connectToBuses('texture', texturePanner.node);
   // Rain drops bypass the texture lowpass filter to preserve their high-frequency character
-  texture.rainOutput.connect(chorus);
-
-  drone.output.connect(dronePanner);
-  dronePanner.connect(chorus);
+  texture.rainOutput.connect(rainStyleGain);
+  rainStyleGain.connect(rainMixGain);
+  connectToBuses('texture', rainMixGain);
+  tapMeter(rainMixGain, voiceMeters.texture);
+
+  drone.output.connect(styleGains.drone);
+  styleGains.drone.connect(mixGains.drone);
+  mixGains.drone.connect(dronePanner);
+  tapMeter(mixGains.drone, voiceMeters.drone);
+  connectToBuses('drone', dronePanner);
   dronePanner.connect(subBus);  // Second connection — parallel sub-bass tap
 
-  melody.output.connect(melodyPanner.node);
+  melody.output.connect(styleGains.melody);
+  styleGains.melody.connect(mixGains.melody);
+  mixGains.melody.connect(melodyPanner.node);
+  tapMeter(mixGains.melody, voiceMeters.melody);
   melodyPanner.node.connect(melodyWidener);
-  melodyWidener.connect(chorus);
-
-  // Choir → spatial panner → chorus (same main effects chain as pad/arpeggio/melody)
-  choir.output.connect(choirPanner.node);
-  tapMeter(choir.output, voiceMeters.choir);
-  choirPanner.node.connect(chorus);
-
-  // Wind chime connects directly to reverb (no chorus/delay smear).
-  windChime.output.connect(windChimePanner.node);
-  windChimePanner.node.connect(reverb);
-
-  // Percussion → dedicated short reverb → spatial panner → masterVelocity
+  connectToBuses('melody', melodyWidener);
+
+  // Choir → spatial panner → dry bus + sends (fog sends it deepest into the reverb)
+  choir.output.connect(styleGains.choir);
+  styleGains.choir.connect(mixGains.choir);
+  mixGains.choir.connect(choirPanner.node);
+  tapMeter(mixGains.choir, voiceMeters.choir);
+  connectToBuses('choir', choirPanner.node);
+
+  // Wind chime — by default no chorus/delay smear, only the reverb send.
+  windChime.output.connect(styleGains.windChime);
+  styleGains.windChime.connect(mixGains.windChime);
+  mixGains.windChime.connect(windChimePanner.node);
+  tapMeter(mixGains.windChime, voiceMeters.windChime);
+  connectToBuses('windChime', windChimePanner.node);
+
+  // Percussion → dedicated short reverb → spatial panner → masterVelocity,
+  // plus whatever the mapper sends to the shared returns
   percussionReverb.connect(percussionPanner.node);
-  percussionPanner.node.connect(masterVelocity);
-  percussion.output.connect(percussionReverb);
-  tapMeter(percussion.output, voiceMeters.percussion);
+  tapMeter(percussionReverb, busMeters.percussionReturn);
+  connectToBuses('percussion', percussionPanner.node);
+  percussion.output.connect(styleGains.percussion);
+  styleGains.percussion.connect(mixGains.percussion);
+  mixGains.percussion.connect(percussionReverb);
+  tapMeter(mixGains.percussion, voiceMeters.percussion);
+
+  // Stem capture — one input per voice panner, plus the shared effect returns
+  const stems = stemCapture ? createStemCapture({
+    pad: [padPanner.node],
+    arpeggio: [arpeggioPanner.node],
+    bass: [bassPanner],
+    texture: [texturePanner.node, rainMixGain],
+    percussion: [percussionPanner.node],
+    drone: [dronePanner],
+    melody: [melodyPanner.node],
+    windChime: [windChimePanner.node],
+    choir: [choirPanner.node],
+    effects: Object.values(effectReturns),
+  }) : null;
 
   // Track current musical state
   let currentRoot = null;
@@ -314,20 +660,20 @@ export function createSoundEngine() {
     if (microtonalInterval) return;
     microtonalInterval = setInterval(() => {
       // Random-walk pad detune (synthA and synthB drift in opposite directions for width)
-      const padStep = (Math.random() - 0.5) * 4;
+      const padStep = (microtonalRandom() - 0.5) * 4;
       const padCurrent = pad.synthA?.detune?.value ?? 0;
       const padNext = Math.max(-18, Math.min(18, padCurrent + padStep));
       pad.synthA?.detune?.rampTo(padNext, 3);
       pad.synthB?.detune?.rampTo(-padNext * 0.7, 4);
 
       // Arpeggio detune drifts more subtly
-      const arpStep = (Math.random() - 0.5) * 3;
+      const arpStep = (microtonalRandom() - 0.5) * 3;
       const arpCurrent = arpeggio.synth?.detune?.value ?? 0;
       const arpNext = Math.max(-12, Math.min(12, arpCurrent + arpStep));
       arpeggio.synth?.detune?.rampTo(arpNext, 2);
 
       // Melody drifts very subtly — enough to feel slightly unstable, not out of tune
-      const melStep = (Math.random() - 0.5) * 2;
+      const melStep = (microtonalRandom() - 0.5) * 2;
       const melCurrent = melody.synth?.detune?.value ?? 0;
       const melNext = Math.max(-8, Math.min(8, melCurrent + melStep));
       melody.synth?.detune?.rampTo(melNext, 4);
@@ -366,6 +712,26 @@ export function createSoundEngine() {
   // External chord change listener (for visualizer)
   let externalChordChangeCallback = null;
 
+  // External note event listeners (MIDI file logging / Web MIDI output)
+  const noteEventListeners = new Set();
+
+  /**
+   * Report notes to the external listener as { voice, notes, time, duration, velocity }.
+   * `time` is AudioContext seconds (defaults to now); `duration` is seconds, or
+   * null for notes that sustain until that voice's next event. An empty `notes`
+   * array releases whatever the voice was holding.
+   */
+  function emitNoteEvent(voice, notes, time = null, duration = null, velocity = 0.5) {
+    if (noteEventListeners.size === 0) return;
+    const event = { voice, notes, time: time ?? Tone.now(), duration, velocity };
+    noteEventListeners.forEach((fn) => fn(event));
+  }
+
+  arpeggio.onNote((note, time, duration, velocity) => emitNoteEvent('arpeggio', [note], time, duration, velocity));
+  bass.onNote((note, time, duration, velocity) => emitNoteEvent('bass', [note], time, duration, velocity));
+  melody.onNote((note, time, duration, velocity) => emitNoteEvent('melody', [note], time, duration, velocity));
+  windChime.onNote((note, time, duration, velocity) => emitNoteEvent('windChime', [note], time, duration, velocity));
+
   // Current progression reference — needed to read allQualities in the chord callback
   let currentProgression = null;
 
@@ -382,11 +748,13 @@ export function createSoundEngine() {
       } else {
         pad.changeChord(voicedNotes);
       }
+      emitNoteEvent('chord', voicedNotes, null, null, 0.45);
 
       // Update arpeggio chord context
       arpeggio.setChordContext(chord.chordTones, chord.scaleTones);
 
       // Update bass
+      const previousBassNote = lastBassNote;
       lastBassNote = chord.bassNote;
       if (currentMelodyMood === 'tense' || currentMelodyMood === 'melancholy') {
         // Walking bass — Tone.Sequence drives quarter-note root/fifth/passing/approach
@@ -398,6 +766,9 @@ export function createSoundEngine() {
         } else {
           bass.changeNote(chord.bassNote);
         }
+        if (index === 0 || chord.bassNote !== previousBassNote) {
+          emitNoteEvent('bass', [chord.bassNote], null, null, 0.6);
+        }
       }
 
       // Update drone — transpose chord root to octave 1
@@ -478,24 +849,175 @@ export function createSoundEngine() {
     windChimePanner,
   ].every((node) => node.mode === 'hrtf') ? 'hrtf' : 'stereo-fallback';
 
+  /** Silence every voice and hold the chord changes (stop(), dispose(), hand-off) */
+  function stopVoices() {
+    pad.stop();
+    arpeggio.stop();
+    bass.stop();
+    texture.stop();
+    percussion.stop();
+    drone.stop();
+    melody.stop();
+    choir.stop();
+    windChime.setActive(false);
+    progressionPlayer.pause();
+    emitNoteEvent('chord', []);
+    emitNoteEvent('bass', []);
+  }
+
+  let handOffPromise = null;
+  let disposed = false;
+
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.keepTransport=false] - Leave the shared Transport
+   *   running (after a hand-off, the incoming engine owns it)
+   */
+  function disposeAll({ keepTransport = false } = {}) {
+    if (disposed) return;
+    disposed = true;
+    stopVoices();
+    if (!keepTransport) Tone.getTransport().pause();
+    stopMicrotonal();
+    clearInterval(loudnessInterval);
+    stems?.dispose();
+    noteEventListeners.clear();
+    pad.dispose();
+    arpeggio.dispose();
+    bass.dispose();
+    texture.dispose();
+    percussion.dispose();
+    drone.dispose();
+    melody.dispose();
+    choir.dispose();
+    windChime.dispose();
+    progressionPlayer.dispose();
+    // Spatial panners
+    padPanner.node.dispose();
+    arpeggioPanner.node.dispose();
+    bassPanner.dispose();
+    texturePanner.node.dispose();
+    dronePanner.dispose();
+    melodyPanner.node.dispose();
+    percussionPanner.node.dispose();
+    windChimePanner.node.dispose();
+    choirPanner.node.dispose();
+    // Effects
+    chorus.dispose();
+    delay.dispose();
+    reverb.dispose();
+    Object.values(effectReturns).forEach((effectReturn) => effectReturn.dispose());
+    dryBus.dispose();
+    Object.values(dryGains).forEach((dry) => dry.dispose());
+    shootingStarDry.dispose();
+    reverbBus.dispose();
+    spaceConvolvers.forEach((convolver) => convolver.dispose());
+    spaceFade.dispose();
+    spaceLevel.dispose();
+    reverbTailLevel.dispose();
+    clearTimeout(spaceFadeTimer);
+    Object.values(sendGains).forEach((sends) => Object.values(sends).forEach((send) => send.dispose()));
+    masterFilter.dispose();
+    masterVelocity.dispose();
+    limiter.dispose();
+    analyser.dispose();
+    waveformAnalyser.dispose();
+    Object.values(voiceMeters).forEach((meter) => meter?.dispose?.());
+    Object.values(busMeters).forEach((meter) => meter?.dispose?.());
+    Object.values(loudnessTaps).forEach((tap) => tap?.nodes.forEach((node) => node.dispose()));
+    loudnessGain.dispose();
+    // Sub-bass bus
+    subBus.dispose();
+    subLowpass.dispose();
+    subSaturator.dispose();
+    subGain.dispose();
+    // Percussion reverb, pad HPF, stereo wideners
+    percussionReverb.dispose();
+    padHPF.dispose();
+    arpeggioWidener.dispose();
+    melodyWidener.dispose();
+    // Milky Way effects
+    milkyWayTremolo.dispose();
+    shootingStarSynth.dispose();
+    // Style gains
+    Object.values(styleGains).forEach((gain) => gain.dispose());
+    rainStyleGain.dispose();
+    Object.values(mixGains).forEach((gain) => gain.dispose());
+    rainMixGain.dispose();
+  }
+
   return {
     // Expose for visualization
     analyser,
     waveformAnalyser,
     voiceMeters,
+    busMeters,
+    /** K-weighted analysers behind getLoudness(): `pre` normalization, `post` limiter */
+    loudnessAnalysers: { pre: loudnessTaps.pre?.analyser ?? null, post: loudnessTaps.post?.analyser ?? null },
+    /** Post-fader RMS of every voice in dB (null where metering is unavailable) */
     getVoiceLevels() {
+      return Object.fromEntries(STYLE_VOICES.map((voice) => [voice, readMeter(voiceMeters[voice]).rms]));
+    },
+
+    /**
+     * Peak and RMS of every voice and bus, plus the limiter's gain reduction
+     * — for spotting which mappings drive the master into the limiter.
+     * @returns {{ voices: Record<string, import('./meters.js').Level>, buses: Record<string, import('./meters.js').Level>, gainReduction: number }}
+     */
+    getMeterLevels() {
+      const buses = Object.fromEntries(Object.entries(busMeters).map(([bus, meter]) => [bus, readMeter(meter)]));
+      return {
+        voices: Object.fromEntries(STYLE_VOICES.map((voice) => [voice, readMeter(voiceMeters[voice])])),
+        buses,
+        gainReduction: gainReductionDb(limiter.reduction, buses.masterPre, buses.masterPost),
+      };
+    },
+
+    /**
+     * Loudness of the output as heard, in LUFS (null before the first
+     * reading, or until anything clears the integrated gate), plus the
+     * normalization's target and its current gain.
+     * @returns {{ momentary: number|null, shortTerm: number|null, integrated: number|null, target: number|null, normalizationDb: number }}
+     */
+    getLoudness() {
+      const { post } = loudnessMeters;
       return {
-        pad: readMeterDb(voiceMeters.pad),
-        choir: readMeterDb(voiceMeters.choir),
-        percussion: readMeterDb(voiceMeters.percussion),
+        momentary: post.momentary,
+        shortTerm: post.shortTerm,
+        integrated: post.integrated,
+        target: loudnessTarget,
+        normalizationDb,
       };
     },
 
+    /**
+     * Hold the loudness near a target (see loudness.js): the weather keeps
+     * its dynamics within a window either side, and the gain moves slowly.
+     * @param {number|null} target - LUFS; null turns normalization off
+     */
+    setLoudnessTarget(target) {
+      loudnessTarget = Number.isFinite(target) ? target : null;
+      lastNormalizedAt = -Infinity;
+      if (loudnessTarget === null) {
+        normalizationDb = 0;
+        loudnessGain.gain.linearRampTo(1, NORMALIZE_RAMP_SECONDS);
+      }
+    },
+
     // Expose voices for direct control if needed
     voices: { pad, arpeggio, bass, texture, percussion, drone, melody, windChime, choir },
 
     // Expose effects for direct control
-    effects: { chorus, delay, reverb, masterFilter, masterVelocity, limiter, subGain, percussionReverb, arpeggioWidener, melodyWidener, padHPF },
+    effects: {
+      chorus, delay, reverb, chorusReturn, delayReturn, reverbReturn, dryBus, reverbBus, reverbTailLevel, spaceConvolvers, spaceFade,
+      masterFilter, masterVelocity, loudnessGain, limiter, subGain, percussionReverb, arpeggioWidener, melodyWidener, padHPF,
+    },
+
+    /** Per-voice effect sends: sends[voice][effect] is a Tone.Gain */
+    sends: sendGains,
+
+    /** Per-voice dry gains, each giving up what that voice's sends take (see sends.js dryLevel) */
+    dryGains,
 
     // Expose panners/spatial nodes for debugging.
     panners: {
@@ -510,6 +1032,13 @@ export function createSoundEngine() {
       choirPanner: choirPanner.node,
     },
 
+    // Stem capture controller (null unless created with { stemCapture: true })
+    stems,
+
+    // Per-voice style levels (see setStyle)
+    styleGains,
+    mixGains,
+
     spatial: {
       mode: spatialMode,
       xRange: spatialXRange,
@@ -523,6 +1052,16 @@ export function createSoundEngine() {
       externalChordChangeCallback = fn;
     },
 
+    /**
+     * Subscribe to note events from the chord (pad voicing), bass, melody,
+     * arpeggio and wind chime voices. See emitNoteEvent() for the shape.
+     * @returns {() => void} Unsubscribe function
+     */
+    onNoteEvent(fn) {
+      noteEventListeners.add(fn);
+      return () => noteEventListeners.delete(fn);
+    },
+
     /**
      * Fire a thunder transient — called by main.js when the visualizer's
      * lightning flash fires. Delegates to the percussion voice so the
@@ -537,7 +1076,7 @@ export function createSoundEngine() {
      * Called from main.js on each weather update with a 0-1 composite intensity.
      *
      * At full intensity the pad gains a slow tremolo (breathing amplitude modulation)
-     * and the chorus wet is nudged upward, adding an ethereal shimmering quality.
+     * and the chorus return is nudged upward, adding an ethereal shimmering quality.
      * At zero the tremolo is fully bypassed (wet: 0) with no audible effect.
      *
      * @param {number} intensity - 0 (no effect) to 1 (full shimmer)
@@ -548,7 +1087,7 @@ export function createSoundEngine() {
       milkyWayTremolo.wet.rampTo(i > 0.05 ? i * 0.7 : 0, 8);
       milkyWayTremolo.frequency.rampTo(0.8 + i * 1.2, 12); // 0.8–2 Hz
       // Gentle chorus boost on top of the weather baseline
-      chorus.wet.rampTo(Math.min(0.55, 0.2 + i * 0.12), 10);
+      setReturnLevel('chorus', Math.min(0.55, 0.2 + i * 0.12), 10);
     },
 
     /**
@@ -571,7 +1110,7 @@ export function createSoundEngine() {
      */
     triggerShootingStar() {
       const pitches = ['B5', 'C#6', 'E6', 'F#6', 'A6', 'B6'];
-      const note = pitches[Math.floor(Math.random() * pitches.length)];
+      const note = pitches[Math.floor(shootingStarRandom() * pitches.length)];
       shootingStarSynth.triggerAttackRelease(note, '8n', Tone.now() + 0.005);
     },
 
@@ -614,6 +1153,61 @@ export function createSoundEngine() {
       windChime.setWindSpeed(windSpeed);
     },
 
+    /**
+     * Switch musical style without stopping: voice levels crossfade, and the
+     * new style's timbres take over from the next note. The mapper handles
+     * the rest of the style (tempo, rhythms, effects) on the next update.
+     * @param {import('./styles.js').Style} nextStyle
+     * @param {number} [fadeSeconds]
+     */
+    setStyle(nextStyle, fadeSeconds = STYLE_FADE_SECONDS) {
+      const previousStyle = currentStyle;
+      currentStyle = nextStyle;
+      STYLE_VOICES.forEach((voice) => {
+        styleGains[voice].gain.linearRampTo(styleVoiceGain(nextStyle, voice), fadeSeconds);
+      });
+      rainStyleGain.gain.linearRampTo(styleVoiceGain(nextStyle, 'texture'), fadeSeconds);
+      restoreWeatherTimbres(previousStyle);
+      applyStyleTimbres();
+    },
+
+    /** The current style */
+    get style() {
+      return currentStyle;
+    },
+
+    /**
+     * Move the biome space (see impulse.js) to another biome's impulse
+     * response, crossfading from the current one. Same biome: no change.
+     * @param {string} biome - A BIOME_TYPES entry; unknown biomes play as grassland
+     * @param {number} [fadeSeconds]
+     */
+    setBiome(biome, fadeSeconds = BIOME_FADE_SECONDS) {
+      setBiomeSpace(biome, fadeSeconds);
+    },
+
+    /** The biome whose space is playing */
+    get biome() {
+      return currentBiome;
+    },
+
+    /**
+     * Set a voice's mixer gain (fader, mute and solo folded into one, see
+     * mixer.js). Layered on top of the weather-driven volume, so weather
+     * updates and the conductor leave it alone.
+     * @param {string} voice - A STYLE_VOICES entry
+     * @param {number} gain - Linear; 0 = silent
+     * @param {number} [rampTime=0.1]
+     */
+    setVoiceMix(voice, gain, rampTime = 0.1) {
+      const targets = voice === 'texture' ? [mixGains.texture, rainMixGain] : [mixGains[voice]];
+      targets.forEach((node) => {
+        if (!node) return;
+        if (rampTime > 0) node.gain.linearRampTo(gain, rampTime);
+        else node.gain.value = gain;
+      });
+    },
+
     /** User-controlled master gain scale (volume slider). */
     setUserGainScale(scale, rampTime = 0.1) {
       userGainScale = scale ?? 1;
@@ -626,6 +1220,31 @@ export function createSoundEngine() {
       applyMasterGain(rampTime);
     },
 
+    /**
+     * Silence the internal sound while the engine keeps running — note events
+     * still fire, so Web MIDI output can drive external synths on its own.
+     */
+    setInternalMuted(muted, rampTime = 0.5) {
+      internalMuteScale = muted ? 0 : 1;
+      applyMasterGain(rampTime);
+    },
+
+    /**
+     * Connect an extra listener (e.g. the session recorder's capture node)
+     * to the post-limiter output — exactly what reaches the speakers.
+     */
+    connectOutputTap(node) {
+      limiter.connect(node);
+    },
+
+    disconnectOutputTap(node) {
+      try {
+        limiter.disconnect(node);
+      } catch {
+        // Already disconnected (or the engine was disposed)
+      }
+    },
+
     /**
      * Start the engine. Call after Tone.start().
      * @param {object} params - Initial musical parameters from the mapper
@@ -750,16 +1369,19 @@ export function createSoundEngine() {
 
       // Timbre profile — oscillator type + envelope character across voices
       if (params.timbreProfile) {
+        currentTimbreProfile = params.timbreProfile;
         pad.setTimbreProfile(params.timbreProfile);
         arpeggio.setTimbreProfile(params.timbreProfile);
         melody.setTimbreProfile(params.timbreProfile);
         choir.setTimbreProfile(params.timbreProfile);
       }
+      applyStyleTimbres();
 
       // Effects
       reverb.decay = reverbDecay ?? 4;
-      reverb.wet.value = reverbWet ?? 0.3;
+      setReturnLevel('reverb', reverbWet ?? 0.3, 0);
       chorus.depth = chorusDepth ?? 0.5;
+      if (params.effectSends) setEffectSends(params.effectSends, 0);
       masterFilter.frequency.value = masterFilterCutoff ?? 8000;
       if (arpeggioWidth != null) arpeggioWidener.width.value = arpeggioWidth;
       if (melodyWidth != null) melodyWidener.width.value = melodyWidth;
@@ -805,8 +1427,9 @@ export function createSoundEngine() {
 
         // Effects
         case 'reverbDecay': reverb.decay = value; break; // Not rampable
-        case 'reverbWet': reverb.wet.rampTo(value, duration); break;
+        case 'reverbWet': setReturnLevel('reverb', value, duration); break;
         case 'chorusDepth': chorus.depth = value; break; // Set directly
+        case 'effectSends': setEffectSends(value, duration); break;
 
         // Modulation
         case 'lfoRate': bass.setLFO(value, null); break;
@@ -955,17 +1578,21 @@ export function createSoundEngine() {
           break;
 
         case 'timbreProfile':
+          currentTimbreProfile = value;
           pad.setTimbreProfile(value);
           arpeggio.setTimbreProfile(value);
           melody.setTimbreProfile(value);
           choir.setTimbreProfile(value);
+          applyStyleTimbres(); // The style's timbres stay on top
           break;
 
         case 'seasonalPalette':
+          currentSeasonalPalette = value;
           pad.setSeasonalPalette(value);
           arpeggio.setSeasonalPalette(value);
           melody.setSeasonalPalette(value);
           choir.setSeasonalPalette(value);
+          applyStyleTimbres();
           break;
 
         default: break;
@@ -973,20 +1600,38 @@ export function createSoundEngine() {
     },
 
     stop() {
-      pad.stop();
+      stopVoices();
+      // pause() preserves Transport clock position so resume() continues mid-phrase.
+      // dispose() pauses it too, unless the engine handed off to another.
+      Tone.getTransport().pause();
+    },
+
+    /**
+     * Give way to another engine (a new location) without a cut. Rhythms and
+     * chord changes stop at once, so nothing clashes with the incoming tempo
+     * and key; the held chord, drone and texture ring on while the master
+     * fades out, then the engine disposes itself. The Transport is shared
+     * with the incoming engine, so it is left running throughout.
+     * @param {number} [fadeSeconds]
+     * @returns {Promise<void>} Resolves once the engine is disposed
+     */
+    handOff(fadeSeconds = HANDOFF_FADE_SECONDS) {
+      if (handOffPromise) return handOffPromise;
       arpeggio.stop();
-      bass.stop();
-      texture.stop();
       percussion.stop();
-      drone.stop();
       melody.stop();
-      choir.stop();
       windChime.setActive(false);
       progressionPlayer.pause();
-      // pause() preserves Transport clock position so resume() continues mid-phrase.
-      // dispose() will still call stop() which resets position, but that's fine
-      // since the engine is being torn down entirely.
-      Tone.getTransport().pause();
+      noteEventListeners.clear();
+      handOffScale = 0;
+      applyMasterGain(fadeSeconds);
+      handOffPromise = new Promise((resolve) => {
+        setTimeout(() => {
+          disposeAll({ keepTransport: true });
+          resolve();
+        }, fadeSeconds * 1000);
+      });
+      return handOffPromise;
     },
 
     /**
@@ -1002,9 +1647,11 @@ export function createSoundEngine() {
       // Re-attack tonal voices that were fully released by stop()
       if (lastPadVoicing && lastPadVoicing.length > 0) {
         pad.playChord(lastPadVoicing);
+        emitNoteEvent('chord', lastPadVoicing, null, null, 0.45);
       }
       if (lastBassNote) {
         bass.playNote(lastBassNote);
+        emitNoteEvent('bass', [lastBassNote], null, null, 0.6);
       }
       if (lastDroneRootName) {
         drone.playNote(lastDroneRootName);
@@ -1031,51 +1678,7 @@ export function createSoundEngine() {
     },
 
     dispose() {
-      this.stop();
-      stopMicrotonal();
-      pad.dispose();
-      arpeggio.dispose();
-      bass.dispose();
-      texture.dispose();
-      percussion.dispose();
-      drone.dispose();
-      melody.dispose();
-      choir.dispose();
-      windChime.dispose();
-      progressionPlayer.dispose();
-      // Spatial panners
-      padPanner.node.dispose();
-      arpeggioPanner.node.dispose();
-      bassPanner.dispose();
-      texturePanner.node.dispose();
-      dronePanner.dispose();
-      melodyPanner.node.dispose();
-      percussionPanner.node.dispose();
-      windChimePanner.node.dispose();
-      choirPanner.node.dispose();
-      // Effects
-      chorus.dispose();
-      delay.dispose();
-      reverb.dispose();
-      masterFilter.dispose();
-      masterVelocity.dispose();
-      limiter.dispose();
-      analyser.dispose();
-      waveformAnalyser.dispose();
-      Object.values(voiceMeters).forEach((meter) => meter?.dispose?.());
-      // Sub-bass bus
-      subBus.dispose();
-      subLowpass.dispose();
-      subSaturator.dispose();
-      subGain.dispose();
-      // Percussion reverb, pad HPF, stereo wideners
-      percussionReverb.dispose();
-      padHPF.dispose();
-      arpeggioWidener.dispose();
-      melodyWidener.dispose();
-      // Milky Way effects
-      milkyWayTremolo.dispose();
-      shootingStarSynth.dispose();
+      disposeAll();
     },
   };
 }
@@ -1,4 +1,5 @@
-import { describe, expect, it, vi } from 'vitest';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import * as Tone from 'tone';
 import { panToX } from './spatial.js';
 
 const voiceState = vi.hoisted(() => ({
@@ -33,6 +34,10 @@ vi.mock('tone', () => {
       return target;
     }
 
+    disconnect(target) {
+      this.connections = target === undefined ? [] : this.connections.filter((node) => node !== target);
+    }
+
     toDestination() {
       return this;
     }
@@ -123,6 +128,28 @@ vi.mock('tone', () => {
     }
   }
 
+  class Convolver extends AudioNode {
+    constructor() {
+      super();
+      this.buffer = null;
+    }
+  }
+
+  class CrossFade extends AudioNode {
+    constructor(fade = 0.5) {
+      super();
+      this.fade = new Param(fade);
+      this.a = new AudioNode();
+      this.b = new AudioNode();
+    }
+  }
+
+  const ToneAudioBuffer = {
+    fromArray(channels) {
+      return { channels };
+    },
+  };
+
   class StereoWidener extends AudioNode {
     constructor(width = 0.3) {
       super();
@@ -162,11 +189,33 @@ vi.mock('tone', () => {
     Panner,
     Panner3D,
     StereoWidener,
+    Convolver,
+    CrossFade,
+    ToneAudioBuffer,
+    getContext: () => ({ sampleRate: 8000 }),
+    now: () => 0,
     getTransport: () => transport,
     getListener: () => listener,
   };
 });
 
+/** A synth that keeps the options it was set to, as Tone's get()/set() do */
+function makeSynth(options) {
+  return {
+    volume: { value: 0 },
+    detune: { value: 0, rampTo() {} },
+    options: structuredClone(options),
+    get() {
+      return structuredClone(this.options);
+    },
+    set(next) {
+      for (const [section, values] of Object.entries(next)) {
+        this.options[section] = typeof values === 'object' ? { ...this.options[section], ...values } : values;
+      }
+    },
+  };
+}
+
 function makeOutput() {
   return {
     volume: {
@@ -184,8 +233,8 @@ vi.mock('./voices/pad.js', () => ({
   createPadVoice() {
     return {
       output: makeOutput(),
-      synthA: { volume: { value: 0 }, detune: { value: 0, rampTo() {} } },
-      synthB: { volume: { value: 0 }, detune: { value: 0, rampTo() {} } },
+      synthA: makeSynth({ oscillator: { type: 'fatsine', count: 3, spread: 20 }, envelope: { attack: 1.5, decay: 1, sustain: 0.9, release: 4 } }),
+      synthB: makeSynth({ oscillator: { type: 'fatsine', count: 3, spread: 20 }, envelope: { attack: 1.5, decay: 1, sustain: 0.9, release: 4 } }),
       filter: { frequency: { value: 0 } },
       setSpread() {},
       setFilterCutoff() {},
@@ -204,7 +253,7 @@ vi.mock('./voices/arpeggio.js', () => ({
   createArpeggioVoice() {
     return {
       output: makeOutput(),
-      synth: { volume: { value: 0 }, detune: { value: 0, rampTo() {} } },
+      synth: makeSynth({ oscillator: { type: 'triangle' }, envelope: { attack: 0.01, decay: 0.3, sustain: 0.05, release: 1 } }),
       filter: { frequency: { value: 0 } },
       setDirection() {},
       setRhythmPattern() {},
@@ -215,6 +264,7 @@ vi.mock('./voices/arpeggio.js', () => ({
       setChordContext() {},
       start() {},
       stop() {},
+      onNote() {},
       dispose() {},
     };
   },
@@ -234,6 +284,7 @@ vi.mock('./voices/bass.js', () => ({
       enableWalking() {},
       disableWalking() {},
       stop() {},
+      onNote() {},
       dispose() {},
     };
   },
@@ -304,7 +355,7 @@ vi.mock('./voices/melody.js', () => ({
   createMelodyVoice() {
     return {
       output: makeOutput(),
-      synth: { volume: { value: 0 } },
+      synth: makeSynth({ oscillator: { type: 'triangle' }, envelope: { attack: 0.1, decay: 0.4, sustain: 0.3, release: 2 } }),
       setMood() {},
       setVolume() {},
       setTimbreProfile() {},
@@ -312,6 +363,7 @@ vi.mock('./voices/melody.js', () => ({
       setChordContext() {},
       onChordChange() {},
       stop() {},
+      onNote() {},
       dispose() {},
     };
   },
@@ -324,6 +376,7 @@ vi.mock('./voices/windchime.js', () => ({
       setNotes() {},
       setWindSpeed() {},
       setActive() {},
+      onNote() {},
       dispose() {},
     };
   },
@@ -372,6 +425,8 @@ vi.mock('./progression.js', () => ({
 }));
 
 import { createSoundEngine } from './engine.js';
+import { getStyle } from './styles.js';
+import { setRandomSeed } from './random.js';
 
 function bootEngine() {
   const engine = createSoundEngine();
@@ -430,3 +485,293 @@ describe('engine spatial routing', () => {
     engine.dispose();
   });
 });
+
+describe('engine styles', () => {
+  it('starts in the style it was created with and crossfades to another', () => {
+    const engine = createSoundEngine({ style: getStyle('drone') });
+    expect(engine.style.name).toBe('drone');
+    expect(engine.styleGains.pad.gain.value).toBe(0);
+    expect(engine.styleGains.drone.gain.value).toBeGreaterThan(1);
+
+    engine.setStyle(getStyle('ambient'), 4);
+    expect(engine.styleGains.pad.gain.ramps.at(-1)).toEqual([1, 4]);
+    expect(engine.styleGains.drone.gain.ramps.at(-1)).toEqual([1, 4]);
+    expect(engine.style.name).toBe('ambient');
+    engine.dispose();
+  });
+
+  it('gives the voices their own timbres back after a styled round-trip', () => {
+    const engine = bootEngine();
+    const { pad, arpeggio, melody } = engine.voices;
+    const synths = [pad.synthA, pad.synthB, arpeggio.synth, melody.synth];
+    const own = synths.map((synth) => synth.get());
+
+    engine.setStyle(getStyle('musicbox'), 0);
+    expect(melody.synth.get().envelope).toMatchObject({ decay: 0.9, sustain: 0 });
+    engine.setStyle(getStyle('ambient'), 0);
+    expect(synths.map((synth) => synth.get())).toEqual(own);
+
+    engine.setStyle(getStyle('lofi'), 0);
+    expect(pad.synthA.get().oscillator).toEqual({ type: 'fattriangle', count: 2, spread: 18 });
+    engine.setStyle(getStyle('strings'), 0);
+    engine.setStyle(getStyle('ambient'), 0);
+    expect(synths.map((synth) => synth.get())).toEqual(own);
+    engine.dispose();
+  });
+});
+
+describe('engine hand-off', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('fades out and disposes itself, leaving the shared Transport running', async () => {
+    vi.useFakeTimers();
+    const pause = vi.spyOn(Tone.getTransport(), 'pause');
+    const engine = bootEngine();
+    const stopPercussion = vi.spyOn(voiceState.percussion, 'stop');
+
+    let disposed = false;
+    const done = engine.handOff(4);
+    done.then(() => { disposed = true; });
+    expect(engine.handOff(4)).toBe(done);
+    expect(stopPercussion).toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(3000);
+    expect(disposed).toBe(false);
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(disposed).toBe(true);
+    expect(pause).not.toHaveBeenCalled();
+
+    engine.dispose(); // Already gone — no second teardown
+    expect(pause).not.toHaveBeenCalled();
+  });
+
+  it('still pauses the Transport on a plain dispose', () => {
+    const pause = vi.spyOn(Tone.getTransport(), 'pause');
+    bootEngine().dispose();
+    expect(pause).toHaveBeenCalled();
+  });
+});
+
+describe('engine randomness', () => {
+  afterEach(() => {
+    setRandomSeed(null);
+    vi.restoreAllMocks();
+  });
+
+  it('picks the same shooting-star notes from the same seed', () => {
+    const trigger = vi.spyOn(Tone.Synth.prototype, 'triggerAttackRelease');
+    const engine = bootEngine();
+    const performance = () => {
+      setRandomSeed(42);
+      trigger.mockClear();
+      for (let i = 0; i < 8; i++) engine.triggerShootingStar();
+      return trigger.mock.calls.map(([note]) => note);
+    };
+
+    const first = performance();
+    expect(performance()).toEqual(first);
+    expect(new Set(first).size).toBeGreaterThan(1);
+    engine.dispose();
+  });
+});
+
+describe('engine mixer', () => {
+  it('sets each voice mix gain and meters all nine voices', () => {
+    const engine = bootEngine();
+    engine.setVoiceMix('choir', 0.5, 2);
+    engine.setVoiceMix('texture', 0, 0);
+
+    expect(engine.mixGains.choir.gain.ramps.at(-1)).toEqual([0.5, 2]);
+    expect(engine.mixGains.texture.gain.value).toBe(0);
+    expect(Object.keys(engine.getVoiceLevels())).toHaveLength(9);
+    engine.dispose();
+  });
+});
+
+describe('engine effect sends', () => {
+  it('plays every voice dry and feeds fully wet effects from per-voice sends', () => {
+    const engine = bootEngine();
+    const { chorus, reverb, dryBus, reverbReturn } = engine.effects;
+
+    expect(engine.panners.dronePanner.connections).toContain(engine.dryGains.drone);
+    expect(engine.dryGains.drone.connections).toEqual([dryBus]);
+    expect(engine.panners.dronePanner.connections).toContain(engine.sends.drone.reverb);
+    expect(engine.sends.choir.chorus.connections).toEqual([chorus]);
+    expect(engine.sends.choir.reverb.connections).toEqual([engine.effects.reverbBus]);
+    expect(reverb.wet.value).toBe(1);
+    expect(engine.effects.reverbTailLevel.connections).toEqual([reverbReturn]);
+    // Until the mapper says otherwise: the old serial chain, percussion dry
+    expect(engine.sends.bass.reverb.gain.value).toBe(1);
+    expect(engine.sends.percussion.reverb.gain.value).toBe(0);
+    engine.dispose();
+  });
+
+  it('sets sends from params and ramps them, with reverbWet as the return level', () => {
+    const engine = bootEngine();
+    engine.applyParams({ effectSends: { choir: { chorus: 0.8, delay: 0.3, reverb: 1 } }, reverbWet: 0.4 });
+    expect(engine.sends.choir.reverb.gain.value).toBe(1);
+    expect(engine.effects.reverbReturn.gain.value).toBe(0.4);
+
+    engine.rampParam('effectSends', { bass: { chorus: 0, delay: 0, reverb: 0.05 } }, 15);
+    engine.rampParam('reverbWet', 0.6, 15);
+    expect(engine.sends.bass.reverb.gain.ramps.at(-1)).toEqual([0.05, 15]);
+    expect(engine.sends.choir.reverb.gain.value).toBe(1);
+    expect(engine.effects.reverbReturn.gain.ramps.at(-1)).toEqual([0.6, 15]);
+    engine.dispose();
+  });
+
+  it("takes each voice's dry level down by what its sends and the returns take", () => {
+    const engine = bootEngine();
+    engine.applyParams({
+      effectSends: { choir: { chorus: 0, delay: 0, reverb: 1 }, bass: { chorus: 0, delay: 0, reverb: 0 } },
+      reverbWet: 0.65,
+    });
+    expect(engine.dryGains.choir.gain.value).toBeCloseTo(0.35, 10);
+    expect(engine.dryGains.bass.gain.value).toBe(1);
+
+    // A wetter room ramps the dry level down alongside the return
+    engine.rampParam('reverbWet', 0.8, 15);
+    expect(engine.dryGains.choir.gain.ramps.at(-1)[0]).toBeCloseTo(0.2, 10);
+    expect(engine.dryGains.choir.gain.ramps.at(-1)[1]).toBe(15);
+    expect(engine.dryGains.bass.gain.value).toBe(1);
+    engine.dispose();
+  });
+});
+
+describe('engine biome space', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('starts in grassland and crossfades to the next biome on the idle convolver', () => {
+    vi.useFakeTimers();
+    const engine = bootEngine();
+    const { reverbBus, spaceConvolvers, spaceFade } = engine.effects;
+    expect(engine.biome).toBe('grassland');
+    expect(spaceConvolvers[0].buffer.channels).toHaveLength(2);
+    expect(spaceFade.fade.value).toBe(0);
+
+    engine.setBiome('mountain', 6);
+    expect(engine.biome).toBe('mountain');
+    expect(spaceConvolvers[1].buffer.channels[0].length).toBeGreaterThan(spaceConvolvers[0].buffer.channels[0].length);
+    expect(spaceFade.fade.ramps.at(-1)).toEqual([1, 6]);
+    expect(reverbBus.connections).toEqual(expect.arrayContaining(spaceConvolvers));
+
+    // Once the fade is done only the heard convolver is fed
+    vi.advanceTimersByTime(6000);
+    expect(reverbBus.connections).not.toContain(spaceConvolvers[0]);
+    expect(reverbBus.connections).toContain(spaceConvolvers[1]);
+
+    engine.setBiome('mountain', 6);
+    expect(spaceFade.fade.ramps).toHaveLength(1);
+    engine.setBiome('forest', 6);
+    expect(spaceFade.fade.ramps.at(-1)).toEqual([0, 6]);
+    engine.dispose();
+  });
+
+  it('waits for a running fade before loading the next biome', () => {
+    vi.useFakeTimers();
+    const engine = bootEngine();
+    const { spaceConvolvers, spaceFade } = engine.effects;
+    engine.setBiome('mountain', 6);
+    const grassland = spaceConvolvers[0].buffer;
+
+    vi.advanceTimersByTime(2000);
+    engine.setBiome('forest', 6);
+    engine.setBiome('desert', 6);
+    expect(spaceConvolvers[0].buffer).toBe(grassland); // Still fading out — left alone
+    expect(engine.biome).toBe('mountain');
+
+    vi.advanceTimersByTime(4000);
+    expect(engine.biome).toBe('desert');
+    expect(spaceConvolvers[0].buffer).not.toBe(grassland);
+    expect(spaceFade.fade.ramps.at(-1)).toEqual([0, 6]);
+    engine.dispose();
+  });
+
+  it('feeds the space from the reverb sends into the reverb return, sharing it with the reverb', () => {
+    const engine = bootEngine();
+    const { reverbBus, reverb, reverbTailLevel, spaceConvolvers, spaceFade, reverbReturn } = engine.effects;
+    expect(engine.sends.choir.reverb.connections).toEqual([reverbBus]);
+    expect(reverbBus.connections).toEqual([reverb, spaceConvolvers[0]]);
+    expect(reverb.connections).toEqual([reverbTailLevel]);
+    expect(reverbTailLevel.connections).toEqual([reverbReturn]);
+    // Together the reverb and the space carry the reverb's whole power
+    const spaceLevel = spaceFade.connections[0];
+    expect(reverbTailLevel.gain.value ** 2 + spaceLevel.gain.value ** 2).toBeCloseTo(1, 10);
+    engine.dispose();
+  });
+});
+
+describe('engine loudness', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const steady = (amplitude) => () => [new Float32Array(1024).fill(amplitude), new Float32Array(1024).fill(amplitude)];
+
+  it('reads the output in LUFS and leaves the gain alone without a target', () => {
+    vi.useFakeTimers();
+    const engine = bootEngine();
+    expect(engine.getLoudness()).toMatchObject({ shortTerm: null, integrated: null, target: null, normalizationDb: 0 });
+
+    engine.loudnessAnalysers.pre.getValue = steady(0.1);
+    engine.loudnessAnalysers.post.getValue = steady(0.1);
+    vi.advanceTimersByTime(3000);
+    const { shortTerm, integrated } = engine.getLoudness();
+    expect(shortTerm).toBeCloseTo(-0.691 + 10 * Math.log10(0.02), 5);
+    expect(integrated).toBeCloseTo(shortTerm, 1);
+    expect(engine.effects.loudnessGain.gain.ramps).toEqual([]);
+    engine.dispose();
+  });
+
+  it('pulls a quiet master up toward the target by at most the bounded amount', () => {
+    vi.useFakeTimers();
+    const engine = bootEngine();
+    engine.loudnessAnalysers.pre.getValue = steady(0.01); // ≈ -37.7 LUFS
+    engine.setLoudnessTarget(-18);
+
+    // Nothing moves until the meter holds a full measuring window
+    vi.advanceTimersByTime(19_900);
+    expect(engine.getLoudness().normalizationDb).toBe(0);
+    expect(engine.effects.loudnessGain.gain.ramps).toEqual([]);
+    vi.advanceTimersByTime(200);
+
+    expect(engine.getLoudness().normalizationDb).toBe(12);
+    const [gain, seconds] = engine.effects.loudnessGain.gain.ramps.at(-1);
+    expect(gain).toBeCloseTo(10 ** (12 / 20), 5);
+    expect(seconds).toBe(10);
+
+    engine.setLoudnessTarget(null);
+    expect(engine.effects.loudnessGain.gain.ramps.at(-1)).toEqual([1, 10]);
+    expect(engine.getLoudness()).toMatchObject({ target: null, normalizationDb: 0 });
+    engine.dispose();
+  });
+});
+
+describe('engine meters', () => {
+  it('reports every voice and bus, unmetered where no analyser reads', () => {
+    const engine = bootEngine();
+    const levels = engine.getMeterLevels();
+
+    expect(Object.keys(levels.voices)).toHaveLength(9);
+    expect(Object.keys(levels.buses)).toEqual(['sub', 'percussionReturn', 'masterPre', 'masterPost']);
+    expect(levels.buses.masterPost).toEqual({ peak: null, rms: null });
+    expect(levels.gainReduction).toBe(0);
+    engine.dispose();
+  });
+
+  it('reads peak and RMS from the bus analysers', () => {
+    const engine = bootEngine();
+    engine.busMeters.masterPre.getValue = () => Float32Array.of(1, -1, 1, -1);
+    engine.busMeters.masterPost.getValue = () => Float32Array.of(0.5, -0.5, 0.5, -0.5);
+
+    const { buses, gainReduction } = engine.getMeterLevels();
+    expect(buses.masterPre.peak).toBeCloseTo(0, 6);
+    expect(gainReduction).toBeCloseTo(6.02, 2);
+    engine.dispose();
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Explain a mapping — which inputs moved which musical params.
+ *
+ * Turns one mapWeatherToMusic() call into rows, one per input (temperature,
+ * humidity, wind…), each listing the params it feeds with their values as
+ * they'll play. Curve-driven links come from the mapping profile, so an
+ * edited profile explains itself; the fixed-logic links (key, palettes,
+ * modifiers) are listed here beside the mapper code they describe.
+ */
+
+import { describeWeatherCode } from '../weather/codes.js';
+
+/** Curves whose output lands in a param of a different name (the rest share their param's name) */
+const CURVE_OUTPUTS = {
+  humidityBrightness: ['padBrightness'],
+  windPadSpread: ['padSpread'],
+  velocity: ['globalVelocityScale'],
+  seasonalVelocity: ['globalVelocityScale'],
+  cloudDimming: ['padBrightness', 'masterFilterCutoff'],
+  melodyPanRange: ['melodyPan'],
+  tideBassSwell: ['bassVolume'],
+  uvShimmer: ['padSpread'],
+};
+
+/** Normalized curve input → the row that explains it */
+const INPUT_ROWS = {
+  humidity: 'humidity',
+  pressure: 'pressure',
+  lowPressure: 'pressure',
+  wind: 'wind',
+  daylight: 'timeOfDay',
+  moon: 'moon',
+  season: 'season',
+  cloud: 'cloud',
+  tide: 'tide',
+  uv: 'uv',
+};
+
+/** Params each row drives outside the profile's curves */
+const FIXED_LINKS = {
+  temperature: ['rootNote', 'scaleType', 'bpm', 'timbreProfile'],
+  wind: ['arpeggioPattern', 'percussionPan', 'arpeggioPan'],
+  conditions: [
+    'padVolume', 'padSpread', 'textureVolume', 'noiseType', 'textureFilterCutoff', 'percussionVolume',
+    'percussionPattern', 'arpeggioRhythmPattern', 'melodyMood', 'melodyVolume', 'droneCutoff',
+    'subBassGain', 'percussionReverbWet', 'delayFeedback', 'timbreProfile',
+  ],
+  season: ['seasonalPalette', 'padBrightness', 'masterFilterCutoff', 'textureFilterCutoff', 'reverbDecay', 'reverbWet', 'chorusDepth'],
+  aqi: ['masterFilterCutoff', 'reverbWet', 'reverbDecay'],
+  pm25: ['pm25GrainIntensity'],
+  goldenHour: ['chorusDepth', 'padBrightness', 'masterFilterCutoff'],
+  biome: ['reverbWet', 'masterFilterCutoff', 'padSpread'],
+  pressureTrend: ['masterFilterCutoff'],
+};
+
+/** Row order and labels */
+const ROWS = [
+  ['temperature', 'temperature'],
+  ['humidity', 'humidity'],
+  ['pressure', 'pressure'],
+  ['wind', 'wind'],
+  ['uv', 'UV'],
+  ['conditions', 'conditions'],
+  ['timeOfDay', 'time of day'],
+  ['moon', 'moon'],
+  ['season', 'season'],
+  ['cloud', 'cloud'],
+  ['aqi', 'AQI'],
+  ['pm25', 'PM2.5'],
+  ['tide', 'tide'],
+  ['goldenHour', 'golden hour'],
+  ['biome', 'biome'],
+  ['pressureTrend', 'pressure trend'],
+  ['style', 'style'],
+];
+
+/** "masterFilterCutoff" → "master filter cutoff" */
+export function paramLabel(param) {
+  return param.replace(/([A-Z])/g, ' $1').toLowerCase();
+}
+
+/**
+ * A param's value as the mix hears it: "4.2s", "-18.0dB", "2400Hz", "72 BPM".
+ * @param {string} param
+ * @param {*} value
+ */
+export function formatParam(param, value) {
+  if (value === null || value === undefined || value === '') return 'off';
+  if (typeof value !== 'number') return String(value);
+  if (param === 'bpm') return `${Math.round(value)} BPM`;
+  if (param === 'padSpread') return `${Math.round(value)}¢`;
+  if (param === 'reverbDecay') return `${value.toFixed(1)}s`;
+  if (param.endsWith('Volume')) return `${value.toFixed(1)}dB`;
+  if (param.endsWith('Cutoff')) return `${Math.round(value)}Hz`;
+  if (param.endsWith('Rate')) return `${value.toFixed(3)}Hz`;
+  if (param === 'globalVelocityScale') return `${value.toFixed(2)}×`;
+  return value.toFixed(2);
+}
+
+/** Curve name → the rows whose inputs it reads */
+function curveRows(curve) {
+  const inputs = typeof curve.input === 'string'
+    ? [curve.input]
+    : Object.entries(curve.input).filter(([, weight]) => weight !== 0).map(([input]) => input);
+  return [...new Set(inputs.map((input) => INPUT_ROWS[input]).filter(Boolean))];
+}
+
+/**
+ * Which params each row moves under a profile: its curves' outputs, then
+ * the fixed links.
+ * @param {object} profile - Resolved mapping profile
+ * @returns {Record<string, string[]>}
+ */
+export function mappingLinks(profile) {
+  const links = Object.fromEntries(ROWS.map(([id]) => [id, []]));
+  for (const [name, curve] of Object.entries(profile.curves)) {
+    for (const row of curveRows(curve)) links[row].push(...(CURVE_OUTPUTS[name] ?? [name]));
+  }
+  for (const [row, params] of Object.entries(FIXED_LINKS)) links[row].push(...params);
+  for (const row of Object.keys(links)) links[row] = [...new Set(links[row])];
+  return links;
+}
+
+/**
+ * Explain one mapping.
+ * @param {import('../weather/fetcher.js').WeatherState} weather - As the mapper saw it (locks applied)
+ * @param {object} params - MusicalParams as played (output locks applied)
+ * @param {object} options - The mapper options it ran with (tideLevel, aqiLevel, pm25, pressureTrend)
+ * @param {object} options.profile - Resolved mapping profile
+ * @param {import('./styles.js').Style} [options.style] - Style the mapper applied
+ * @returns {{ id: string, label: string, value: string, level: number|null, effects: { param: string, text: string }[] }[]}
+ *   One row per input; `level` is a number to chart over time, or null for labels
+ */
+export function explainMapping(weather, params, options) {
+  const meta = params._meta;
+  const links = mappingLinks(options.profile);
+  const trend = options.pressureTrend ?? 0;
+  // A style's fixed params answer to the style alone; its scaling and tempo shape the rest
+  const style = options.style ?? null;
+  const fixedByStyle = new Set(Object.keys(style?.set ?? {}));
+  if (style) {
+    links.style = [...fixedByStyle, ...Object.keys(style.scale), ...(Object.keys(style.tempo).length ? ['bpm'] : [])];
+  }
+  const optional = (value, text) => (value != null ? { value: text(value), level: value } : { value: 'n/a', level: null });
+  const inputs = {
+    temperature: { value: `${weather.temperature.toFixed(1)}°C`, level: weather.temperature },
+    humidity: { value: `${Math.round(weather.humidity)}%`, level: weather.humidity },
+    pressure: { value: `${weather.pressure.toFixed(0)} hPa`, level: weather.pressure },
+    wind: { value: `${weather.windSpeed.toFixed(1)} km/h @ ${Math.round(weather.windDirection)}°`, level: weather.windSpeed },
+    uv: { value: (weather.uvIndex ?? 0).toFixed(1), level: weather.uvIndex ?? 0 },
+    conditions: { value: describeWeatherCode(weather.weatherCode).toLowerCase(), level: null },
+    timeOfDay: { value: meta.timeOfDay, level: meta.inputs?.daylight ?? null },
+    moon: { value: `${Math.round(meta.moonFullness * 100)}% full`, level: meta.moonFullness },
+    season: { value: `${meta.seasonName} (${meta.seasonalFactor.toFixed(2)})`, level: meta.seasonalFactor },
+    cloud: { value: `${Math.round(weather.cloudCover ?? 0)}%`, level: weather.cloudCover ?? 0 },
+    aqi: optional(options.aqiLevel, (aqi) => String(aqi)),
+    pm25: optional(options.pm25, (pm25) => `${pm25.toFixed(1)} μg/m³`),
+    tide: optional(options.tideLevel, (tide) => `${tide.toFixed(1)} ft`),
+    goldenHour: { value: `${Math.round(meta.filterWarmth * 100)}%`, level: meta.filterWarmth },
+    biome: { value: meta.biome, level: null },
+    pressureTrend: { value: trend < 0 ? 'falling' : trend > 0 ? 'rising' : 'steady', level: trend },
+    style: { value: style?.label ?? 'n/a', level: null },
+  };
+  // Inputs that are missing, or below where they start to count
+  const idle = {
+    aqi: !(meta.aqiNorm > 0),
+    pm25: !(params.pm25GrainIntensity > 0),
+    tide: options.tideLevel == null,
+    goldenHour: !(meta.filterWarmth > 0),
+    pressureTrend: trend >= 0, // Rising pressure brightens a value the mix no longer reads
+  };
+
+  return ROWS.map(([id, label]) => {
+    const effects = idle[id] ? [] : links[id]
+      .filter((param) => param in params && (id === 'style' || !fixedByStyle.has(param)))
+      .map((param) => ({ param, text: `${paramLabel(param)} ${formatParam(param, params[param])}` }));
+    return { id, label, ...inputs[id], effects };
+  });
+}
@@ -0,0 +1,98 @@
+import { describe, expect, it } from 'vitest';
+import { createFixedClock } from '../clock.js';
+import { explainMapping, formatParam, mappingLinks } from './explain.js';
+import { mapWeatherToMusic } from './mapper.js';
+import { DEFAULT_PROFILE, resolveProfile } from './profile.js';
+import { getStyle } from './styles.js';
+
+const clock = createFixedClock(new Date('2025-06-21T14:00:00Z'));
+
+function makeWeather(overrides = {}) {
+  return {
+    temperature: 18,
+    apparentTemperature: 18,
+    humidity: 60,
+    pressure: 1013,
+    windSpeed: 15,
+    windDirection: 180,
+    weatherCode: 0,
+    cloudCover: 0,
+    sunrise: new Date('2025-06-21T05:00:00Z'),
+    sunset: new Date('2025-06-21T21:00:00Z'),
+    uvIndex: 3,
+    ...overrides,
+  };
+}
+
+function explain(weather, extra = {}) {
+  const options = { clock, profile: DEFAULT_PROFILE, ...extra };
+  return explainMapping(weather, mapWeatherToMusic(weather, options), options);
+}
+
+function row(rows, id) {
+  return rows.find((entry) => entry.id === id);
+}
+
+describe('formatParam', () => {
+  it('gives each kind of param its unit', () => {
+    expect(formatParam('reverbDecay', 4.25)).toBe('4.3s');
+    expect(formatParam('bassVolume', -18)).toBe('-18.0dB');
+    expect(formatParam('masterFilterCutoff', 2399.6)).toBe('2400Hz');
+    expect(formatParam('bpm', 71.6)).toBe('72 BPM');
+    expect(formatParam('padSpread', 17.2)).toBe('17¢');
+    expect(formatParam('rootNote', 'D')).toBe('D');
+    expect(formatParam('noiseType', null)).toBe('off');
+  });
+});
+
+describe('mappingLinks', () => {
+  it('follows the profile curves, including blended inputs', () => {
+    const links = mappingLinks(DEFAULT_PROFILE);
+    expect(links.humidity).toEqual(expect.arrayContaining(['reverbDecay', 'reverbWet', 'padBrightness', 'chorusDepth', 'choirVolume']));
+    expect(links.moon).toEqual(expect.arrayContaining(['lfoRate', 'melodyPan', 'chorusDepth']));
+    expect(links.temperature).toEqual(['rootNote', 'scaleType', 'bpm', 'timbreProfile']);
+  });
+
+  it('moves a param to the row of the input a custom profile reads', () => {
+    const profile = resolveProfile({ curves: { reverbDecay: { input: 'wind' } } });
+    const links = mappingLinks(profile);
+    expect(links.wind).toContain('reverbDecay');
+    expect(links.humidity).not.toContain('reverbDecay');
+  });
+});
+
+describe('explainMapping', () => {
+  it('lists each input with its value and the params it moved', () => {
+    const rows = explain(makeWeather());
+    const humidity = row(rows, 'humidity');
+    expect(humidity.value).toBe('60%');
+    expect(humidity.level).toBe(60);
+    expect(humidity.effects.map((effect) => effect.text)).toContain(
+      `reverb decay ${formatParam('reverbDecay', mapWeatherToMusic(makeWeather(), { clock }).reverbDecay)}`,
+    );
+    expect(row(rows, 'conditions')).toMatchObject({ value: 'clear', level: null });
+  });
+
+  it('shows absent or idle context as having no effect', () => {
+    const rows = explain(makeWeather(), { pressureTrend: 0.5 });
+    expect(row(rows, 'tide')).toMatchObject({ value: 'n/a', effects: [] });
+    expect(row(rows, 'aqi')).toMatchObject({ value: 'n/a', effects: [] });
+    expect(row(rows, 'pressureTrend')).toMatchObject({ value: 'rising', effects: [] });
+  });
+
+  it('credits optional context once it counts', () => {
+    const rows = explain(makeWeather({ weatherCode: 61 }), { tideLevel: 4, aqiLevel: 150, pressureTrend: -1 });
+    expect(row(rows, 'conditions').value).toBe('light rain');
+    expect(row(rows, 'tide').effects.map((effect) => effect.param)).toEqual(['bassVolume']);
+    expect(row(rows, 'aqi').effects.map((effect) => effect.param)).toContain('reverbWet');
+    expect(row(rows, 'pressureTrend')).toMatchObject({ value: 'falling', level: -1 });
+    expect(row(rows, 'pressureTrend').effects.map((effect) => effect.param)).toEqual(['masterFilterCutoff']);
+  });
+
+  it('credits params a style fixes to the style, not the weather', () => {
+    const rows = explain(makeWeather(), { style: getStyle('lofi') });
+    expect(row(rows, 'style').value).toBe('lo-fi beat');
+    expect(row(rows, 'style').effects.map((effect) => effect.param)).toEqual(expect.arrayContaining(['percussionPattern', 'bpm']));
+    expect(row(rows, 'conditions').effects.map((effect) => effect.param)).not.toContain('percussionPattern');
+  });
+});
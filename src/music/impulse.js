@@ -0,0 +1,167 @@
+/**
+ * Biome spaces — a synthetic impulse response per terrain type.
+ *
+ * The mapping profile's biome timbres only nudge reverb wetness and the
+ * master filter; a forest, a canyon, a street and open water differ in how
+ * sound comes back. Each biome here is a handful of physical traits — early
+ * reflections (time, level, side), the density of the diffuse tail, its
+ * length, and how fast its highs are absorbed — and the impulse response is
+ * computed from them in JS, so no sample files ship. The engine plays it in
+ * a convolution stage beside the reverb and crossfades when the biome changes.
+ */
+
+import { mulberry32 } from './random.js';
+
+/** Seconds the engine takes to crossfade from one biome's space to the next */
+export const BIOME_FADE_SECONDS = 6;
+
+/**
+ * @typedef {object} BiomeSpace
+ * @property {number} predelay - Seconds before anything comes back
+ * @property {[number, number, number][]} reflections - Early reflections as
+ *   [seconds after the predelay, level 0–1, side -1 (left) … 1 (right)]
+ * @property {number} density - Diffuse echoes per second in the tail
+ * @property {number} decay - Seconds for the tail to fall 60 dB
+ * @property {number} damping - 0 keeps the tail bright; 1 absorbs its highs almost at once
+ * @property {number} seed - Fixes the tail's random scatter, so a biome always sounds the same
+ */
+
+/** @type {Record<import('../weather/biome.js').BiomeType, BiomeSpace>} */
+export const BIOME_SPACES = {
+  // Open water: few surfaces — one bright bounce off the water, then a long, thin wash
+  coastal: {
+    predelay: 0.02,
+    reflections: [[0.045, 0.5, -0.3], [0.19, 0.35, 0.4]],
+    density: 1500,
+    decay: 2.6,
+    damping: 0.25,
+    seed: 1,
+  },
+  // Sand and open sky: almost nothing returns
+  desert: {
+    predelay: 0.01,
+    reflections: [[0.03, 0.25, 0.2]],
+    density: 600,
+    decay: 0.9,
+    damping: 0.5,
+    seed: 2,
+  },
+  // Trunks scatter sound into a dense, dark cloud of close reflections
+  forest: {
+    predelay: 0.008,
+    reflections: [[0.012, 0.3, -0.5], [0.019, 0.28, 0.5], [0.027, 0.25, -0.2], [0.036, 0.22, 0.3], [0.048, 0.2, -0.6], [0.061, 0.18, 0.6]],
+    density: 6000,
+    decay: 2,
+    damping: 0.75,
+    seed: 3,
+  },
+  // Canyon walls: distinct slap-back echoes trading sides as they roll away
+  mountain: {
+    predelay: 0.03,
+    reflections: [[0.14, 0.6, -0.7], [0.31, 0.45, 0.7], [0.52, 0.32, -0.5], [0.78, 0.22, 0.5]],
+    density: 1200,
+    decay: 4.2,
+    damping: 0.35,
+    seed: 4,
+  },
+  // Street canyon: hard facades either side — a tight, bright flutter
+  urban: {
+    predelay: 0.005,
+    reflections: [[0.009, 0.55, -0.8], [0.018, 0.5, 0.8], [0.027, 0.42, -0.8], [0.036, 0.36, 0.8], [0.045, 0.3, -0.8]],
+    density: 4000,
+    decay: 1.5,
+    damping: 0.15,
+    seed: 5,
+  },
+  // Open field: the ground and little else
+  grassland: {
+    predelay: 0.015,
+    reflections: [[0.025, 0.3, 0]],
+    density: 1000,
+    decay: 1.3,
+    damping: 0.45,
+    seed: 6,
+  },
+  // Ice and cold, still air: sparse but crisp, carrying far
+  arctic: {
+    predelay: 0.02,
+    reflections: [[0.06, 0.35, -0.4], [0.12, 0.25, 0.4]],
+    density: 900,
+    decay: 3,
+    damping: 0.2,
+    seed: 7,
+  },
+  // Reeds over water: a soft bounce under a damp, muted tail
+  wetland: {
+    predelay: 0.012,
+    reflections: [[0.035, 0.4, 0.3], [0.08, 0.25, -0.3]],
+    density: 2500,
+    decay: 2.2,
+    damping: 0.6,
+    seed: 8,
+  },
+  // Canopy: the densest scatter, heavy with humid absorption
+  tropical: {
+    predelay: 0.006,
+    reflections: [[0.01, 0.3, 0.4], [0.017, 0.28, -0.4], [0.025, 0.25, 0.2], [0.034, 0.22, -0.2]],
+    density: 7000,
+    decay: 2.4,
+    damping: 0.7,
+    seed: 9,
+  },
+};
+
+/**
+ * Compute a stereo impulse response.
+ * @param {BiomeSpace} space
+ * @param {number} sampleRate
+ * @returns {[Float32Array, Float32Array]} Left and right channels
+ */
+export function generateImpulseResponse(space, sampleRate) {
+  const start = Math.round(space.predelay * sampleRate);
+  const length = start + Math.ceil(space.decay * sampleRate);
+  const random = mulberry32(space.seed);
+  // Per-sample decay that reaches -60 dB at `decay` seconds
+  const decayPerSample = Math.log(1000) / (space.decay * sampleRate);
+  const echoChance = Math.min(1, space.density / sampleRate);
+
+  const channels = [new Float32Array(length), new Float32Array(length)];
+  channels.forEach((data) => {
+    // Diffuse tail: sparse echoes of random sign under an exponential decay,
+    // through a lowpass that closes as the tail ages (air and foliage eat the highs)
+    let lowpassed = 0;
+    for (let i = start; i < length; i++) {
+      const age = (i - start) / (length - start);
+      const echo = random() < echoChance ? (random() * 2 - 1) * Math.exp(-(i - start) * decayPerSample) : 0;
+      lowpassed += (1 - space.damping * 0.95 * age) * (echo - lowpassed);
+      data[i] = lowpassed;
+    }
+  });
+
+  // Early reflections, panned with an equal-power law
+  for (const [seconds, level, side] of space.reflections) {
+    const index = start + Math.round(seconds * sampleRate);
+    if (index >= length) continue;
+    const angle = ((side + 1) * Math.PI) / 4;
+    channels[0][index] += level * Math.cos(angle);
+    channels[1][index] += level * Math.sin(angle);
+  }
+  return channels;
+}
+
+// Cache: `"biome@sampleRate"` → channels (a biome's space never changes)
+const responseCache = new Map();
+
+/**
+ * The impulse response for a biome, computed once per sample rate. Unknown
+ * biomes get the grassland's open field.
+ * @param {string} biome
+ * @param {number} sampleRate
+ * @returns {[Float32Array, Float32Array]}
+ */
+export function biomeImpulseResponse(biome, sampleRate) {
+  const name = biome in BIOME_SPACES ? biome : 'grassland';
+  const key = `${name}@${sampleRate}`;
+  if (!responseCache.has(key)) responseCache.set(key, generateImpulseResponse(BIOME_SPACES[name], sampleRate));
+  return responseCache.get(key);
+}
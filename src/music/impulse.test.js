@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import { BIOME_TYPES } from '../weather/biome.js';
+import { BIOME_SPACES, biomeImpulseResponse, generateImpulseResponse } from './impulse.js';
+
+const RATE = 8000;
+
+function energy(samples, from = 0, to = samples.length) {
+  let sum = 0;
+  for (let i = from; i < to; i++) sum += samples[i] * samples[i];
+  return sum;
+}
+
+describe('BIOME_SPACES', () => {
+  it('describes a space for every biome', () => {
+    expect(Object.keys(BIOME_SPACES).sort()).toEqual([...BIOME_TYPES].sort());
+  });
+});
+
+describe('generateImpulseResponse', () => {
+  it('is silent through the predelay, then lasts the decay', () => {
+    const space = BIOME_SPACES.mountain;
+    const [left, right] = generateImpulseResponse(space, RATE);
+    const start = Math.round(space.predelay * RATE);
+    expect(left.length).toBe(start + Math.ceil(space.decay * RATE));
+    expect(right.length).toBe(left.length);
+    expect(energy(left, 0, start) + energy(right, 0, start)).toBe(0);
+  });
+
+  it('places each early reflection on its side', () => {
+    const space = { predelay: 0, reflections: [[0.1, 1, -1], [0.2, 1, 1]], density: 0, decay: 0.5, damping: 0, seed: 1 };
+    const [left, right] = generateImpulseResponse(space, RATE);
+    expect(left[800]).toBeCloseTo(1);
+    expect(right[800]).toBeCloseTo(0);
+    expect(right[1600]).toBeCloseTo(1);
+    expect(left[1600]).toBeCloseTo(0);
+  });
+
+  it('decays the diffuse tail', () => {
+    const space = { ...BIOME_SPACES.forest, reflections: [] };
+    const [left] = generateImpulseResponse(space, RATE);
+    const quarter = Math.floor(left.length / 4);
+    expect(energy(left, 0, quarter)).toBeGreaterThan(energy(left, 3 * quarter) * 100);
+  });
+
+  it('is the same for the same space', () => {
+    const [a] = generateImpulseResponse(BIOME_SPACES.urban, RATE);
+    const [b] = generateImpulseResponse(BIOME_SPACES.urban, RATE);
+    expect(a).toEqual(b);
+  });
+});
+
+describe('biomeImpulseResponse', () => {
+  it('computes each biome once and plays unknown biomes as grassland', () => {
+    expect(biomeImpulseResponse('urban', RATE)).toBe(biomeImpulseResponse('urban', RATE));
+    expect(biomeImpulseResponse('moon', RATE)).toBe(biomeImpulseResponse('grassland', RATE));
+  });
+});
@@ -4,6 +4,9 @@
  * Sits between the mapper and the engine. When new musical parameters arrive,
  * it determines which are continuous (ramp smoothly) vs discrete (snap at
  * appropriate moments), and tells the engine to transition accordingly.
+ *
+ * Discrete params can be locked to a value (see locks.js): the locked value
+ * replaces whatever the weather maps to until the lock is released.
  */
 
 // Ramp durations in seconds for continuous parameters
@@ -29,6 +32,7 @@ const RAMP_DURATIONS = {
   reverbWet: 15,
   reverbDecay: 20,
   chorusDepth: 20,
+  effectSends: 15,
 
   // Modulation (medium-slow)
   lfoRate: 25,
@@ -95,66 +99,131 @@ const DISCRETE_PARAMS = new Set([
   'seasonalPalette',
 ]);
 
+/** Discrete params that output locks may hold */
+export const LOCKABLE_PARAMS = [...DISCRETE_PARAMS];
+
 // These are metadata, not engine params
 const META_PARAMS = new Set(['_meta', 'isRaining', 'rainIntensity']);
 
+function pickLockable(outputLocks) {
+  return Object.fromEntries(Object.entries(outputLocks).filter(([key]) => DISCRETE_PARAMS.has(key)));
+}
+
+/**
+ * The effect sends that moved, per voice and effect. The mapper builds the
+ * sends afresh on every call, so the object itself never compares equal.
+ * @returns {import('./sends.js').EffectSends|null} null when none did
+ */
+function changedSends(previous = {}, next = {}) {
+  let changed = null;
+  for (const [voice, levels] of Object.entries(next)) {
+    for (const [effect, level] of Object.entries(levels)) {
+      if (previous[voice]?.[effect] === level) continue;
+      changed ??= {};
+      changed[voice] ??= {};
+      changed[voice][effect] = level;
+    }
+  }
+  return changed;
+}
+
 /**
  * Create an interpolator instance.
  * @param {object} engine - The sound engine
- * @returns {{ update: Function }}
+ * @param {object} [options]
+ * @param {Record<string, *>} [options.outputLocks] - Locked discrete param values
+ * @param {(key: string, value: *) => void} [options.onDiscreteChange] - Called as each discrete change is scheduled
+ * @returns {{ update: Function, setOutputLocks: Function }}
  */
-export function createInterpolator(engine) {
+export function createInterpolator(engine, { outputLocks = {}, onDiscreteChange = null } = {}) {
   let currentParams = null;
+  let latestParams = null; // Last mapper output, before locks
   let isFirstUpdate = true;
+  let locks = pickLockable(outputLocks);
+
+  function withLocks(params) {
+    const locked = { ...params };
+    for (const [key, value] of Object.entries(locks)) {
+      if (key in locked) locked[key] = value;
+    }
+    return locked;
+  }
+
+  /** Ramp/schedule everything that differs from the current state */
+  function transition(newParams) {
+    // Process each parameter
+    for (const [key, newValue] of Object.entries(newParams)) {
+      // Skip metadata
+      if (META_PARAMS.has(key)) continue;
+
+      // Skip if unchanged; of the sends, ramp only the ones that moved
+      let value = newValue;
+      if (key === 'effectSends') {
+        value = changedSends(currentParams.effectSends, newValue);
+        if (value === null) continue;
+      } else if (currentParams[key] === value) {
+        continue;
+      }
+
+      if (DISCRETE_PARAMS.has(key)) {
+        // Discrete change — schedule at next musical boundary
+        engine.scheduleDiscreteChange(key, value);
+        onDiscreteChange?.(key, value);
+      } else if (key in RAMP_DURATIONS) {
+        // Continuous change — ramp smoothly
+        engine.rampParam(key, value, RAMP_DURATIONS[key]);
+      } else {
+        // Unknown param — warn in dev so gaps surface quickly, then attempt ramp
+        console.warn(`[interpolator] unknown param "${key}" — add it to RAMP_DURATIONS or DISCRETE_PARAMS`);
+        engine.rampParam(key, value, 10);
+      }
+    }
+
+    // Handle rain state changes
+    if (newParams.isRaining !== currentParams.isRaining ||
+        newParams.rainIntensity !== currentParams.rainIntensity) {
+      engine.voices.texture.setRain(newParams.isRaining, newParams.rainIntensity);
+    }
+
+    currentParams = { ...newParams };
+  }
 
   return {
     /**
      * Process new musical parameters. On first call, applies immediately.
      * On subsequent calls, ramps continuous params and schedules discrete changes.
      * @param {object} newParams
+     * @returns {object} The params actually applied (locked values substituted)
      */
     update(newParams) {
+      latestParams = newParams;
+      const params = withLocks(newParams);
+
       if (isFirstUpdate) {
         // First update: apply everything immediately via the engine
-        engine.applyParams(newParams);
-        currentParams = { ...newParams };
+        engine.applyParams(params);
+        currentParams = { ...params };
         isFirstUpdate = false;
 
         // Handle rain on first update too
-        if (newParams.isRaining) {
-          engine.voices.texture.setRain(true, newParams.rainIntensity);
-        }
-        return;
-      }
-
-      // Process each parameter
-      for (const [key, value] of Object.entries(newParams)) {
-        // Skip metadata
-        if (META_PARAMS.has(key)) continue;
-
-        // Skip if unchanged
-        if (currentParams[key] === value) continue;
-
-        if (DISCRETE_PARAMS.has(key)) {
-          // Discrete change — schedule at next musical boundary
-          engine.scheduleDiscreteChange(key, value);
-        } else if (key in RAMP_DURATIONS) {
-          // Continuous change — ramp smoothly
-          engine.rampParam(key, value, RAMP_DURATIONS[key]);
-        } else {
-          // Unknown param — warn in dev so gaps surface quickly, then attempt ramp
-          console.warn(`[interpolator] unknown param "${key}" — add it to RAMP_DURATIONS or DISCRETE_PARAMS`);
-          engine.rampParam(key, value, 10);
+        if (params.isRaining) {
+          engine.voices.texture.setRain(true, params.rainIntensity);
         }
+        return params;
       }
 
-      // Handle rain state changes
-      if (newParams.isRaining !== currentParams.isRaining ||
-          newParams.rainIntensity !== currentParams.rainIntensity) {
-        engine.voices.texture.setRain(newParams.isRaining, newParams.rainIntensity);
-      }
+      transition(params);
+      return params;
+    },
 
-      currentParams = { ...newParams };
+    /**
+     * Replace the output locks. Newly locked values are scheduled right away;
+     * released params return to what the weather last mapped to.
+     * @param {Record<string, *>} outputLocks - Discrete param → held value
+     */
+    setOutputLocks(outputLocks) {
+      locks = pickLockable(outputLocks);
+      if (!isFirstUpdate && latestParams) transition(withLocks(latestParams));
     },
 
     /** Get the current parameter state */
@@ -169,6 +238,7 @@ export function createInterpolator(engine) {
      */
     reset() {
       currentParams = null;
+      latestParams = null;
       isFirstUpdate = true;
     },
   };
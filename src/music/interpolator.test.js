@@ -0,0 +1,74 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createInterpolator } from './interpolator.js';
+
+function createEngine() {
+  return {
+    applyParams: vi.fn(),
+    scheduleDiscreteChange: vi.fn(),
+    rampParam: vi.fn(),
+    voices: { texture: { setRain: vi.fn() } },
+  };
+}
+
+const params = (overrides = {}) => ({ rootNote: 'D', scaleType: 'dorian', bpm: 70, isRaining: false, ...overrides });
+
+describe('interpolator output locks', () => {
+  it('applies locked values from the first update and ignores weather changes to them', () => {
+    const engine = createEngine();
+    const interpolator = createInterpolator(engine, { outputLocks: { rootNote: 'A' } });
+
+    expect(interpolator.update(params())).toMatchObject({ rootNote: 'A', scaleType: 'dorian' });
+    expect(engine.applyParams).toHaveBeenCalledWith(expect.objectContaining({ rootNote: 'A' }));
+
+    interpolator.update(params({ rootNote: 'F', scaleType: 'lydian' }));
+    expect(engine.scheduleDiscreteChange).toHaveBeenCalledTimes(1);
+    expect(engine.scheduleDiscreteChange).toHaveBeenCalledWith('scaleType', 'lydian');
+  });
+
+  it('schedules a new lock at once and returns to the weather on release', () => {
+    const engine = createEngine();
+    const interpolator = createInterpolator(engine);
+    interpolator.update(params());
+
+    interpolator.setOutputLocks({ scaleType: 'phrygian', bpm: 120 });
+    expect(engine.scheduleDiscreteChange).toHaveBeenLastCalledWith('scaleType', 'phrygian');
+    expect(engine.rampParam).not.toHaveBeenCalled(); // Continuous params can't be locked
+
+    interpolator.setOutputLocks({});
+    expect(engine.scheduleDiscreteChange).toHaveBeenLastCalledWith('scaleType', 'dorian');
+  });
+});
+
+describe('interpolator discrete change callback', () => {
+  it('reports each scheduled discrete change, including lock changes', () => {
+    const onDiscreteChange = vi.fn();
+    const interpolator = createInterpolator(createEngine(), { onDiscreteChange });
+    interpolator.update(params());
+    expect(onDiscreteChange).not.toHaveBeenCalled(); // The first update applies, it doesn't schedule
+
+    interpolator.update(params({ scaleType: 'lydian', bpm: 72 }));
+    expect(onDiscreteChange.mock.calls).toEqual([['scaleType', 'lydian']]);
+
+    interpolator.setOutputLocks({ rootNote: 'A' });
+    expect(onDiscreteChange).toHaveBeenLastCalledWith('rootNote', 'A');
+  });
+});
+
+describe('interpolator effect sends', () => {
+  const sends = (choirReverb) => ({
+    choir: { chorus: 0.5, delay: 0.2, reverb: choirReverb },
+    bass: { chorus: 0, delay: 0, reverb: 0.1 },
+  });
+
+  it('makes no ramps for an identical update, and ramps only the sends that moved', () => {
+    const engine = createEngine();
+    const interpolator = createInterpolator(engine);
+    interpolator.update(params({ effectSends: sends(0.7) }));
+
+    interpolator.update(params({ effectSends: sends(0.7) }));
+    expect(engine.rampParam).not.toHaveBeenCalled();
+
+    interpolator.update(params({ effectSends: sends(1) }));
+    expect(engine.rampParam.mock.calls).toEqual([['effectSends', { choir: { reverb: 1 } }, 15]]);
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Weather locks — pin parts of the music while the rest follows the weather.
+ *
+ * Input locks override what mapWeatherToMusic() sees: a WeatherState field
+ * ("always raining"), the tide/AQI/biome/pressure-trend context, or the time
+ * of day ("always golden hour"). Output locks hold discrete musical params
+ * (key, scale, patterns…) in the interpolator. Input and output keys never
+ * overlap, so both live in one map and serialize to one compact string for
+ * localStorage and share links: "weatherCode:63,timeOfDay:golden-hour,rootNote:D".
+ */
+
+import { BIOME_TYPES } from '../weather/biome.js';
+import { SIMULATOR_FIELDS, SIMULATOR_PICKERS } from '../weather/simulator.js';
+import { createFixedClock } from '../clock.js';
+import { LOCKABLE_PARAMS } from './interpolator.js';
+
+const DAY_MS = 86400000;
+const MINUTE_MS = 60000;
+
+/**
+ * Moments a time-of-day lock can hold, placed against the day's real
+ * sunrise and sunset so "noon" is solar noon wherever you are.
+ * @type {Record<string, (sunriseMs: number, sunsetMs: number) => number>}
+ */
+export const TIME_OF_DAY_LOCKS = {
+  dawn: (rise) => rise + 10 * MINUTE_MS,
+  morning: (rise, set) => rise + (set - rise) * 0.25,
+  noon: (rise, set) => (rise + set) / 2,
+  afternoon: (rise, set) => rise + (set - rise) * 0.75,
+  'golden-hour': (rise, set) => set - 15 * MINUTE_MS,
+  night: (rise, set) => set + (DAY_MS - (set - rise)) / 2,
+};
+
+/** Numeric inputs, with the ranges the simulator offers */
+const NUMERIC_INPUTS = new Map(SIMULATOR_FIELDS.map((field) => [field.key, field]));
+
+/** Lockable inputs to mapWeatherToMusic(), in panel order */
+export const INPUT_LOCK_KEYS = [
+  'timeOfDay',
+  ...SIMULATOR_PICKERS.map((picker) => picker.key),
+  ...SIMULATOR_FIELDS.map((field) => field.key),
+];
+
+/** Lockable discrete outputs held by the interpolator */
+export const OUTPUT_LOCK_KEYS = LOCKABLE_PARAMS;
+
+const INPUT_KEYS = new Set(INPUT_LOCK_KEYS);
+const OUTPUT_KEYS = new Set(OUTPUT_LOCK_KEYS);
+
+/**
+ * Coerce a lock value to its key's type, or null if it isn't valid there.
+ * @param {string} key
+ * @param {*} value
+ */
+export function normalizeLockValue(key, value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (key === 'timeOfDay') return value in TIME_OF_DAY_LOCKS ? value : null;
+  if (key === 'biome') return BIOME_TYPES.includes(value) ? value : null;
+  if (key === 'weatherCode' || key === 'padSpread' || NUMERIC_INPUTS.has(key)) {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+  if (OUTPUT_KEYS.has(key)) return /^[\w#-]{1,24}$/.test(String(value)) ? String(value) : null;
+  return null;
+}
+
+/**
+ * Apply input locks to a weather update and its mapper options.
+ * @param {import('../weather/fetcher.js').WeatherState} weather
+ * @param {object} options - mapWeatherToMusic() options
+ * @param {Record<string, number|string>} inputLocks
+ * @returns {{ weather: object, options: object }}
+ */
+export function applyInputLocks(weather, options, inputLocks) {
+  const locked = { weather: { ...weather }, options: { ...options } };
+  for (const [key, value] of Object.entries(inputLocks)) {
+    if (key === 'timeOfDay') {
+      const moment = TIME_OF_DAY_LOCKS[value];
+      if (moment) {
+        locked.options.clock = createFixedClock(moment(weather.sunrise.getTime(), weather.sunset.getTime()));
+      }
+    } else if (key === 'tideLevel') {
+      locked.options.tideLevel = value;
+    } else if (key === 'aqi') {
+      locked.options.aqiLevel = value;
+    } else if (key === 'biome' || key === 'pressureTrend') {
+      locked.options[key] = value;
+    } else {
+      locked.weather[key] = value;
+    }
+  }
+  return locked;
+}
+
+/**
+ * "key:value,key:value" → lock map; unknown keys and bad values are dropped.
+ * @param {string|null} text
+ * @returns {Record<string, number|string>}
+ */
+export function parseLocks(text) {
+  const locks = {};
+  for (const entry of String(text ?? '').split(',')) {
+    const separator = entry.indexOf(':');
+    if (separator < 0) continue;
+    const key = entry.slice(0, separator).trim();
+    if (!INPUT_KEYS.has(key) && !OUTPUT_KEYS.has(key)) continue;
+    const value = normalizeLockValue(key, entry.slice(separator + 1).trim());
+    if (value !== null) locks[key] = value;
+  }
+  return locks;
+}
+
+/**
+ * Hold the current locks and report changes.
+ * @param {Record<string, number|string>} [initial] - e.g. from parseLocks()
+ */
+export function createLocks(initial = {}) {
+  let locks = parseLocks(serialize(initial));
+  let changeCallback = null;
+
+  function serialize(map) {
+    return Object.entries(map).map(([key, value]) => `${key}:${value}`).join(',');
+  }
+
+  function changed() {
+    if (changeCallback) changeCallback();
+  }
+
+  return {
+    /** Register a callback for any lock change */
+    onChange(fn) {
+      changeCallback = fn;
+    },
+
+    /**
+     * Lock a key to a value (null releases it).
+     * @param {string} key - An INPUT_LOCK_KEYS or OUTPUT_LOCK_KEYS entry
+     * @param {number|string|null} value
+     */
+    set(key, value) {
+      if (!INPUT_KEYS.has(key) && !OUTPUT_KEYS.has(key)) throw new Error(`Not a lockable key: ${key}`);
+      const normalized = normalizeLockValue(key, value);
+      if (normalized === locks[key] || (normalized === null && !(key in locks))) return;
+      if (normalized === null) {
+        const { [key]: _released, ...rest } = locks;
+        locks = rest;
+      } else {
+        locks = { ...locks, [key]: normalized };
+      }
+      changed();
+    },
+
+    /** Replace every lock at once (e.g. from a shared link) */
+    replace(next) {
+      locks = parseLocks(serialize(next));
+      changed();
+    },
+
+    /** @param {string} key */
+    get(key) {
+      return locks[key] ?? null;
+    },
+
+    /** Locked mapper inputs */
+    get inputs() {
+      return Object.fromEntries(Object.entries(locks).filter(([key]) => INPUT_KEYS.has(key)));
+    },
+
+    /** Locked interpolator outputs */
+    get outputs() {
+      return Object.fromEntries(Object.entries(locks).filter(([key]) => OUTPUT_KEYS.has(key)));
+    },
+
+    get size() {
+      return Object.keys(locks).length;
+    },
+
+    /** Compact form for localStorage and share links ('' when nothing is locked) */
+    toString() {
+      return serialize(locks);
+    },
+  };
+}
@@ -0,0 +1,70 @@
+import { describe, expect, it, vi } from 'vitest';
+import { TIME_OF_DAY_LOCKS, applyInputLocks, createLocks, parseLocks } from './locks.js';
+import { mapWeatherToMusic } from './mapper.js';
+
+const weather = {
+  temperature: 18,
+  apparentTemperature: 18,
+  humidity: 60,
+  pressure: 1013,
+  windSpeed: 10,
+  windDirection: 180,
+  weatherCode: 0,
+  cloudCover: 10,
+  uvIndex: 3,
+  sunrise: new Date('2025-06-21T05:00:00Z'),
+  sunset: new Date('2025-06-21T21:00:00Z'),
+};
+
+describe('applyInputLocks', () => {
+  it('overrides weather fields and mapper context', () => {
+    const { weather: locked, options } = applyInputLocks(weather, { biome: 'urban', tideLevel: null }, {
+      weatherCode: 63, biome: 'forest', tideLevel: 6, aqi: 180, pressureTrend: -1,
+    });
+    expect(locked.weatherCode).toBe(63);
+    expect(locked.temperature).toBe(18);
+    expect(options).toMatchObject({ biome: 'forest', tideLevel: 6, aqiLevel: 180, pressureTrend: -1 });
+    expect(weather.weatherCode).toBe(0); // Input untouched
+  });
+
+  it('forces rain and golden hour through the mapper', () => {
+    const { weather: locked, options } = applyInputLocks(weather, {}, { weatherCode: 63, timeOfDay: 'golden-hour' });
+    const params = mapWeatherToMusic(locked, options);
+    expect(params.isRaining).toBe(true);
+    expect(params._meta.timeOfDay).toBe('dusk');
+    expect(params._meta.sunTransition).toBeGreaterThan(0);
+  });
+
+  it('places time-of-day moments against sunrise and sunset', () => {
+    const rise = weather.sunrise.getTime();
+    const set = weather.sunset.getTime();
+    expect(new Date(TIME_OF_DAY_LOCKS.noon(rise, set)).toISOString()).toBe('2025-06-21T13:00:00.000Z');
+    expect(new Date(TIME_OF_DAY_LOCKS.night(rise, set)).toISOString()).toBe('2025-06-22T01:00:00.000Z');
+  });
+});
+
+describe('lock store', () => {
+  it('round-trips through its compact string, dropping junk', () => {
+    const locks = createLocks(parseLocks('weatherCode:63,timeOfDay:golden-hour,rootNote:C#,nope:1,biome:moon'));
+    expect(locks.inputs).toEqual({ weatherCode: 63, timeOfDay: 'golden-hour' });
+    expect(locks.outputs).toEqual({ rootNote: 'C#' });
+    expect(parseLocks(locks.toString())).toEqual({ weatherCode: 63, timeOfDay: 'golden-hour', rootNote: 'C#' });
+  });
+
+  it('reports changes, and nothing when a value is unchanged', () => {
+    const locks = createLocks();
+    const onChange = vi.fn();
+    locks.onChange(onChange);
+
+    locks.set('scaleType', 'dorian');
+    locks.set('scaleType', 'dorian');
+    locks.set('temperature', '-5');
+    expect(onChange).toHaveBeenCalledTimes(2);
+    expect(locks.get('temperature')).toBe(-5);
+
+    locks.set('scaleType', null);
+    expect(locks.outputs).toEqual({});
+    expect(locks.size).toBe(1);
+    expect(() => locks.set('bpm', 90)).toThrow(/not a lockable key/i);
+  });
+});
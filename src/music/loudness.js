@@ -0,0 +1,189 @@
+/**
+ * Loudness — LUFS readings of the master (ITU-R BS.1770) and the slow
+ * normalization that can hold it near a chosen target.
+ *
+ * The engine K-weights the master with two filters (K_WEIGHTING), reads it
+ * with a stereo waveform analyser a few times a second and pushes each
+ * reading's mean square into a loudness meter: momentary (400 ms),
+ * short-term (3 s) and integrated (gated, since the meter was made) loudness
+ * come out. Readings are snapshots rather than a continuous stream, which is
+ * plenty for a meter and for a gain that moves over seconds.
+ *
+ * Normalization leaves the weather its dynamics inside a window around the
+ * target and only pulls back what strays further, by a bounded amount.
+ */
+
+/** BS.1770 K-weighting: a high-shelf "head" filter, then the RLB high-pass */
+export const K_WEIGHTING = {
+  shelf: { frequency: 1681.97, gain: 4, Q: 0.707 },
+  highpass: { frequency: 38.13, Q: 0.5 },
+};
+
+/** Milliseconds between loudness readings */
+export const LOUDNESS_INTERVAL_MS = 100;
+
+/** Normalization targets the listener can pick, in LUFS; null is off */
+export const LOUDNESS_TARGETS = [null, -23, -18, -16, -14];
+
+/** LU either side of the target the weather may still move the loudness */
+export const NORMALIZE_WINDOW_LU = 4;
+/** Most the normalization will cut or boost, in dB */
+export const NORMALIZE_MAX_DB = 12;
+/** Seconds of loudness the normalization judges by, and waits for before its first move */
+export const NORMALIZE_MEASURE_SECONDS = 20;
+/** Seconds each normalization change ramps over */
+export const NORMALIZE_RAMP_SECONDS = 10;
+
+const BLOCK_MS = 400;
+const SHORT_TERM_SECONDS = 3;
+const ABSOLUTE_GATE_LUFS = -70;
+const RELATIVE_GATE_LU = 10;
+// Integrated loudness keeps a histogram of 400 ms blocks in 0.1 LU bins,
+// so an all-night session costs no more than a minute of it
+const HISTOGRAM_STEP_LU = 0.1;
+const HISTOGRAM_TOP_LUFS = 5;
+const HISTOGRAM_BINS = Math.round((HISTOGRAM_TOP_LUFS - ABSOLUTE_GATE_LUFS) / HISTOGRAM_STEP_LU);
+
+/**
+ * Sum of each channel's mean square — BS.1770's power for equally weighted
+ * front channels.
+ * @param {ArrayLike<number>[]} channels - K-weighted samples per channel
+ * @returns {number}
+ */
+export function channelMeanSquare(channels) {
+  return channels.reduce((sum, samples) => {
+    if (!samples?.length) return sum;
+    let squares = 0;
+    for (let i = 0; i < samples.length; i++) squares += samples[i] * samples[i];
+    return sum + squares / samples.length;
+  }, 0);
+}
+
+/**
+ * @param {number} meanSquare
+ * @returns {number} LUFS; -Infinity for silence
+ */
+export function lufs(meanSquare) {
+  return meanSquare > 0 ? -0.691 + 10 * Math.log10(meanSquare) : -Infinity;
+}
+
+function meanSquareOf(loudness) {
+  return 10 ** ((loudness + 0.691) / 10);
+}
+
+/**
+ * Gain that pulls a loudness back inside the window around the target.
+ * @param {number} loudness - LUFS, as measured before the normalization gain
+ * @param {number} target - LUFS
+ * @param {object} [options]
+ * @param {number} [options.window] - LU either side of the target left alone
+ * @param {number} [options.maxDb] - Largest cut or boost
+ * @returns {number} dB; 0 inside the window, and for silence
+ */
+export function normalizationGainDb(loudness, target, { window = NORMALIZE_WINDOW_LU, maxDb = NORMALIZE_MAX_DB } = {}) {
+  if (!Number.isFinite(loudness) || loudness <= ABSOLUTE_GATE_LUFS) return 0;
+  const over = loudness - target;
+  if (Math.abs(over) <= window) return 0;
+  const correction = -(over - Math.sign(over) * window);
+  return Math.max(-maxDb, Math.min(maxDb, correction));
+}
+
+/**
+ * A loudness meter fed one reading at a time.
+ * @param {object} [options]
+ * @param {number} [options.keepSeconds] - Longest window over() is asked for
+ */
+export function createLoudnessMeter({ keepSeconds = NORMALIZE_MEASURE_SECONDS } = {}) {
+  let readings = [];       // { atMs, meanSquare }, oldest first
+  let firstAtMs = null;    // First reading since the meter was made (or reset)
+  let histogram = new Uint32Array(HISTOGRAM_BINS);
+  let blockStartMs = null;
+  let blockSum = 0;
+  let blockCount = 0;
+
+  function closeBlock() {
+    const loudness = lufs(blockSum / blockCount);
+    if (loudness > ABSOLUTE_GATE_LUFS) {
+      const bin = Math.floor((loudness - ABSOLUTE_GATE_LUFS) / HISTOGRAM_STEP_LU);
+      histogram[Math.min(HISTOGRAM_BINS - 1, bin)]++;
+    }
+    blockSum = 0;
+    blockCount = 0;
+  }
+
+  /** Gated mean over the histogram's blocks at or above a loudness */
+  function gatedMean(floorLufs) {
+    let sum = 0;
+    let count = 0;
+    histogram.forEach((blocks, bin) => {
+      const loudness = ABSOLUTE_GATE_LUFS + (bin + 0.5) * HISTOGRAM_STEP_LU;
+      if (blocks === 0 || loudness <= floorLufs) return;
+      sum += blocks * meanSquareOf(loudness);
+      count += blocks;
+    });
+    return count > 0 ? lufs(sum / count) : null;
+  }
+
+  const meter = {
+    /**
+     * @param {number} meanSquare - From channelMeanSquare() of K-weighted samples
+     * @param {number} atMs - When it was read
+     */
+    push(meanSquare, atMs) {
+      if (firstAtMs === null) firstAtMs = atMs;
+      readings.push({ atMs, meanSquare });
+      while (readings.length > 0 && readings[0].atMs <= atMs - keepSeconds * 1000) readings.shift();
+
+      if (blockStartMs === null) blockStartMs = atMs;
+      if (atMs - blockStartMs >= BLOCK_MS && blockCount > 0) {
+        closeBlock();
+        blockStartMs = atMs;
+      }
+      blockSum += meanSquare;
+      blockCount++;
+    },
+
+    /**
+     * Loudness over the last few seconds of readings.
+     * @param {number} seconds
+     * @returns {number|null} LUFS; null before any reading
+     */
+    over(seconds) {
+      if (readings.length === 0) return null;
+      const since = readings.at(-1).atMs - seconds * 1000;
+      const recent = readings.filter((reading) => reading.atMs > since);
+      return lufs(recent.reduce((sum, reading) => sum + reading.meanSquare, 0) / recent.length);
+    },
+
+    /** @returns {number} Seconds from the first reading to the latest, since the meter was made (or reset) */
+    get seconds() {
+      return readings.length === 0 ? 0 : (readings.at(-1).atMs - firstAtMs) / 1000;
+    },
+
+    /** @returns {number|null} LUFS over 400 ms */
+    get momentary() {
+      return meter.over(BLOCK_MS / 1000);
+    },
+
+    /** @returns {number|null} LUFS over 3 s */
+    get shortTerm() {
+      return meter.over(SHORT_TERM_SECONDS);
+    },
+
+    /** @returns {number|null} Gated LUFS since the meter was made (or reset); null until a block clears the gate */
+    get integrated() {
+      const ungated = gatedMean(ABSOLUTE_GATE_LUFS);
+      return ungated === null ? null : gatedMean(ungated - RELATIVE_GATE_LU);
+    },
+
+    reset() {
+      readings = [];
+      firstAtMs = null;
+      histogram = new Uint32Array(HISTOGRAM_BINS);
+      blockStartMs = null;
+      blockSum = 0;
+      blockCount = 0;
+    },
+  };
+  return meter;
+}
@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest';
+import { channelMeanSquare, createLoudnessMeter, lufs, normalizationGainDb } from './loudness.js';
+
+/** Mean square that reads as a given LUFS */
+const atLufs = (loudness) => 10 ** ((loudness + 0.691) / 10);
+
+describe('channelMeanSquare / lufs', () => {
+  it("sums each channel's power and reads a full-scale sine near -3.7 LUFS", () => {
+    const sine = Float32Array.from({ length: 4800 }, (_, i) => Math.sin((2 * Math.PI * i) / 48));
+    expect(channelMeanSquare([sine])).toBeCloseTo(0.5, 5);
+    expect(lufs(channelMeanSquare([sine, sine]))).toBeCloseTo(-0.691, 3);
+    expect(lufs(channelMeanSquare([sine]))).toBeCloseTo(-3.701, 3);
+  });
+
+  it('reads silence as -Infinity', () => {
+    expect(lufs(channelMeanSquare([new Float32Array(8), new Float32Array(8)]))).toBe(-Infinity);
+  });
+});
+
+describe('createLoudnessMeter', () => {
+  it('averages power over the short-term window', () => {
+    const meter = createLoudnessMeter();
+    expect(meter.shortTerm).toBeNull();
+    for (let ms = 0; ms < 3000; ms += 100) meter.push(atLufs(ms < 1500 ? -20 : -30), ms);
+    expect(meter.momentary).toBeCloseTo(-30, 5);
+    expect(meter.shortTerm).toBeCloseTo(lufs((atLufs(-20) + atLufs(-30)) / 2), 5);
+  });
+
+  it('gates silence and quiet passages out of the integrated loudness', () => {
+    const meter = createLoudnessMeter();
+    let ms = 0;
+    for (; ms < 20000; ms += 100) meter.push(atLufs(-20), ms);
+    for (; ms < 40000; ms += 100) meter.push(0, ms);          // Silence: below the absolute gate
+    for (; ms < 50000; ms += 100) meter.push(atLufs(-45), ms); // 25 LU down: below the relative gate
+    expect(meter.integrated).toBeCloseTo(-20, 0); // Within the histogram's 0.1 LU bins
+
+    expect(meter.seconds).toBeCloseTo(49.9, 5);
+
+    meter.reset();
+    expect(meter.integrated).toBeNull();
+    expect(meter.shortTerm).toBeNull();
+    expect(meter.seconds).toBe(0);
+  });
+});
+
+describe('normalizationGainDb', () => {
+  it('leaves the weather its dynamics inside the window', () => {
+    expect(normalizationGainDb(-20, -18)).toBe(0);
+    expect(normalizationGainDb(-14.5, -18)).toBe(0);
+  });
+
+  it('pulls back only what strays past the window, by a bounded amount', () => {
+    expect(normalizationGainDb(-28, -18)).toBeCloseTo(6);
+    expect(normalizationGainDb(-10, -18)).toBeCloseTo(-4);
+    expect(normalizationGainDb(-60, -18)).toBe(12);
+    expect(normalizationGainDb(-28, -18, { window: 2, maxDb: 3 })).toBe(3);
+  });
+
+  it('does not boost silence', () => {
+    expect(normalizationGainDb(-Infinity, -18)).toBe(0);
+    expect(normalizationGainDb(null, -18)).toBe(0);
+  });
+});
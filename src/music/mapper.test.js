@@ -8,10 +8,16 @@
  *   - Optional inputs: tideLevel, aqiLevel, pressureTrend omitted or at extremes
  *   - Temperature boundary conditions: mode selection + BPM clamp
  *   - Wind speed boundary: windChimeVolume silence below 8 km/h
+ *   - Injected clock: time of day and season follow options.clock
+ *   - Mapping profiles: options.profile reshapes ranges and tables
+ *   - Styles: options.style fixes rhythms and fits the tempo
  */
 
 import { describe, expect, it } from 'vitest';
+import { createFixedClock } from '../clock.js';
 import { mapWeatherToMusic } from './mapper.js';
+import { getBuiltInProfile, resolveProfile } from './profile.js';
+import { getStyle } from './styles.js';
 
 // ── Shared fixture helpers ─────────────────────────────────────────────────
 
@@ -353,3 +359,102 @@ describe('mapWeatherToMusic — _meta object', () => {
     expect(result._meta.moonFullness).toBeLessThanOrEqual(1);
   });
 });
+
+// ── Injected clock ────────────────────────────────────────────────────────
+
+describe('mapWeatherToMusic — options.clock', () => {
+  it('reads time of day from the injected clock', () => {
+    const midday   = mapWeatherToMusic(makeWeather(), { clock: createFixedClock(NOW) });
+    const midnight = mapWeatherToMusic(makeWeather(), {
+      clock: createFixedClock(new Date('2025-06-21T00:00:00Z')),
+    });
+    expect(midday._meta.timeOfDay).toBe('afternoon');
+    expect(midnight._meta.timeOfDay).toBe('night');
+    expect(midday.masterFilterCutoff).toBeGreaterThan(midnight.masterFilterCutoff);
+  });
+
+  it('reads the season from the injected clock', () => {
+    const summer = mapWeatherToMusic(makeWeather(), { clock: createFixedClock(NOW), latitude: 51 });
+    const winter = mapWeatherToMusic(makeWeather(), {
+      clock: createFixedClock(new Date('2025-01-15T14:00:00Z')),
+      latitude: 51,
+    });
+    expect(summer._meta.seasonName).toBe('summer');
+    expect(winter._meta.seasonName).toBe('winter');
+    expect(summer._meta.seasonalFactor).toBeGreaterThan(winter._meta.seasonalFactor);
+  });
+});
+
+// ── Mapping profiles ──────────────────────────────────────────────────────
+
+describe('mapWeatherToMusic — options.profile', () => {
+  const clock = createFixedClock(NOW);
+
+  it('uses the default profile when none is given', () => {
+    const result = mapWeatherToMusic(makeWeather(), { clock });
+    expect(result._meta.profile).toBe('default');
+    expect(result).toEqual(mapWeatherToMusic(makeWeather(), { clock, profile: getBuiltInProfile('default') }));
+  });
+
+  it('reads curves, tempo and tables from the profile', () => {
+    const profile = resolveProfile({
+      name: 'test',
+      tempo: { base: 100, perDegree: 0 },
+      curves: { reverbDecay: { from: 4, to: 4 } },
+      categories: { percussionPattern: { clear: 'driving' } },
+    });
+    const result = mapWeatherToMusic(makeWeather(), { clock, profile });
+    expect(result.bpm).toBe(100);
+    expect(result.reverbDecay).toBeCloseTo(4 * 1.0, 5); // summer palette leaves decay as is
+    expect(result.percussionPattern).toBe('driving');
+    expect(result._meta.profile).toBe('test');
+  });
+
+  it('widens ranges under the dramatic profile but keeps the engine-safe clamps', () => {
+    const profile = getBuiltInProfile('dramatic');
+    const storm = makeWeather({ windSpeed: 80, weatherCode: 95, humidity: 100 });
+    const gale = mapWeatherToMusic(storm, { clock, profile });
+    expect(gale.rhythmDensity).toBeGreaterThan(mapWeatherToMusic(storm, { clock }).rhythmDensity);
+    expect(gale.reverbWet).toBeLessThanOrEqual(0.85);
+    expect(gale.padSpread).toBeLessThanOrEqual(45);
+    expect(gale.subBassGain).toBeLessThanOrEqual(0.8);
+  });
+});
+
+describe('mapWeatherToMusic — effect sends', () => {
+  const clock = createFixedClock(NOW);
+
+  it('gives each voice its own sends by weather, not one humidity-wide wetness', () => {
+    const clear = mapWeatherToMusic(makeWeather({ weatherCode: 0 }), { clock });
+    const fog = mapWeatherToMusic(makeWeather({ weatherCode: 45 }), { clock });
+    const storm = mapWeatherToMusic(makeWeather({ weatherCode: 95 }), { clock });
+
+    expect(fog.effectSends.choir.reverb).toBeGreaterThan(clear.effectSends.choir.reverb);
+    expect(storm.effectSends.bass.reverb).toBeLessThan(clear.effectSends.bass.reverb);
+    expect(storm.effectSends.bass.reverb).toBeLessThan(storm.effectSends.choir.reverb);
+    expect(Object.keys(clear.effectSends)).toHaveLength(9);
+  });
+
+  it('reads send levels and category overrides from the profile', () => {
+    const profile = resolveProfile({ effectSends: { bass: { reverb: 0.5, clear: { delay: 0.4 } } } });
+    const result = mapWeatherToMusic(makeWeather({ weatherCode: 0 }), { clock, profile });
+    expect(result.effectSends.bass).toEqual({ chorus: 0.2, delay: 0.4, reverb: 0.5 });
+  });
+});
+
+describe('mapWeatherToMusic — options.style', () => {
+  const clock = createFixedClock(NOW);
+
+  it('plays the same weather in the chosen style', () => {
+    const weather = makeWeather({ temperature: 35, apparentTemperature: 35 });
+    const ambient = mapWeatherToMusic(weather, { clock });
+    const lofi = mapWeatherToMusic(weather, { clock, style: getStyle('lofi') });
+
+    expect(ambient._meta.style).toBe('ambient');
+    expect(lofi._meta.style).toBe('lofi');
+    expect(lofi.percussionPattern).toBe('lofi');
+    expect(lofi.bpm).toBeLessThanOrEqual(88);
+    expect(lofi.masterFilterCutoff).toBeLessThan(ambient.masterFilterCutoff);
+    expect(lofi.rootNote).toBe(ambient.rootNote); // Harmony still follows the weather
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Level metering — peak and RMS of a block of samples, and limiter gain
+ * reduction. The engine taps each voice and bus with a waveform analyser
+ * and reads it through these; engine.getMeterLevels() is the public face.
+ */
+
+/** Samples per meter reading (~23 ms at 44.1 kHz) */
+export const METER_BLOCK_SIZE = 1024;
+
+/**
+ * @typedef {object} Level
+ * @property {number|null} peak - dBFS; -Infinity for silence, null when unmetered
+ * @property {number|null} rms - dBFS, likewise
+ */
+
+/** @type {Level} */
+export const UNMETERED = Object.freeze({ peak: null, rms: null });
+
+function toDb(amplitude) {
+  return amplitude > 0 ? 20 * Math.log10(amplitude) : -Infinity;
+}
+
+/**
+ * @param {ArrayLike<number>} samples
+ * @returns {Level}
+ */
+export function blockLevels(samples) {
+  if (!samples || samples.length === 0) return UNMETERED;
+  let peak = 0;
+  let sumSquares = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const sample = samples[i];
+    peak = Math.max(peak, Math.abs(sample));
+    sumSquares += sample * sample;
+  }
+  return { peak: toDb(peak), rms: toDb(Math.sqrt(sumSquares / samples.length)) };
+}
+
+/**
+ * How hard the limiter is working, in dB (0 = not at all). Reads the
+ * limiter's own reduction where the browser reports it, else estimates it
+ * from the peaks either side.
+ * @param {number|undefined} reduction - Limiter reduction (≤ 0 dB)
+ * @param {Level} pre - Level into the limiter
+ * @param {Level} post - Level out of it
+ */
+export function gainReductionDb(reduction, pre, post) {
+  if (Number.isFinite(reduction)) return Math.max(0, -reduction);
+  if (Number.isFinite(pre.peak) && Number.isFinite(post.peak)) return Math.max(0, pre.peak - post.peak);
+  return 0;
+}
@@ -0,0 +1,33 @@
+import { describe, expect, it } from 'vitest';
+import { blockLevels, gainReductionDb, UNMETERED } from './meters.js';
+
+describe('blockLevels', () => {
+  it('reads peak and RMS in dBFS', () => {
+    const square = Float32Array.from({ length: 64 }, (_, i) => (i % 2 ? 0.5 : -0.5));
+    const { peak, rms } = blockLevels(square);
+    expect(peak).toBeCloseTo(-6.02, 2);
+    expect(rms).toBeCloseTo(-6.02, 2);
+
+    const sine = Float32Array.from({ length: 1024 }, (_, i) => Math.sin((2 * Math.PI * 8 * i) / 1024));
+    expect(blockLevels(sine).peak).toBeCloseTo(0, 2);
+    expect(blockLevels(sine).rms).toBeCloseTo(-3.01, 2);
+  });
+
+  it('tells silence from no meter at all', () => {
+    expect(blockLevels(new Float32Array(16))).toEqual({ peak: -Infinity, rms: -Infinity });
+    expect(blockLevels(undefined)).toBe(UNMETERED);
+  });
+});
+
+describe('gainReductionDb', () => {
+  it("prefers the limiter's own reading", () => {
+    expect(gainReductionDb(-2.5, { peak: 0 }, { peak: -3 })).toBe(2.5);
+    expect(gainReductionDb(0, { peak: 0 }, { peak: -3 })).toBe(0);
+  });
+
+  it('estimates from the peaks either side otherwise', () => {
+    expect(gainReductionDb(undefined, { peak: 1.5 }, { peak: -3 })).toBe(4.5);
+    expect(gainReductionDb(undefined, { peak: -12 }, { peak: -12 })).toBe(0);
+    expect(gainReductionDb(undefined, UNMETERED, UNMETERED)).toBe(0);
+  });
+});
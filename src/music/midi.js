@@ -0,0 +1,101 @@
+/**
+ * Standard MIDI File (SMF) writer.
+ *
+ * Produces a format-1 file: track 0 carries the tempo map, and every entry in
+ * `tracks` becomes its own named track on its own channel. Times are in ticks
+ * at `ppq` ticks per quarter note — the Transport's own PPQ is used directly,
+ * so no rescaling is needed when exporting logged sessions.
+ */
+
+/**
+ * Encode a number as a MIDI variable-length quantity.
+ * @param {number} value - Non-negative integer
+ * @returns {number[]}
+ */
+export function encodeVarLength(value) {
+  let v = Math.max(0, Math.floor(value));
+  const bytes = [v & 0x7f];
+  v >>>= 7;
+  while (v > 0) {
+    bytes.unshift((v & 0x7f) | 0x80);
+    v >>>= 7;
+  }
+  return bytes;
+}
+
+function textEvent(type, text) {
+  const bytes = Array.from(new TextEncoder().encode(text));
+  return [0xff, type, ...encodeVarLength(bytes.length), ...bytes];
+}
+
+/**
+ * Serialize timed events into an MTrk chunk.
+ * @param {{ tick: number, order: number, data: number[] }[]} events
+ */
+function buildTrack(events) {
+  const sorted = [...events].sort((a, b) => a.tick - b.tick || a.order - b.order);
+  const body = [];
+  let lastTick = 0;
+  for (const event of sorted) {
+    body.push(...encodeVarLength(event.tick - lastTick), ...event.data);
+    lastTick = event.tick;
+  }
+  body.push(0x00, 0xff, 0x2f, 0x00); // End of track
+
+  return [
+    0x4d, 0x54, 0x72, 0x6b, // "MTrk"
+    (body.length >>> 24) & 0xff, (body.length >>> 16) & 0xff,
+    (body.length >>> 8) & 0xff, body.length & 0xff,
+    ...body,
+  ];
+}
+
+/**
+ * Build a multi-track MIDI file.
+ *
+ * @param {object} song
+ * @param {number} [song.ppq=192] - Ticks per quarter note
+ * @param {{ tick: number, bpm: number }[]} [song.tempos] - Tempo map (first entry should be tick 0)
+ * @param {{ name: string, channel: number, notes: { midi: number, startTick: number, endTick: number, velocity: number }[] }[]} song.tracks
+ * @param {string} [song.title]
+ * @returns {Uint8Array}
+ */
+export function encodeMidiFile({ ppq = 192, tempos = [], tracks, title = '' }) {
+  const conductor = [];
+  if (title) conductor.push({ tick: 0, order: 0, data: textEvent(0x03, title) });
+  const tempoMap = tempos.length > 0 ? tempos : [{ tick: 0, bpm: 120 }];
+  for (const { tick, bpm } of tempoMap) {
+    const usPerQuarter = Math.round(60_000_000 / bpm);
+    conductor.push({
+      tick: Math.max(0, Math.round(tick)),
+      order: 1,
+      data: [0xff, 0x51, 0x03, (usPerQuarter >> 16) & 0xff, (usPerQuarter >> 8) & 0xff, usPerQuarter & 0xff],
+    });
+  }
+
+  const chunks = [buildTrack(conductor)];
+  for (const track of tracks) {
+    const channel = track.channel & 0x0f;
+    const events = [{ tick: 0, order: 0, data: textEvent(0x03, track.name) }];
+    for (const note of track.notes) {
+      const midi = Math.max(0, Math.min(127, Math.round(note.midi)));
+      const velocity = Math.max(1, Math.min(127, Math.round(note.velocity * 127)));
+      const start = Math.max(0, Math.round(note.startTick));
+      const end = Math.max(start + 1, Math.round(note.endTick));
+      // Note-offs sort before note-ons on the same tick so repeated pitches re-strike cleanly
+      events.push({ tick: start, order: 2, data: [0x90 | channel, midi, velocity] });
+      events.push({ tick: end, order: 1, data: [0x80 | channel, midi, 0] });
+    }
+    chunks.push(buildTrack(events));
+  }
+
+  const header = [
+    0x4d, 0x54, 0x68, 0x64, // "MThd"
+    0x00, 0x00, 0x00, 0x06,
+    0x00, 0x01,             // Format 1
+    (chunks.length >> 8) & 0xff, chunks.length & 0xff,
+    (ppq >> 8) & 0x7f, ppq & 0xff,
+  ];
+
+  return Uint8Array.from([...header, ...chunks.flat()]);
+}
@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest';
+import { encodeMidiFile, encodeVarLength } from './midi.js';
+
+function findBytes(haystack, needle, from = 0) {
+  for (let i = from; i <= haystack.length - needle.length; i++) {
+    if (needle.every((b, j) => haystack[i + j] === b)) return i;
+  }
+  return -1;
+}
+
+describe('encodeVarLength', () => {
+  it('encodes the spec examples', () => {
+    expect(encodeVarLength(0)).toEqual([0x00]);
+    expect(encodeVarLength(0x7f)).toEqual([0x7f]);
+    expect(encodeVarLength(0x80)).toEqual([0x81, 0x00]);
+    expect(encodeVarLength(0x3fff)).toEqual([0xff, 0x7f]);
+    expect(encodeVarLength(0x200000)).toEqual([0x81, 0x80, 0x80, 0x00]);
+  });
+});
+
+describe('encodeMidiFile', () => {
+  const song = {
+    ppq: 192,
+    tempos: [{ tick: 0, bpm: 72 }, { tick: 768, bpm: 60 }],
+    tracks: [
+      { name: 'bass', channel: 1, notes: [{ midi: 36, startTick: 0, endTick: 384, velocity: 0.6 }] },
+      { name: 'melody', channel: 2, notes: [] },
+    ],
+  };
+
+  it('writes a format-1 header with a conductor track plus one track per voice', () => {
+    const bytes = encodeMidiFile(song);
+    expect(Array.from(bytes.subarray(0, 4))).toEqual([0x4d, 0x54, 0x68, 0x64]);
+    expect(bytes[9]).toBe(1);              // Format 1
+    expect(bytes[11]).toBe(3);             // Conductor + 2 tracks
+    expect((bytes[12] << 8) | bytes[13]).toBe(192);
+  });
+
+  it('encodes each tempo change as a set-tempo meta event', () => {
+    const bytes = Array.from(encodeMidiFile(song));
+    // 72 bpm → 833333 µs/qn = 0x0CB735
+    expect(findBytes(bytes, [0xff, 0x51, 0x03, 0x0c, 0xb7, 0x35])).toBeGreaterThan(0);
+    // 60 bpm → 1000000 µs/qn = 0x0F4240, 768 ticks later (delta 0x86 0x00)
+    expect(findBytes(bytes, [0x86, 0x00, 0xff, 0x51, 0x03, 0x0f, 0x42, 0x40])).toBeGreaterThan(0);
+  });
+
+  it('writes note on/off pairs on the track channel', () => {
+    const bytes = Array.from(encodeMidiFile(song));
+    const velocity = Math.round(0.6 * 127);
+    const on = findBytes(bytes, [0x91, 36, velocity]);
+    expect(on).toBeGreaterThan(0);
+    // 384 ticks later (delta 0x83 0x00) the note is released
+    expect(findBytes(bytes, [0x83, 0x00, 0x81, 36, 0], on)).toBe(on + 3);
+  });
+});
@@ -0,0 +1,127 @@
+import * as Tone from 'tone';
+import { encodeMidiFile } from './midi.js';
+
+/**
+ * Session note logger — collects the engine's note events for MIDI export.
+ *
+ * Event times are converted to Transport ticks, so the file lines up with the
+ * music even across pauses (the Transport doesn't advance while paused).
+ * The tempo map samples the Transport bpm on every note and every few seconds,
+ * recording a change whenever the interpolated tempo moves.
+ *
+ * One logger spans the whole listening session: attach() it to each new
+ * engine after a location change and the new engine's events are appended
+ * after the previous ones.
+ */
+
+/** MIDI channel + track name per voice, in track order. */
+export const MIDI_VOICE_CHANNELS = {
+  chord: 0,
+  bass: 1,
+  melody: 2,
+  arpeggio: 3,
+  windChime: 4,
+};
+
+const TEMPO_SAMPLE_MS = 2000;
+
+export function createNoteLogger() {
+  const notesByVoice = Object.fromEntries(Object.keys(MIDI_VOICE_CHANNELS).map((v) => [v, []]));
+  const held = {};          // voice → open note records (duration: null events)
+  const tempos = [];        // [{ tick, bpm }]
+  let tickOffset = 0;       // Ticks contributed by previously attached engines
+  let lastTick = 0;         // Latest session tick seen
+  let attachedEngine = null;
+  let unsubscribe = null;
+  let tempoInterval = null;
+
+  const transport = () => Tone.getTransport();
+
+  function toSessionTick(time) {
+    const tick = tickOffset + Math.max(0, transport().getTicksAtTime(time));
+    lastTick = Math.max(lastTick, tick);
+    return tick;
+  }
+
+  function sampleTempo(tick) {
+    const bpm = Math.round(transport().bpm.value * 10) / 10;
+    if (tempos.length === 0 || tempos[tempos.length - 1].bpm !== bpm) {
+      tempos.push({ tick: tempos.length === 0 ? 0 : tick, bpm });
+    }
+  }
+
+  function releaseHeld(voice, tick) {
+    for (const note of held[voice] ?? []) note.endTick = tick;
+    held[voice] = [];
+  }
+
+  function onNoteEvent({ voice, notes, time, duration, velocity }) {
+    if (!(voice in MIDI_VOICE_CHANNELS)) return;
+    const startTick = toSessionTick(time);
+    sampleTempo(startTick);
+    // Any new event on a voice ends whatever it was sustaining
+    releaseHeld(voice, startTick);
+
+    for (const name of notes) {
+      const midi = Tone.Frequency(name).toMidi();
+      const note = { midi, startTick, endTick: null, velocity };
+      if (duration != null) {
+        note.endTick = toSessionTick(time + duration);
+      } else {
+        held[voice].push(note);
+      }
+      notesByVoice[voice].push(note);
+    }
+  }
+
+  return {
+    /** Start logging an engine's note events (replaces the previous engine). */
+    attach(engine) {
+      if (attachedEngine) {
+        // Close out the old engine's notes and continue the timeline after them
+        Object.keys(held).forEach((voice) => releaseHeld(voice, lastTick));
+        tickOffset = lastTick;
+      }
+      unsubscribe?.();
+      attachedEngine = engine;
+      unsubscribe = engine.onNoteEvent(onNoteEvent);
+
+      clearInterval(tempoInterval);
+      tempoInterval = setInterval(() => {
+        if (transport().state !== 'started') return;
+        sampleTempo(toSessionTick(Tone.now()));
+      }, TEMPO_SAMPLE_MS);
+    },
+
+    /** Number of notes logged so far. */
+    get noteCount() {
+      return Object.values(notesByVoice).reduce((sum, notes) => sum + notes.length, 0);
+    },
+
+    /**
+     * Build a .mid file of everything logged so far. Notes still sounding are
+     * cut off at the current position.
+     * @param {string} [title]
+     * @returns {Blob|null} null when nothing has been logged yet
+     */
+    exportMidi(title = '') {
+      if (this.noteCount === 0) return null;
+      const now = attachedEngine ? toSessionTick(Tone.now()) : lastTick;
+      const tracks = Object.entries(MIDI_VOICE_CHANNELS).map(([voice, channel]) => ({
+        name: voice,
+        channel,
+        notes: notesByVoice[voice].map((note) => ({ ...note, endTick: note.endTick ?? now })),
+      }));
+      const bytes = encodeMidiFile({ ppq: transport().PPQ, tempos, tracks, title });
+      return new Blob([bytes], { type: 'audio/midi' });
+    },
+
+    dispose() {
+      clearInterval(tempoInterval);
+      tempoInterval = null;
+      unsubscribe?.();
+      unsubscribe = null;
+      attachedEngine = null;
+    },
+  };
+}
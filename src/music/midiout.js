@@ -0,0 +1,155 @@
+import * as Tone from 'tone';
+import { MIDI_VOICE_CHANNELS } from './midilog.js';
+
+/**
+ * Web MIDI output — lets external synths follow the weather.
+ *
+ * Subscribes to the engine's note events and forwards them to a chosen MIDI
+ * output port, one channel per voice (same layout as the MIDI file export).
+ * Continuous musical params are sent as CC messages on every voice channel
+ * whenever their 7-bit value changes.
+ *
+ * Note times arrive in AudioContext seconds (often slightly in the future,
+ * thanks to Tone's lookahead) and are converted to performance.now()
+ * timestamps so hardware fires in sync with the internal voices.
+ */
+
+/** Continuous params forwarded as CCs: 0–1 range mapped onto 0–127. */
+export const MIDI_CC_MAP = {
+  padBrightness: { cc: 74, min: 0, max: 1 },   // Brightness / cutoff
+  reverbWet: { cc: 91, min: 0, max: 1 },       // Reverb send
+  chorusDepth: { cc: 93, min: 0, max: 1 },     // Chorus send
+  rhythmDensity: { cc: 1, min: 0, max: 1 },    // Mod wheel
+};
+
+const NOTE_ON = 0x90;
+const NOTE_OFF = 0x80;
+const CONTROL_CHANGE = 0xb0;
+const ALL_NOTES_OFF = 123;
+
+/**
+ * @param {object} [options]
+ * @param {() => Promise<MIDIAccess>} [options.requestAccess] - Defaults to navigator.requestMIDIAccess
+ * @param {() => number} [options.now] - performance.now() clock (ms)
+ * @param {() => number} [options.audioNow] - AudioContext clock (seconds)
+ */
+export function createMidiOutput({
+  requestAccess = () => navigator.requestMIDIAccess(),
+  now = () => performance.now(),
+  audioNow = () => Tone.getContext().currentTime,
+} = {}) {
+  let access = null;
+  let port = null;
+  let unsubscribe = null;
+  const held = {};        // voice → MIDI note numbers currently sounding
+  const lastCc = {};      // param key → last 7-bit value sent
+
+  function toTimestamp(time) {
+    const current = now();
+    return Math.max(current, current + (time - audioNow()) * 1000);
+  }
+
+  function send(bytes, timestamp) {
+    port?.send(bytes, timestamp);
+  }
+
+  function releaseHeld(voice, timestamp) {
+    const channel = MIDI_VOICE_CHANNELS[voice];
+    for (const midi of held[voice] ?? []) send([NOTE_OFF | channel, midi, 0], timestamp);
+    held[voice] = [];
+  }
+
+  function onNoteEvent({ voice, notes, time, duration, velocity }) {
+    if (!port || !(voice in MIDI_VOICE_CHANNELS)) return;
+    const channel = MIDI_VOICE_CHANNELS[voice];
+    const start = toTimestamp(time);
+    releaseHeld(voice, start);
+
+    const vel = Math.max(1, Math.min(127, Math.round(velocity * 127)));
+    for (const name of notes) {
+      const midi = Tone.Frequency(name).toMidi();
+      send([NOTE_ON | channel, midi, vel], start);
+      if (duration != null) {
+        send([NOTE_OFF | channel, midi, 0], start + duration * 1000);
+      } else {
+        held[voice].push(midi);
+      }
+    }
+  }
+
+  function allNotesOff() {
+    if (!port) return;
+    const timestamp = now();
+    Object.keys(held).forEach((voice) => releaseHeld(voice, timestamp));
+    Object.values(MIDI_VOICE_CHANNELS).forEach((channel) => {
+      send([CONTROL_CHANGE | channel, ALL_NOTES_OFF, 0], timestamp);
+    });
+  }
+
+  return {
+    /** Currently selected output port id, or null. */
+    get outputId() { return port?.id ?? null; },
+
+    /** Display name of the selected port, or null. */
+    get outputName() { return port?.name ?? null; },
+
+    /**
+     * Request MIDI access (once) and list output ports.
+     * @returns {Promise<{ id: string, name: string }[]>}
+     */
+    async listOutputs() {
+      if (!access) access = await requestAccess();
+      return Array.from(access.outputs.values(), (output) => ({ id: output.id, name: output.name }));
+    },
+
+    /**
+     * Route output to a port, or pass null to stop sending.
+     * Sounding notes on the previous port are released first.
+     */
+    async selectOutput(id) {
+      allNotesOff();
+      port = null;
+      Object.keys(lastCc).forEach((key) => delete lastCc[key]);
+      if (id == null) return;
+      if (!access) access = await requestAccess();
+      port = access.outputs.get(id) ?? null;
+    },
+
+    /** Follow an engine's note events (replaces the previous engine). */
+    attach(engine) {
+      unsubscribe?.();
+      allNotesOff();
+      unsubscribe = engine.onNoteEvent(onNoteEvent);
+    },
+
+    /**
+     * Forward continuous params as CCs on every voice channel. Call with each
+     * interpolated params update; unchanged 7-bit values are skipped.
+     * @param {object} params - Musical params (mapper output shape)
+     */
+    sendParams(params) {
+      if (!port) return;
+      const timestamp = now();
+      for (const [key, { cc, min, max }] of Object.entries(MIDI_CC_MAP)) {
+        const value = params[key];
+        if (value == null) continue;
+        const scaled = Math.round(Math.max(0, Math.min(1, (value - min) / (max - min))) * 127);
+        if (lastCc[key] === scaled) continue;
+        lastCc[key] = scaled;
+        Object.values(MIDI_VOICE_CHANNELS).forEach((channel) => {
+          send([CONTROL_CHANGE | channel, cc, scaled], timestamp);
+        });
+      }
+    },
+
+    /** Release everything that is sounding (e.g. on pause). */
+    allNotesOff,
+
+    dispose() {
+      allNotesOff();
+      unsubscribe?.();
+      unsubscribe = null;
+      port = null;
+    },
+  };
+}
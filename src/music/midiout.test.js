@@ -0,0 +1,118 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('tone', () => {
+  const SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+  return {
+    Frequency(name) {
+      return {
+        toMidi() {
+          const [, letter, accidental, octave] = /^([A-G])(#|b)?(-?\d+)$/.exec(name);
+          const shift = accidental === '#' ? 1 : accidental === 'b' ? -1 : 0;
+          return (Number(octave) + 1) * 12 + SEMITONES[letter] + shift;
+        },
+      };
+    },
+    getContext: () => ({ currentTime: 0 }),
+  };
+});
+
+import { createMidiOutput, MIDI_CC_MAP } from './midiout.js';
+
+function createFakeMidiAccess() {
+  const sent = [];
+  const port = {
+    id: 'port-1',
+    name: 'Fake Synth',
+    send(data, timestamp) {
+      sent.push({ data: Array.from(data), timestamp });
+    },
+  };
+  return { access: { outputs: new Map([[port.id, port]]) }, sent };
+}
+
+function createFakeEngine() {
+  let listener = null;
+  return {
+    onNoteEvent(fn) {
+      listener = fn;
+      return () => { listener = null; };
+    },
+    emit(event) {
+      listener?.(event);
+    },
+  };
+}
+
+describe('createMidiOutput', () => {
+  let fake;
+  let output;
+  let engine;
+
+  beforeEach(async () => {
+    fake = createFakeMidiAccess();
+    output = createMidiOutput({
+      requestAccess: async () => fake.access,
+      now: () => 1000,
+      audioNow: () => 10,
+    });
+    engine = createFakeEngine();
+    output.attach(engine);
+  });
+
+  it('lists the available output ports', async () => {
+    expect(await output.listOutputs()).toEqual([{ id: 'port-1', name: 'Fake Synth' }]);
+  });
+
+  it('sends nothing until a port is selected', () => {
+    engine.emit({ voice: 'melody', notes: ['C4'], time: 10, duration: 0.5, velocity: 0.5 });
+    expect(fake.sent).toHaveLength(0);
+  });
+
+  it('schedules timed notes on the voice channel in performance.now() time', async () => {
+    await output.selectOutput('port-1');
+    fake.sent.length = 0;
+    engine.emit({ voice: 'melody', notes: ['C4'], time: 10.5, duration: 0.5, velocity: 0.5 });
+
+    expect(fake.sent).toEqual([
+      { data: [0x92, 60, 64], timestamp: 1500 },
+      { data: [0x82, 60, 0], timestamp: 2000 },
+    ]);
+  });
+
+  it('holds sustained notes until the voice moves on', async () => {
+    await output.selectOutput('port-1');
+    fake.sent.length = 0;
+    engine.emit({ voice: 'chord', notes: ['C4', 'E4'], time: 10, duration: null, velocity: 0.45 });
+    engine.emit({ voice: 'chord', notes: ['D4'], time: 11, duration: null, velocity: 0.45 });
+
+    const messages = fake.sent.map((m) => m.data);
+    expect(messages).toEqual([
+      [0x90, 60, 57], [0x90, 64, 57],
+      [0x80, 60, 0], [0x80, 64, 0],
+      [0x90, 62, 57],
+    ]);
+  });
+
+  it('sends CCs only when the 7-bit value changes', async () => {
+    await output.selectOutput('port-1');
+    fake.sent.length = 0;
+    output.sendParams({ reverbWet: 0.5 });
+    const firstBatch = fake.sent.length;
+    output.sendParams({ reverbWet: 0.501 });
+
+    expect(firstBatch).toBeGreaterThan(0);
+    expect(fake.sent).toHaveLength(firstBatch);
+    expect(fake.sent[0].data).toEqual([0xb0, MIDI_CC_MAP.reverbWet.cc, 64]);
+  });
+
+  it('releases held notes when the port is deselected', async () => {
+    await output.selectOutput('port-1');
+    engine.emit({ voice: 'bass', notes: ['C2'], time: 10, duration: null, velocity: 0.6 });
+    fake.sent.length = 0;
+    await output.selectOutput(null);
+
+    expect(fake.sent[0].data).toEqual([0x81, 36, 0]);
+    expect(fake.sent.some((m) => m.data[1] === 123)).toBe(true);
+    expect(output.outputId).toBeNull();
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Mixer state — the listener's own levels on top of the weather's.
+ *
+ * Each voice has a fader in dB, a mute and a solo. The engine applies the
+ * result as one gain per voice (engine.setVoiceMix), after the weather-driven
+ * `*Volume` params and the conductor's swell, so neither overrides the other.
+ * While any voice is soloed, only soloed voices sound. The state round-trips
+ * through JSON for localStorage.
+ */
+
+import { STYLE_VOICES } from './styles.js';
+
+/** Voices with a mixer strip, in engine order */
+export const MIXER_VOICES = STYLE_VOICES;
+
+/** Fader range in dB; the bottom of the travel is off */
+export const FADER_MIN_DB = -36;
+export const FADER_MAX_DB = 6;
+
+/**
+ * @typedef {object} MixerState
+ * @property {Record<string, number>} levels - Fader dB per voice
+ * @property {string[]} muted
+ * @property {string[]} soloed
+ */
+
+/** @returns {MixerState} Every fader at 0 dB, nothing muted or soloed */
+export function defaultMixerState() {
+  return {
+    levels: Object.fromEntries(MIXER_VOICES.map((voice) => [voice, 0])),
+    muted: [],
+    soloed: [],
+  };
+}
+
+/**
+ * Read a saved mixer, keeping what is valid and defaulting the rest.
+ * @param {string|null} text - JSON from localStorage
+ * @returns {MixerState}
+ */
+export function parseMixerState(text) {
+  const state = defaultMixerState();
+  let saved;
+  try {
+    saved = JSON.parse(text ?? 'null');
+  } catch {
+    return state;
+  }
+  if (!saved || typeof saved !== 'object') return state;
+
+  for (const voice of MIXER_VOICES) {
+    const db = saved.levels?.[voice];
+    if (typeof db === 'number' && Number.isFinite(db)) state.levels[voice] = clampDb(db);
+  }
+  const knownVoices = (list) => (Array.isArray(list) ? list.filter((voice) => MIXER_VOICES.includes(voice)) : []);
+  state.muted = knownVoices(saved.muted);
+  state.soloed = knownVoices(saved.soloed);
+  return state;
+}
+
+function clampDb(db) {
+  return Math.max(FADER_MIN_DB, Math.min(FADER_MAX_DB, db));
+}
+
+/**
+ * @param {MixerState} [initial]
+ */
+export function createMixer(initial = defaultMixerState()) {
+  const levels = { ...defaultMixerState().levels, ...initial.levels };
+  const muted = new Set(initial.muted);
+  const soloed = new Set(initial.soloed);
+
+  return {
+    /** @param {string} voice @param {number} db */
+    setLevel(voice, db) {
+      levels[voice] = clampDb(db);
+    },
+
+    /** @param {string} voice */
+    toggleMute(voice) {
+      if (muted.has(voice)) muted.delete(voice);
+      else muted.add(voice);
+    },
+
+    /** @param {string} voice */
+    toggleSolo(voice) {
+      if (soloed.has(voice)) soloed.delete(voice);
+      else soloed.add(voice);
+    },
+
+    /** @param {string} voice */
+    level(voice) {
+      return levels[voice];
+    },
+
+    /** @param {string} voice */
+    isMuted(voice) {
+      return muted.has(voice);
+    },
+
+    /** @param {string} voice */
+    isSoloed(voice) {
+      return soloed.has(voice);
+    },
+
+    /**
+     * True when the voice is heard at all: not muted, not at the bottom of
+     * the fader, and soloed if anything is.
+     * @param {string} voice
+     */
+    isAudible(voice) {
+      if (muted.has(voice) || levels[voice] <= FADER_MIN_DB) return false;
+      return soloed.size === 0 || soloed.has(voice);
+    },
+
+    /**
+     * Linear gain for the engine's mix stage.
+     * @param {string} voice
+     */
+    gain(voice) {
+      return this.isAudible(voice) ? 10 ** (levels[voice] / 20) : 0;
+    },
+
+    /** @returns {MixerState} */
+    toJSON() {
+      return { levels: { ...levels }, muted: [...muted], soloed: [...soloed] };
+    },
+  };
+}
@@ -0,0 +1,70 @@
+import { describe, expect, it } from 'vitest';
+import { createMixer, defaultMixerState, FADER_MIN_DB, MIXER_VOICES, parseMixerState } from './mixer.js';
+
+describe('createMixer', () => {
+  it('starts every voice at unity', () => {
+    const mixer = createMixer();
+    for (const voice of MIXER_VOICES) expect(mixer.gain(voice)).toBe(1);
+  });
+
+  it('turns fader dB into gain, with the bottom of the travel off', () => {
+    const mixer = createMixer();
+    mixer.setLevel('choir', -6);
+    mixer.setLevel('windChime', 20); // Clamped to the top of the fader
+    mixer.setLevel('bass', FADER_MIN_DB);
+
+    expect(mixer.gain('choir')).toBeCloseTo(0.5, 2);
+    expect(mixer.level('windChime')).toBe(6);
+    expect(mixer.gain('bass')).toBe(0);
+  });
+
+  it('keeps the fader level through a mute', () => {
+    const mixer = createMixer();
+    mixer.setLevel('choir', -6);
+    mixer.toggleMute('choir');
+    expect(mixer.gain('choir')).toBe(0);
+    mixer.toggleMute('choir');
+    expect(mixer.gain('choir')).toBeCloseTo(0.5, 2);
+  });
+
+  it('plays only soloed voices while any is soloed', () => {
+    const mixer = createMixer();
+    mixer.toggleSolo('choir');
+    mixer.toggleSolo('windChime');
+    expect(mixer.isAudible('choir')).toBe(true);
+    expect(mixer.isAudible('windChime')).toBe(true);
+    expect(mixer.gain('pad')).toBe(0);
+
+    mixer.toggleMute('choir'); // Mute still wins over solo
+    expect(mixer.gain('choir')).toBe(0);
+
+    mixer.toggleSolo('choir');
+    mixer.toggleSolo('windChime');
+    expect(mixer.gain('pad')).toBe(1);
+  });
+});
+
+describe('parseMixerState', () => {
+  it('round-trips a mixer through JSON', () => {
+    const mixer = createMixer();
+    mixer.setLevel('choir', -4.5);
+    mixer.toggleMute('percussion');
+    mixer.toggleSolo('windChime');
+
+    const restored = createMixer(parseMixerState(JSON.stringify(mixer.toJSON())));
+    expect(restored.level('choir')).toBe(-4.5);
+    expect(restored.isMuted('percussion')).toBe(true);
+    expect(restored.isSoloed('windChime')).toBe(true);
+  });
+
+  it('falls back to defaults for missing or broken saves', () => {
+    expect(parseMixerState(null)).toEqual(defaultMixerState());
+    expect(parseMixerState('{not json')).toEqual(defaultMixerState());
+
+    const state = parseMixerState(JSON.stringify({ levels: { pad: 'loud', drone: -80 }, muted: ['kazoo', 'bass'], soloed: 'choir' }));
+    expect(state.levels.pad).toBe(0);
+    expect(state.levels.drone).toBe(FADER_MIN_DB);
+    expect(state.muted).toEqual(['bass']);
+    expect(state.soloed).toEqual([]);
+  });
+});
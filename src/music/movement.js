@@ -1,3 +1,7 @@
+import { createRandomStream } from './random.js';
+
+const random = createRandomStream('conductor');
+
 /**
  * Movement conductor — musical arc and expression over time.
  *
@@ -253,7 +257,7 @@ export function createMovementConductor() {
    */
   function pickDuration(p) {
     const [minMin, maxMin] = p.durationRange;
-    const minutes = minMin + Math.random() * (maxMin - minMin);
+    const minutes = minMin + random() * (maxMin - minMin);
     return minutes * 60;
   }
 
@@ -275,7 +279,7 @@ export function createMovementConductor() {
 
     // Subsequent movements — contrast the previous
     const candidates = CONTRAST_MAP[personalityName] || ['contemplative', 'dramatic'];
-    return candidates[Math.floor(Math.random() * candidates.length)];
+    return candidates[Math.floor(random() * candidates.length)];
   }
 
   /**
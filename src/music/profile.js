@@ -0,0 +1,246 @@
+/**
+ * Mapping profiles — the creative ranges mapWeatherToMusic() plays with.
+ *
+ * A profile is plain JSON (see profiles/default.json): the tempo formula,
+ * the temperature → mode thresholds, one curve per continuous mapping
+ * (input → output range), the fixed-size nudges (AQI haze, cloud dimming…),
+ * the per-category tables, the weather/biome/season palettes and each voice's
+ * effect sends. The mapper keeps the physics — input normalization and the
+ * engine's safe clamps.
+ *
+ * Custom and built-in profiles may be partial: whatever they leave out comes
+ * from the default. Every profile is checked against profiles/schema.json
+ * first, so a typo fails with its path rather than playing silently wrong.
+ */
+
+import DEFAULT_PROFILE_JSON from './profiles/default.json';
+import SUBTLE_PROFILE_JSON from './profiles/subtle.json';
+import DRAMATIC_PROFILE_JSON from './profiles/dramatic.json';
+import MINIMAL_PROFILE_JSON from './profiles/minimal.json';
+import PROFILE_SCHEMA from './profiles/schema.json';
+
+export { PROFILE_SCHEMA };
+
+/**
+ * Curve shapes: how the normalized input (0–1) travels from `from` to `to`.
+ * @type {Record<string, (t: number) => number>}
+ */
+export const CURVE_SHAPES = {
+  linear: (t) => t,
+  easeIn: (t) => t * t,
+  easeOut: (t) => 1 - (1 - t) * (1 - t),
+  smooth: (t) => t * t * (3 - 2 * t),
+};
+
+/** Normalized inputs a curve can read (all 0–1; see mapWeatherToMusic) */
+export const PROFILE_INPUTS = PROFILE_SCHEMA.$defs.input.enum;
+
+/** Sections merged key by key; entries inside them replace field by field */
+const SECTIONS = ['tempo', 'harmony', 'curves', 'modifiers', 'categories', 'weatherPalettes', 'biomeTimbres', 'seasonalPalettes', 'effectSends'];
+
+const MAX_LISTED_OPTIONS = 8;
+
+// ── Schema validation ──
+// A small JSON Schema subset: type, enum, properties, additionalProperties,
+// propertyNames, minProperties, items, minItems, maxItems, minimum, maximum,
+// exclusiveMinimum, minLength, anyOf and local $refs.
+
+function resolveRef(schema) {
+  if (!schema.$ref) return schema;
+  const name = schema.$ref.replace('#/$defs/', '');
+  return PROFILE_SCHEMA.$defs[name];
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function typeMatches(value, type) {
+  if (!type) return true;
+  const types = Array.isArray(type) ? type : [type];
+  return types.some((t) => (t === 'number' ? Number.isFinite(value) : typeOf(value) === t));
+}
+
+function listOptions(options) {
+  const shown = options.slice(0, MAX_LISTED_OPTIONS).map((option) => JSON.stringify(option)).join(', ');
+  return options.length > MAX_LISTED_OPTIONS ? `${shown}, …` : shown;
+}
+
+function describe(value) {
+  return typeOf(value) === 'string' ? JSON.stringify(value) : typeOf(value);
+}
+
+function checkSchema(value, rawSchema, path, errors) {
+  const schema = resolveRef(rawSchema);
+  const where = path || 'profile';
+
+  if (schema.anyOf) {
+    const candidates = schema.anyOf.map(resolveRef).filter((branch) => typeMatches(value, branch.type));
+    if (candidates.length === 0) {
+      const types = schema.anyOf.map((branch) => resolveRef(branch).type).join(' or ');
+      errors.push(`${where}: expected ${types}, got ${describe(value)}`);
+      return;
+    }
+    checkSchema(value, candidates[0], path, errors);
+    return;
+  }
+
+  if (!typeMatches(value, schema.type)) {
+    errors.push(`${where}: expected ${[schema.type].flat().join(' or ')}, got ${describe(value)}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where}: ${describe(value)} is not one of ${listOptions(schema.enum)}`);
+    return;
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${where}: must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${where}: must be at most ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${where}: must be greater than ${schema.exclusiveMinimum}`);
+    }
+  }
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${where}: must not be empty`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${where}: needs at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${where}: allows at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => checkSchema(item, schema.items, `${path}[${i}]`, errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    const keys = Object.keys(value);
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      errors.push(`${where}: needs at least ${schema.minProperties} entr${schema.minProperties === 1 ? 'y' : 'ies'}`);
+    }
+    for (const key of keys) {
+      const keyPath = path ? `${path}.${key}` : key;
+      if (schema.propertyNames) {
+        const names = resolveRef(schema.propertyNames);
+        if (names.enum && !names.enum.includes(key)) {
+          errors.push(`${keyPath}: unknown key (expected one of ${listOptions(names.enum)})`);
+          continue;
+        }
+      }
+      if (schema.properties?.[key]) {
+        checkSchema(value[key], schema.properties[key], keyPath, errors);
+      } else if (schema.additionalProperties === false) {
+        const known = Object.keys(schema.properties ?? {});
+        errors.push(`${keyPath}: unknown key (expected one of ${listOptions(known)})`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        checkSchema(value[key], schema.additionalProperties, keyPath, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Check a (possibly partial) profile against the schema.
+ * @param {*} data - Parsed profile JSON
+ * @returns {string[]} One message per problem, each starting with its path; empty when valid
+ */
+export function validateProfile(data) {
+  const errors = [];
+  checkSchema(data, PROFILE_SCHEMA, '', errors);
+  // Cross-field checks the schema can't express
+  const tempo = data?.tempo;
+  if (Number.isFinite(tempo?.min) && Number.isFinite(tempo?.max) && tempo.min > tempo.max) {
+    errors.push('tempo: min must not be above max');
+  }
+  const thresholds = data?.harmony?.modeThresholds;
+  if (Array.isArray(thresholds) && thresholds.some((t, i) => i > 0 && !(t > thresholds[i - 1]))) {
+    errors.push('harmony.modeThresholds: must be in ascending order');
+  }
+  return errors;
+}
+
+/**
+ * Validate a profile and fill in everything it leaves out from the default.
+ * @param {object} data - Parsed profile JSON
+ * @param {object} [base] - Profile to fill gaps from
+ * @returns {object} A complete profile
+ * @throws {Error} Listing every schema problem
+ */
+export function resolveProfile(data, base = DEFAULT_PROFILE) {
+  const errors = validateProfile(data);
+  if (errors.length > 0) {
+    throw new Error(`Invalid mapping profile:\n${errors.join('\n')}`);
+  }
+  const profile = {
+    ...base,
+    name: data.name ?? 'custom',
+    description: data.description ?? '',
+  };
+  for (const section of SECTIONS) {
+    if (!data[section]) continue;
+    const merged = { ...base[section] };
+    for (const [key, value] of Object.entries(data[section])) {
+      merged[key] = typeOf(value) === 'object' && typeOf(merged[key]) === 'object'
+        ? { ...merged[key], ...value }
+        : value;
+    }
+    profile[section] = merged;
+  }
+  return profile;
+}
+
+/**
+ * Parse a profile file's text.
+ * @param {string} text
+ * @returns {object} A complete profile (see resolveProfile)
+ * @throws {Error} When the text isn't JSON or doesn't match the schema
+ */
+export function parseProfile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Mapping profile is not valid JSON: ${err.message}`);
+  }
+  return resolveProfile(data);
+}
+
+/**
+ * Where a curve's input sits, 0–1. A weight map blends several inputs.
+ * @param {{ input: string|Record<string, number> }} curve
+ * @param {Record<string, number>} inputs - Normalized inputs (see PROFILE_INPUTS)
+ */
+export function curveInput(curve, inputs) {
+  if (typeof curve.input === 'string') return inputs[curve.input] ?? 0;
+  let sum = 0;
+  for (const [name, weight] of Object.entries(curve.input)) sum += (inputs[name] ?? 0) * weight;
+  return Math.max(0, Math.min(1, sum));
+}
+
+/**
+ * Evaluate a curve: its shaped input, scaled from `from` to `to`.
+ * @param {{ input: string|Record<string, number>, from: number, to: number, shape?: string }} curve
+ * @param {Record<string, number>} inputs
+ */
+export function evaluateCurve(curve, inputs) {
+  const t = (CURVE_SHAPES[curve.shape] ?? CURVE_SHAPES.linear)(curveInput(curve, inputs));
+  return curve.from + (curve.to - curve.from) * t;
+}
+
+export const DEFAULT_PROFILE = resolveProfile(DEFAULT_PROFILE_JSON, DEFAULT_PROFILE_JSON);
+
+/** Profiles shipped with the app, in menu order */
+export const BUILT_IN_PROFILES = [
+  DEFAULT_PROFILE,
+  resolveProfile(SUBTLE_PROFILE_JSON),
+  resolveProfile(DRAMATIC_PROFILE_JSON),
+  resolveProfile(MINIMAL_PROFILE_JSON),
+];
+
+/**
+ * @param {string} name
+ * @returns {object|null}
+ */
+export function getBuiltInProfile(name) {
+  return BUILT_IN_PROFILES.find((profile) => profile.name === name) ?? null;
+}
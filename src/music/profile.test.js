@@ -0,0 +1,88 @@
+import { describe, expect, it } from 'vitest';
+import {
+  BUILT_IN_PROFILES,
+  DEFAULT_PROFILE,
+  evaluateCurve,
+  parseProfile,
+  resolveProfile,
+  validateProfile,
+} from './profile.js';
+
+describe('validateProfile', () => {
+  it('accepts every built-in profile', () => {
+    expect(BUILT_IN_PROFILES.map((profile) => profile.name)).toEqual(['default', 'subtle', 'dramatic', 'minimal']);
+    for (const profile of BUILT_IN_PROFILES) expect(validateProfile(profile)).toEqual([]);
+  });
+
+  it('reports each problem with its path', () => {
+    const errors = validateProfile({
+      tempo: { base: 'fast', min: 90, max: 60 },
+      curves: {
+        reverbDcay: { from: 1, to: 2 },
+        reverbWet: { input: 'humdity', from: 0, to: 1, shape: 'wobbly' },
+        chorusDepth: { input: { moon: -1 } },
+      },
+      categories: { percussionPattern: { clear: 'polka' } },
+      weatherPalettes: { hail: {} },
+      extra: true,
+    });
+    expect(errors).toEqual(expect.arrayContaining([
+      'tempo.base: expected number, got "fast"',
+      'tempo: min must not be above max',
+      expect.stringMatching(/^curves\.reverbDcay: unknown key \(expected one of "reverbDecay"/),
+      expect.stringMatching(/^curves\.reverbWet\.input: "humdity" is not one of "humidity"/),
+      expect.stringMatching(/^curves\.reverbWet\.shape: "wobbly" is not one of "linear"/),
+      'curves.chorusDepth.input.moon: must be at least 0',
+      expect.stringMatching(/^categories\.percussionPattern\.clear: "polka" is not one of/),
+      expect.stringMatching(/^weatherPalettes\.hail: unknown key/),
+      expect.stringMatching(/^extra: unknown key/),
+    ]));
+    expect(errors).toHaveLength(9);
+  });
+
+  it('rejects anything that is not an object', () => {
+    expect(validateProfile([])).toEqual(['profile: expected object, got array']);
+  });
+});
+
+describe('resolveProfile / parseProfile', () => {
+  it('fills what a partial profile leaves out from the default', () => {
+    const profile = resolveProfile({ name: 'mine', curves: { reverbWet: { to: 0.3 } }, tempo: { max: 90 } });
+    expect(profile.name).toBe('mine');
+    expect(profile.curves.reverbWet).toEqual({ input: 'humidity', from: 0.1, to: 0.3 });
+    expect(profile.curves.reverbDecay).toEqual(DEFAULT_PROFILE.curves.reverbDecay);
+    expect(profile.tempo).toEqual({ ...DEFAULT_PROFILE.tempo, max: 90 });
+    expect(profile.weatherPalettes).toBe(DEFAULT_PROFILE.weatherPalettes);
+  });
+
+  it('checks effect sends by voice and category', () => {
+    expect(validateProfile({ effectSends: { choir: { reverb: 1.5, hail: { reverb: 1 } }, kazoo: {} } })).toEqual([
+      'effectSends.choir.reverb: must be at most 1',
+      expect.stringMatching(/^effectSends\.choir\.hail: unknown key/),
+      expect.stringMatching(/^effectSends\.kazoo: unknown key/),
+    ]);
+  });
+
+  it('replaces a curve input rather than blending weight maps', () => {
+    const profile = resolveProfile({ curves: { chorusDepth: { input: { wind: 1 } } } });
+    expect(profile.curves.chorusDepth.input).toEqual({ wind: 1 });
+    expect(profile.name).toBe('custom');
+  });
+
+  it('throws readable errors for bad files', () => {
+    expect(() => parseProfile('{ nope')).toThrow(/^Mapping profile is not valid JSON/);
+    expect(() => parseProfile('{"tempo":{"min":"slow"}}')).toThrow('Invalid mapping profile:\ntempo.min: expected number, got "slow"');
+  });
+});
+
+describe('evaluateCurve', () => {
+  it('scales its input between from and to along the shape', () => {
+    const inputs = { humidity: 0.5, moon: 1 };
+    expect(evaluateCurve({ input: 'humidity', from: 10, to: 20 }, inputs)).toBe(15);
+    expect(evaluateCurve({ input: 'humidity', from: 10, to: 20, shape: 'easeIn' }, inputs)).toBe(12.5);
+    expect(evaluateCurve({ input: 'humidity', from: 10, to: 20, shape: 'easeOut' }, inputs)).toBe(17.5);
+    expect(evaluateCurve({ input: 'humidity', from: 10, to: 20, shape: 'smooth' }, inputs)).toBe(15);
+    expect(evaluateCurve({ input: { humidity: 0.5, moon: 0.5 }, from: 0, to: 1 }, inputs)).toBe(0.75);
+    expect(evaluateCurve({ input: { humidity: 2, moon: 2 }, from: 0, to: 1 }, inputs)).toBe(1);
+  });
+});
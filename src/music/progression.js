@@ -5,6 +5,9 @@ import {
   buildDominant7Chord, getChordTonesFromSemitones, NOTE_NAMES, noteToMidi,
 } from './scale.js';
 import { CATEGORY_TO_MOOD } from './constants.js';
+import { createRandomStream } from './random.js';
+
+const random = createRandomStream('progression');
 
 // ── Diatonic chord qualities for each mode ──
 // Built by stacking 3rds on each scale degree.
@@ -139,9 +142,9 @@ function weightedPick(weights, exclude = null) {
   if (entries.length === 0) {
     // Fallback: pick any degree except excluded
     const fallback = [1, 2, 3, 4, 5, 6, 7].filter(d => d !== exclude);
-    return fallback[Math.floor(Math.random() * fallback.length)];
+    return fallback[Math.floor(random() * fallback.length)];
   }
-  let roll = Math.random() * total;
+  let roll = random() * total;
   for (const { degree, weight } of entries) {
     roll -= weight;
     if (roll <= 0) return degree;
@@ -354,7 +357,7 @@ export function generateProgression(root, mode, weatherCategory, pressureNorm, t
   const effectiveTension = Math.max(0, Math.min(1, tensionLevel));
   const minLen = Math.round(baseLengths.min + (tenseLengths.min - baseLengths.min) * effectiveTension);
   const maxLen = Math.round(baseLengths.max + (tenseLengths.max - baseLengths.max) * effectiveTension);
-  const length = minLen + Math.floor(Math.random() * (maxLen - minLen + 1));
+  const length = minLen + Math.floor(random() * (maxLen - minLen + 1));
 
   // Build degree sequence via Markov chain — blend weights toward tense at higher tension
   const baseTransitions = TRANSITION_WEIGHTS[mood] || TRANSITION_WEIGHTS.calm;
@@ -390,7 +393,7 @@ export function generateProgression(root, mode, weatherCategory, pressureNorm, t
     const injected = [];
     for (const chord of chords) {
       // Only inject before eligible diatonic targets (not before another secondary dominant)
-      if (SEC_DOM_TARGETS.has(chord.degree) && Math.random() < secDomProb) {
+      if (SEC_DOM_TARGETS.has(chord.degree) && random() < secDomProb) {
         injected.push(buildSecondaryDominant(chord, originalScaleTones));
       }
       injected.push(chord);
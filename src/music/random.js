@@ -0,0 +1,84 @@
+/**
+ * Seedable randomness for the generative parts of the music.
+ *
+ * Every module that makes musical choices (mapper, progression, melody,
+ * arpeggio, percussion, wind chime, texture, choir, conductor, and the
+ * engine's detune drift and shooting stars) draws from its own named
+ * stream. With a seed set, each stream is an independent mulberry32 sequence
+ * derived from seed + stream name, so the same seed and the same weather give
+ * the same music — and a busy percussion pattern can't shift the melody's
+ * choices just by consuming numbers first. Without a seed, streams fall
+ * through to Math.random.
+ *
+ * setRandomSeed() restarts every stream from the top; main.js calls it at the
+ * start of each location session.
+ */
+
+let currentSeed = null;
+let epoch = 0; // Bumped on every setRandomSeed() so streams know to restart
+
+/**
+ * mulberry32 — small, fast 32-bit PRNG with good statistical quality.
+ * @param {number} seed - Unsigned 32-bit integer
+ * @returns {() => number} Generator returning floats in [0, 1)
+ */
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function next() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** FNV-1a hash — turns a stream name into a 32-bit salt. */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Seed all streams, or pass null to go back to Math.random.
+ * @param {number|null} seed - Unsigned 32-bit integer
+ */
+export function setRandomSeed(seed) {
+  currentSeed = seed == null ? null : seed >>> 0;
+  epoch++;
+}
+
+/** @returns {number|null} The active seed, or null when unseeded. */
+export function getRandomSeed() {
+  return currentSeed;
+}
+
+/** A fresh, truly random 32-bit seed. */
+export function generateSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Create a named random stream. Call at module level; the returned function
+ * is a drop-in replacement for Math.random.
+ * @param {string} name - Unique per consumer (e.g. 'melody')
+ * @returns {() => number}
+ */
+export function createRandomStream(name) {
+  const salt = hashString(name);
+  let streamEpoch = -1;
+  let next = null;
+
+  return function random() {
+    if (streamEpoch !== epoch) {
+      streamEpoch = epoch;
+      // Unseeded streams defer to Math.random at call time (so test spies apply)
+      next = currentSeed == null ? () => Math.random() : mulberry32(currentSeed ^ salt);
+    }
+    return next();
+  };
+}
@@ -0,0 +1,148 @@
+import * as Tone from 'tone';
+import { createCaptureNode, concatBlocks } from './capture.js';
+import { createRingBuffer } from './ringbuffer.js';
+import { encodeWavBlob } from './wav.js';
+
+/**
+ * Session recorder — "save the last 5 minutes" plus manual takes.
+ *
+ * A capture worklet taps the engine's limiter output. Every block goes into a
+ * rolling ring buffer, and into the current take when one is running. The
+ * capture node lives on the shared AudioContext, so it survives engine
+ * re-creation on location change: main.js just re-attaches the new engine.
+ *
+ * While paused, incoming blocks are dropped instead of recorded — a
+ * stop()/resume() cycle leaves a clean splice rather than minutes of silence
+ * and release tails in the middle of the history.
+ */
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.historySeconds=300] - Length of the rolling buffer
+ * @param {number} [options.maxTakeSeconds=600] - Longest take before it stops itself
+ * @param {(blob: Blob) => void} [options.onTakeLimit] - Receives a take stopped at the cap
+ */
+export function createSessionRecorder({ historySeconds = 300, maxTakeSeconds = 600, onTakeLimit } = {}) {
+  const sampleRate = Tone.getContext().sampleRate;
+  let nodePromise = null;
+  let attachedEngine = null;
+  let history = null;   // Allocated on the first block (≈ 23 MB per stereo minute)
+  let take = null;      // Array of captured blocks while a take is running
+  let takeFrames = 0;
+  const maxTakeFrames = Math.round(maxTakeSeconds * sampleRate);
+  let paused = false;
+
+  function onBlock(event) {
+    if (paused) return;
+    const channels = event.data.inputs[0];
+    if (!history) history = createRingBuffer(2, Math.round(historySeconds * sampleRate));
+    history.write(channels);
+    if (!take) return;
+    take.push(channels);
+    takeFrames += channels[0].length;
+    if (takeFrames >= maxTakeFrames) {
+      const blob = finishTake();
+      if (blob) onTakeLimit?.(blob);
+    }
+  }
+
+  function finishTake() {
+    const blocks = take;
+    take = null;
+    takeFrames = 0;
+    if (!blocks || blocks.length === 0) return null;
+    return encodeWavBlob(concatBlocks(blocks), sampleRate);
+  }
+
+  function ensureNode() {
+    if (!nodePromise) {
+      nodePromise = createCaptureNode(1).then((node) => {
+        node.port.onmessage = onBlock;
+        return node;
+      });
+      nodePromise.catch(() => { nodePromise = null; });
+    }
+    return nodePromise;
+  }
+
+  return {
+    get historySeconds() { return historySeconds; },
+
+    /** Seconds of audio currently held in the rolling buffer. */
+    get bufferedSeconds() { return history ? history.length / sampleRate : 0; },
+
+    get isTakeActive() { return take !== null; },
+
+    get maxTakeSeconds() { return maxTakeSeconds; },
+
+    get isPaused() { return paused; },
+
+    /**
+     * Tap an engine's output. Replaces any previously attached engine.
+     * Rejects when AudioWorklet is unavailable (insecure context).
+     */
+    async attach(engine) {
+      attachedEngine = engine;
+      const node = await ensureNode();
+      // A newer engine may have been attached while the module loaded
+      if (attachedEngine !== engine) return;
+      engine.connectOutputTap(node);
+    },
+
+    /** Disconnect from the current engine (the buffer is kept). */
+    async detach() {
+      const engine = attachedEngine;
+      attachedEngine = null;
+      if (!engine || !nodePromise) return;
+      const node = await nodePromise;
+      engine.disconnectOutputTap(node);
+    },
+
+    /** Stop recording incoming audio — call alongside engine.stop(). */
+    pause() {
+      paused = true;
+    },
+
+    /** Resume recording — call alongside engine.resume(). */
+    resume() {
+      paused = false;
+    },
+
+    startTake() {
+      take = [];
+      takeFrames = 0;
+    },
+
+    /**
+     * Finish the current take.
+     * @returns {Blob|null} WAV blob, or null when no take was running / nothing captured
+     */
+    stopTake() {
+      return finishTake();
+    },
+
+    /**
+     * Export the most recent audio from the rolling buffer.
+     * @param {number} [seconds] - Defaults to the whole buffer
+     * @returns {Blob|null} WAV blob, or null when nothing has been captured yet
+     */
+    saveHistory(seconds = historySeconds) {
+      if (!history || history.length === 0) return null;
+      const channels = history.read(Math.round(seconds * sampleRate));
+      return encodeWavBlob(channels, sampleRate);
+    },
+
+    async dispose() {
+      await this.detach();
+      const node = await nodePromise?.catch(() => null);
+      if (node) {
+        node.port.onmessage = null;
+        node.disconnect();
+      }
+      nodePromise = null;
+      history = null;
+      take = null;
+      takeFrames = 0;
+    },
+  };
+}
@@ -0,0 +1,64 @@
+import { describe, expect, it, vi } from 'vitest';
+
+const captureState = vi.hoisted(() => ({ node: null }));
+
+vi.mock('tone', () => ({
+  getContext: () => ({ sampleRate: 4 }),
+}));
+
+vi.mock('./capture.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  return {
+    ...actual,
+    createCaptureNode: vi.fn(async () => {
+      const node = { port: { onmessage: null }, disconnect() {} };
+      captureState.node = node;
+      return node;
+    }),
+  };
+});
+
+const { createSessionRecorder } = await import('./recorder.js');
+
+function fakeEngine() {
+  return { connectOutputTap: vi.fn(), disconnectOutputTap: vi.fn() };
+}
+
+function sendBlock(frames) {
+  captureState.node.port.onmessage({ data: { inputs: [[new Float32Array(frames), new Float32Array(frames)]] } });
+}
+
+describe('createSessionRecorder', () => {
+  it('stops a take at the length cap and hands over its WAV', async () => {
+    const onTakeLimit = vi.fn();
+    const recorder = createSessionRecorder({ maxTakeSeconds: 2, onTakeLimit });
+    await recorder.attach(fakeEngine());
+
+    recorder.startTake();
+    sendBlock(4);
+    expect(onTakeLimit).not.toHaveBeenCalled();
+    sendBlock(4);
+
+    expect(onTakeLimit).toHaveBeenCalledTimes(1);
+    const blob = onTakeLimit.mock.calls[0][0];
+    // 44-byte header + 8 stereo 16-bit frames
+    expect(blob.size).toBe(44 + 8 * 4);
+    expect(recorder.isTakeActive).toBe(false);
+    expect(recorder.stopTake()).toBeNull();
+  });
+
+  it('starts counting afresh for each take', async () => {
+    const onTakeLimit = vi.fn();
+    const recorder = createSessionRecorder({ maxTakeSeconds: 2, onTakeLimit });
+    await recorder.attach(fakeEngine());
+
+    recorder.startTake();
+    sendBlock(6);
+    expect(recorder.stopTake()).not.toBeNull();
+
+    recorder.startTake();
+    sendBlock(6);
+    expect(onTakeLimit).not.toHaveBeenCalled();
+    expect(recorder.isTakeActive).toBe(true);
+  });
+});
@@ -0,0 +1,78 @@
+import * as Tone from 'tone';
+import { createSoundEngine } from './engine.js';
+import { mapWeatherToMusic } from './mapper.js';
+import { createInterpolator } from './interpolator.js';
+import { encodeWavBlob } from './wav.js';
+
+/**
+ * Offline render — "what does this location sound like" without listening in
+ * real time.
+ *
+ * Builds a throwaway engine inside Tone's OfflineAudioContext, drives it with
+ * the same mapper → interpolator path as the live app, and renders the result
+ * faster than real time. Everything the voices schedule on the Transport
+ * (progressions, arpeggio/percussion sequences, melody phrases, wind chimes)
+ * lands in the file; wall-clock timers (pad/choir crossfade cleanup, choir
+ * vowel drift) do not advance during the render.
+ */
+
+// Long renders hold the whole float buffer in memory (~21 MB per stereo minute
+// at 44.1 kHz), so cap the length well below where a tab would struggle.
+export const MAX_RENDER_MINUTES = 10;
+
+/**
+ * Render a stereo WAV for a weather state.
+ *
+ * @param {import('../weather/fetcher.js').WeatherState} weather
+ * @param {object} [options]
+ * @param {number} [options.durationSeconds=180] - Length of the render
+ * @param {object} [options.mapOptions] - Passed through to mapWeatherToMusic (tide, AQI, biome…);
+ *   its style also sets up the engine
+ * @param {Record<string, number>} [options.mix] - Mixer gain per voice (see mixer.js), so the
+ *   render sounds like the live mix
+ * @param {number} [options.sampleRate] - Defaults to the live context's rate
+ * @returns {Promise<Blob>} audio/wav blob
+ */
+export async function renderWeatherToWav(weather, {
+  durationSeconds = 180,
+  mapOptions = {},
+  mix = {},
+  sampleRate,
+} = {}) {
+  const seconds = Math.max(1, Math.min(MAX_RENDER_MINUTES * 60, durationSeconds));
+  const params = mapWeatherToMusic(weather, mapOptions);
+
+  let engine = null;
+  let offlineContext = null;
+
+  const buffer = await Tone.Offline(async (context) => {
+    offlineContext = context;
+    engine = createSoundEngine({ style: mapOptions.style });
+    Object.entries(mix).forEach(([voice, gain]) => engine.setVoiceMix(voice, gain, 0));
+    const interpolator = createInterpolator(engine);
+    engine.start(params);
+    interpolator.update(params);
+    engine.setBiome(params._meta.biome, 0);
+    engine.updateCelestialContext(params._meta.sunTransition, params._meta.moonFullness);
+    engine.updateWindChime(weather.windSpeed);
+    // Reverb impulse responses are generated asynchronously; without waiting
+    // the first seconds of the render would be bone dry.
+    await Promise.all([
+      engine.effects.reverb.ready,
+      engine.effects.percussionReverb.ready,
+    ]);
+  }, seconds, 2, sampleRate ?? Tone.getContext().sampleRate);
+
+  // dispose() pauses "the" Transport — point the global context back at the
+  // offline one so the live session's Transport keeps running.
+  const liveContext = Tone.getContext();
+  Tone.setContext(offlineContext);
+  try {
+    engine.dispose();
+  } finally {
+    Tone.setContext(liveContext);
+  }
+
+  const channels = [buffer.getChannelData(0), buffer.getChannelData(1)];
+  return encodeWavBlob(channels, buffer.sampleRate);
+}
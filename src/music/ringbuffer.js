@@ -0,0 +1,70 @@
+/**
+ * Fixed-capacity multichannel ring buffer for captured audio.
+ *
+ * Holds the most recent `capacity` frames; older audio is overwritten as new
+ * blocks arrive. Storage is planar (one Float32Array per channel) to match
+ * what the capture worklet delivers and what encodeWav() consumes.
+ */
+
+/**
+ * @param {number} channelCount
+ * @param {number} capacity - Maximum frames retained
+ */
+export function createRingBuffer(channelCount, capacity) {
+  const data = Array.from({ length: channelCount }, () => new Float32Array(capacity));
+  let writeIndex = 0;
+  let filled = 0;
+
+  return {
+    get capacity() { return capacity; },
+    get channelCount() { return channelCount; },
+
+    /** Frames currently held (≤ capacity). */
+    get length() { return filled; },
+
+    /**
+     * Append a block of frames.
+     * @param {Float32Array[]} channels - One array per channel, equal lengths
+     */
+    write(channels) {
+      const total = channels[0]?.length ?? 0;
+      if (total === 0) return;
+      // Blocks longer than the buffer only keep their tail
+      const skip = Math.max(0, total - capacity);
+      const n = total - skip;
+      const firstPart = Math.min(n, capacity - writeIndex);
+
+      for (let c = 0; c < channelCount; c++) {
+        const source = channels[c] ?? channels[0];
+        data[c].set(source.subarray(skip, skip + firstPart), writeIndex);
+        if (firstPart < n) data[c].set(source.subarray(skip + firstPart, total), 0);
+      }
+
+      writeIndex = (writeIndex + n) % capacity;
+      filled = Math.min(capacity, filled + n);
+    },
+
+    /**
+     * Copy out the most recent frames, oldest first.
+     * @param {number} [frames] - Defaults to everything held
+     * @returns {Float32Array[]}
+     */
+    read(frames = filled) {
+      const n = Math.max(0, Math.min(frames, filled));
+      const start = (writeIndex - n + capacity) % capacity;
+      const firstPart = Math.min(n, capacity - start);
+
+      return data.map((channel) => {
+        const out = new Float32Array(n);
+        out.set(channel.subarray(start, start + firstPart));
+        if (firstPart < n) out.set(channel.subarray(0, n - firstPart), firstPart);
+        return out;
+      });
+    },
+
+    clear() {
+      writeIndex = 0;
+      filled = 0;
+    },
+  };
+}
@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { createRingBuffer } from './ringbuffer.js';
+
+const block = (...values) => new Float32Array(values);
+
+describe('createRingBuffer', () => {
+  it('returns frames in write order before wrapping', () => {
+    const ring = createRingBuffer(2, 8);
+    ring.write([block(1, 2, 3), block(-1, -2, -3)]);
+    ring.write([block(4), block(-4)]);
+
+    expect(ring.length).toBe(4);
+    const [left, right] = ring.read();
+    expect(Array.from(left)).toEqual([1, 2, 3, 4]);
+    expect(Array.from(right)).toEqual([-1, -2, -3, -4]);
+  });
+
+  it('keeps only the most recent frames once full', () => {
+    const ring = createRingBuffer(1, 4);
+    ring.write([block(1, 2, 3)]);
+    ring.write([block(4, 5, 6)]);
+
+    expect(ring.length).toBe(4);
+    expect(Array.from(ring.read()[0])).toEqual([3, 4, 5, 6]);
+    expect(Array.from(ring.read(2)[0])).toEqual([5, 6]);
+  });
+
+  it('keeps the tail of a block larger than the capacity', () => {
+    const ring = createRingBuffer(1, 3);
+    ring.write([block(1)]);
+    ring.write([block(2, 3, 4, 5, 6)]);
+
+    expect(Array.from(ring.read()[0])).toEqual([4, 5, 6]);
+  });
+
+  it('clear() empties the buffer', () => {
+    const ring = createRingBuffer(1, 4);
+    ring.write([block(1, 2)]);
+    ring.clear();
+
+    expect(ring.length).toBe(0);
+    expect(ring.read()[0].length).toBe(0);
+    ring.write([block(7)]);
+    expect(Array.from(ring.read()[0])).toEqual([7]);
+  });
+});
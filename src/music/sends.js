@@ -0,0 +1,80 @@
+/**
+ * Effect sends — how much of each voice reaches the shared chorus, delay and
+ * reverb returns.
+ *
+ * The effects run fully wet on their own returns, fed by one send per voice
+ * per effect. The return levels stay global (humidity still sets the reverb
+ * return); the sends give each voice its own place in the room, e.g. a wetter
+ * choir in fog and a drier bass in storms. Each voice's dry path gives up what
+ * its sends take (see dryLevel), as a wet/dry blend does, so a wetter room
+ * doesn't also make the mix louder.
+ *
+ * A mapping profile's `effectSends` section holds each voice's base levels
+ * plus per-category overrides:
+ *
+ *   "choir": { "chorus": 0.8, "delay": 0.3, "reverb": 0.7, "fog": { "reverb": 1 } }
+ */
+
+import { STYLE_VOICES } from './styles.js';
+
+/** Shared effects, in engine order */
+export const SEND_EFFECTS = ['chorus', 'delay', 'reverb'];
+
+/** Voices with sends — every voice */
+export const SEND_VOICES = STYLE_VOICES;
+
+/**
+ * @typedef {Record<string, { chorus: number, delay: number, reverb: number }>} EffectSends
+ */
+
+function clampSend(level) {
+  return Math.max(0, Math.min(1, level));
+}
+
+/**
+ * Send levels for a weather category.
+ * @param {Record<string, object>} [table] - A profile's effectSends section
+ * @param {string} category - Weather category (clear, fog, storm…)
+ * @returns {EffectSends} Every voice and effect, 0 where the table is silent
+ */
+export function resolveEffectSends(table = {}, category) {
+  return Object.fromEntries(SEND_VOICES.map((voice) => {
+    const entry = table[voice] ?? {};
+    const override = entry[category] ?? {};
+    const levels = Object.fromEntries(SEND_EFFECTS.map((effect) => [
+      effect,
+      clampSend(override[effect] ?? entry[effect] ?? 0),
+    ]));
+    return [voice, levels];
+  }));
+}
+
+/**
+ * A voice's dry level: what each effect's wet/dry blend would leave of it,
+ * with the blend's wet share being the voice's send times the return level.
+ * Full sends give the direct-path level of the old serial chain — e.g.
+ * reverb wet 0.65 leaves 0.35 dry — and no sends leave the voice at 1.
+ * @param {{ chorus: number, delay: number, reverb: number }} sends - One voice's levels
+ * @param {{ chorus: number, delay: number, reverb: number }} returns - Return levels
+ * @returns {number}
+ */
+export function dryLevel(sends, returns) {
+  return SEND_EFFECTS.reduce((level, effect) => level * (1 - (sends[effect] ?? 0) * (returns[effect] ?? 0)), 1);
+}
+
+/**
+ * Sends that stand in for the old serial chorus → delay → reverb chain: every
+ * voice into all three, the wind chime into the reverb alone, and percussion
+ * (which has its own short reverb) into none. The effects run side by side
+ * rather than one into the next, but with dryLevel() each voice keeps the
+ * chain's balance of dry to wet. What an engine plays until the mapper says
+ * otherwise.
+ * @returns {EffectSends}
+ */
+export function serialChainSends() {
+  return Object.fromEntries(SEND_VOICES.map((voice) => {
+    if (voice === 'percussion') return [voice, { chorus: 0, delay: 0, reverb: 0 }];
+    if (voice === 'windChime') return [voice, { chorus: 0, delay: 0, reverb: 1 }];
+    return [voice, { chorus: 1, delay: 1, reverb: 1 }];
+  }));
+}
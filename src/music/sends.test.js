@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest';
+import { dryLevel, resolveEffectSends, SEND_VOICES, serialChainSends } from './sends.js';
+
+describe('resolveEffectSends', () => {
+  const table = {
+    choir: { chorus: 0.8, delay: 0.3, reverb: 0.7, fog: { reverb: 1 } },
+    bass: { reverb: 0.25, storm: { reverb: 0.05, chorus: 0 } },
+  };
+
+  it("starts from each voice's base levels and applies the category overrides", () => {
+    expect(resolveEffectSends(table, 'clear').choir).toEqual({ chorus: 0.8, delay: 0.3, reverb: 0.7 });
+    expect(resolveEffectSends(table, 'fog').choir).toEqual({ chorus: 0.8, delay: 0.3, reverb: 1 });
+    expect(resolveEffectSends(table, 'storm').bass).toEqual({ chorus: 0, delay: 0, reverb: 0.05 });
+  });
+
+  it('covers every voice, silent where the table says nothing, and clamps to 0–1', () => {
+    const sends = resolveEffectSends({ pad: { reverb: 3, delay: -1 } }, 'clear');
+    expect(Object.keys(sends)).toEqual(SEND_VOICES);
+    expect(sends.pad).toEqual({ chorus: 0, delay: 0, reverb: 1 });
+    expect(sends.melody).toEqual({ chorus: 0, delay: 0, reverb: 0 });
+  });
+});
+
+describe('serialChainSends', () => {
+  it('sends everything through every effect but the chimes and percussion', () => {
+    const sends = serialChainSends();
+    expect(sends.pad).toEqual({ chorus: 1, delay: 1, reverb: 1 });
+    expect(sends.windChime).toEqual({ chorus: 0, delay: 0, reverb: 1 });
+    expect(sends.percussion).toEqual({ chorus: 0, delay: 0, reverb: 0 });
+  });
+});
+
+describe('dryLevel', () => {
+  const returns = { chorus: 0.2, delay: 0.15, reverb: 0.65 };
+
+  it('leaves a fully sent voice what the serial chain passed straight through', () => {
+    expect(dryLevel({ chorus: 1, delay: 1, reverb: 1 }, returns)).toBeCloseTo(0.8 * 0.85 * 0.35, 10);
+    expect(dryLevel({ chorus: 0, delay: 0, reverb: 1 }, returns)).toBeCloseTo(0.35, 10);
+  });
+
+  it('keeps a voice without sends at full level and gives up only what is sent', () => {
+    expect(dryLevel({ chorus: 0, delay: 0, reverb: 0 }, returns)).toBe(1);
+    expect(dryLevel({ chorus: 0, delay: 0, reverb: 0.5 }, returns)).toBeCloseTo(1 - 0.325, 10);
+  });
+});
@@ -0,0 +1,127 @@
+import * as Tone from 'tone';
+import { createCaptureNode, concatBlocks } from './capture.js';
+import { encodeWav } from './wav.js';
+import { createZip } from './zip.js';
+
+/**
+ * Per-voice stem capture.
+ *
+ * All stems feed separate inputs of a single capture worklet, so every file
+ * starts on the same sample and they line up when dropped into a DAW.
+ * Voice stems are taken at each voice's panner output — panned, but before
+ * the shared chorus, delay and reverb and the master gain. The `effects`
+ * stem is those effects' returns.
+ */
+
+/**
+ * @param {Record<string, object[]>} sources - Stem name → Tone nodes summed into that stem
+ */
+export function createStemCapture(sources) {
+  const names = Object.keys(sources);
+  let node = null;
+  let blocks = null;
+  let pending = null;   // Resolves once start() has connected everything
+
+  function connectAll(target) {
+    names.forEach((name, i) => {
+      sources[name].forEach((source) => source.connect(target, 0, i));
+    });
+  }
+
+  /** Tell the worklet to end and take the node out of the graph */
+  function release(captureNode) {
+    captureNode.port.onmessage = null;
+    captureNode.port.postMessage('stop');
+    captureNode.disconnect();
+  }
+
+  function disconnectAll(target) {
+    names.forEach((name, i) => {
+      sources[name].forEach((source) => {
+        try {
+          source.disconnect(target, 0, i);
+        } catch {
+          // Source already disposed with the engine
+        }
+      });
+    });
+  }
+
+  return {
+    names,
+
+    get isRecording() { return blocks !== null; },
+
+    /** Begin capturing all stems. Rejects when AudioWorklet is unavailable. */
+    start() {
+      if (pending) return pending;
+      pending = createCaptureNode(names.length).then((captureNode) => {
+        node = captureNode;
+        blocks = [];
+        node.port.onmessage = (event) => { blocks?.push(event.data.inputs); };
+        connectAll(node);
+      });
+      pending.catch(() => { pending = null; });
+      return pending;
+    },
+
+    /**
+     * Stop capturing and return the recorded stems.
+     * @returns {Promise<{ sampleRate: number, stems: Record<string, Float32Array[]> } | null>}
+     */
+    async stop() {
+      if (!pending) return null;
+      await pending;
+      pending = null;
+      if (!node) return null;   // A concurrent stop() already took this take
+      const captureNode = node;
+      const captured = blocks;
+      node = null;
+      blocks = null;
+      disconnectAll(captureNode);
+
+      // Pick up the partially filled batch still sitting in the worklet
+      await new Promise((resolve) => {
+        const fallback = setTimeout(resolve, 250);
+        captureNode.port.onmessage = (event) => {
+          captured.push(event.data.inputs);
+          clearTimeout(fallback);
+          resolve();
+        };
+        captureNode.port.postMessage('flush');
+      });
+      release(captureNode);
+
+      if (captured.length === 0) return null;
+      const stems = {};
+      names.forEach((name, i) => {
+        stems[name] = concatBlocks(captured.map((inputs) => inputs[i]));
+      });
+      return { sampleRate: Tone.getContext().sampleRate, stems };
+    },
+
+    dispose() {
+      if (node) {
+        disconnectAll(node);
+        release(node);
+      }
+      node = null;
+      blocks = null;
+      pending = null;
+    },
+  };
+}
+
+/**
+ * Package captured stems as a zip of WAV files (one per stem).
+ * @param {{ sampleRate: number, stems: Record<string, Float32Array[]> }} capture
+ * @param {string} [prefix] - Prepended to every file name inside the archive
+ * @returns {Blob}
+ */
+export function buildStemZip({ sampleRate, stems }, prefix = '') {
+  const entries = Object.entries(stems).map(([name, channels]) => ({
+    name: `${prefix}${name}.wav`,
+    data: encodeWav(channels, sampleRate),
+  }));
+  return new Blob([createZip(entries)], { type: 'application/zip' });
+}
@@ -0,0 +1,93 @@
+import { describe, expect, it, vi } from 'vitest';
+
+const captureState = vi.hoisted(() => ({ node: null }));
+
+vi.mock('tone', () => ({
+  getContext: () => ({ sampleRate: 48000 }),
+}));
+
+vi.mock('./capture.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  return {
+    ...actual,
+    createCaptureNode: vi.fn(async () => {
+      const node = {
+        posted: [],
+        disconnected: false,
+        port: {
+          onmessage: null,
+          postMessage(message) {
+            node.posted.push(message);
+            // The worklet answers a flush with its partial batch
+            if (message === 'flush') {
+              node.port.onmessage?.({ data: { inputs: [[new Float32Array([0.5]), new Float32Array([0.5])]] } });
+            }
+          },
+        },
+        disconnect() { node.disconnected = true; },
+      };
+      captureState.node = node;
+      return node;
+    }),
+  };
+});
+
+const { buildStemZip, createStemCapture } = await import('./stems.js');
+
+function fakeSource() {
+  return { connect: vi.fn(), disconnect: vi.fn() };
+}
+
+describe('createStemCapture', () => {
+  it('stops the worklet and disconnects its node once a take is flushed', async () => {
+    const capture = createStemCapture({ pad: [fakeSource()] });
+    await capture.start();
+    const node = captureState.node;
+
+    const take = await capture.stop();
+
+    expect(take.stems.pad[0]).toEqual(new Float32Array([0.5]));
+    expect(node.posted).toEqual(['flush', 'stop']);
+    expect(node.disconnected).toBe(true);
+    expect(node.port.onmessage).toBeNull();
+  });
+
+  it('stops the worklet when disposed mid-take', async () => {
+    const capture = createStemCapture({ pad: [fakeSource()] });
+    await capture.start();
+    const node = captureState.node;
+
+    capture.dispose();
+
+    expect(node.posted).toEqual(['stop']);
+    expect(node.disconnected).toBe(true);
+  });
+});
+
+describe('buildStemZip', () => {
+  it('packs one WAV per stem, named with the prefix', async () => {
+    const left = new Float32Array([0, 0.5]);
+    const right = new Float32Array([0, -0.5]);
+    const blob = buildStemZip({ sampleRate: 44100, stems: { pad: [left, right], effects: [left, right] } }, 'take-');
+
+    expect(blob.type).toBe('application/zip');
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const view = new DataView(bytes.buffer);
+
+    // Walk the local headers: name, then the stored WAV
+    const names = [];
+    let offset = 0;
+    while (view.getUint32(offset, true) === 0x04034b50) {
+      const size = view.getUint32(offset + 18, true);
+      const nameLength = view.getUint16(offset + 26, true);
+      const name = new TextDecoder().decode(bytes.subarray(offset + 30, offset + 30 + nameLength));
+      const data = offset + 30 + nameLength;
+      names.push(name);
+      expect(new TextDecoder().decode(bytes.subarray(data, data + 4))).toBe('RIFF');
+      expect(view.getUint32(data + 24, true)).toBe(44100);
+      expect(size).toBe(44 + 2 * 4);
+      offset = data + size;
+    }
+    expect(names).toEqual(['take-pad.wav', 'take-effects.wav']);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Musical styles — the same weather played by a different band.
+ *
+ * A style works in two places. The engine (createSoundEngine's `style`
+ * option, engine.setStyle) takes its voice selection — a level in dB per
+ * voice, or null for silent — and its timbres, Tone synth options laid over
+ * the weather's own. The mapper (options.style) takes the rest: tempo
+ * range, params the style fixes (rhythm templates, noise colour) and
+ * multipliers on weather-driven params such as reverb and brightness.
+ * Nothing is torn down to switch: voice levels crossfade and the mapped
+ * params ramp through the interpolator like any weather change.
+ */
+
+/** Voices a style can level, as named in engine.voices */
+export const STYLE_VOICES = ['pad', 'arpeggio', 'bass', 'texture', 'percussion', 'drone', 'melody', 'windChime', 'choir'];
+
+/** Seconds voice levels take to crossfade when the style changes */
+export const STYLE_FADE_SECONDS = 6;
+
+// Shared envelopes: a struck string that rings and dies away, a tine that barely sustains
+const STRUCK = { attack: 0.004, decay: 1.8, sustain: 0.08, release: 1.4 };
+const PLUCKED_TINE = { attack: 0.001, decay: 0.9, sustain: 0, release: 1.6 };
+
+/** Where scaled params must stay for the engine to play them safely */
+const SCALE_LIMITS = {
+  reverbWet: [0.05, 0.9],
+  reverbDecay: [1, 18],
+  chorusDepth: [0.05, 1],
+  padBrightness: [0.05, 0.95],
+  masterFilterCutoff: [400, 14000],
+  arpeggioFilterCutoff: [400, 12000],
+  droneCutoff: [60, 500],
+  subBassGain: [0.1, 0.6],
+};
+
+/**
+ * @typedef {object} Style
+ * @property {string} name - Stable id (localStorage, share links)
+ * @property {string} label - Menu text
+ * @property {Record<string, number|null>} voices - dB offset per voice; null = silent, missing = 0
+ * @property {Record<string, object>} timbres - Tone synth options per voice (pad, arpeggio, melody)
+ * @property {{ scale?: number, min?: number, max?: number }} tempo - Applied to the mapped bpm
+ * @property {Record<string, *>} set - Params the style fixes whatever the weather
+ * @property {Record<string, number>} scale - Multipliers on mapped params
+ */
+
+/** @type {Style[]} In menu order; the first is the default */
+export const STYLES = [
+  {
+    name: 'ambient',
+    label: 'ambient',
+    voices: {},
+    timbres: {},
+    tempo: {},
+    set: {},
+    scale: {},
+  },
+  {
+    name: 'piano',
+    label: 'solo piano',
+    voices: { pad: null, texture: null, percussion: null, drone: null, windChime: null, choir: null, bass: -4, melody: 2 },
+    timbres: {
+      arpeggio: { oscillator: { type: 'triangle' }, envelope: STRUCK },
+      melody: { oscillator: { type: 'triangle' }, envelope: STRUCK },
+    },
+    tempo: { scale: 0.9 },
+    set: { arpeggioRhythmPattern: 'ethereal' },
+    scale: { reverbWet: 0.8, chorusDepth: 0.3, arpeggioFilterCutoff: 1.3 },
+  },
+  {
+    name: 'drone',
+    label: 'drone only',
+    voices: { pad: null, arpeggio: null, bass: null, percussion: null, melody: null, windChime: null, choir: null, drone: 8, texture: -4 },
+    timbres: {},
+    tempo: {},
+    set: {},
+    scale: { reverbWet: 1.3, reverbDecay: 1.5, droneCutoff: 1.6, subBassGain: 1.3 },
+  },
+  {
+    name: 'lofi',
+    label: 'lo-fi beat',
+    voices: { drone: null, choir: null, windChime: null, percussion: 6, texture: -6, pad: -3, melody: -3 },
+    timbres: {
+      pad: { oscillator: { type: 'fattriangle', count: 2, spread: 18 }, envelope: { attack: 0.4, release: 3 } },
+      arpeggio: { oscillator: { type: 'triangle' }, envelope: STRUCK },
+    },
+    tempo: { min: 70, max: 88 },
+    set: { percussionPattern: 'lofi', arpeggioRhythmPattern: 'flowing', noiseType: 'brown', rhythmDensity: 0.7 },
+    scale: { masterFilterCutoff: 0.45, reverbWet: 0.6, chorusDepth: 1.4 },
+  },
+  {
+    name: 'strings',
+    label: 'chamber strings',
+    voices: { percussion: null, texture: null, windChime: null, arpeggio: -8, drone: -6, pad: 2 },
+    timbres: {
+      pad: { oscillator: { type: 'fatsawtooth', count: 3, spread: 14 }, envelope: { attack: 2.5, release: 6 } },
+      melody: { oscillator: { type: 'sawtooth' }, envelope: { attack: 0.35, release: 2 } },
+      arpeggio: { oscillator: { type: 'triangle' }, envelope: { attack: 0.005, decay: 0.25, sustain: 0, release: 0.3 } },
+    },
+    tempo: { scale: 0.85 },
+    set: { arpeggioRhythmPattern: 'ethereal' },
+    scale: { padBrightness: 0.7, reverbWet: 1.15 },
+  },
+  {
+    name: 'musicbox',
+    label: 'music box',
+    voices: { bass: null, texture: null, percussion: null, drone: null, choir: null, pad: -12, arpeggio: 4, melody: -2 },
+    timbres: {
+      arpeggio: { oscillator: { type: 'sine' }, envelope: PLUCKED_TINE },
+      melody: { oscillator: { type: 'sine' }, envelope: PLUCKED_TINE },
+    },
+    tempo: { scale: 1.1 },
+    set: { arpeggioRhythmPattern: 'cascading', arpeggioPattern: 'up' },
+    scale: { arpeggioFilterCutoff: 1.5, reverbWet: 1.1 },
+  },
+];
+
+export const DEFAULT_STYLE = STYLES[0];
+
+/**
+ * @param {string|null} name
+ * @returns {Style|null}
+ */
+export function getStyle(name) {
+  return STYLES.find((style) => style.name === name) ?? null;
+}
+
+/**
+ * Linear gain for a voice under a style (0 when the style silences it).
+ * @param {Style} style
+ * @param {string} voice - A STYLE_VOICES entry
+ */
+export function styleVoiceGain(style, voice) {
+  const db = style.voices[voice];
+  if (db === null) return 0;
+  return 10 ** ((db ?? 0) / 20);
+}
+
+/**
+ * Reshape mapped params for a style: fixed params, multipliers, then tempo.
+ * @param {object} params - MusicalParams from the mapper
+ * @param {Style} style
+ * @returns {object} New params; the input is left untouched
+ */
+export function applyStyle(params, style) {
+  const styled = { ...params, ...style.set };
+  for (const [key, factor] of Object.entries(style.scale)) {
+    if (typeof styled[key] !== 'number') continue;
+    const [lo, hi] = SCALE_LIMITS[key] ?? [-Infinity, Infinity];
+    styled[key] = Math.max(lo, Math.min(hi, styled[key] * factor));
+  }
+  const { scale = 1, min = -Infinity, max = Infinity } = style.tempo;
+  styled.bpm = Math.round(Math.max(min, Math.min(max, params.bpm * scale)));
+  styled._meta = { ...params._meta, style: style.name };
+  return styled;
+}
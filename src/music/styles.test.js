@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { applyStyle, DEFAULT_STYLE, getStyle, STYLE_VOICES, STYLES, styleVoiceGain } from './styles.js';
+
+const params = () => ({
+  bpm: 100,
+  reverbWet: 0.8,
+  masterFilterCutoff: 8000,
+  percussionPattern: 'pulse',
+  _meta: { category: 'clear' },
+});
+
+describe('styles', () => {
+  it('only level voices the engine has', () => {
+    for (const style of STYLES) {
+      expect(STYLE_VOICES).toEqual(expect.arrayContaining(Object.keys(style.voices)));
+    }
+  });
+
+  it('looks styles up by name', () => {
+    expect(getStyle('lofi').label).toBe('lo-fi beat');
+    expect(getStyle('polka')).toBeNull();
+    expect(DEFAULT_STYLE.name).toBe('ambient');
+  });
+
+  it('turns voice levels into gains', () => {
+    expect(styleVoiceGain(DEFAULT_STYLE, 'pad')).toBe(1);
+    expect(styleVoiceGain(getStyle('piano'), 'pad')).toBe(0);
+    expect(styleVoiceGain(getStyle('lofi'), 'percussion')).toBeCloseTo(2, 1);
+  });
+});
+
+describe('applyStyle', () => {
+  it('leaves params alone in the default style, apart from naming it', () => {
+    const styled = applyStyle(params(), DEFAULT_STYLE);
+    expect(styled).toEqual({ ...params(), _meta: { category: 'clear', style: 'ambient' } });
+  });
+
+  it('fixes, scales and clamps params, and fits the tempo to the style', () => {
+    const input = params();
+    const styled = applyStyle(input, getStyle('lofi'));
+    expect(styled.percussionPattern).toBe('lofi');
+    expect(styled.masterFilterCutoff).toBeCloseTo(3600);
+    expect(styled.reverbWet).toBeCloseTo(0.48);
+    expect(styled.bpm).toBe(88);
+    expect(input.percussionPattern).toBe('pulse'); // Input untouched
+
+    expect(applyStyle(params(), getStyle('drone')).reverbWet).toBe(0.9); // 0.8 × 1.3, clamped
+    expect(applyStyle(params(), getStyle('strings')).bpm).toBe(85);
+  });
+});
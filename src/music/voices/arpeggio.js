@@ -1,5 +1,8 @@
 import * as Tone from 'tone';
 import { noteToMidi } from '../scale.js';
+import { createRandomStream } from '../random.js';
+
+const random = createRandomStream('arpeggio');
 
 /**
  * Arpeggio voice — plucky melodic patterns, the movement layer.
@@ -74,7 +77,7 @@ export function createArpeggioVoice() {
     if (currentChordTones.length === 0) return 'C4';
 
     if (currentDirection === 'random') {
-      chordIdx = Math.floor(Math.random() * currentChordTones.length);
+      chordIdx = Math.floor(random() * currentChordTones.length);
     } else if (currentDirection === 'up') {
       chordIdx = (chordIdx + 1) % currentChordTones.length;
     } else if (currentDirection === 'down') {
@@ -106,12 +109,15 @@ export function createArpeggioVoice() {
       }
     }
     // Occasional random jump for variety
-    if (Math.random() < 0.2) {
-      best = currentScaleTones[Math.floor(Math.random() * currentScaleTones.length)];
+    if (random() < 0.2) {
+      best = currentScaleTones[Math.floor(random() * currentScaleTones.length)];
     }
     return best;
   }
 
+  // Note event listener (MIDI logging) — called with (note, time, durationSec, velocity)
+  let noteListener = null;
+
   function buildSequence() {
     const wasPlaying = sequence && sequence.state === 'started';
     if (sequence) {
@@ -125,13 +131,14 @@ export function createArpeggioVoice() {
       let note, velocity;
       if (type === 'C') {
         note = pickChordTone();
-        velocity = 0.35 + Math.random() * 0.15;
+        velocity = 0.35 + random() * 0.15;
       } else {
         note = pickScaleTone();
-        velocity = 0.2 + Math.random() * 0.12;
+        velocity = 0.2 + random() * 0.12;
       }
 
       synth.triggerAttackRelease(note, '8n', time, velocity);
+      noteListener?.(note, time, Tone.Time('8n').toSeconds(), velocity);
     }, currentPatternData, '8n');
 
     sequence.humanize = '32n';
@@ -149,6 +156,11 @@ export function createArpeggioVoice() {
     filter,
     output: filter,
 
+    /** Register a listener for every note the arpeggio plays. */
+    onNote(fn) {
+      noteListener = fn;
+    },
+
     start() {
       if (sequence && sequence.state !== 'started') {
         sequence.start(0);
@@ -170,7 +182,7 @@ export function createArpeggioVoice() {
     setRhythmPattern(patternName) {
       const patterns = ARPEGGIO_PATTERNS[patternName];
       if (!patterns) return;
-      currentPatternData = patterns[Math.floor(Math.random() * patterns.length)];
+      currentPatternData = patterns[Math.floor(random() * patterns.length)];
       buildSequence();
     },
 
@@ -48,6 +48,9 @@ export function createBassVoice() {
 
   let currentNote = null;
   let walkingSequence = null;
+  // Note event listener (MIDI logging) — walking bass only; sustained notes
+  // are reported by the engine alongside the chord they belong to.
+  let noteListener = null;
 
   return {
     synth,
@@ -55,6 +58,11 @@ export function createBassVoice() {
     lfo,
     output: filter,
 
+    /** Register a listener for walking-bass notes: (note, time, durationSec, velocity). */
+    onNote(fn) {
+      noteListener = fn;
+    },
+
     enableWalking(chordTones, scaleTones) {
       this.disableWalking();
       if (!chordTones || chordTones.length === 0) return;
@@ -64,7 +72,9 @@ export function createBassVoice() {
       const approach = scaleTones[1] ?? chordTones[0];
       const pattern = [root, fifth, passing, approach];
       walkingSequence = new Tone.Sequence((time, note) => {
-        if (note) synth.triggerAttackRelease(note, '8n', time, 0.7);
+        if (!note) return;
+        synth.triggerAttackRelease(note, '8n', time, 0.7);
+        noteListener?.(note, time, Tone.Time('8n').toSeconds(), 0.7);
       }, pattern, '4n');
       walkingSequence.start(0);
       synth.set({ portamento: 0.05 });
@@ -1,4 +1,7 @@
 import * as Tone from 'tone';
+import { createRandomStream } from '../random.js';
+
+const random = createRandomStream('choir');
 
 /**
  * Choir voice — formant-filtered sustained chords, the 9th voice.
@@ -144,11 +147,11 @@ export function createChoirVoice() {
       // Pick a different vowel from the pool
       const candidates = pool.filter(v => v !== currentVowel);
       const nextVowel = candidates.length > 0
-        ? candidates[Math.floor(Math.random() * candidates.length)]
+        ? candidates[Math.floor(random() * candidates.length)]
         : pool[0];
       applyVowel(nextVowel, 10); // 10s ramp
       scheduleDrift(); // re-schedule with fresh random delay
-    }, 15000 + Math.random() * 20000); // 15–35s, re-randomized each tick
+    }, 15000 + random() * 20000); // 15–35s, re-randomized each tick
   }
 
   function startDrift() {
@@ -1,5 +1,8 @@
 import * as Tone from 'tone';
 import { noteToMidi, midiToNote } from '../scale.js';
+import { createRandomStream } from '../random.js';
+
+const random = createRandomStream('melody');
 
 /**
  * Melody voice — occasional short phrases (3-5 notes) triggered probabilistically
@@ -57,6 +60,7 @@ export function createMelodyVoice() {
   let phraseEvents = []; // Track scheduled events for cleanup
   let lastNoteMidi = 67; // G4 — starting reference point
   let externalProbabilityScale = 1.0; // Movement conductor scaling
+  let noteListener = null; // MIDI logging: (note, time, durationSec, velocity)
 
   /**
    * Pick the next note for a phrase using weighted selection + stepwise preference.
@@ -65,7 +69,7 @@ export function createMelodyVoice() {
    */
   function pickNote(preferChordTone = true) {
     const chordProb = preferChordTone ? 0.7 : 0.3;
-    const pool = Math.random() < chordProb ? currentChordTones : currentScaleTones;
+    const pool = random() < chordProb ? currentChordTones : currentScaleTones;
     if (pool.length === 0) return 'C4';
 
     // Prefer stepwise motion: find notes within 4 semitones of last note
@@ -76,8 +80,8 @@ export function createMelodyVoice() {
 
     // 80% chance of stepwise, 20% chance of larger leap
     let chosen;
-    if (nearby.length > 0 && Math.random() < 0.8) {
-      chosen = nearby[Math.floor(Math.random() * nearby.length)];
+    if (nearby.length > 0 && random() < 0.8) {
+      chosen = nearby[Math.floor(random() * nearby.length)];
     } else {
       // Larger leap — pick from full pool, prefer within an octave
       const withinOctave = pool.filter(n => {
@@ -85,7 +89,7 @@ export function createMelodyVoice() {
         return dist > 0 && dist <= 12;
       });
       const leapPool = withinOctave.length > 0 ? withinOctave : pool;
-      chosen = leapPool[Math.floor(Math.random() * leapPool.length)];
+      chosen = leapPool[Math.floor(random() * leapPool.length)];
     }
 
     lastNoteMidi = noteToMidi(chosen);
@@ -105,11 +109,11 @@ export function createMelodyVoice() {
     );
 
     // Roll probability check
-    if (Math.random() > effectiveProbability) return;
+    if (random() > effectiveProbability) return;
 
     // Determine phrase length
     const noteCount = config.minNotes +
-      Math.floor(Math.random() * (config.maxNotes - config.minNotes + 1));
+      Math.floor(random() * (config.maxNotes - config.minNotes + 1));
 
     // Schedule phrase notes
     const now = Tone.now();
@@ -119,21 +123,22 @@ export function createMelodyVoice() {
 
     // Slight humanization offset per note
     for (let i = 0; i < noteCount; i++) {
-      const humanize = (Math.random() - 0.5) * 0.05; // ±25ms
+      const humanize = (random() - 0.5) * 0.05; // ±25ms
       const time = now + i * stepTime + humanize;
 
       // First note is always a chord tone, rest are mixed
-      const isChordTone = i === 0 || Math.random() < 0.7;
+      const isChordTone = i === 0 || random() < 0.7;
       const note = pickNote(isChordTone);
 
       // Velocity variation — first and last notes accented for phrase shape
       const isAccent = i === 0 || i === noteCount - 1;
       const velocity = isAccent
-        ? 0.50 + Math.random() * 0.15
-        : 0.38 + Math.random() * 0.12;
+        ? 0.50 + random() * 0.15
+        : 0.38 + random() * 0.12;
 
       const eventId = Tone.getTransport().scheduleOnce((t) => {
         synth.triggerAttackRelease(note, config.noteDuration, t, velocity);
+        noteListener?.(note, t, noteDurSec, velocity);
       }, time);
 
       phraseEvents.push(eventId);
@@ -155,6 +160,11 @@ export function createMelodyVoice() {
     filter,
     output: filter,
 
+    /** Register a listener for every phrase note as it sounds. */
+    onNote(fn) {
+      noteListener = fn;
+    },
+
     /**
      * Update chord and scale tone pools.
      * @param {string[]} chordTones
@@ -194,7 +204,7 @@ export function createMelodyVoice() {
       boost += moonFullness * 0.1;                // Full moon — slightly more active at night
 
       // Delay phrase start by 0.5-1.5 beats for call-and-response
-      const delaySec = Tone.Time('4n').toSeconds() * (0.5 + Math.random());
+      const delaySec = Tone.Time('4n').toSeconds() * (0.5 + random());
       const eventId = Tone.getTransport().scheduleOnce(() => {
         generatePhrase(boost);
       }, Tone.now() + delaySec);
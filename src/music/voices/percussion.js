@@ -1,4 +1,7 @@
 import * as Tone from 'tone';
+import { createRandomStream } from '../random.js';
+
+const random = createRandomStream('percussion');
 
 /**
  * Percussion voice — subtle rhythmic punctuation layer.
@@ -124,6 +127,23 @@ const PERCUSSION_PATTERNS = {
       null, null, null, null,
     ],
   ],
+
+  // Style template, not weather-driven: the lo-fi beat style (see styles.js).
+  // Lazy boom-bap — kick on 1 and the "and" of 3, backbeat on 2 and 4, loose hats.
+  lofi: [
+    [
+      { hit: 'membrane', v: 0.3, p: 0.95 }, null, { hit: 'metal', v: 0.05, p: 0.5 }, null,
+      { hit: 'metal', v: 0.16, p: 0.9 }, null, { hit: 'metal', v: 0.05, p: 0.5 }, null,
+      null, null, { hit: 'membrane', v: 0.24, p: 0.85 }, { hit: 'metal', v: 0.04, p: 0.4 },
+      { hit: 'metal', v: 0.16, p: 0.9 }, null, { hit: 'metal', v: 0.05, p: 0.5 }, null,
+    ],
+    [
+      { hit: 'membrane', v: 0.3, p: 0.95 }, null, { hit: 'metal', v: 0.05, p: 0.5 }, null,
+      { hit: 'metal', v: 0.16, p: 0.9 }, null, null, { hit: 'membrane', v: 0.14, p: 0.5 },
+      { hit: 'membrane', v: 0.22, p: 0.8 }, null, { hit: 'metal', v: 0.05, p: 0.5 }, null,
+      { hit: 'metal', v: 0.16, p: 0.9 }, null, { hit: 'metal', v: 0.04, p: 0.4 }, null,
+    ],
+  ],
 };
 
 export function createPercussionVoice() {
@@ -176,13 +196,13 @@ export function createPercussionVoice() {
 
       const { hit, v, p } = step;
       // Probability check — gives natural variation
-      if (Math.random() > p) return;
+      if (random() > p) return;
 
       const velocity = Math.min(1, v * velocityScale);
       if (velocity < 0.003) return;
 
       if (hit === 'membrane') {
-        const pitch = 40 + Math.random() * 30;
+        const pitch = 40 + random() * 30;
         membrane.triggerAttackRelease(pitch, '8n', time, velocity);
       } else if (hit === 'metal') {
         metal.triggerAttackRelease('16n', time, velocity);
@@ -219,7 +239,7 @@ export function createPercussionVoice() {
     setPatternCategory(category) {
       const patterns = PERCUSSION_PATTERNS[category];
       if (!patterns) return;
-      currentPatternData = patterns[Math.floor(Math.random() * patterns.length)];
+      currentPatternData = patterns[Math.floor(random() * patterns.length)];
       buildSequence();
     },
 
@@ -234,10 +254,10 @@ export function createPercussionVoice() {
       const t = (time ?? Tone.now()) + 0.005;
       // Soft membrane thud to mark the harmonic rhythm
       membrane.triggerAttackRelease(
-        50 + Math.random() * 15,
+        50 + random() * 15,
         '8n',
         t,
-        0.12 + Math.random() * 0.08
+        0.12 + random() * 0.08
       );
     },
 
@@ -252,18 +272,18 @@ export function createPercussionVoice() {
       const now = Tone.now();
       // Primary crack — loud, high-pitched, short
       membrane.triggerAttackRelease(
-        38 + Math.random() * 12,
+        38 + random() * 12,
         '4n',
         now + 0.005,
-        0.65 + Math.random() * 0.25
+        0.65 + random() * 0.25
       );
       // Secondary rumble — quieter, lower, longer decay
-      const rumbleDelay = 0.08 + Math.random() * 0.12;
+      const rumbleDelay = 0.08 + random() * 0.12;
       membrane.triggerAttackRelease(
-        28 + Math.random() * 8,
+        28 + random() * 8,
         '2n',
         now + rumbleDelay,
-        0.28 + Math.random() * 0.15
+        0.28 + random() * 0.15
       );
     },
 
@@ -1,4 +1,7 @@
 import * as Tone from 'tone';
+import { createRandomStream } from '../random.js';
+
+const random = createRandomStream('texture');
 
 /**
  * Texture voice — noise and atmosphere layer.
@@ -110,7 +113,7 @@ export function createTextureVoice() {
 
     if (grainLoop) grainLoop.dispose();
     grainLoop = new Tone.Loop((time) => {
-      if (Math.random() < intensity * 0.4) {
+      if (random() < intensity * 0.4) {
         grainEnvelope.triggerAttackRelease(0.012, time);
       }
     }, '16n');
@@ -148,22 +151,22 @@ export function createTextureVoice() {
     if (rainLoop) rainLoop.dispose();
     rainLoop = new Tone.Loop((time) => {
       // Light drops (high-freq band) — most frequent
-      if (Math.random() < intensity * 0.85) {
-        rainBands[2].panner.pan.value = (Math.random() * 2 - 1) * 0.8;
-        rainBands[2].envelope.decay = 0.02 + Math.random() * 0.02;
-        rainBands[2].envelope.triggerAttackRelease(0.02 + Math.random() * 0.015, time);
+      if (random() < intensity * 0.85) {
+        rainBands[2].panner.pan.value = (random() * 2 - 1) * 0.8;
+        rainBands[2].envelope.decay = 0.02 + random() * 0.02;
+        rainBands[2].envelope.triggerAttackRelease(0.02 + random() * 0.015, time);
       }
       // Medium drops
-      if (Math.random() < intensity * 0.55) {
-        rainBands[1].panner.pan.value = (Math.random() * 2 - 1) * 0.7;
-        rainBands[1].envelope.decay = 0.04 + Math.random() * 0.02;
-        rainBands[1].envelope.triggerAttackRelease(0.04 + Math.random() * 0.02, time);
+      if (random() < intensity * 0.55) {
+        rainBands[1].panner.pan.value = (random() * 2 - 1) * 0.7;
+        rainBands[1].envelope.decay = 0.04 + random() * 0.02;
+        rainBands[1].envelope.triggerAttackRelease(0.04 + random() * 0.02, time);
       }
       // Heavy drops — only above drizzle threshold
-      if (intensity > 0.35 && Math.random() < (intensity - 0.35) * 0.6) {
-        rainBands[0].panner.pan.value = (Math.random() * 2 - 1) * 0.5;
-        rainBands[0].envelope.decay = 0.07 + Math.random() * 0.03;
-        rainBands[0].envelope.triggerAttackRelease(0.06 + Math.random() * 0.03, time);
+      if (intensity > 0.35 && random() < (intensity - 0.35) * 0.6) {
+        rainBands[0].panner.pan.value = (random() * 2 - 1) * 0.5;
+        rainBands[0].envelope.decay = 0.07 + random() * 0.03;
+        rainBands[0].envelope.triggerAttackRelease(0.06 + random() * 0.03, time);
       }
     }, '32n');
     rainLoop.start(0);
@@ -1,4 +1,7 @@
 import * as Tone from 'tone';
+import { createRandomStream } from '../random.js';
+
+const random = createRandomStream('windChime');
 
 /**
  * Wind chime voice — metallic FM-synthesized tones driven by wind.
@@ -75,6 +78,7 @@ export function createWindChimeVoice() {
   let currentWindSpeed = 0;
   let isActive = false;
   let decayMultiplier = 1.0;
+  let noteListener = null; // MIDI logging: (note, time, durationSec, velocity)
 
   // ── Helpers ───────────────────────────────────────────────────────────────
 
@@ -130,26 +134,27 @@ export function createWindChimeVoice() {
     const decay = getDecayForNote(noteName);
 
     voice.synth.set({
-      harmonicity: 5.4 + (Math.random() - 0.5) * 0.3,
+      harmonicity: 5.4 + (random() - 0.5) * 0.3,
       envelope: { decay },
       modulationEnvelope: { decay: decay * 0.45 },
     });
 
     voice.synth.triggerAttackRelease(noteName, decay + 0.3, time);
     voice.releaseAt = time + decay + 0.3;
+    noteListener?.(noteName, time, decay + 0.3, 1);
   }
 
   /**
    * Pick a note with 65% chord-tone preference for harmonic coherence.
    */
   function pickNote() {
-    const preferChord = Math.random() < 0.65;
+    const preferChord = random() < 0.65;
     const pool =
       preferChord && currentChordNotes.length > 0
         ? currentChordNotes
         : currentNotes;
     if (pool.length === 0) return null;
-    return pool[Math.floor(Math.random() * pool.length)];
+    return pool[Math.floor(random() * pool.length)];
   }
 
   /**
@@ -162,7 +167,7 @@ export function createWindChimeVoice() {
   function getInterval() {
     const effectiveWind = Math.min(currentWindSpeed, WIND_CLAMP);
     const base = Math.max(0.8, 12 * Math.exp(-effectiveWind * 0.06));
-    return base * (0.5 + Math.random());
+    return base * (0.5 + random());
   }
 
   /**
@@ -188,15 +193,15 @@ export function createWindChimeVoice() {
       // Cluster probability scales with wind: 0% at calm → 60% at 40+ km/h
       const clusterChance = Math.min(0.6, currentWindSpeed * 0.015);
       let clusterSize = 1;
-      if (Math.random() < clusterChance) {
-        clusterSize = Math.random() < 0.4 ? 3 : 2;
+      if (random() < clusterChance) {
+        clusterSize = random() < 0.4 ? 3 : 2;
       }
 
       for (let i = 0; i < clusterSize; i++) {
         const note = pickNote();
         if (note) {
           // 30–120ms between cluster members
-          const offset = i * (0.03 + Math.random() * 0.09);
+          const offset = i * (0.03 + random() * 0.09);
           triggerChime(note, time + offset);
         }
       }
@@ -212,6 +217,11 @@ export function createWindChimeVoice() {
   return {
     output,
 
+    /** Register a listener for every chime strike. */
+    onNote(fn) {
+      noteListener = fn;
+    },
+
     setNotes(scaleTones, chordTones = []) {
       // Transpose scale/chord tones up to octaves 6–7 for small-chime register.
       // Source tones are typically in octaves 3–5, so we shift up by octaves.
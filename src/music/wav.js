@@ -0,0 +1,74 @@
+/**
+ * Minimal RIFF/WAVE encoder for rendered and recorded audio.
+ *
+ * Writes interleaved 16-bit little-endian PCM, which every DAW and browser
+ * can open. Samples are clamped to [-1, 1] before quantizing so a hot limiter
+ * overshoot never wraps around into a full-scale click.
+ */
+
+const HEADER_BYTES = 44;
+
+/**
+ * Encode planar float channels into a WAV file.
+ *
+ * @param {Float32Array[]} channels - One array per channel, all the same length
+ * @param {number} sampleRate - Samples per second
+ * @returns {ArrayBuffer} Complete WAV file bytes
+ */
+export function encodeWav(channels, sampleRate) {
+  if (!Array.isArray(channels) || channels.length === 0) {
+    throw new Error('encodeWav: at least one channel is required');
+  }
+  const frameCount = channels[0].length;
+  if (channels.some((ch) => ch.length !== frameCount)) {
+    throw new Error('encodeWav: all channels must have the same length');
+  }
+
+  const channelCount = channels.length;
+  const bytesPerSample = 2;
+  const blockAlign = channelCount * bytesPerSample;
+  const dataBytes = frameCount * blockAlign;
+  const buffer = new ArrayBuffer(HEADER_BYTES + dataBytes);
+  const view = new DataView(buffer);
+
+  writeAscii(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataBytes, true);
+  writeAscii(view, 8, 'WAVE');
+  writeAscii(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);            // PCM fmt chunk size
+  view.setUint16(20, 1, true);             // Format: integer PCM
+  view.setUint16(22, channelCount, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bytesPerSample * 8, true);
+  writeAscii(view, 36, 'data');
+  view.setUint32(40, dataBytes, true);
+
+  let offset = HEADER_BYTES;
+  for (let i = 0; i < frameCount; i++) {
+    for (let c = 0; c < channelCount; c++) {
+      const s = Math.max(-1, Math.min(1, channels[c][i] || 0));
+      view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+      offset += bytesPerSample;
+    }
+  }
+
+  return buffer;
+}
+
+/**
+ * Wrap encodeWav() output in a Blob ready for download.
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @returns {Blob}
+ */
+export function encodeWavBlob(channels, sampleRate) {
+  return new Blob([encodeWav(channels, sampleRate)], { type: 'audio/wav' });
+}
+
+function writeAscii(view, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+}
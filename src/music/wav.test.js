@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest';
+import { encodeWav } from './wav.js';
+
+function readAscii(view, offset, length) {
+  let out = '';
+  for (let i = 0; i < length; i++) out += String.fromCharCode(view.getUint8(offset + i));
+  return out;
+}
+
+describe('encodeWav', () => {
+  it('writes a valid stereo 16-bit PCM header', () => {
+    const left = new Float32Array([0, 0.5, -0.5]);
+    const right = new Float32Array([0, 0.25, -0.25]);
+    const view = new DataView(encodeWav([left, right], 48000));
+
+    expect(readAscii(view, 0, 4)).toBe('RIFF');
+    expect(readAscii(view, 8, 4)).toBe('WAVE');
+    expect(view.getUint16(22, true)).toBe(2);
+    expect(view.getUint32(24, true)).toBe(48000);
+    expect(view.getUint32(28, true)).toBe(48000 * 4);
+    expect(view.getUint16(34, true)).toBe(16);
+    expect(view.getUint32(40, true)).toBe(3 * 4);
+    expect(view.byteLength).toBe(44 + 12);
+  });
+
+  it('interleaves channels and clamps out-of-range samples', () => {
+    const left = new Float32Array([1.5, -2]);
+    const right = new Float32Array([0.5, 0]);
+    const view = new DataView(encodeWav([left, right], 44100));
+
+    expect(view.getInt16(44, true)).toBe(0x7fff);
+    expect(view.getInt16(46, true)).toBe(Math.trunc(0.5 * 0x7fff));
+    expect(view.getInt16(48, true)).toBe(-0x8000);
+    expect(view.getInt16(50, true)).toBe(0);
+  });
+
+  it('rejects mismatched channel lengths', () => {
+    expect(() => encodeWav([new Float32Array(2), new Float32Array(3)], 44100)).toThrow();
+    expect(() => encodeWav([], 44100)).toThrow();
+  });
+});
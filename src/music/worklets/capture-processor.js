@@ -0,0 +1,71 @@
+/**
+ * Capture AudioWorklet processor.
+ *
+ * Copies every input it is fed to the main thread in batches. Inputs are
+ * captured in the same render quantum, so multiple inputs (e.g. per-voice
+ * stems) stay sample-aligned with each other.
+ *
+ * Message format (port → main thread):
+ *   { inputs: Float32Array[][] }  // inputs[inputIndex][channelIndex], equal lengths
+ *
+ * The main thread may post 'flush' to receive a partial batch immediately,
+ * and 'stop' once it is done with the node so the processor can be collected.
+ * Loaded via audioWorklet.addModule(); runs in AudioWorkletGlobalScope.
+ */
+
+// ~85 ms at 48 kHz — keeps port traffic to ~12 messages/second
+const BATCH_FRAMES = 4096;
+
+class CaptureProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    this.inputCount = options.numberOfInputs ?? 1;
+    this.channelCount = options.channelCount ?? 2;
+    this.offset = 0;
+    this.stopped = false;
+    this.allocate();
+    this.port.onmessage = (event) => {
+      if (event.data === 'flush') this.flush();
+      else if (event.data === 'stop') this.stopped = true;
+    };
+  }
+
+  allocate() {
+    this.batch = Array.from({ length: this.inputCount }, () =>
+      Array.from({ length: this.channelCount }, () => new Float32Array(BATCH_FRAMES))
+    );
+  }
+
+  process(inputs) {
+    // A disconnected input arrives with zero channels — record silence for it
+    // so every input keeps the same frame count.
+    const frames = inputs.find((input) => input.length > 0)?.[0]?.length ?? 128;
+    const room = BATCH_FRAMES - this.offset;
+    const count = Math.min(frames, room);
+
+    for (let i = 0; i < this.inputCount; i++) {
+      const input = inputs[i] ?? [];
+      for (let c = 0; c < this.channelCount; c++) {
+        const source = input[c] ?? input[0];
+        if (source) this.batch[i][c].set(source.subarray(0, count), this.offset);
+      }
+    }
+    this.offset += count;
+
+    if (this.offset >= BATCH_FRAMES) this.flush();
+    // Returning false lets the audio thread drop the processor
+    return !this.stopped;
+  }
+
+  flush() {
+    if (this.offset === 0) return;
+    const inputs = this.batch.map((channels) => channels.map((ch) => ch.slice(0, this.offset)));
+    const transfer = inputs.flatMap((channels) => channels.map((ch) => ch.buffer));
+    this.port.postMessage({ inputs }, transfer);
+    // The batch arrays are reused: zero them so silent inputs stay silent
+    this.batch.forEach((channels) => channels.forEach((ch) => ch.fill(0)));
+    this.offset = 0;
+  }
+}
+
+registerProcessor('sonar-capture', CaptureProcessor);
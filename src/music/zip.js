@@ -0,0 +1,102 @@
+/**
+ * Minimal store-only ZIP writer.
+ *
+ * WAV data doesn't compress meaningfully with DEFLATE, so entries are stored
+ * uncompressed — which keeps this small enough to not need a dependency.
+ * Produces a standard archive readable by every OS unzip tool.
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 (IEEE 802.3) of a byte array.
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a ZIP archive.
+ *
+ * @param {{ name: string, data: ArrayBuffer|Uint8Array }[]} entries
+ * @param {Date} [date] - Modification time stamped on every entry
+ * @returns {Uint8Array} Archive bytes
+ */
+export function createZip(entries, date = new Date()) {
+  const encoder = new TextEncoder();
+  const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+  const files = entries.map(({ name, data }) => {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    return { nameBytes: encoder.encode(name), bytes, crc: crc32(bytes) };
+  });
+
+  const localSize = files.reduce((sum, f) => sum + 30 + f.nameBytes.length + f.bytes.length, 0);
+  const centralSize = files.reduce((sum, f) => sum + 46 + f.nameBytes.length, 0);
+  const out = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(out.buffer);
+
+  let offset = 0;
+  const localOffsets = [];
+  for (const f of files) {
+    localOffsets.push(offset);
+    view.setUint32(offset, 0x04034b50, true);       // Local file header signature
+    view.setUint16(offset + 4, 20, true);           // Version needed (2.0)
+    view.setUint16(offset + 6, 0x0800, true);       // Flags: UTF-8 names
+    view.setUint16(offset + 8, 0, true);            // Method: stored
+    view.setUint16(offset + 10, dosTime, true);
+    view.setUint16(offset + 12, dosDate, true);
+    view.setUint32(offset + 14, f.crc, true);
+    view.setUint32(offset + 18, f.bytes.length, true);
+    view.setUint32(offset + 22, f.bytes.length, true);
+    view.setUint16(offset + 26, f.nameBytes.length, true);
+    view.setUint16(offset + 28, 0, true);           // Extra field length
+    out.set(f.nameBytes, offset + 30);
+    out.set(f.bytes, offset + 30 + f.nameBytes.length);
+    offset += 30 + f.nameBytes.length + f.bytes.length;
+  }
+
+  const centralStart = offset;
+  files.forEach((f, i) => {
+    view.setUint32(offset, 0x02014b50, true);       // Central directory signature
+    view.setUint16(offset + 4, 20, true);           // Version made by
+    view.setUint16(offset + 6, 20, true);           // Version needed
+    view.setUint16(offset + 8, 0x0800, true);
+    view.setUint16(offset + 10, 0, true);
+    view.setUint16(offset + 12, dosTime, true);
+    view.setUint16(offset + 14, dosDate, true);
+    view.setUint32(offset + 16, f.crc, true);
+    view.setUint32(offset + 20, f.bytes.length, true);
+    view.setUint32(offset + 24, f.bytes.length, true);
+    view.setUint16(offset + 28, f.nameBytes.length, true);
+    // Extra, comment, disk number, internal/external attributes: all zero
+    view.setUint32(offset + 42, localOffsets[i], true);
+    out.set(f.nameBytes, offset + 46);
+    offset += 46 + f.nameBytes.length;
+  });
+
+  view.setUint32(offset, 0x06054b50, true);         // End of central directory
+  view.setUint16(offset + 8, files.length, true);
+  view.setUint16(offset + 10, files.length, true);
+  view.setUint32(offset + 12, offset - centralStart, true);
+  view.setUint32(offset + 16, centralStart, true);
+
+  return out;
+}
@@ -0,0 +1,39 @@
+import { describe, expect, it } from 'vitest';
+import { crc32, createZip } from './zip.js';
+
+describe('crc32', () => {
+  it('matches the standard check value', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+  });
+});
+
+describe('createZip', () => {
+  it('stores entries with matching local headers and central directory', () => {
+    const a = new Uint8Array([1, 2, 3]);
+    const b = new TextEncoder().encode('hello');
+    const zip = createZip([
+      { name: 'pad.wav', data: a },
+      { name: 'bass.wav', data: b.buffer },
+    ]);
+    const view = new DataView(zip.buffer);
+
+    // First local header
+    expect(view.getUint32(0, true)).toBe(0x04034b50);
+    expect(view.getUint16(8, true)).toBe(0);
+    expect(view.getUint32(14, true)).toBe(crc32(a));
+    expect(view.getUint32(18, true)).toBe(3);
+    expect(new TextDecoder().decode(zip.subarray(30, 37))).toBe('pad.wav');
+    expect(Array.from(zip.subarray(37, 40))).toEqual([1, 2, 3]);
+
+    // End of central directory points back at a directory with both entries
+    const eocd = zip.length - 22;
+    expect(view.getUint32(eocd, true)).toBe(0x06054b50);
+    expect(view.getUint16(eocd + 10, true)).toBe(2);
+    const centralStart = view.getUint32(eocd + 16, true);
+    expect(view.getUint32(centralStart, true)).toBe(0x02014b50);
+    expect(view.getUint32(centralStart + 42, true)).toBe(0);
+    const second = centralStart + 46 + 'pad.wav'.length;
+    expect(view.getUint32(second + 42, true)).toBe(40);
+    expect(view.getUint32(second + 16, true)).toBe(crc32(b));
+  });
+});
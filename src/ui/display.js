@@ -1,4 +1,5 @@
 import { describeWeatherCode } from '../weather/codes.js';
+import { clockNow } from '../clock.js';
 
 /**
  * Convert wind bearing in degrees to 8-point compass direction.
@@ -17,7 +18,7 @@ function capitalize(str) {
  * Uses UTC arithmetic to avoid browser timezone interference.
  */
 function formatLocalTime(utcOffsetSeconds) {
-  const localMs = Date.now() + utcOffsetSeconds * 1000;
+  const localMs = clockNow() + utcOffsetSeconds * 1000;
   const d = new Date(localMs);
   const hours = d.getUTCHours();
   const minutes = d.getUTCMinutes();
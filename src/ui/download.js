@@ -0,0 +1,52 @@
+/**
+ * Trigger a browser download for an in-memory blob.
+ * The object URL is revoked on the next tick, after the click has been handled.
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Build a filesystem-friendly name: "sonar-<slug>-<YYYYMMDD-HHMM>.<ext>".
+ * @param {string} label - Usually the location name
+ * @param {string} ext - Extension without the dot
+ * @param {Date} [date]
+ */
+export function buildExportFilename(label, ext, date = new Date()) {
+  const slug = String(label || 'session')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40) || 'session';
+  const pad = (n) => String(n).padStart(2, '0');
+  const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`
+    + `-${pad(date.getHours())}${pad(date.getMinutes())}`;
+  return `sonar-${slug}-${stamp}.${ext}`;
+}
+
+/**
+ * Open a file picker and resolve with the chosen file's text, or null if the
+ * user cancels.
+ * @param {string} [accept] - e.g. '.json,application/json'
+ * @returns {Promise<{ name: string, text: string } | null>}
+ */
+export function pickTextFile(accept = '') {
+  return new Promise((resolve) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.addEventListener('change', async () => {
+      const file = input.files?.[0];
+      resolve(file ? { name: file.name, text: await file.text() } : null);
+    });
+    input.addEventListener('cancel', () => resolve(null));
+    input.click();
+  });
+}
@@ -0,0 +1,135 @@
+/**
+ * Explain-this-sound panel — each input, its value and the params it moved.
+ *
+ * Rows come from explainMapping() (see music/explain.js). Every row keeps a
+ * short history of its input, drawn as a text sparkline, and a param whose
+ * value changed lights up for a while — from a weather update, or from a
+ * discrete change the interpolator scheduled on its own (a lock, say).
+ */
+
+import { formatParam, paramLabel } from '../music/explain.js';
+
+const SPARK_BLOCKS = '▁▂▃▄▅▆▇█';
+const HISTORY_LENGTH = 24;
+/** How long a changed param stays highlighted */
+const HIGHLIGHT_MS = 90000;
+
+/**
+ * "▁▃▅█" — values scaled between their own min and max.
+ * @param {number[]} values
+ */
+export function sparkline(values) {
+  if (values.length === 0) return '';
+  const lo = Math.min(...values);
+  const hi = Math.max(...values);
+  const top = SPARK_BLOCKS.length - 1;
+  return values
+    .map((value) => SPARK_BLOCKS[hi === lo ? Math.floor(top / 2) : Math.round(((value - lo) / (hi - lo)) * top)])
+    .join('');
+}
+
+/**
+ * @param {HTMLElement} panel - #explain-panel, containing .explain-rows and .panel-close
+ */
+export function setupExplainPanel(panel) {
+  const rowsEl = panel.querySelector('.explain-rows');
+  const history = new Map();    // row id → recent levels
+  const shown = new Map();      // param → last text
+  const changedAt = new Map();  // param → ms when its text last changed
+  let rows = [];
+  let nowMs = 0;
+
+  function note(param, text, atMs) {
+    if (shown.has(param) && shown.get(param) !== text) changedAt.set(param, atMs);
+    shown.set(param, text);
+  }
+
+  function isFresh(param) {
+    return changedAt.has(param) && nowMs - changedAt.get(param) < HIGHLIGHT_MS;
+  }
+
+  function render() {
+    if (panel.classList.contains('hidden')) return;
+    rowsEl.innerHTML = '';
+    rows.forEach((row) => {
+      const el = document.createElement('div');
+      el.className = 'explain-row';
+      if (row.effects.some(({ param }) => isFresh(param))) el.classList.add('explain-changed');
+
+      const label = document.createElement('span');
+      label.className = 'explain-label';
+      label.textContent = row.label;
+      const value = document.createElement('span');
+      value.className = 'explain-value';
+      value.textContent = row.value;
+      const spark = document.createElement('span');
+      spark.className = 'explain-spark';
+      spark.setAttribute('aria-hidden', 'true');
+      spark.textContent = sparkline(history.get(row.id) ?? []);
+      const effects = document.createElement('span');
+      effects.className = 'explain-effects';
+      if (row.effects.length === 0) effects.textContent = 'no effect';
+      row.effects.forEach(({ param }, i) => {
+        const effect = document.createElement('span');
+        effect.className = 'explain-effect';
+        if (isFresh(param)) effect.classList.add('explain-changed');
+        effect.textContent = `${i > 0 ? ', ' : ''}${shown.get(param)}`;
+        effects.appendChild(effect);
+      });
+
+      el.appendChild(label);
+      el.appendChild(value);
+      el.appendChild(spark);
+      el.appendChild(effects);
+      rowsEl.appendChild(el);
+    });
+  }
+
+  panel.querySelector('.panel-close')?.addEventListener('click', () => panel.classList.add('hidden'));
+
+  return {
+    /**
+     * Take a fresh explanation (call on each weather update, open or not,
+     * so the history is there when the panel is).
+     * @param {ReturnType<import('../music/explain.js').explainMapping>} nextRows
+     * @param {number} atMs - Wall-clock time of the update
+     */
+    update(nextRows, atMs) {
+      rows = nextRows;
+      nowMs = atMs;
+      rows.forEach((row) => {
+        if (row.level != null) {
+          const levels = [...(history.get(row.id) ?? []), row.level].slice(-HISTORY_LENGTH);
+          history.set(row.id, levels);
+        }
+        row.effects.forEach(({ param, text }) => note(param, text, atMs));
+      });
+      render();
+    },
+
+    /**
+     * A discrete param was scheduled to change outside a weather update.
+     * @param {string} param
+     * @param {*} value
+     * @param {number} atMs
+     */
+    noteChange(param, value, atMs) {
+      nowMs = atMs;
+      note(param, `${paramLabel(param)} ${formatParam(param, value)}`, atMs);
+      render();
+    },
+
+    show() {
+      panel.classList.remove('hidden');
+      render();
+    },
+
+    hide() {
+      panel.classList.add('hidden');
+    },
+
+    get isOpen() {
+      return !panel.classList.contains('hidden');
+    },
+  };
+}
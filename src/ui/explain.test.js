@@ -0,0 +1,93 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { FakeDocument, FakeElement, click } from '../test/fake-dom.js';
+import { setupExplainPanel, sparkline } from './explain.js';
+
+function createPanel() {
+  const document = new FakeDocument();
+  global.document = document;
+
+  const panel = new FakeElement('div', document);
+  panel.classList.add('hidden');
+  for (const className of ['panel-close', 'explain-rows']) {
+    const node = new FakeElement(className === 'panel-close' ? 'button' : 'div', document);
+    node.classList.add(className);
+    panel.appendChild(node);
+  }
+  document.body.appendChild(panel);
+  return panel;
+}
+
+function humidityRow(value, decay) {
+  return {
+    id: 'humidity',
+    label: 'humidity',
+    value: `${value}%`,
+    level: value,
+    effects: [
+      { param: 'reverbDecay', text: `reverb decay ${decay}s` },
+      { param: 'reverbWet', text: 'reverb wet 0.40' },
+    ],
+  };
+}
+
+describe('sparkline', () => {
+  it('scales values between their own min and max', () => {
+    expect(sparkline([0, 5, 10])).toBe('▁▅█');
+    expect(sparkline([3, 3])).toBe('▄▄');
+    expect(sparkline([])).toBe('');
+  });
+});
+
+describe('setupExplainPanel', () => {
+  afterEach(() => {
+    delete global.document;
+  });
+
+  it('renders each row with its value, history and effects', () => {
+    const panel = createPanel();
+    const explainPanel = setupExplainPanel(panel);
+
+    explainPanel.update([humidityRow(40, '3.0')], 0);
+    explainPanel.update([humidityRow(80, '3.0')], 1000);
+    explainPanel.show();
+
+    const row = panel.querySelector('.explain-row');
+    expect(row.querySelector('.explain-value').textContent).toBe('80%');
+    expect(row.querySelector('.explain-spark').textContent).toBe('▁█');
+    expect(row.querySelectorAll('.explain-effect').map((node) => node.textContent))
+      .toEqual(['reverb decay 3.0s', ', reverb wet 0.40']);
+    expect(row.classList.contains('explain-changed')).toBe(false);
+  });
+
+  it('highlights a changed param until it settles', () => {
+    const panel = createPanel();
+    const explainPanel = setupExplainPanel(panel);
+    explainPanel.show();
+
+    explainPanel.update([humidityRow(40, '3.0')], 0);
+    explainPanel.update([humidityRow(60, '4.5')], 1000);
+    const [decay, wet] = panel.querySelectorAll('.explain-effect');
+    expect(decay.classList.contains('explain-changed')).toBe(true);
+    expect(wet.classList.contains('explain-changed')).toBe(false);
+    expect(panel.querySelector('.explain-row').classList.contains('explain-changed')).toBe(true);
+
+    explainPanel.update([humidityRow(60, '4.5')], 120000);
+    expect(panel.querySelector('.explain-row').classList.contains('explain-changed')).toBe(false);
+  });
+
+  it('takes discrete changes between weather updates', () => {
+    const panel = createPanel();
+    const explainPanel = setupExplainPanel(panel);
+    explainPanel.show();
+
+    explainPanel.update([{ id: 'temperature', label: 'temperature', value: '18.0°C', level: 18, effects: [{ param: 'rootNote', text: 'root note D' }] }], 0);
+    explainPanel.noteChange('rootNote', 'A', 500);
+
+    const effect = panel.querySelector('.explain-effect');
+    expect(effect.textContent).toBe('root note A');
+    expect(effect.classList.contains('explain-changed')).toBe(true);
+
+    click(panel.querySelector('.panel-close'));
+    expect(explainPanel.isOpen).toBe(false);
+  });
+});
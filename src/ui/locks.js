@@ -0,0 +1,160 @@
+/**
+ * Locks panel — pin individual weather inputs or musical outputs.
+ *
+ * Each input row has a checkbox and a value control (the simulator's slider
+ * ranges and pickers, plus the time of day); moving the control locks it.
+ * Each output row locks its discrete param at the value currently playing.
+ * Changes are reported through onLock(key, value), with null to release;
+ * "unlock all" through onClear().
+ */
+
+import { INPUT_LOCK_KEYS, OUTPUT_LOCK_KEYS, TIME_OF_DAY_LOCKS } from '../music/locks.js';
+import { SIMULATOR_FIELDS, SIMULATOR_PICKERS } from '../weather/simulator.js';
+import { formatFieldValue, pickerOptionLabel } from './simulator.js';
+
+const PICKERS = new Map([
+  ['timeOfDay', { label: 'time of day', options: Object.keys(TIME_OF_DAY_LOCKS) }],
+  ...SIMULATOR_PICKERS.map(({ key, label, options }) => [key, { label, options }]),
+]);
+const FIELDS = new Map(SIMULATOR_FIELDS.map((field) => [field.key, field]));
+
+/** "percussionPattern" → "percussion pattern" */
+function outputLabel(key) {
+  return key.replace(/([A-Z])/g, ' $1').toLowerCase();
+}
+
+/**
+ * @param {HTMLElement} panel - #locks-panel, containing .locks-inputs,
+ *   .locks-outputs, .locks-clear-btn and .panel-close
+ * @param {object} handlers
+ * @param {(key: string, value: number|string|null) => void} handlers.onLock
+ * @param {() => void} handlers.onClear
+ */
+export function setupLocksPanel(panel, { onLock, onClear }) {
+  const inputsEl = panel.querySelector('.locks-inputs');
+  const outputsEl = panel.querySelector('.locks-outputs');
+  const rows = new Map(); // key → { toggle, control?, output?, field? }
+  let currentValues = {};
+
+  function makeRow(container, labelText) {
+    const row = document.createElement('label');
+    row.className = 'simulator-row locks-row';
+    const label = document.createElement('span');
+    label.className = 'simulator-label';
+    label.textContent = labelText;
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.className = 'simulator-toggle locks-toggle';
+    toggle.setAttribute('aria-label', `lock ${labelText}`);
+    row.appendChild(label);
+    row.appendChild(toggle);
+    container.appendChild(row);
+    return { row, toggle };
+  }
+
+  function controlValue(key, control) {
+    return PICKERS.has(key) && key !== 'weatherCode' ? control.value : Number(control.value);
+  }
+
+  INPUT_LOCK_KEYS.forEach((key) => {
+    const picker = PICKERS.get(key);
+    const field = FIELDS.get(key);
+    const { row, toggle } = makeRow(inputsEl, picker?.label ?? field.label);
+    let control;
+    let output = null;
+
+    if (picker) {
+      control = document.createElement('select');
+      control.className = 'simulator-picker';
+      picker.options.forEach((option) => {
+        const node = document.createElement('option');
+        node.value = String(option);
+        node.textContent = key === 'timeOfDay' ? option.replace('-', ' ') : pickerOptionLabel(key, option);
+        control.appendChild(node);
+      });
+      control.addEventListener('change', () => {
+        toggle.checked = true;
+        onLock(key, controlValue(key, control));
+      });
+      row.appendChild(control);
+    } else {
+      control = document.createElement('input');
+      control.type = 'range';
+      control.className = 'volume-slider simulator-slider';
+      control.min = String(field.min);
+      control.max = String(field.max);
+      control.step = String(field.step);
+      output = document.createElement('span');
+      output.className = 'simulator-value';
+      control.addEventListener('input', () => {
+        toggle.checked = true;
+        output.textContent = formatFieldValue(field, control.value);
+        onLock(key, controlValue(key, control));
+      });
+      row.appendChild(control);
+      row.appendChild(output);
+    }
+
+    toggle.addEventListener('change', () => {
+      onLock(key, toggle.checked ? controlValue(key, control) : null);
+    });
+    rows.set(key, { toggle, control, output, field });
+  });
+
+  OUTPUT_LOCK_KEYS.forEach((key) => {
+    const { row, toggle } = makeRow(outputsEl, outputLabel(key));
+    const output = document.createElement('span');
+    output.className = 'simulator-value locks-output-value';
+    row.appendChild(output);
+    toggle.addEventListener('change', () => {
+      onLock(key, toggle.checked ? currentValues[key] ?? null : null);
+    });
+    rows.set(key, { toggle, output });
+  });
+
+  panel.querySelector('.locks-clear-btn')?.addEventListener('click', () => {
+    rows.forEach(({ toggle }) => {
+      toggle.checked = false;
+    });
+    onClear();
+  });
+  panel.querySelector('.panel-close')?.addEventListener('click', () => panel.classList.add('hidden'));
+
+  /**
+   * Show each row's lock, or the value it would lock to.
+   * @param {Record<string, number|string>} locks - Current locks (see createLocks)
+   * @param {Record<string, number|string|null>} current - Unlocked values now in play
+   */
+  function setValues(locks, current) {
+    currentValues = current;
+    rows.forEach(({ toggle, control, output, field }, key) => {
+      const isLocked = key in locks;
+      const value = isLocked ? locks[key] : current[key];
+      toggle.checked = isLocked;
+      if (!control) {
+        output.textContent = value == null ? '—' : String(value);
+        return;
+      }
+      if (value != null) control.value = String(value);
+      if (output) output.textContent = value == null ? '—' : formatFieldValue(field, value);
+    });
+  }
+
+  return {
+    setValues,
+
+    /** Open the panel (see setValues) */
+    show(locks, current) {
+      setValues(locks, current);
+      panel.classList.remove('hidden');
+    },
+
+    hide() {
+      panel.classList.add('hidden');
+    },
+
+    get isOpen() {
+      return !panel.classList.contains('hidden');
+    },
+  };
+}
@@ -0,0 +1,84 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { FakeDocument, FakeElement, FakeEvent, click, input } from '../test/fake-dom.js';
+import { setupLocksPanel } from './locks.js';
+
+function createPanel() {
+  const document = new FakeDocument();
+  global.document = document;
+
+  const panel = new FakeElement('div', document);
+  panel.classList.add('hidden');
+  for (const className of ['panel-close', 'locks-clear-btn', 'locks-inputs', 'locks-outputs']) {
+    const node = new FakeElement(className.endsWith('btn') || className === 'panel-close' ? 'button' : 'div', document);
+    node.classList.add(className);
+    panel.appendChild(node);
+  }
+  document.body.appendChild(panel);
+  return panel;
+}
+
+function findRow(panel, label) {
+  const row = panel.querySelectorAll('.locks-row')
+    .find((node) => node.querySelector('.simulator-label').textContent === label);
+  return {
+    toggle: row.querySelector('.locks-toggle'),
+    slider: row.querySelector('.simulator-slider'),
+    picker: row.querySelector('.simulator-picker'),
+    value: row.querySelector('.simulator-value'),
+  };
+}
+
+describe('setupLocksPanel', () => {
+  afterEach(() => {
+    delete global.document;
+  });
+
+  it('shows locked and current values', () => {
+    const panel = createPanel();
+    const locksPanel = setupLocksPanel(panel, { onLock: vi.fn(), onClear: vi.fn() });
+
+    locksPanel.show({ weatherCode: 63, rootNote: 'A' }, { weatherCode: 0, temperature: 18, rootNote: 'D', scaleType: 'dorian' });
+
+    expect(locksPanel.isOpen).toBe(true);
+    expect(findRow(panel, 'conditions').toggle.checked).toBe(true);
+    expect(findRow(panel, 'conditions').picker.value).toBe('63');
+    expect(findRow(panel, 'temperature').toggle.checked).toBe(false);
+    expect(findRow(panel, 'temperature').value.textContent).toBe('18.0°C');
+    expect(findRow(panel, 'root note').value.textContent).toBe('A');
+    expect(findRow(panel, 'scale type').value.textContent).toBe('dorian');
+  });
+
+  it('locks an input by moving its control and an output at its current value', () => {
+    const panel = createPanel();
+    const onLock = vi.fn();
+    setupLocksPanel(panel, { onLock, onClear: vi.fn() }).show({}, { temperature: 18, scaleType: 'dorian' });
+
+    input(findRow(panel, 'temperature').slider, '-4');
+    expect(onLock).toHaveBeenLastCalledWith('temperature', -4);
+    expect(findRow(panel, 'temperature').toggle.checked).toBe(true);
+
+    const timeOfDay = findRow(panel, 'time of day').picker;
+    timeOfDay.value = 'golden-hour';
+    timeOfDay.dispatchEvent(new FakeEvent('change'));
+    expect(onLock).toHaveBeenLastCalledWith('timeOfDay', 'golden-hour');
+
+    const scale = findRow(panel, 'scale type').toggle;
+    scale.checked = true;
+    scale.dispatchEvent(new FakeEvent('change'));
+    expect(onLock).toHaveBeenLastCalledWith('scaleType', 'dorian');
+
+    scale.checked = false;
+    scale.dispatchEvent(new FakeEvent('change'));
+    expect(onLock).toHaveBeenLastCalledWith('scaleType', null);
+  });
+
+  it('clears every lock at once', () => {
+    const panel = createPanel();
+    const onClear = vi.fn();
+    setupLocksPanel(panel, { onLock: vi.fn(), onClear }).show({ rootNote: 'A' }, {});
+
+    click(panel.querySelector('.locks-clear-btn'));
+    expect(onClear).toHaveBeenCalledTimes(1);
+    expect(findRow(panel, 'root note').toggle.checked).toBe(false);
+  });
+});
@@ -0,0 +1,290 @@
+/**
+ * Mapping editor — every profile curve plotted as input → output.
+ *
+ * One canvas per curve (see music/profile.js): the curve itself, a marker
+ * where the live input sits, and handles at both ends. Drag an end up or
+ * down to move `from`/`to`; drag the middle above or below the straight
+ * line to bend it (easeOut / easeIn), or pick a shape from the list.
+ * Every edit is reported through onChange(profile) so it can be heard
+ * straight away — on each pointer move while dragging — and through
+ * onCommit(profile) once it's settled: when a drag ends, a shape is picked or
+ * the profile is reverted. onExport(profile) saves the edited profile as a file.
+ */
+
+import { CURVE_SHAPES, curveInput, evaluateCurve } from '../music/profile.js';
+
+const PLOT_WIDTH = 240;
+const PLOT_HEIGHT = 72;
+const PLOT_PADDING = 6;
+const PLOT_SAMPLES = 48;
+/** How far (0–1 of the plot height) the middle must move before the curve bends */
+const BEND_THRESHOLD = 0.08;
+
+const INPUT_LABELS = {
+  humidity: 'humidity',
+  pressure: 'pressure',
+  lowPressure: 'low pressure',
+  wind: 'wind',
+  daylight: 'daylight',
+  moon: 'moon',
+  season: 'season',
+  cloud: 'cloud',
+  tide: 'tide',
+  uv: 'UV',
+};
+
+/** "reverbDecay" → "reverb decay" */
+function outputLabel(name) {
+  return name.replace(/([A-Z])/g, ' $1').toLowerCase();
+}
+
+/** "humidity → reverb decay", "moon + humidity → chorus depth" */
+export function curveLabel(name, curve) {
+  const inputs = typeof curve.input === 'string' ? [curve.input] : Object.keys(curve.input);
+  return `${inputs.map((input) => INPUT_LABELS[input] ?? input).join(' + ')} → ${outputLabel(name)}`;
+}
+
+/**
+ * Output range a plot shows: the curve's span with half as much again on
+ * either side, so ends can be dragged past where they started.
+ * @returns {[number, number]}
+ */
+export function curveDomain(curve) {
+  const lo = Math.min(curve.from, curve.to);
+  const hi = Math.max(curve.from, curve.to);
+  const span = hi - lo || Math.abs(hi) || 1;
+  return [lo - span / 2, hi + span / 2];
+}
+
+/** Output value at a height in the plot (0 = top, 1 = bottom) */
+export function valueAtHeight(y, [lo, hi]) {
+  const clamped = Math.max(0, Math.min(1, y));
+  return hi - (hi - lo) * clamped;
+}
+
+/** Round to about three significant figures of the domain, for tidy exported files */
+function tidy(value, [lo, hi]) {
+  const decimals = 2 - Math.floor(Math.log10(hi - lo));
+  const step = 10 ** -decimals;
+  return Number((Math.round(value / step) * step).toFixed(Math.max(0, decimals)));
+}
+
+/**
+ * Shape for the middle of the plot being dragged to a height: above the
+ * straight line bends towards the end that's higher up, and vice versa.
+ * @param {{ from: number, to: number }} curve
+ * @param {number} value - Output value under the pointer
+ * @param {[number, number]} domain
+ */
+export function shapeForBend(curve, value, [lo, hi]) {
+  const straight = (curve.from + curve.to) / 2;
+  const offset = (value - straight) / (hi - lo);
+  if (Math.abs(offset) < BEND_THRESHOLD) return 'linear';
+  // easeOut reaches `to` early: its midpoint sits nearer `to` than the straight line
+  return (offset > 0) === (curve.to > curve.from) ? 'easeOut' : 'easeIn';
+}
+
+/**
+ * @param {HTMLElement} panel - #mapping-panel, containing .mapping-curves,
+ *   .mapping-export-btn, .mapping-revert-btn and .panel-close
+ * @param {object} handlers
+ * @param {(profile: object) => void} handlers.onChange - A curve was edited
+ * @param {(profile: object) => void} handlers.onCommit - An edit is finished (e.g. the drag was released)
+ * @param {(profile: object) => void} handlers.onExport
+ */
+export function setupMappingEditor(panel, { onChange, onCommit, onExport }) {
+  const curvesEl = panel.querySelector('.mapping-curves');
+  const titleEl = panel.querySelector('.mapping-title');
+  let baseProfile = null;   // As opened; "revert" returns here
+  let profile = null;       // With edits
+  let liveInputs = {};
+  let plots = [];           // { name, canvas, select, readout, domain }
+
+  function editedProfile(curves) {
+    const name = baseProfile.name.endsWith('(edited)') ? baseProfile.name : `${baseProfile.name} (edited)`;
+    return { ...baseProfile, name, curves };
+  }
+
+  function draw(plot) {
+    const curve = profile.curves[plot.name];
+    const ctx = plot.canvas.getContext('2d');
+    const [lo, hi] = plot.domain;
+    const x = (t) => PLOT_PADDING + t * (PLOT_WIDTH - 2 * PLOT_PADDING);
+    const y = (value) => PLOT_PADDING + ((hi - value) / (hi - lo)) * (PLOT_HEIGHT - 2 * PLOT_PADDING);
+
+    ctx.clearRect(0, 0, PLOT_WIDTH, PLOT_HEIGHT);
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.12)';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(PLOT_PADDING, PLOT_PADDING, PLOT_WIDTH - 2 * PLOT_PADDING, PLOT_HEIGHT - 2 * PLOT_PADDING);
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    for (let i = 0; i <= PLOT_SAMPLES; i++) {
+      const t = i / PLOT_SAMPLES;
+      const value = curve.from + (curve.to - curve.from) * (CURVE_SHAPES[curve.shape] ?? CURVE_SHAPES.linear)(t);
+      if (i === 0) ctx.moveTo(x(t), y(value));
+      else ctx.lineTo(x(t), y(value));
+    }
+    ctx.stroke();
+
+    // End handles
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    for (const [t, value] of [[0, curve.from], [1, curve.to]]) {
+      ctx.beginPath();
+      ctx.arc(x(t), y(value), 4, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    // Live marker
+    const t = curveInput(curve, liveInputs);
+    ctx.strokeStyle = 'rgba(120, 160, 255, 0.6)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x(t), PLOT_PADDING);
+    ctx.lineTo(x(t), PLOT_HEIGHT - PLOT_PADDING);
+    ctx.stroke();
+    ctx.fillStyle = 'rgba(120, 160, 255, 1)';
+    ctx.beginPath();
+    ctx.arc(x(t), y(evaluateCurve(curve, liveInputs)), 3.5, 0, Math.PI * 2);
+    ctx.fill();
+
+    plot.readout.textContent = `${curve.from} → ${curve.to}`;
+    plot.select.value = curve.shape ?? 'linear';
+  }
+
+  function edit(plot, changes) {
+    const curves = { ...profile.curves, [plot.name]: { ...profile.curves[plot.name], ...changes } };
+    profile = editedProfile(curves);
+    if (titleEl) titleEl.textContent = profile.name;
+    draw(plot);
+    onChange(profile);
+  }
+
+  function pointerPosition(canvas, event) {
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: (event.clientX - rect.left) / rect.width,
+      y: ((event.clientY - rect.top) / rect.height * PLOT_HEIGHT - PLOT_PADDING) / (PLOT_HEIGHT - 2 * PLOT_PADDING),
+    };
+  }
+
+  function buildPlot(name) {
+    const row = document.createElement('div');
+    row.className = 'mapping-row';
+    const label = document.createElement('span');
+    label.className = 'mapping-label';
+    label.textContent = curveLabel(name, profile.curves[name]);
+    const canvas = document.createElement('canvas');
+    canvas.className = 'mapping-curve';
+    canvas.width = PLOT_WIDTH;
+    canvas.height = PLOT_HEIGHT;
+    const select = document.createElement('select');
+    select.className = 'simulator-picker mapping-shape';
+    select.setAttribute('aria-label', `${label.textContent} shape`);
+    Object.keys(CURVE_SHAPES).forEach((shape) => {
+      const option = document.createElement('option');
+      option.value = shape;
+      option.textContent = shape;
+      select.appendChild(option);
+    });
+    const readout = document.createElement('span');
+    readout.className = 'simulator-value mapping-readout';
+
+    row.appendChild(label);
+    row.appendChild(canvas);
+    row.appendChild(select);
+    row.appendChild(readout);
+    curvesEl.appendChild(row);
+
+    const plot = { name, canvas, select, readout, domain: curveDomain(profile.curves[name]) };
+
+    select.addEventListener('change', () => {
+      edit(plot, { shape: select.value });
+      onCommit(profile);
+    });
+
+    // Left third drags `from`, right third drags `to`, the middle bends
+    let dragging = null;
+    let profileAtDragStart = null;
+    canvas.addEventListener('pointerdown', (event) => {
+      const { x } = pointerPosition(canvas, event);
+      dragging = x < 1 / 3 ? 'from' : x > 2 / 3 ? 'to' : 'shape';
+      profileAtDragStart = profile;
+      canvas.setPointerCapture?.(event.pointerId);
+      event.preventDefault();
+    });
+    canvas.addEventListener('pointermove', (event) => {
+      if (!dragging) return;
+      const value = valueAtHeight(pointerPosition(canvas, event).y, plot.domain);
+      const curve = profile.curves[name];
+      if (dragging === 'shape') {
+        const shape = shapeForBend(curve, value, plot.domain);
+        if (shape !== (curve.shape ?? 'linear')) edit(plot, { shape });
+      } else {
+        const rounded = tidy(value, plot.domain);
+        if (rounded !== curve[dragging]) edit(plot, { [dragging]: rounded });
+      }
+    });
+    const release = () => {
+      if (dragging && profile !== profileAtDragStart) onCommit(profile);
+      dragging = null;
+      profileAtDragStart = null;
+    };
+    canvas.addEventListener('pointerup', release);
+    canvas.addEventListener('pointercancel', release);
+
+    return plot;
+  }
+
+  panel.querySelector('.mapping-export-btn')?.addEventListener('click', () => {
+    if (profile) onExport(profile);
+  });
+  panel.querySelector('.mapping-revert-btn')?.addEventListener('click', () => {
+    if (!baseProfile || profile === baseProfile) return;
+    profile = baseProfile;
+    if (titleEl) titleEl.textContent = profile.name;
+    plots.forEach(draw);
+    onChange(profile);
+    onCommit(profile);
+  });
+  panel.querySelector('.panel-close')?.addEventListener('click', () => panel.classList.add('hidden'));
+
+  return {
+    /**
+     * Open the editor on a profile.
+     * @param {object} nextProfile - Resolved profile (see music/profile.js)
+     * @param {Record<string, number>} [inputs] - Live normalized inputs (MusicalParams._meta.inputs)
+     */
+    show(nextProfile, inputs = liveInputs) {
+      baseProfile = nextProfile;
+      profile = nextProfile;
+      liveInputs = inputs ?? {};
+      curvesEl.innerHTML = '';
+      plots = Object.keys(profile.curves).map(buildPlot);
+      plots.forEach(draw);
+      if (titleEl) titleEl.textContent = profile.name;
+      panel.classList.remove('hidden');
+    },
+
+    /** Move the live markers (call on each weather update) */
+    setLive(inputs) {
+      liveInputs = inputs ?? {};
+      if (!panel.classList.contains('hidden')) plots.forEach(draw);
+    },
+
+    hide() {
+      panel.classList.add('hidden');
+    },
+
+    get isOpen() {
+      return !panel.classList.contains('hidden');
+    },
+
+    /** The profile with its edits, or null before the first show() */
+    get profile() {
+      return profile;
+    },
+  };
+}
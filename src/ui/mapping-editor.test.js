@@ -0,0 +1,166 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { DEFAULT_PROFILE, validateProfile } from '../music/profile.js';
+import { FakeDocument, FakeElement, FakeEvent, click } from '../test/fake-dom.js';
+import { curveDomain, curveLabel, setupMappingEditor, shapeForBend, valueAtHeight } from './mapping-editor.js';
+
+const CANVAS_METHODS = ['clearRect', 'strokeRect', 'beginPath', 'moveTo', 'lineTo', 'stroke', 'arc', 'fill'];
+
+function createPanel() {
+  const document = new FakeDocument();
+  const createElement = document.createElement.bind(document);
+  // Canvases need a 2D context and a box for pointer maths
+  document.createElement = (tagName) => {
+    const element = createElement(tagName);
+    if (tagName === 'canvas') {
+      const ctx = Object.fromEntries(CANVAS_METHODS.map((name) => [name, vi.fn()]));
+      element.getContext = () => ctx;
+      element.getBoundingClientRect = () => ({ left: 0, top: 0, width: 240, height: 72 });
+    }
+    return element;
+  };
+  global.document = document;
+
+  const panel = new FakeElement('div', document);
+  panel.classList.add('hidden');
+  for (const className of ['panel-close', 'mapping-title', 'mapping-revert-btn', 'mapping-export-btn', 'mapping-curves']) {
+    const node = new FakeElement(className.endsWith('curves') ? 'div' : 'button', document);
+    node.classList.add(className);
+    panel.appendChild(node);
+  }
+  document.body.appendChild(panel);
+  return panel;
+}
+
+function pointer(type, canvas, clientX, clientY) {
+  const event = new FakeEvent(type);
+  Object.assign(event, { clientX, clientY, pointerId: 1 });
+  canvas.dispatchEvent(event);
+}
+
+function findRow(panel, label) {
+  const row = panel.querySelectorAll('.mapping-row')
+    .find((node) => node.querySelector('.mapping-label').textContent === label);
+  return {
+    canvas: row.querySelector('.mapping-curve'),
+    shape: row.querySelector('.mapping-shape'),
+    readout: row.querySelector('.mapping-readout'),
+  };
+}
+
+describe('mapping editor geometry', () => {
+  it('labels curves by input and output', () => {
+    expect(curveLabel('reverbDecay', DEFAULT_PROFILE.curves.reverbDecay)).toBe('humidity → reverb decay');
+    expect(curveLabel('chorusDepth', DEFAULT_PROFILE.curves.chorusDepth)).toBe('moon + humidity → chorus depth');
+  });
+
+  it('pads the plotted range and reads values off it', () => {
+    expect(curveDomain({ from: 10, to: 0 })).toEqual([-5, 15]);
+    expect(curveDomain({ from: 0, to: 0 })).toEqual([-0.5, 0.5]);
+    expect(valueAtHeight(0, [-5, 15])).toBe(15);
+    expect(valueAtHeight(1.4, [-5, 15])).toBe(-5);
+  });
+
+  it('bends towards the higher end when the middle is pulled up', () => {
+    const rising = { from: 0, to: 10 };
+    expect(shapeForBend(rising, 5.2, [-5, 15])).toBe('linear');
+    expect(shapeForBend(rising, 9, [-5, 15])).toBe('easeOut');
+    expect(shapeForBend(rising, 1, [-5, 15])).toBe('easeIn');
+    expect(shapeForBend({ from: 10, to: 0 }, 9, [-5, 15])).toBe('easeIn');
+  });
+});
+
+describe('setupMappingEditor', () => {
+  afterEach(() => {
+    delete global.document;
+  });
+
+  it('plots every curve of the profile', () => {
+    const panel = createPanel();
+    const editor = setupMappingEditor(panel, { onChange: vi.fn(), onCommit: vi.fn(), onExport: vi.fn() });
+    editor.show(DEFAULT_PROFILE, { humidity: 0.5 });
+
+    expect(editor.isOpen).toBe(true);
+    expect(panel.querySelectorAll('.mapping-row')).toHaveLength(Object.keys(DEFAULT_PROFILE.curves).length);
+    expect(findRow(panel, 'humidity → reverb decay').readout.textContent).toBe('1.5 → 10');
+    expect(panel.querySelector('.mapping-title').textContent).toBe('default');
+  });
+
+  it('drags an end to a new value and reports the edited profile', () => {
+    const panel = createPanel();
+    const onChange = vi.fn();
+    const onCommit = vi.fn();
+    const editor = setupMappingEditor(panel, { onChange, onCommit, onExport: vi.fn() });
+    editor.show(DEFAULT_PROFILE);
+
+    // Domain for 1.5 → 10 is [-2.75, 14.25]; the top of the plot is its maximum
+    const { canvas, readout } = findRow(panel, 'humidity → reverb decay');
+    pointer('pointerdown', canvas, 230, 36);
+    pointer('pointermove', canvas, 230, 20);
+    pointer('pointermove', canvas, 230, 6);
+    expect(onChange).toHaveBeenCalledTimes(2);
+    expect(onCommit).not.toHaveBeenCalled();
+    pointer('pointerup', canvas, 230, 6);
+
+    const edited = onChange.mock.lastCall[0];
+    expect(edited.name).toBe('default (edited)');
+    expect(edited.curves.reverbDecay).toEqual({ input: 'humidity', from: 1.5, to: 14.3 });
+    expect(edited.curves.reverbWet).toBe(DEFAULT_PROFILE.curves.reverbWet);
+    expect(readout.textContent).toBe('1.5 → 14.3');
+    expect(validateProfile(edited)).toEqual([]);
+
+    // Committed once, on release
+    expect(onCommit).toHaveBeenCalledTimes(1);
+    expect(onCommit).toHaveBeenCalledWith(edited);
+
+    // Moving after release does nothing
+    pointer('pointermove', canvas, 230, 60);
+    expect(onChange).toHaveBeenCalledTimes(2);
+  });
+
+  it('commits a cancelled drag, and nothing for a click that changed nothing', () => {
+    const panel = createPanel();
+    const onCommit = vi.fn();
+    const editor = setupMappingEditor(panel, { onChange: vi.fn(), onCommit, onExport: vi.fn() });
+    editor.show(DEFAULT_PROFILE);
+
+    const { canvas } = findRow(panel, 'humidity → reverb decay');
+    pointer('pointerdown', canvas, 230, 36);
+    pointer('pointerup', canvas, 230, 36);
+    expect(onCommit).not.toHaveBeenCalled();
+
+    pointer('pointerdown', canvas, 230, 36);
+    pointer('pointermove', canvas, 230, 6);
+    pointer('pointercancel', canvas, 230, 6);
+    expect(onCommit).toHaveBeenCalledTimes(1);
+    expect(onCommit.mock.lastCall[0]).toBe(editor.profile);
+  });
+
+  it('bends the middle, picks shapes, reverts and exports', () => {
+    const panel = createPanel();
+    const onChange = vi.fn();
+    const onCommit = vi.fn();
+    const onExport = vi.fn();
+    const editor = setupMappingEditor(panel, { onChange, onCommit, onExport });
+    editor.show(DEFAULT_PROFILE);
+
+    const { canvas, shape } = findRow(panel, 'wind → rhythm density');
+    pointer('pointerdown', canvas, 120, 36);
+    pointer('pointermove', canvas, 120, 10);
+    expect(onChange.mock.lastCall[0].curves.rhythmDensity.shape).toBe('easeOut');
+    expect(shape.value).toBe('easeOut');
+    pointer('pointerup', canvas, 120, 10);
+
+    shape.value = 'smooth';
+    shape.dispatchEvent(new FakeEvent('change'));
+    expect(editor.profile.curves.rhythmDensity.shape).toBe('smooth');
+    expect(onCommit.mock.lastCall[0]).toBe(editor.profile);
+
+    click(panel.querySelector('.mapping-export-btn'));
+    expect(onExport).toHaveBeenCalledWith(editor.profile);
+
+    click(panel.querySelector('.mapping-revert-btn'));
+    expect(onChange.mock.lastCall[0]).toBe(DEFAULT_PROFILE);
+    expect(onCommit.mock.lastCall[0]).toBe(DEFAULT_PROFILE);
+    expect(shape.value).toBe('linear');
+  });
+});
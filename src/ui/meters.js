@@ -0,0 +1,121 @@
+/**
+ * Meter bridge — a compact row of level meters for the audio panel.
+ *
+ * One bar per voice, then the buses: sub, percussion reverb return and the
+ * master into and out of the limiter. Each bar fills to its RMS with a tick
+ * at the peak; a bar whose peak nears full scale turns hot. The last bar
+ * hangs down from the top with the limiter's gain reduction. Below the bars,
+ * a line of loudness readings (see music/loudness.js).
+ */
+
+const VOICE_CHANNELS = [
+  ['pad', 'pad'], ['arpeggio', 'arp'], ['bass', 'bass'], ['texture', 'tex'], ['percussion', 'perc'],
+  ['drone', 'drone'], ['melody', 'mel'], ['windChime', 'chime'], ['choir', 'choir'],
+];
+const BUS_CHANNELS = [['sub', 'sub'], ['percussionReturn', 'p.rtn'], ['masterPre', 'pre'], ['masterPost', 'post']];
+
+/** Meter scale floor in dBFS */
+const FLOOR_DB = -60;
+/** Peaks above this light the bar up */
+const HOT_DB = -1;
+/** Gain reduction that fills the GR bar */
+const MAX_REDUCTION_DB = 12;
+
+/**
+ * Position of a level on the meter scale.
+ * @param {number|null} db
+ * @returns {number} 0 (floor or unmetered) … 1 (0 dBFS)
+ */
+export function meterFraction(db) {
+  if (!Number.isFinite(db)) return 0;
+  return Math.max(0, Math.min(1, (db - FLOOR_DB) / -FLOOR_DB));
+}
+
+/** "-18.2", or "–" before there is a reading */
+export function formatLufs(value) {
+  return Number.isFinite(value) ? value.toFixed(1) : '–';
+}
+
+/**
+ * "short-term -18.2 · integrated -19.0 LUFS · norm +2.1 dB → -18"
+ * @param {ReturnType<ReturnType<import('../music/engine.js').createSoundEngine>['getLoudness']>} loudness
+ */
+export function loudnessReadout({ shortTerm, integrated, target, normalizationDb }) {
+  const readings = `short-term ${formatLufs(shortTerm)} · integrated ${formatLufs(integrated)} LUFS`;
+  if (target === null) return readings;
+  return `${readings} · norm ${normalizationDb >= 0 ? '+' : ''}${normalizationDb.toFixed(1)} dB → ${target}`;
+}
+
+function percent(fraction) {
+  return `${Math.round(fraction * 100)}%`;
+}
+
+/**
+ * @param {HTMLElement} container - #meter-bridge inside the audio panel
+ * @param {HTMLElement} [loudnessEl] - Where the loudness readings go
+ */
+export function setupMeterBridge(container, loudnessEl = null) {
+  const channels = new Map();
+
+  function addChannel(id, label, { bus = false } = {}) {
+    const channel = document.createElement('div');
+    channel.className = bus ? 'meter-channel meter-bus' : 'meter-channel';
+    const bar = document.createElement('div');
+    bar.className = 'meter-bar';
+    const fill = document.createElement('div');
+    fill.className = 'meter-fill';
+    const peak = document.createElement('div');
+    peak.className = 'meter-peak';
+    bar.appendChild(fill);
+    bar.appendChild(peak);
+    const name = document.createElement('span');
+    name.className = 'meter-label';
+    name.textContent = label;
+    channel.appendChild(bar);
+    channel.appendChild(name);
+    container.appendChild(channel);
+    channels.set(id, { channel, fill, peak });
+  }
+
+  VOICE_CHANNELS.forEach(([id, label]) => addChannel(id, label));
+  BUS_CHANNELS.forEach(([id, label]) => addChannel(id, label, { bus: true }));
+
+  const reduction = document.createElement('div');
+  reduction.className = 'meter-channel meter-bus meter-reduction';
+  const reductionBar = document.createElement('div');
+  reductionBar.className = 'meter-bar';
+  const reductionFill = document.createElement('div');
+  reductionFill.className = 'meter-fill';
+  reductionBar.appendChild(reductionFill);
+  const reductionLabel = document.createElement('span');
+  reductionLabel.className = 'meter-label';
+  reductionLabel.textContent = 'gr 0.0';
+  reduction.appendChild(reductionBar);
+  reduction.appendChild(reductionLabel);
+  container.appendChild(reduction);
+
+  return {
+    /**
+     * @param {ReturnType<ReturnType<import('../music/engine.js').createSoundEngine>['getMeterLevels']>} levels
+     */
+    update({ voices, buses, gainReduction }) {
+      const all = { ...voices, ...buses };
+      channels.forEach(({ channel, fill, peak }, id) => {
+        const level = all[id] ?? {};
+        fill.style.height = percent(meterFraction(level.rms));
+        peak.style.bottom = percent(meterFraction(level.peak));
+        channel.classList.toggle('meter-hot', Number.isFinite(level.peak) && level.peak > HOT_DB);
+      });
+      reductionFill.style.height = percent(Math.min(1, gainReduction / MAX_REDUCTION_DB));
+      reductionLabel.textContent = `gr ${gainReduction.toFixed(1)}`;
+      reduction.classList.toggle('meter-hot', gainReduction > 0.5);
+    },
+
+    /**
+     * @param {Parameters<typeof loudnessReadout>[0]} loudness - From engine.getLoudness()
+     */
+    setLoudness(loudness) {
+      if (loudnessEl) loudnessEl.textContent = loudnessReadout(loudness);
+    },
+  };
+}
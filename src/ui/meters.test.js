@@ -0,0 +1,82 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { FakeDocument, FakeElement } from '../test/fake-dom.js';
+import { loudnessReadout, meterFraction, setupMeterBridge } from './meters.js';
+
+function createBridge() {
+  const document = new FakeDocument();
+  global.document = document;
+  const container = new FakeElement('div', document);
+  document.body.appendChild(container);
+  return container;
+}
+
+const quiet = { peak: -30, rms: -36 };
+
+function levels(overrides = {}) {
+  const voices = Object.fromEntries(
+    ['pad', 'arpeggio', 'bass', 'texture', 'percussion', 'drone', 'melody', 'windChime', 'choir'].map((voice) => [voice, quiet]),
+  );
+  return {
+    voices: { ...voices, ...overrides.voices },
+    buses: { sub: quiet, percussionReturn: quiet, masterPre: quiet, masterPost: quiet, ...overrides.buses },
+    gainReduction: overrides.gainReduction ?? 0,
+  };
+}
+
+describe('meterFraction', () => {
+  it('maps -60…0 dBFS onto the bar', () => {
+    expect(meterFraction(-30)).toBe(0.5);
+    expect(meterFraction(3)).toBe(1);
+    expect(meterFraction(-Infinity)).toBe(0);
+    expect(meterFraction(null)).toBe(0);
+  });
+});
+
+describe('loudnessReadout', () => {
+  it('reads short-term and integrated LUFS, and the normalization when it is on', () => {
+    expect(loudnessReadout({ shortTerm: null, integrated: null, target: null, normalizationDb: 0 }))
+      .toBe('short-term – · integrated – LUFS');
+    expect(loudnessReadout({ shortTerm: -17.24, integrated: -19, target: -18, normalizationDb: 2.06 }))
+      .toBe('short-term -17.2 · integrated -19.0 LUFS · norm +2.1 dB → -18');
+  });
+});
+
+describe('setupMeterBridge', () => {
+  afterEach(() => {
+    delete global.document;
+  });
+
+  it('has a bar for every voice and bus, and one for gain reduction', () => {
+    const container = createBridge();
+    setupMeterBridge(container);
+    const labels = container.querySelectorAll('.meter-label').map((label) => label.textContent);
+    expect(labels).toHaveLength(14);
+    expect(labels.slice(9)).toEqual(['sub', 'p.rtn', 'pre', 'post', 'gr 0.0']);
+  });
+
+  it('fills to RMS, ticks the peak and flags the limiter working', () => {
+    const container = createBridge();
+    const bridge = setupMeterBridge(container);
+    bridge.update(levels({ buses: { masterPre: { peak: 2, rms: -6 } }, gainReduction: 3 }));
+
+    const channels = container.querySelectorAll('.meter-channel');
+    const pre = channels[11];
+    expect(pre.querySelector('.meter-fill').style.height).toBe('90%');
+    expect(pre.querySelector('.meter-peak').style.bottom).toBe('100%');
+    expect(pre.classList.contains('meter-hot')).toBe(true);
+    expect(channels[0].classList.contains('meter-hot')).toBe(false);
+
+    const reduction = channels[13];
+    expect(reduction.querySelector('.meter-fill').style.height).toBe('25%');
+    expect(reduction.querySelector('.meter-label').textContent).toBe('gr 3.0');
+    expect(reduction.classList.contains('meter-hot')).toBe(true);
+  });
+
+  it('writes the loudness readings to their own element', () => {
+    const container = createBridge();
+    const readout = new FakeElement('div', document);
+    const bridge = setupMeterBridge(container, readout);
+    bridge.setLoudness({ shortTerm: -20, integrated: -21.5, target: null, normalizationDb: 0 });
+    expect(readout.textContent).toBe('short-term -20.0 · integrated -21.5 LUFS');
+  });
+});
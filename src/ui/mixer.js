@@ -0,0 +1,135 @@
+/**
+ * Mixer panel — a strip per voice: level meter, dB fader, mute and solo.
+ *
+ * The panel edits a mixer (see music/mixer.js) and calls onChange after
+ * each edit; the caller hands the gains to the engine and saves the state.
+ * Meters are fed from outside with setMeters(), polled from the engine
+ * while the panel is open.
+ */
+
+import { FADER_MAX_DB, FADER_MIN_DB, MIXER_VOICES } from '../music/mixer.js';
+
+const VOICE_LABELS = {
+  pad: 'pad',
+  arpeggio: 'arp',
+  bass: 'bass',
+  texture: 'tex',
+  percussion: 'perc',
+  drone: 'drone',
+  melody: 'mel',
+  windChime: 'chimes',
+  choir: 'choir',
+};
+
+/** Meter range: silence at the bottom, full scale at the top */
+const METER_FLOOR_DB = -60;
+
+/** "+3.0", "-12.5", "off" at the bottom of the fader */
+export function formatFaderDb(db) {
+  if (db <= FADER_MIN_DB) return 'off';
+  return `${db > 0 ? '+' : ''}${db.toFixed(1)}`;
+}
+
+/**
+ * @param {HTMLElement} panel - #mix-panel, containing .mixer-strips
+ * @param {object} options
+ * @param {ReturnType<import('../music/mixer.js').createMixer>} options.mixer
+ * @param {() => void} options.onChange - After any fader, mute or solo edit
+ */
+export function setupMixerPanel(panel, { mixer, onChange }) {
+  const stripsEl = panel.querySelector('.mixer-strips');
+  const strips = new Map();
+
+  function refresh() {
+    strips.forEach(({ strip, fader, dbEl, muteBtn, soloBtn }, voice) => {
+      fader.value = String(mixer.level(voice));
+      dbEl.textContent = formatFaderDb(mixer.level(voice));
+      muteBtn.classList.toggle('active', mixer.isMuted(voice));
+      soloBtn.classList.toggle('active', mixer.isSoloed(voice));
+      strip.classList.toggle('mixer-silent', !mixer.isAudible(voice));
+    });
+  }
+
+  function edit(change) {
+    change();
+    refresh();
+    onChange();
+  }
+
+  MIXER_VOICES.forEach((voice) => {
+    const label = VOICE_LABELS[voice] ?? voice;
+    const strip = document.createElement('div');
+    strip.className = 'mixer-strip';
+    strip.dataset.voice = voice;
+
+    const name = document.createElement('span');
+    name.className = 'mixer-label';
+    name.textContent = label;
+
+    const meter = document.createElement('div');
+    meter.className = 'mixer-meter';
+    meter.setAttribute('aria-hidden', 'true');
+    const fill = document.createElement('div');
+    fill.className = 'mixer-meter-fill';
+    meter.appendChild(fill);
+
+    const fader = document.createElement('input');
+    fader.type = 'range';
+    fader.className = 'mixer-fader';
+    fader.min = String(FADER_MIN_DB);
+    fader.max = String(FADER_MAX_DB);
+    fader.step = '0.5';
+    fader.setAttribute('aria-label', `${label} level`);
+    fader.addEventListener('input', () => edit(() => mixer.setLevel(voice, Number(fader.value))));
+    // Double-click snaps back to unity
+    fader.addEventListener('dblclick', () => edit(() => mixer.setLevel(voice, 0)));
+
+    const dbEl = document.createElement('span');
+    dbEl.className = 'mixer-db';
+
+    const muteBtn = document.createElement('button');
+    muteBtn.className = 'mixer-mute';
+    muteBtn.textContent = 'M';
+    muteBtn.setAttribute('aria-label', `mute ${label}`);
+    muteBtn.addEventListener('click', () => edit(() => mixer.toggleMute(voice)));
+
+    const soloBtn = document.createElement('button');
+    soloBtn.className = 'mixer-solo';
+    soloBtn.textContent = 'S';
+    soloBtn.setAttribute('aria-label', `solo ${label}`);
+    soloBtn.addEventListener('click', () => edit(() => mixer.toggleSolo(voice)));
+
+    const buttons = document.createElement('div');
+    buttons.className = 'mixer-buttons';
+    buttons.appendChild(muteBtn);
+    buttons.appendChild(soloBtn);
+
+    strip.appendChild(name);
+    strip.appendChild(meter);
+    strip.appendChild(fader);
+    strip.appendChild(dbEl);
+    strip.appendChild(buttons);
+    stripsEl.appendChild(strip);
+    strips.set(voice, { strip, fader, dbEl, muteBtn, soloBtn, fill });
+  });
+
+  refresh();
+
+  return {
+    /**
+     * Show each voice's current level.
+     * @param {Record<string, number|null>} levelsDb - From engine.getVoiceLevels()
+     */
+    setMeters(levelsDb) {
+      strips.forEach(({ fill }, voice) => {
+        const db = levelsDb[voice];
+        const fraction = Number.isFinite(db) ? (db - METER_FLOOR_DB) / -METER_FLOOR_DB : 0;
+        fill.style.height = `${Math.round(Math.max(0, Math.min(1, fraction)) * 100)}%`;
+      });
+    },
+
+    get isOpen() {
+      return !panel.classList.contains('hidden');
+    },
+  };
+}
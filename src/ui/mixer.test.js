@@ -0,0 +1,79 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { FakeDocument, FakeElement, click, input } from '../test/fake-dom.js';
+import { createMixer } from '../music/mixer.js';
+import { formatFaderDb, setupMixerPanel } from './mixer.js';
+
+function createPanel() {
+  const document = new FakeDocument();
+  global.document = document;
+
+  const panel = new FakeElement('div', document);
+  panel.classList.add('hidden');
+  const strips = new FakeElement('div', document);
+  strips.classList.add('mixer-strips');
+  panel.appendChild(strips);
+  document.body.appendChild(panel);
+  return panel;
+}
+
+function strip(panel, voice) {
+  return panel.querySelectorAll('.mixer-strip').find((node) => node.dataset.voice === voice);
+}
+
+describe('formatFaderDb', () => {
+  it('signs levels and calls the bottom off', () => {
+    expect(formatFaderDb(3)).toBe('+3.0');
+    expect(formatFaderDb(-12.5)).toBe('-12.5');
+    expect(formatFaderDb(0)).toBe('0.0');
+    expect(formatFaderDb(-36)).toBe('off');
+  });
+});
+
+describe('setupMixerPanel', () => {
+  afterEach(() => {
+    delete global.document;
+  });
+
+  it('builds a strip per voice from the mixer state', () => {
+    const panel = createPanel();
+    const mixer = createMixer();
+    mixer.setLevel('choir', -9);
+    setupMixerPanel(panel, { mixer, onChange: () => {} });
+
+    expect(panel.querySelectorAll('.mixer-strip')).toHaveLength(9);
+    const choir = strip(panel, 'choir');
+    expect(choir.querySelector('.mixer-fader').value).toBe('-9');
+    expect(choir.querySelector('.mixer-db').textContent).toBe('-9.0');
+  });
+
+  it('edits the mixer from faders, mutes and solos', () => {
+    const panel = createPanel();
+    const mixer = createMixer();
+    const onChange = vi.fn();
+    setupMixerPanel(panel, { mixer, onChange });
+
+    input(strip(panel, 'windChime').querySelector('.mixer-fader'), '4.5');
+    expect(mixer.level('windChime')).toBe(4.5);
+    expect(strip(panel, 'windChime').querySelector('.mixer-db').textContent).toBe('+4.5');
+
+    click(strip(panel, 'choir').querySelector('.mixer-solo'));
+    expect(mixer.isSoloed('choir')).toBe(true);
+    expect(strip(panel, 'pad').classList.contains('mixer-silent')).toBe(true);
+    expect(strip(panel, 'choir').querySelector('.mixer-solo').classList.contains('active')).toBe(true);
+
+    click(strip(panel, 'choir').querySelector('.mixer-mute'));
+    expect(mixer.isMuted('choir')).toBe(true);
+    expect(onChange).toHaveBeenCalledTimes(3);
+  });
+
+  it('draws meters between -60 dB and full scale', () => {
+    const panel = createPanel();
+    const mixerPanel = setupMixerPanel(panel, { mixer: createMixer(), onChange: () => {} });
+    mixerPanel.setMeters({ pad: -30, choir: 3, bass: null });
+
+    const fill = (voice) => strip(panel, voice).querySelector('.mixer-meter-fill').style.height;
+    expect(fill('pad')).toBe('50%');
+    expect(fill('choir')).toBe('100%');
+    expect(fill('bass')).toBe('0%');
+  });
+});
@@ -94,6 +94,7 @@ export function setupInfoPanels({
   audioClose,
   audioMenuBtn,
   buildAudioText,
+  onAudioPanelToggle,
   conductorPanel,
   conductorStatus,
   conductorTimeline,
@@ -153,7 +154,9 @@ export function setupInfoPanels({
   }
 
   function hideAudioPanel() {
-    audioPanel?.classList.add('hidden');
+    if (!audioPanel || audioPanel.classList.contains('hidden')) return;
+    audioPanel.classList.add('hidden');
+    onAudioPanelToggle?.(false);
   }
 
   function hideAllPanels() {
@@ -176,6 +179,7 @@ export function setupInfoPanels({
     hideConductorPanel();
     audioContent.innerHTML = typeof buildAudioText === 'function' ? buildAudioText() : '';
     audioPanel.classList.toggle('hidden');
+    onAudioPanelToggle?.(!audioPanel.classList.contains('hidden'));
   };
 
   function updateConductorUI({ force = false } = {}) {
@@ -127,6 +127,25 @@ describe('setupInfoPanels', () => {
     expect(dom.conductorPanel.classList.contains('hidden')).toBe(true);
   });
 
+  it('reports the audio panel opening and closing, whichever way it closes', () => {
+    const dom = createDom();
+    const onAudioPanelToggle = vi.fn();
+    const controls = setupInfoPanels({
+      ...dom,
+      buildWeatherText: () => 'weather',
+      buildAudioText: () => 'audio',
+      onAudioPanelToggle,
+    });
+
+    controls.toggleAudioPanel();
+    controls.toggleWeatherPanel();
+    controls.toggleAudioPanel();
+    click(dom.audioClose);
+    click(dom.audioClose);
+
+    expect(onAudioPanelToggle.mock.calls).toEqual([[true], [false], [true], [false]]);
+  });
+
   it('maps movement progress to timeline playhead and phase segment states', () => {
     const dom = createDom();
     let movementChangeCb = null;
@@ -10,12 +10,19 @@ export function handleMainKeydown(event, {
   audioPanel,
   conductorPanel,
   guitarPanel,
+  simulatorPanel,
+  locksPanel,
+  mappingPanel,
+  explainPanel,
   locationBtn,
   mixBtn,
   toggleWeatherPanel,
   toggleAudioPanel,
   toggleConductorPanel,
   toggleGuitarPanel,
+  nextTourStop,
+  previousTourStop,
+  pinTourStop,
   canvas,
 }) {
   if (!isEngineReady) return;
@@ -29,7 +36,16 @@ export function handleMainKeydown(event, {
     case 'Escape':
       secondaryMenuController?.close?.();
       weatherPanel?.classList.add('hidden');
-      audioPanel?.classList.add('hidden');
+      // Through its toggle, so the audio panel's meters stop polling
+      if (audioPanel && !audioPanel.classList.contains('hidden') && toggleAudioPanel) {
+        toggleAudioPanel();
+      } else {
+        audioPanel?.classList.add('hidden');
+      }
+      simulatorPanel?.classList.add('hidden');
+      locksPanel?.classList.add('hidden');
+      mappingPanel?.classList.add('hidden');
+      explainPanel?.classList.add('hidden');
       if (guitarPanel && !guitarPanel.classList.contains('hidden') && toggleGuitarPanel) {
         toggleGuitarPanel();
       }
@@ -68,6 +84,19 @@ export function handleMainKeydown(event, {
     case 'G':
       toggleGuitarPanel?.();
       break;
+    // World tour: skip, back, pin (no-ops while no tour is running)
+    case 'n':
+    case 'N':
+      nextTourStop?.();
+      break;
+    case 'b':
+    case 'B':
+      previousTourStop?.();
+      break;
+    case 'p':
+    case 'P':
+      pinTourStop?.();
+      break;
     default:
       break;
   }
@@ -74,6 +74,24 @@ describe('handleMainKeydown', () => {
     expect(toggleConductorPanel).toHaveBeenCalledTimes(1);
   });
 
+  it('closes an open audio panel through its toggle on Escape', () => {
+    const { weatherPanel, audioPanel, conductorPanel, canvas } = setupDom();
+    const toggleAudioPanel = vi.fn();
+    audioPanel.classList.remove('hidden');
+
+    handleMainKeydown(new FakeEvent('keydown', { key: 'Escape', bubbles: true }), {
+      isEngineReady: true,
+      activeTagName: null,
+      weatherPanel,
+      audioPanel,
+      conductorPanel,
+      toggleAudioPanel,
+      canvas,
+    });
+
+    expect(toggleAudioPanel).toHaveBeenCalledTimes(1);
+  });
+
   it('hides conductor directly on Escape when toggle callback is missing', () => {
     const { weatherPanel, audioPanel, conductorPanel, canvas } = setupDom();
 
@@ -89,6 +107,54 @@ describe('handleMainKeydown', () => {
     expect(conductorPanel.classList.contains('hidden')).toBe(true);
   });
 
+  it('closes the simulator, locks, mapping and explain panels on Escape', () => {
+    const { weatherPanel, audioPanel, conductorPanel, canvas } = setupDom();
+    const simulatorPanel = new FakeElement('div', global.document);
+    const locksPanel = new FakeElement('div', global.document);
+    const mappingPanel = new FakeElement('div', global.document);
+    const explainPanel = new FakeElement('div', global.document);
+
+    handleMainKeydown(new FakeEvent('keydown', { key: 'Escape', bubbles: true }), {
+      isEngineReady: true,
+      activeTagName: null,
+      weatherPanel,
+      audioPanel,
+      conductorPanel,
+      simulatorPanel,
+      locksPanel,
+      mappingPanel,
+      explainPanel,
+      canvas,
+    });
+
+    expect(simulatorPanel.classList.contains('hidden')).toBe(true);
+    expect(locksPanel.classList.contains('hidden')).toBe(true);
+    expect(mappingPanel.classList.contains('hidden')).toBe(true);
+    expect(explainPanel.classList.contains('hidden')).toBe(true);
+  });
+
+  it('skips, goes back and pins world tour stops on N/B/P', () => {
+    const { canvas } = setupDom();
+    const nextTourStop = vi.fn();
+    const previousTourStop = vi.fn();
+    const pinTourStop = vi.fn();
+
+    for (const key of ['n', 'N', 'b', 'p']) {
+      handleMainKeydown(new FakeEvent('keydown', { key, bubbles: true }), {
+        isEngineReady: true,
+        activeTagName: null,
+        nextTourStop,
+        previousTourStop,
+        pinTourStop,
+        canvas,
+      });
+    }
+
+    expect(nextTourStop).toHaveBeenCalledTimes(2);
+    expect(previousTourStop).toHaveBeenCalledTimes(1);
+    expect(pinTourStop).toHaveBeenCalledTimes(1);
+  });
+
   it('ignores shortcuts while typing in inputs', () => {
     const { weatherPanel, audioPanel, conductorPanel, canvas } = setupDom();
     const toggleConductorPanel = vi.fn();
@@ -0,0 +1,145 @@
+/**
+ * What-if simulator panel — a slider or picker for every weather input.
+ *
+ * Controls are built from SIMULATOR_FIELDS/SIMULATOR_PICKERS, so a new field
+ * needs no markup. Changes are reported through onInput(key, value);
+ * optional fields (tide, AQI) carry a checkbox that reports null when
+ * unticked.
+ */
+
+import { describeWeatherCode } from '../weather/codes.js';
+import { SIMULATOR_FIELDS, SIMULATOR_PICKERS } from '../weather/simulator.js';
+
+function stepDecimals(step) {
+  const text = String(step);
+  return text.includes('.') ? text.split('.')[1].length : 0;
+}
+
+/** "12.5°C" — a slider value at its field's precision, with its unit */
+export function formatFieldValue(field, value) {
+  return `${Number(value).toFixed(stepDecimals(field.step))}${field.unit}`;
+}
+
+/** Display text for a picker option (weather codes get their description) */
+export function pickerOptionLabel(key, option) {
+  return key === 'weatherCode' ? describeWeatherCode(option).toLowerCase() : option;
+}
+
+/**
+ * @param {HTMLElement} panel - #simulator-panel, containing .simulator-fields,
+ *   .simulator-live-btn and .panel-close
+ * @param {object} handlers
+ * @param {(key: string, value: number|string|null) => void} handlers.onInput
+ * @param {() => void} handlers.onLive - "back to live" pressed
+ */
+export function setupSimulatorPanel(panel, { onInput, onLive }) {
+  const fieldsEl = panel.querySelector('.simulator-fields');
+  const controls = new Map(); // key → { input, toggle?, output?, field? }
+
+  function makeRow(labelText) {
+    const row = document.createElement('label');
+    row.className = 'simulator-row';
+    const label = document.createElement('span');
+    label.className = 'simulator-label';
+    label.textContent = labelText;
+    row.appendChild(label);
+    fieldsEl.appendChild(row);
+    return row;
+  }
+
+  SIMULATOR_PICKERS.forEach(({ key, label, options }) => {
+    const row = makeRow(label);
+    const select = document.createElement('select');
+    select.className = 'simulator-picker';
+    options.forEach((option) => {
+      const node = document.createElement('option');
+      node.value = String(option);
+      node.textContent = pickerOptionLabel(key, option);
+      select.appendChild(node);
+    });
+    select.addEventListener('change', () => {
+      onInput(key, key === 'weatherCode' ? Number(select.value) : select.value);
+    });
+    row.appendChild(select);
+    controls.set(key, { input: select });
+  });
+
+  SIMULATOR_FIELDS.forEach((field) => {
+    const row = makeRow(field.label);
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.className = 'volume-slider simulator-slider';
+    input.min = String(field.min);
+    input.max = String(field.max);
+    input.step = String(field.step);
+    const output = document.createElement('span');
+    output.className = 'simulator-value';
+
+    let toggle = null;
+    if (field.optional) {
+      toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.className = 'simulator-toggle';
+      toggle.setAttribute('aria-label', `${field.label} on`);
+      toggle.addEventListener('change', () => {
+        input.disabled = !toggle.checked;
+        output.textContent = toggle.checked ? formatFieldValue(field, input.value) : 'off';
+        onInput(field.key, toggle.checked ? Number(input.value) : null);
+      });
+      row.appendChild(toggle);
+    }
+
+    input.addEventListener('input', () => {
+      if (toggle && !toggle.checked) return;
+      output.textContent = formatFieldValue(field, input.value);
+      onInput(field.key, Number(input.value));
+    });
+    row.appendChild(input);
+    row.appendChild(output);
+    controls.set(field.key, { input, toggle, output, field });
+  });
+
+  panel.querySelector('.simulator-live-btn')?.addEventListener('click', () => onLive());
+  panel.querySelector('.panel-close')?.addEventListener('click', () => panel.classList.add('hidden'));
+
+  /**
+   * Move every control to a set of values (see createWeatherSimulator().values).
+   * Doesn't report anything back through onInput.
+   * @param {Record<string, number|string|null>} values
+   */
+  function setValues(values) {
+    controls.forEach(({ input, toggle, output, field }, key) => {
+      const value = values[key];
+      if (!field) {
+        if (value != null) input.value = String(value);
+        return;
+      }
+      const isOn = value != null;
+      if (toggle) {
+        toggle.checked = isOn;
+        input.disabled = !isOn;
+      }
+      const shown = isOn ? Math.max(field.min, Math.min(field.max, value)) : field.min;
+      input.value = String(shown);
+      output.textContent = isOn ? formatFieldValue(field, value) : 'off';
+    });
+  }
+
+  return {
+    setValues,
+
+    /** Open the panel showing these values */
+    show(values) {
+      setValues(values);
+      panel.classList.remove('hidden');
+    },
+
+    hide() {
+      panel.classList.add('hidden');
+    },
+
+    get isOpen() {
+      return !panel.classList.contains('hidden');
+    },
+  };
+}
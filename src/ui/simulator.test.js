@@ -0,0 +1,91 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { FakeDocument, FakeElement, FakeEvent, click, input } from '../test/fake-dom.js';
+import { setupSimulatorPanel } from './simulator.js';
+
+function createPanel() {
+  const document = new FakeDocument();
+  global.document = document;
+
+  const panel = new FakeElement('div', document);
+  panel.classList.add('hidden');
+  const close = new FakeElement('button', document);
+  close.classList.add('panel-close');
+  const liveBtn = new FakeElement('button', document);
+  liveBtn.classList.add('simulator-live-btn');
+  const fields = new FakeElement('div', document);
+  fields.classList.add('simulator-fields');
+  panel.appendChild(close);
+  panel.appendChild(liveBtn);
+  panel.appendChild(fields);
+  document.body.appendChild(panel);
+  return { panel, close, liveBtn };
+}
+
+function findControl(panel, label) {
+  const row = panel.querySelectorAll('.simulator-row')
+    .find((node) => node.querySelector('.simulator-label').textContent === label);
+  return {
+    slider: row.querySelector('.simulator-slider'),
+    toggle: row.querySelector('.simulator-toggle'),
+    picker: row.querySelector('.simulator-picker'),
+    output: row.querySelector('.simulator-value'),
+  };
+}
+
+const values = {
+  temperature: 12, apparentTemperature: 10, humidity: 70, pressure: 1009, pressureTrend: 0,
+  windSpeed: 14, windDirection: 250, cloudCover: 90, uvIndex: 1, weatherCode: 3,
+  tideLevel: null, aqi: 42, biome: 'coastal',
+};
+
+describe('setupSimulatorPanel', () => {
+  afterEach(() => {
+    delete global.document;
+  });
+
+  it('shows the given values without reporting them', () => {
+    const { panel } = createPanel();
+    const onInput = vi.fn();
+    const simulatorPanel = setupSimulatorPanel(panel, { onInput, onLive: vi.fn() });
+
+    simulatorPanel.show(values);
+
+    expect(simulatorPanel.isOpen).toBe(true);
+    expect(findControl(panel, 'temperature').output.textContent).toBe('12.0°C');
+    expect(findControl(panel, 'tide').toggle.checked).toBe(false);
+    expect(findControl(panel, 'tide').output.textContent).toBe('off');
+    expect(findControl(panel, 'biome').picker.value).toBe('coastal');
+    expect(onInput).not.toHaveBeenCalled();
+  });
+
+  it('reports slider, toggle and picker changes', () => {
+    const { panel } = createPanel();
+    const onInput = vi.fn();
+    setupSimulatorPanel(panel, { onInput, onLive: vi.fn() }).show(values);
+
+    input(findControl(panel, 'wind speed').slider, '60');
+    expect(onInput).toHaveBeenLastCalledWith('windSpeed', 60);
+
+    const tide = findControl(panel, 'tide');
+    tide.toggle.checked = true;
+    tide.toggle.dispatchEvent(new FakeEvent('change'));
+    expect(onInput).toHaveBeenLastCalledWith('tideLevel', -1);
+
+    const conditions = findControl(panel, 'conditions').picker;
+    conditions.value = '95';
+    conditions.dispatchEvent(new FakeEvent('change'));
+    expect(onInput).toHaveBeenLastCalledWith('weatherCode', 95);
+  });
+
+  it('snaps back to live and closes', () => {
+    const { panel, close, liveBtn } = createPanel();
+    const onLive = vi.fn();
+    const simulatorPanel = setupSimulatorPanel(panel, { onInput: vi.fn(), onLive });
+    simulatorPanel.show(values);
+
+    click(liveBtn);
+    expect(onLive).toHaveBeenCalledTimes(1);
+    click(close);
+    expect(simulatorPanel.isOpen).toBe(false);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * World tour location card — names each stop as the tour arrives, then fades.
+ */
+
+/** How long the card stays up after a hop or a pin change */
+const CARD_MS = 8000;
+
+/**
+ * @param {HTMLElement} card - #tour-card, containing .tour-card-name and .tour-card-detail
+ */
+export function setupTourCard(card) {
+  const nameEl = card.querySelector('.tour-card-name');
+  const detailEl = card.querySelector('.tour-card-detail');
+  let hideTimer = null;
+  let last = null;
+
+  function render() {
+    const { stop, index, total, pinned, sourceLabel } = last;
+    nameEl.textContent = stop.name;
+    detailEl.textContent = [sourceLabel, `${index + 1} / ${total}`, pinned ? 'pinned' : null]
+      .filter(Boolean)
+      .join(' · ');
+    card.classList.remove('hidden');
+    clearTimeout(hideTimer);
+    hideTimer = setTimeout(() => card.classList.add('hidden'), CARD_MS);
+  }
+
+  return {
+    /**
+     * Announce a stop.
+     * @param {import('../weather/tour.js').TourStop} stop
+     * @param {{ index: number, total: number, pinned: boolean, sourceLabel?: string }} info
+     */
+    show(stop, info) {
+      last = { stop, ...info };
+      render();
+    },
+
+    /** Re-show the card with the stop pinned or unpinned */
+    setPinned(pinned) {
+      if (!last) return;
+      last.pinned = pinned;
+      render();
+    },
+
+    hide() {
+      clearTimeout(hideTimer);
+      card.classList.add('hidden');
+    },
+  };
+}
@@ -0,0 +1,57 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { FakeDocument, FakeElement } from '../test/fake-dom.js';
+import { setupTourCard } from './tour.js';
+
+function createCard() {
+  const document = new FakeDocument();
+  global.document = document;
+
+  const card = new FakeElement('div', document);
+  card.classList.add('hidden');
+  for (const className of ['tour-card-name', 'tour-card-detail']) {
+    const node = new FakeElement('span', document);
+    node.classList.add(className);
+    card.appendChild(node);
+  }
+  document.body.appendChild(card);
+  return card;
+}
+
+const lima = { name: 'Lima, Peru', latitude: -12.05, longitude: -77.04 };
+
+describe('setupTourCard', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    delete global.document;
+  });
+
+  it('names the stop, then fades', () => {
+    const card = createCard();
+    const tourCard = setupTourCard(card);
+
+    tourCard.show(lima, { index: 2, total: 8, pinned: false, sourceLabel: 'world tour' });
+    expect(card.classList.contains('hidden')).toBe(false);
+    expect(card.querySelector('.tour-card-name').textContent).toBe('Lima, Peru');
+    expect(card.querySelector('.tour-card-detail').textContent).toBe('world tour · 3 / 8');
+
+    vi.advanceTimersByTime(8000);
+    expect(card.classList.contains('hidden')).toBe(true);
+  });
+
+  it('comes back to show a pin', () => {
+    const card = createCard();
+    const tourCard = setupTourCard(card);
+    tourCard.setPinned(true); // Nothing shown yet
+    expect(card.classList.contains('hidden')).toBe(true);
+
+    tourCard.show(lima, { index: 0, total: 1, pinned: false });
+    tourCard.hide();
+    tourCard.setPinned(true);
+    expect(card.classList.contains('hidden')).toBe(false);
+    expect(card.querySelector('.tour-card-detail').textContent).toBe('1 / 1 · pinned');
+  });
+});
@@ -18,6 +18,8 @@
  *   - Dynamic CSS custom properties for UI color cohesion
  */
 
+import { clockNow } from '../clock.js';
+
 // Color palettes for different times of day
 const SKY_COLORS = {
   night:     { top: [8, 8, 20],      bottom: [15, 15, 35] },
@@ -707,7 +709,7 @@ export function createVisualizer(canvas, analyser, waveformAnalyser) {
   function celestialPosition(rise, set, topFraction = 0.12) {
     if (!rise || !set) return null;
 
-    const now = Date.now();
+    const now = clockNow();
     const riseMs = rise.getTime();
     const setMs = set.getTime();
 
@@ -14,6 +14,9 @@ const OVERPASS_URL = 'https://overpass-api.de/api/interpreter';
  * @typedef {'coastal'|'desert'|'forest'|'mountain'|'urban'|'grassland'|'arctic'|'wetland'|'tropical'} BiomeType
  */
 
+/** @type {BiomeType[]} */
+export const BIOME_TYPES = ['coastal', 'desert', 'forest', 'mountain', 'urban', 'grassland', 'arctic', 'wetland', 'tropical'];
+
 // Cache: `"lat,lng"` → biome string (rounded to 2 decimals for cache key)
 const biomeCache = new Map();
 
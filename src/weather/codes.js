@@ -35,6 +35,9 @@ const CODE_TO_CATEGORY = {
   99: 'storm',     // Thunderstorm with heavy hail
 };
 
+/** Every WMO code the app recognizes, ascending */
+export const WEATHER_CODES = Object.keys(CODE_TO_CATEGORY).map(Number);
+
 /**
  * Convert a WMO weather code to a musical category.
  * @param {number} code - WMO weather code
@@ -1,9 +1,14 @@
-const WEATHER_URL = 'https://api.open-meteo.com/v1/forecast';
+import { createForecastCurve } from './forecast.js';
+import { DEFAULT_PROVIDER_ID, fetchWithFailover } from './providers/index.js';
+
+/** How often the fetcher emits an interpolated update */
+export const WEATHER_TICK_MS = 60000;
 
 /**
- * Normalized weather state produced by the fetcher.
+ * Normalized weather state produced by every provider.
  * @typedef {Object} WeatherState
  * @property {number} temperature - Celsius
+ * @property {number} apparentTemperature - Feels-like, Celsius
  * @property {number} humidity - 0-100
  * @property {number} pressure - hPa
  * @property {number} windSpeed - km/h
@@ -11,75 +16,28 @@ const WEATHER_URL = 'https://api.open-meteo.com/v1/forecast';
  * @property {number} weatherCode - WMO weather code
  * @property {Date} sunrise - Today's sunrise
  * @property {Date} sunset - Today's sunset
+ * @property {number} cloudCover - 0-100
+ * @property {number} uvIndex
+ * @property {number} elevation - Meters
+ * @property {number} utcOffsetSeconds - Location's offset from UTC
+ * @property {string} [provider] - Id of the provider that answered
+ * @property {import('./forecast.js').ForecastPoint[]} [hourly] - Forecast from
+ *   fetchWeather(); createWeatherFetcher strips it before emitting
  */
 
 /**
- * Fetch current weather from Open-Meteo.
+ * Fetch current weather from the preferred provider, failing over to the
+ * others if it errors.
  * @param {number} latitude
  * @param {number} longitude
+ * @param {object} [options]
+ * @param {string} [options.providerId] - See providers/index.js (default Open-Meteo)
  * @returns {Promise<WeatherState|null>}
  */
-export async function fetchWeather(latitude, longitude) {
-  const params = new URLSearchParams({
-    latitude: latitude.toFixed(4),
-    longitude: longitude.toFixed(4),
-    current: [
-      'temperature_2m',
-      'apparent_temperature',     // Feels-like (wind chill / heat index)
-      'relative_humidity_2m',
-      'surface_pressure',
-      'wind_speed_10m',
-      'wind_direction_10m',
-      'weather_code',
-      'cloud_cover',
-    ].join(','),
-    hourly: 'uv_index',
-    daily: 'sunrise,sunset',
-    timezone: 'auto',
-    forecast_days: '1',
-  });
-
+export async function fetchWeather(latitude, longitude, { providerId = DEFAULT_PROVIDER_ID } = {}) {
   try {
-    const response = await fetch(`${WEATHER_URL}?${params}`);
-    if (!response.ok) throw new Error(`Weather API ${response.status}`);
-
-    const data = await response.json();
-    const current = data.current;
-    const daily = data.daily;
-
-    // Open-Meteo returns times as naive local strings (no timezone suffix) when
-    // timezone: 'auto' is used. JavaScript's Date constructor parses these as
-    // the *browser's* local timezone, which is wrong for remote locations.
-    // Use utc_offset_seconds to convert the location's local time to UTC epoch.
-    const utcOffsetMs = (data.utc_offset_seconds ?? 0) * 1000;
-
-    function localStringToDate(str) {
-      // Parse "YYYY-MM-DDTHH:MM" as UTC by appending Z, then subtract the
-      // location's UTC offset to get the correct UTC epoch for that local time.
-      return new Date(new Date(str + 'Z').getTime() - utcOffsetMs);
-    }
-
-    // Extract current hour's UV index from hourly data using the location's
-    // local time (not the browser's local hour).
-    const locationNowMs = Date.now() + utcOffsetMs;
-    const currentHour = new Date(locationNowMs).getUTCHours();
-    const uvIndex = data.hourly?.uv_index?.[currentHour] ?? 0;
-
-    return {
-      temperature: current.temperature_2m,
-      apparentTemperature: current.apparent_temperature ?? current.temperature_2m,
-      humidity: current.relative_humidity_2m,
-      pressure: current.surface_pressure,
-      windSpeed: current.wind_speed_10m,
-      windDirection: current.wind_direction_10m,
-      weatherCode: current.weather_code,
-      cloudCover: current.cloud_cover ?? 0,
-      sunrise: localStringToDate(daily.sunrise[0]),
-      sunset: localStringToDate(daily.sunset[0]),
-      uvIndex,
-      elevation: data.elevation ?? 0,
-      utcOffsetSeconds: data.utc_offset_seconds ?? 0,
-    };
+    const { state, providerId: answeredBy } = await fetchWithFailover(latitude, longitude, { providerId });
+    return { ...state, provider: answeredBy };
   } catch (err) {
     console.error('Weather fetch failed:', err);
     return null;
@@ -88,25 +46,58 @@ export async function fetchWeather(latitude, longitude) {
 
 /**
  * Create a weather fetcher that polls on an interval.
+ *
+ * When the provider returns an hourly forecast, polls are spaced
+ * `intervalMs` apart and every `tickMs` in between the fetcher emits a state
+ * interpolated along the forecast curve (see forecast.js), so the music
+ * glides with the weather instead of stepping at each refresh. Providers
+ * without a forecast are polled every `tickMs` instead.
+ *
  * @param {number} latitude
  * @param {number} longitude
- * @param {number} intervalMs - Polling interval (default 60s)
+ * @param {number} intervalMs - Polling interval with a forecast (default 15 min)
+ * @param {object} [options]
+ * @param {string} [options.providerId] - Preferred weather provider
+ * @param {number} [options.tickMs=60000] - Interpolated update interval
  * @returns {{ start: Function, stop: Function, onUpdate: Function, fetchNow: Function }}
  */
-export function createWeatherFetcher(latitude, longitude, intervalMs = 60000) {
+export function createWeatherFetcher(
+  latitude,
+  longitude,
+  intervalMs = 15 * 60000,
+  { providerId = DEFAULT_PROVIDER_ID, tickMs = WEATHER_TICK_MS } = {},
+) {
   let timer = null;
   let callback = null;
   let lastState = null;
+  let forecast = null;
+  let lastPollMs = -Infinity;
   let lat = latitude;
   let lng = longitude;
+  let preferredProvider = providerId;
   let generation = 0;
 
+  function emit(state) {
+    lastState = state;
+    if (callback) callback(state);
+  }
+
   async function poll(gen = generation) {
-    const state = await fetchWeather(lat, lng);
+    lastPollMs = Date.now();
+    const result = await fetchWeather(lat, lng, { providerId: preferredProvider });
     if (gen !== generation) return;
-    if (state) {
-      lastState = state;
-      if (callback) callback(state);
+    if (result) {
+      const { hourly, ...state } = result;
+      forecast = hourly?.length ? createForecastCurve(state, hourly, Date.now()) : null;
+      emit(state);
+    }
+  }
+
+  function step(gen) {
+    if (forecast && Date.now() - lastPollMs < intervalMs) {
+      emit(forecast.at(Date.now()));
+    } else {
+      poll(gen);
     }
   }
 
@@ -127,8 +118,8 @@ export function createWeatherFetcher(latitude, longitude, intervalMs = 60000) {
       await poll(gen); // Fetch immediately
       if (gen !== generation) return;
       timer = setInterval(() => {
-        poll(gen);
-      }, intervalMs);
+        step(gen);
+      }, Math.min(tickMs, intervalMs));
     },
 
     /** Stop polling */
@@ -144,6 +135,13 @@ export function createWeatherFetcher(latitude, longitude, intervalMs = 60000) {
     async setLocation(latitude, longitude) {
       lat = latitude;
       lng = longitude;
+      forecast = null; // The old curve belongs to the old place
+      await poll(generation);
+    },
+
+    /** Switch the preferred provider and fetch immediately */
+    async setProvider(id) {
+      preferredProvider = id;
       await poll(generation);
     },
 
@@ -154,5 +152,10 @@ export function createWeatherFetcher(latitude, longitude, intervalMs = 60000) {
     get lastState() {
       return lastState;
     },
+
+    /** Hourly points from the last poll, or null if the provider had none */
+    get forecast() {
+      return forecast?.points ?? null;
+    },
   };
 }
@@ -269,3 +269,56 @@ describe('createWeatherFetcher — lifecycle/race safety', () => {
     expect(fetcher.lastState.temperature).toBe(10);
   });
 });
+
+describe('createWeatherFetcher — hourly forecast glide', () => {
+  function withHourlyTemps(temps) {
+    const body = makeApiResponse({
+      utcOffsetSeconds: 0,
+      sunriseLocal: '2024-01-20T07:00',
+      sunsetLocal: '2024-01-20T17:00',
+      currentTime: '2024-01-20T12:00',
+      temperature: temps[0],
+    });
+    body.hourly.time = temps.map((_, i) => `2024-01-20T${String(12 + i).padStart(2, '0')}:00`);
+    body.hourly.temperature_2m = temps;
+    return body;
+  }
+
+  it('interpolates between polls and only re-fetches after the poll interval', async () => {
+    vi.setSystemTime(new Date('2024-01-20T12:00:00Z'));
+    mockFetch(withHourlyTemps([10, 16, 16]));
+
+    const fetcher = createWeatherFetcher(40, -74, 15 * 60000, { tickMs: 60000 });
+    const temps = [];
+    fetcher.onUpdate((w) => temps.push(w.temperature));
+    await fetcher.start();
+
+    await vi.advanceTimersByTimeAsync(10 * 60000);
+    expect(temps).toHaveLength(11);
+    expect(temps[10]).toBeCloseTo(11); // 10 min into a +6°C hour
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(fetcher.lastState.hourly).toBeUndefined();
+    expect(fetcher.forecast).toHaveLength(3);
+
+    await vi.advanceTimersByTimeAsync(5 * 60000);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    fetcher.stop();
+  });
+
+  it('falls back to polling every tick when the provider has no forecast', async () => {
+    mockFetch(makeApiResponse({
+      utcOffsetSeconds: 0,
+      sunriseLocal: '2024-01-20T07:00',
+      sunsetLocal: '2024-01-20T17:00',
+      currentTime: '2024-01-20T12:00',
+    }));
+
+    const fetcher = createWeatherFetcher(40, -74, 15 * 60000, { tickMs: 60000 });
+    await fetcher.start();
+    await vi.advanceTimersByTimeAsync(3 * 60000);
+
+    expect(global.fetch).toHaveBeenCalledTimes(4);
+    expect(fetcher.forecast).toBeNull();
+    fetcher.stop();
+  });
+});
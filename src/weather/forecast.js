@@ -0,0 +1,128 @@
+/**
+ * Hourly forecast interpolation.
+ *
+ * Providers that publish an hourly forecast let the fetcher poll rarely and
+ * still move continuously: between polls, each minute's WeatherState is read
+ * off the forecast curve rather than held at the last snapshot.
+ *
+ * The curve is anchored to the observation it arrived with. At poll time the
+ * gap between observed and forecast values is measured, and that offset is
+ * carried along the curve — so the glide starts exactly where the music
+ * already is, and follows the forecast's shape from there.
+ */
+
+/** Fields that glide; everything else (weather code, sunrise…) holds until the next poll */
+export const FORECAST_FIELDS = ['temperature', 'apparentTemperature', 'humidity', 'pressure', 'windSpeed', 'cloudCover'];
+
+/**
+ * One hour of forecast. Any field may be missing.
+ * @typedef {Object} ForecastPoint
+ * @property {Date} time
+ * @property {number} [temperature]
+ * @property {number} [apparentTemperature]
+ * @property {number} [humidity]
+ * @property {number} [pressure]
+ * @property {number} [windSpeed]
+ * @property {number} [windDirection]
+ * @property {number} [cloudCover]
+ * @property {number} [uvIndex]
+ * @property {number} [weatherCode] - WMO code for the hour starting at `time`
+ */
+
+/** Signed shortest angle from a to b, in degrees (-180..180]. */
+function angleDelta(a, b) {
+  return ((((b - a) % 360) + 540) % 360) - 180;
+}
+
+function wrapDegrees(deg) {
+  return ((deg % 360) + 360) % 360;
+}
+
+/**
+ * Read one field off the forecast at a moment, linearly between the
+ * surrounding hours. Holds the first/last value outside the forecast span.
+ * Wind direction interpolates the short way around the compass.
+ *
+ * @param {ForecastPoint[]} points - Sorted by time
+ * @param {string} field
+ * @param {number} atMs
+ * @returns {number|null} null when no point carries the field
+ */
+export function sampleForecast(points, field, atMs) {
+  const usable = points.filter((p) => Number.isFinite(p[field]));
+  if (usable.length === 0) return null;
+  if (atMs <= usable[0].time.getTime()) return usable[0][field];
+
+  for (let i = 1; i < usable.length; i++) {
+    const next = usable[i];
+    const nextMs = next.time.getTime();
+    if (atMs > nextMs) continue;
+    const prev = usable[i - 1];
+    const prevMs = prev.time.getTime();
+    const t = (atMs - prevMs) / (nextMs - prevMs);
+    if (field === 'windDirection') {
+      return wrapDegrees(prev[field] + angleDelta(prev[field], next[field]) * t);
+    }
+    return prev[field] + (next[field] - prev[field]) * t;
+  }
+  return usable.at(-1)[field];
+}
+
+/**
+ * Weather code in force at a moment — codes describe a whole hour, so they
+ * step rather than interpolate.
+ * @param {ForecastPoint[]} points - Sorted by time
+ * @param {number} atMs
+ * @returns {number|null}
+ */
+export function forecastCodeAt(points, atMs) {
+  let code = null;
+  for (const p of points) {
+    if (!Number.isFinite(p.weatherCode)) continue;
+    if (code !== null && p.time.getTime() > atMs) break;
+    code = p.weatherCode;
+  }
+  return code;
+}
+
+/**
+ * Build a forecast curve anchored to an observation.
+ *
+ * @param {import('./fetcher.js').WeatherState} current - Observation at anchorMs
+ * @param {ForecastPoint[]} hourly
+ * @param {number} [anchorMs] - When `current` was observed
+ * @returns {{ at: (ms: number) => import('./fetcher.js').WeatherState, points: ForecastPoint[] }}
+ */
+export function createForecastCurve(current, hourly, anchorMs = Date.now()) {
+  const points = [...hourly].sort((a, b) => a.time - b.time);
+
+  // Observed − forecast at the anchor, per field
+  const offsets = {};
+  for (const field of FORECAST_FIELDS) {
+    const forecastNow = sampleForecast(points, field, anchorMs);
+    if (forecastNow !== null && Number.isFinite(current[field])) {
+      offsets[field] = current[field] - forecastNow;
+    }
+  }
+  const windNow = sampleForecast(points, 'windDirection', anchorMs);
+  const windOffset = windNow !== null ? angleDelta(windNow, current.windDirection) : null;
+
+  return {
+    points,
+
+    at(ms) {
+      const state = { ...current };
+      for (const field of Object.keys(offsets)) {
+        state[field] = sampleForecast(points, field, ms) + offsets[field];
+      }
+      if (windOffset !== null) {
+        state.windDirection = wrapDegrees(sampleForecast(points, 'windDirection', ms) + windOffset);
+      }
+      // Keep the ranges (and integer percentages) providers promise
+      if ('humidity' in offsets) state.humidity = Math.round(Math.min(100, Math.max(0, state.humidity)));
+      if ('cloudCover' in offsets) state.cloudCover = Math.round(Math.min(100, Math.max(0, state.cloudCover)));
+      if ('windSpeed' in offsets) state.windSpeed = Math.max(0, state.windSpeed);
+      return state;
+    },
+  };
+}
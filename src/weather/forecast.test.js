@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import { createForecastCurve, sampleForecast } from './forecast.js';
+
+const HOUR = 3600000;
+const T0 = Date.parse('2024-06-21T12:00:00Z');
+
+function point(hoursFromT0, fields) {
+  return { time: new Date(T0 + hoursFromT0 * HOUR), ...fields };
+}
+
+describe('sampleForecast', () => {
+  const points = [
+    point(0, { temperature: 10, windDirection: 350 }),
+    point(1, { temperature: 14, windDirection: 10 }),
+    point(2, { temperature: 12 }),
+  ];
+
+  it('interpolates linearly between hours and holds at the ends', () => {
+    expect(sampleForecast(points, 'temperature', T0 + HOUR / 4)).toBe(11);
+    expect(sampleForecast(points, 'temperature', T0 + 1.5 * HOUR)).toBe(13);
+    expect(sampleForecast(points, 'temperature', T0 - HOUR)).toBe(10);
+    expect(sampleForecast(points, 'temperature', T0 + 5 * HOUR)).toBe(12);
+    expect(sampleForecast(points, 'pressure', T0)).toBeNull();
+  });
+
+  it('turns wind direction the short way through north', () => {
+    expect(sampleForecast(points, 'windDirection', T0 + HOUR / 2)).toBeCloseTo(0);
+    expect(sampleForecast(points, 'windDirection', T0 + HOUR / 4)).toBeCloseTo(355);
+  });
+});
+
+describe('createForecastCurve', () => {
+  const hourly = [
+    point(0, { temperature: 20, humidity: 50, windSpeed: 10, windDirection: 90, cloudCover: 95 }),
+    point(1, { temperature: 24, humidity: 40, windSpeed: 2, windDirection: 110, cloudCover: 100 }),
+  ];
+  const current = {
+    temperature: 21, humidity: 52, windSpeed: 4, windDirection: 100, cloudCover: 98,
+    pressure: 1012, weatherCode: 3,
+  };
+
+  it('starts exactly at the observation and follows the forecast shape', () => {
+    const curve = createForecastCurve(current, hourly, T0);
+
+    expect(curve.at(T0)).toEqual(current);
+
+    const later = curve.at(T0 + HOUR / 2);
+    expect(later.temperature).toBe(23);          // 22 forecast + 1 observed offset
+    expect(later.humidity).toBe(47);             // 45 + 2
+    expect(later.windDirection).toBeCloseTo(110); // 100 forecast + 10 offset
+    expect(later.pressure).toBe(1012);           // Not in the forecast — held
+    expect(later.weatherCode).toBe(3);
+  });
+
+  it('keeps glided values in range', () => {
+    const curve = createForecastCurve(current, hourly, T0);
+    const end = curve.at(T0 + HOUR);
+    expect(end.windSpeed).toBe(0);   // 2 − 6 offset, clamped
+    expect(end.cloudCover).toBe(100); // 100 + 3, clamped
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Historical weather — "what did it sound like on this date".
+ *
+ * Fetches a past day's hourly conditions from the Open-Meteo archive
+ * (reanalysis back to 1940) and normalizes them into the same WeatherState
+ * + hourly shape fetchWeather() returns, so the day can be played through
+ * createForecastTimelapse() like a forecast. The archive lags real time by
+ * several days; the last week comes from the forecast API's past data.
+ *
+ * API docs: https://open-meteo.com/en/docs/historical-weather-api
+ */
+
+import { fetchJson } from './providers/common.js';
+import { openMeteoLocalDate, parseOpenMeteoHourly } from './providers/open-meteo.js';
+
+const ARCHIVE_URL = 'https://archive-api.open-meteo.com/v1/archive';
+const FORECAST_URL = 'https://api.open-meteo.com/v1/forecast';
+
+const DAY_MS = 86400000;
+
+/** Labels the Source line in the weather panel */
+export const historyProvider = { id: 'open-meteo-archive', name: 'Open-Meteo archive' };
+
+/** First day the archive covers */
+export const HISTORY_EARLIEST_DATE = '1940-01-01';
+
+/** Days before today that the archive may not have yet */
+const ARCHIVE_LAG_DAYS = 7;
+
+const HOURLY_VARIABLES = [
+  'temperature_2m',
+  'apparent_temperature',
+  'relative_humidity_2m',
+  'surface_pressure',
+  'wind_speed_10m',
+  'wind_direction_10m',
+  'cloud_cover',
+  'weather_code',
+  'shortwave_radiation', // The archive has no UV index; estimated from this
+];
+
+/**
+ * "YYYY-MM-DD" → UTC midnight of that calendar day, or null if not a real date.
+ * @param {string} date
+ */
+function dateToUtcMs(date) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date ?? '');
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  const ms = Date.UTC(year, month - 1, day);
+  const check = new Date(ms);
+  if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+    return null;
+  }
+  return ms;
+}
+
+/** UTC ms → "YYYY-MM-DD" */
+function utcMsToDate(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+/**
+ * Validate a user- or link-supplied date for historical playback.
+ * @param {string} text - "YYYY-MM-DD"
+ * @param {number} [nowMs] - Real time (not the app clock: the archive lives in the present)
+ * @returns {string|null} The date, or null if malformed, before 1940 or not yet over
+ */
+export function parseHistoryDate(text, nowMs = Date.now()) {
+  const date = text?.trim();
+  const ms = dateToUtcMs(date);
+  if (ms === null) return null;
+  if (ms < dateToUtcMs(HISTORY_EARLIEST_DATE)) return null;
+  if (ms >= dateToUtcMs(utcMsToDate(nowMs))) return null;
+  return date;
+}
+
+/**
+ * Normalize an archive (or past-days forecast) response into a WeatherState
+ * for the start of the day, with the hourly curve attached.
+ * @param {object} data - Parsed Open-Meteo JSON with hourly + daily sunrise/sunset
+ * @returns {import('./fetcher.js').WeatherState}
+ */
+export function parseHistoricalDay(data) {
+  const utcOffsetSeconds = data.utc_offset_seconds ?? 0;
+  const radiation = data.hourly?.shortwave_radiation ?? [];
+
+  // Clear-sky UV index runs at roughly one per 100 W/m² of sunlight — a
+  // rough stand-in, but it keeps the midday lift in the mapping
+  const hourly = parseOpenMeteoHourly(data)
+    .map((point, i) => ({ ...point, uvIndex: Math.round((radiation[i] ?? 0) / 10) / 10 }))
+    .filter((point) => Number.isFinite(point.temperature));
+  if (hourly.length < 2) throw new Error('No archived weather for that date');
+
+  const first = hourly[0];
+  return {
+    temperature: first.temperature,
+    apparentTemperature: first.apparentTemperature ?? first.temperature,
+    humidity: first.humidity,
+    pressure: first.pressure,
+    windSpeed: first.windSpeed,
+    windDirection: first.windDirection,
+    weatherCode: first.weatherCode ?? 3,
+    cloudCover: first.cloudCover ?? 0,
+    sunrise: openMeteoLocalDate(data.daily.sunrise[0], utcOffsetSeconds),
+    sunset: openMeteoLocalDate(data.daily.sunset[0], utcOffsetSeconds),
+    uvIndex: first.uvIndex,
+    elevation: data.elevation ?? 0,
+    utcOffsetSeconds,
+    hourly,
+  };
+}
+
+/**
+ * URL for a past day plus the following midnight, so a 24-hour playback has
+ * both ends of the curve.
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {string} date - "YYYY-MM-DD" (see parseHistoryDate)
+ * @param {number} [nowMs]
+ */
+export function buildHistoryUrl(latitude, longitude, date, nowMs = Date.now()) {
+  const dayMs = dateToUtcMs(date);
+  const recent = dayMs >= nowMs - ARCHIVE_LAG_DAYS * DAY_MS;
+  const params = new URLSearchParams({
+    latitude: latitude.toFixed(4),
+    longitude: longitude.toFixed(4),
+    start_date: date,
+    end_date: utcMsToDate(dayMs + DAY_MS),
+    hourly: HOURLY_VARIABLES.join(','),
+    daily: 'sunrise,sunset',
+    timezone: 'auto',
+  });
+  return `${recent ? FORECAST_URL : ARCHIVE_URL}?${params}`;
+}
+
+/**
+ * Fetch a past day's weather at a location.
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {string} date - "YYYY-MM-DD" (see parseHistoryDate)
+ * @returns {Promise<import('./fetcher.js').WeatherState|null>}
+ */
+export async function fetchHistoricalWeather(latitude, longitude, date) {
+  try {
+    const state = parseHistoricalDay(await fetchJson(buildHistoryUrl(latitude, longitude, date)));
+    return { ...state, provider: historyProvider.id };
+  } catch (err) {
+    console.error('Historical weather fetch failed:', err);
+    return null;
+  }
+}
@@ -0,0 +1,99 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { buildHistoryUrl, fetchHistoricalWeather, parseHistoricalDay, parseHistoryDate } from './history.js';
+
+const NOW = Date.parse('2024-06-21T12:00:00Z');
+
+// Boston, 1969-07-20 (UTC-4): 25 hours from local midnight to the next
+function makeArchiveResponse() {
+  const time = Array.from({ length: 25 }, (_, h) => {
+    const day = h < 24 ? '1969-07-20' : '1969-07-21';
+    return `${day}T${String(h % 24).padStart(2, '0')}:00`;
+  });
+  return {
+    elevation: 12,
+    utc_offset_seconds: -14400,
+    hourly: {
+      time,
+      temperature_2m: time.map((_, h) => 20 + h / 4),
+      apparent_temperature: time.map((_, h) => 21 + h / 4),
+      relative_humidity_2m: time.map(() => 70),
+      surface_pressure: time.map(() => 1012),
+      wind_speed_10m: time.map(() => 9),
+      wind_direction_10m: time.map(() => 220),
+      cloud_cover: time.map(() => 40),
+      weather_code: time.map((_, h) => (h >= 16 ? 61 : 2)),
+      shortwave_radiation: time.map((_, h) => (h === 13 ? 850 : 0)),
+    },
+    daily: { sunrise: ['1969-07-20T05:25'], sunset: ['1969-07-20T20:15'] },
+  };
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('parseHistoryDate', () => {
+  it('accepts finished days back to 1940', () => {
+    expect(parseHistoryDate('1969-07-20', NOW)).toBe('1969-07-20');
+    expect(parseHistoryDate(' 2024-06-20 ', NOW)).toBe('2024-06-20');
+    expect(parseHistoryDate('1940-01-01', NOW)).toBe('1940-01-01');
+  });
+
+  it('rejects malformed, impossible, too-early and unfinished dates', () => {
+    expect(parseHistoryDate('20/07/1969', NOW)).toBeNull();
+    expect(parseHistoryDate('2023-02-29', NOW)).toBeNull();
+    expect(parseHistoryDate('1939-12-31', NOW)).toBeNull();
+    expect(parseHistoryDate('2024-06-21', NOW)).toBeNull();
+    expect(parseHistoryDate(null, NOW)).toBeNull();
+  });
+});
+
+describe('parseHistoricalDay', () => {
+  it('starts at local midnight with the day curve attached', () => {
+    const state = parseHistoricalDay(makeArchiveResponse());
+
+    expect(state.hourly).toHaveLength(25);
+    expect(state.hourly[0].time.toISOString()).toBe('1969-07-20T04:00:00.000Z');
+    expect(state.temperature).toBe(20);
+    expect(state.apparentTemperature).toBe(21);
+    expect(state.weatherCode).toBe(2);
+    expect(state.sunrise.toISOString()).toBe('1969-07-20T09:25:00.000Z');
+    expect(state.utcOffsetSeconds).toBe(-14400);
+    expect(state.elevation).toBe(12);
+    // UV estimated from sunlight
+    expect(state.hourly[13].uvIndex).toBe(8.5);
+    expect(state.hourly[16].weatherCode).toBe(61);
+  });
+
+  it('throws when the archive has no data for the day', () => {
+    const data = makeArchiveResponse();
+    data.hourly.temperature_2m = data.hourly.temperature_2m.map(() => null);
+    expect(() => parseHistoricalDay(data)).toThrow(/no archived weather/i);
+  });
+});
+
+describe('historical fetch', () => {
+  it('asks the archive for the day and the following midnight', () => {
+    const url = new URL(buildHistoryUrl(42.36, -71.06, '1969-07-20', NOW));
+    expect(url.host).toBe('archive-api.open-meteo.com');
+    expect(url.searchParams.get('start_date')).toBe('1969-07-20');
+    expect(url.searchParams.get('end_date')).toBe('1969-07-21');
+  });
+
+  it('uses the forecast API for days the archive may not have yet', () => {
+    const url = new URL(buildHistoryUrl(42.36, -71.06, '2024-06-18', NOW));
+    expect(url.host).toBe('api.open-meteo.com');
+    expect(url.searchParams.get('end_date')).toBe('2024-06-19');
+  });
+
+  it('tags the state with its source and returns null on failure', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ ok: true, json: async () => makeArchiveResponse() }));
+    const state = await fetchHistoricalWeather(42.36, -71.06, '1969-07-20');
+    expect(state.provider).toBe('open-meteo-archive');
+
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue({ ok: false, status: 400 }));
+    expect(await fetchHistoricalWeather(42.36, -71.06, '1969-07-20')).toBeNull();
+  });
+});
@@ -10,6 +10,8 @@
  * Accuracy is sufficient for musical/artistic purposes (~1 day).
  */
 
+import { clockDate } from '../clock.js';
+
 const SYNODIC_MONTH = 29.53059; // Average days in a lunar cycle
 const KNOWN_NEW_MOON_JD = 2451550.1; // January 6, 2000 (Julian Day)
 
@@ -22,10 +24,10 @@ function toJulianDay(date) {
 
 /**
  * Get the moon phase for a given date.
- * @param {Date} [date] - Defaults to now
+ * @param {Date} [date] - Defaults to the app clock (see clock.js)
  * @returns {number} Phase from 0 to 1
  */
-export function getMoonPhase(date = new Date()) {
+export function getMoonPhase(date = clockDate()) {
   const jd = toJulianDay(date);
   const daysSinceNewMoon = jd - KNOWN_NEW_MOON_JD;
   const lunarCycles = daysSinceNewMoon / SYNODIC_MONTH;
@@ -38,7 +40,7 @@ export function getMoonPhase(date = new Date()) {
  * @param {Date} [date]
  * @returns {number} 0 to 1
  */
-export function getMoonFullness(date = new Date()) {
+export function getMoonFullness(date = clockDate()) {
   const phase = getMoonPhase(date);
   return 1 - Math.abs(phase - 0.5) * 2;
 }
@@ -55,7 +57,7 @@ export function getMoonFullness(date = new Date()) {
  * @param {Date} [sunset]  - Today's sunset  (defaults to 6 PM)
  * @returns {Date} Approximate moonrise time
  */
-export function getMoonriseTime(date = new Date(), sunrise, sunset) {
+export function getMoonriseTime(date = clockDate(), sunrise, sunset) {
   const phase = getMoonPhase(date);
 
   // Default sunrise/sunset if not provided
@@ -87,7 +89,7 @@ export function getMoonriseTime(date = new Date(), sunrise, sunset) {
  * @param {Date} [sunset]  - Today's sunset
  * @returns {Date} Approximate moonset time
  */
-export function getMoonsetTime(date = new Date(), sunrise, sunset) {
+export function getMoonsetTime(date = clockDate(), sunrise, sunset) {
   const moonrise = getMoonriseTime(date, sunrise, sunset);
   // Moon is above horizon for roughly half a lunar day (~12.4 hours)
   return new Date(moonrise.getTime() + 12.4 * 60 * 60 * 1000);
@@ -98,7 +100,7 @@ export function getMoonsetTime(date = new Date(), sunrise, sunset) {
  * @param {Date} [date]
  * @returns {string}
  */
-export function getMoonPhaseName(date = new Date()) {
+export function getMoonPhaseName(date = clockDate()) {
   const phase = getMoonPhase(date);
 
   if (phase < 0.0625) return 'New Moon';
@@ -0,0 +1,79 @@
+/**
+ * Shared conversions for weather provider adapters.
+ *
+ * Providers disagree on units and on what they report at all — these fill
+ * the gaps so every adapter can return a complete WeatherState.
+ */
+
+/**
+ * GET a URL and parse JSON, throwing on HTTP errors so the failover chain
+ * can move on to the next provider.
+ * @param {string} url
+ * @param {RequestInit} [init]
+ */
+export async function fetchJson(url, init) {
+  const response = await fetch(url, init);
+  if (!response.ok) throw new Error(`${new URL(url).host} ${response.status}`);
+  return response.json();
+}
+
+/** m/s → km/h */
+export function msToKmh(ms) {
+  return ms * 3.6;
+}
+
+/**
+ * Apparent ("feels like") temperature — Steadman's formula as used by the
+ * Australian Bureau of Meteorology, for providers that don't report one.
+ * @param {number} temperature - °C
+ * @param {number} humidity - 0-100
+ * @param {number} windSpeedKmh
+ * @returns {number} °C
+ */
+export function apparentTemperature(temperature, humidity, windSpeedKmh) {
+  const vaporPressure = (humidity / 100) * 6.105 * Math.exp((17.27 * temperature) / (237.7 + temperature));
+  return temperature + 0.33 * vaporPressure - 0.7 * (windSpeedKmh / 3.6) - 4;
+}
+
+/**
+ * Convert mean-sea-level pressure to station (surface) pressure, which is
+ * what Open-Meteo's surface_pressure — and so the mapper — expects.
+ * @param {number} seaLevelHpa
+ * @param {number} elevationM
+ */
+export function seaLevelToSurfacePressure(seaLevelHpa, elevationM) {
+  return seaLevelHpa * Math.pow(1 - 2.25577e-5 * elevationM, 5.25588);
+}
+
+/**
+ * UTC offset of an IANA time zone at a given instant.
+ * @param {string} timeZone - e.g. 'America/Chicago'
+ * @param {Date} [date]
+ * @returns {number} Seconds east of UTC
+ */
+export function utcOffsetForTimeZone(timeZone, date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  const wallClockAsUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  // Round to the minute — formatToParts drops milliseconds
+  return Math.round((wallClockAsUtc - date.getTime()) / 60000) * 60;
+}
+
+/**
+ * Solar-time UTC offset, for providers that give no time zone at all.
+ * Can be an hour or so off civil time; only used for display and UV hour.
+ * @param {number} longitude
+ * @returns {number} Seconds east of UTC
+ */
+export function estimateUtcOffsetSeconds(longitude) {
+  return Math.round(longitude / 15) * 3600;
+}
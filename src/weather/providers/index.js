@@ -0,0 +1,66 @@
+/**
+ * Weather provider registry and failover.
+ *
+ * A provider is `{ id, name, fetchCurrent(latitude, longitude) }` where
+ * fetchCurrent resolves to a normalized WeatherState or throws. The fetcher
+ * asks the preferred provider first and falls through the rest of the live
+ * providers in order when one errors — an outage or a US-only API abroad
+ * shouldn't silence the music.
+ */
+
+import { metNorwayProvider } from './met-norway.js';
+import { mockProvider } from './mock.js';
+import { nwsProvider } from './nws.js';
+import { openMeteoProvider } from './open-meteo.js';
+
+export const DEFAULT_PROVIDER_ID = 'open-meteo';
+
+/** In settings-menu order */
+export const WEATHER_PROVIDERS = [openMeteoProvider, metNorwayProvider, nwsProvider, mockProvider];
+
+/** Providers eligible as fallbacks — never silently substitute canned weather */
+const FAILOVER_ORDER = ['open-meteo', 'met-norway', 'nws'];
+
+/**
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function getWeatherProvider(id) {
+  return WEATHER_PROVIDERS.find((p) => p.id === id) ?? null;
+}
+
+/**
+ * Provider ids to try, preferred first.
+ * @param {string} [preferredId]
+ * @returns {string[]}
+ */
+export function getFailoverChain(preferredId = DEFAULT_PROVIDER_ID) {
+  const preferred = getWeatherProvider(preferredId) ? preferredId : DEFAULT_PROVIDER_ID;
+  return [preferred, ...FAILOVER_ORDER.filter((id) => id !== preferred)];
+}
+
+/**
+ * Fetch current weather, failing over through the chain.
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {object} [options]
+ * @param {string} [options.providerId] - Preferred provider
+ * @param {object[]} [options.providers] - Registry override (tests)
+ * @returns {Promise<{ state: import('../fetcher.js').WeatherState, providerId: string }>}
+ * @throws {AggregateError} When every provider fails
+ */
+export async function fetchWithFailover(latitude, longitude, { providerId, providers = WEATHER_PROVIDERS } = {}) {
+  const errors = [];
+  for (const id of getFailoverChain(providerId)) {
+    const provider = providers.find((p) => p.id === id);
+    if (!provider) continue;
+    try {
+      const state = await provider.fetchCurrent(latitude, longitude);
+      return { state, providerId: id };
+    } catch (err) {
+      console.warn(`Weather provider ${provider.name} failed:`, err);
+      errors.push(err);
+    }
+  }
+  throw new AggregateError(errors, 'All weather providers failed');
+}
@@ -0,0 +1,155 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { fetchWithFailover, getFailoverChain } from './index.js';
+import { metSymbolToWmo, parseMetNorway } from './met-norway.js';
+import { createMockProvider } from './mock.js';
+import { nwsIconToWmo, parseNwsObservation } from './nws.js';
+
+const NOW = new Date('2024-06-21T12:10:00Z');
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('failover', () => {
+  it('puts the preferred provider first and never falls back to the mock', () => {
+    expect(getFailoverChain('nws')).toEqual(['nws', 'open-meteo', 'met-norway']);
+    expect(getFailoverChain('mock')).toEqual(['mock', 'open-meteo', 'met-norway', 'nws']);
+    expect(getFailoverChain('nope')).toEqual(['open-meteo', 'met-norway', 'nws']);
+  });
+
+  it('moves to the next provider when one throws', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const providers = [
+      { id: 'open-meteo', name: 'A', fetchCurrent: vi.fn().mockRejectedValue(new Error('503')) },
+      { id: 'met-norway', name: 'B', fetchCurrent: vi.fn().mockResolvedValue({ temperature: 9 }) },
+      { id: 'nws', name: 'C', fetchCurrent: vi.fn() },
+    ];
+
+    const result = await fetchWithFailover(0, 0, { providerId: 'open-meteo', providers });
+
+    expect(result).toEqual({ state: { temperature: 9 }, providerId: 'met-norway' });
+    expect(providers[2].fetchCurrent).not.toHaveBeenCalled();
+  });
+
+  it('rejects with every error once the chain is exhausted', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const providers = ['open-meteo', 'met-norway', 'nws'].map((id) => ({
+      id, name: id, fetchCurrent: vi.fn().mockRejectedValue(new Error(id)),
+    }));
+
+    const error = await fetchWithFailover(0, 0, { providers }).catch((err) => err);
+    expect(error).toBeInstanceOf(AggregateError);
+    expect(error.errors.map((e) => e.message)).toEqual(['open-meteo', 'met-norway', 'nws']);
+  });
+});
+
+describe('MET Norway adapter', () => {
+  const response = {
+    geometry: { coordinates: [10.75, 59.91, 100] },
+    properties: {
+      timeseries: [
+        { time: '2024-06-21T11:00:00Z', data: { instant: { details: { air_temperature: 1 } } } },
+        {
+          time: '2024-06-21T12:00:00Z',
+          data: {
+            instant: {
+              details: {
+                air_temperature: 18,
+                relative_humidity: 60,
+                air_pressure_at_sea_level: 1013,
+                wind_speed: 5,
+                wind_from_direction: 200,
+                cloud_area_fraction: 40,
+                ultraviolet_index_clear_sky: 4.2,
+              },
+            },
+            next_1_hours: { summary: { symbol_code: 'lightrainshowers_day' } },
+          },
+        },
+      ],
+    },
+  };
+
+  it('normalizes the current step into a WeatherState', () => {
+    const state = parseMetNorway(response, NOW);
+
+    expect(state.temperature).toBe(18);
+    expect(state.windSpeed).toBeCloseTo(18); // 5 m/s
+    expect(state.weatherCode).toBe(80);
+    expect(state.pressure).toBeCloseTo(1001, 0); // reduced to 100 m
+    expect(state.uvIndex).toBe(4.2);
+    expect(state.elevation).toBe(100);
+    expect(state.sunrise).toBeInstanceOf(Date);
+    expect(state.sunrise < NOW && NOW < state.sunset).toBe(true);
+  });
+
+  it('maps symbol codes to WMO codes', () => {
+    expect(metSymbolToWmo('clearsky_night')).toBe(0);
+    expect(metSymbolToWmo('heavysnow')).toBe(75);
+    expect(metSymbolToWmo('rainandthunder')).toBe(95);
+  });
+});
+
+describe('NWS adapter', () => {
+  const observation = {
+    properties: {
+      temperature: { value: 30 },
+      relativeHumidity: { value: 40 },
+      windSpeed: { value: 20 },
+      windDirection: { value: 180 },
+      barometricPressure: { value: 97000 },
+      heatIndex: { value: 31.5 },
+      windChill: { value: null },
+      elevation: { value: 357 },
+      cloudLayers: [{ amount: 'FEW' }, { amount: 'BKN' }],
+      icon: 'https://api.weather.gov/icons/land/day/tsra_sct,40?size=medium',
+    },
+  };
+
+  it('normalizes an observation using the point time zone', () => {
+    const state = parseNwsObservation(observation, {
+      latitude: 35.47, longitude: -97.52, timeZone: 'America/Chicago',
+    }, NOW);
+
+    expect(state.pressure).toBe(970);
+    expect(state.apparentTemperature).toBe(31.5);
+    expect(state.cloudCover).toBe(75);
+    expect(state.weatherCode).toBe(95);
+    expect(state.utcOffsetSeconds).toBe(-5 * 3600); // CDT
+  });
+
+  it('refuses observations without a temperature so failover kicks in', () => {
+    const empty = { properties: { ...observation.properties, temperature: { value: null } } };
+    expect(() => parseNwsObservation(empty, {
+      latitude: 35.47, longitude: -97.52, timeZone: 'America/Chicago',
+    })).toThrow(/temperature/);
+  });
+
+  it('maps icon codes to WMO codes', () => {
+    expect(nwsIconToWmo('https://api.weather.gov/icons/land/night/skc?size=small')).toBe(0);
+    expect(nwsIconToWmo('https://api.weather.gov/icons/land/day/snow,60/rain,40')).toBe(73);
+    expect(nwsIconToWmo(null)).toBe(3);
+  });
+});
+
+describe('mock provider', () => {
+  it('cycles through canned frames and fills in the rest', async () => {
+    const provider = createMockProvider({
+      frames: [{ temperature: 5, weatherCode: 71 }, { temperature: 25 }],
+    }, { now: () => NOW });
+
+    const first = await provider.fetchCurrent(51.5, -0.13);
+    const second = await provider.fetchCurrent(51.5, -0.13);
+    const third = await provider.fetchCurrent(51.5, -0.13);
+
+    expect([first, second, third].map((s) => s.temperature)).toEqual([5, 25, 5]);
+    expect(first.weatherCode).toBe(71);
+    expect(second.weatherCode).toBe(0);
+    expect(first.sunrise < NOW && NOW < first.sunset).toBe(true);
+    expect(Number.isFinite(first.apparentTemperature)).toBe(true);
+  });
+
+  it('rejects an empty fixture', async () => {
+    await expect(createMockProvider({ frames: [] }).fetchCurrent(0, 0)).rejects.toThrow(/no frames/);
+  });
+});
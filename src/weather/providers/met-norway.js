@@ -0,0 +1,126 @@
+/**
+ * MET Norway Locationforecast adapter.
+ *
+ * Global coverage, no key (MET identifies browser clients by Origin). Gives
+ * an instant snapshot per hour plus a symbol code; no sunrise/sunset and no
+ * feels-like, so those are derived locally.
+ *
+ * API docs: https://api.met.no/weatherapi/locationforecast/2.0/documentation
+ */
+
+import { getSunTimes } from '../sun.js';
+import {
+  apparentTemperature,
+  estimateUtcOffsetSeconds,
+  fetchJson,
+  msToKmh,
+  seaLevelToSurfacePressure,
+} from './common.js';
+
+const FORECAST_URL = 'https://api.met.no/weatherapi/locationforecast/2.0/complete';
+
+/** MET symbol codes (minus _day/_night/_polartwilight) → WMO codes */
+const SYMBOL_TO_WMO = {
+  clearsky: 0,
+  fair: 1,
+  partlycloudy: 2,
+  cloudy: 3,
+  fog: 45,
+  lightrain: 61,
+  rain: 63,
+  heavyrain: 65,
+  lightrainshowers: 80,
+  rainshowers: 81,
+  heavyrainshowers: 82,
+  lightsleet: 66,
+  sleet: 66,
+  heavysleet: 67,
+  lightsleetshowers: 66,
+  sleetshowers: 66,
+  heavysleetshowers: 67,
+  lightsnow: 71,
+  snow: 73,
+  heavysnow: 75,
+  lightsnowshowers: 85,
+  snowshowers: 85,
+  heavysnowshowers: 86,
+};
+
+/**
+ * @param {string} symbol - e.g. 'lightrainshowers_day'
+ * @returns {number} WMO weather code
+ */
+export function metSymbolToWmo(symbol) {
+  if (!symbol) return 3;
+  const base = symbol.replace(/_(day|night|polartwilight)$/, '');
+  if (base.includes('thunder')) return 95;
+  return SYMBOL_TO_WMO[base] ?? 3;
+}
+
+/**
+ * Normalize a Locationforecast response.
+ * @param {object} data - Parsed /complete JSON
+ * @param {Date} [now]
+ * @returns {import('../fetcher.js').WeatherState}
+ */
+export function parseMetNorway(data, now = new Date()) {
+  const [longitude, latitude, elevation = 0] = data.geometry.coordinates;
+  const series = data.properties.timeseries;
+  // First step that hasn't ended yet — the cached response can be up to an hour old
+  const step = series.find((s) => Date.parse(s.time) + 3600000 > now.getTime()) ?? series[0];
+  const details = step.data.instant.details;
+  const symbol = (step.data.next_1_hours ?? step.data.next_6_hours)?.summary?.symbol_code;
+
+  const windSpeed = msToKmh(details.wind_speed ?? 0);
+  const { sunrise, sunset } = getSunTimes(latitude, longitude, now);
+
+  // Hourly resolution runs ~2.5 days out before MET switches to 6-hour steps
+  const hourly = series.slice(0, 60).map((entry) => {
+    const d = entry.data.instant.details;
+    const stepSymbol = (entry.data.next_1_hours ?? entry.data.next_6_hours)?.summary?.symbol_code;
+    const stepWind = msToKmh(d.wind_speed ?? 0);
+    return {
+      time: new Date(entry.time),
+      temperature: d.air_temperature,
+      apparentTemperature: apparentTemperature(d.air_temperature, d.relative_humidity, stepWind),
+      humidity: d.relative_humidity,
+      pressure: seaLevelToSurfacePressure(d.air_pressure_at_sea_level, elevation),
+      windSpeed: stepWind,
+      windDirection: d.wind_from_direction,
+      cloudCover: d.cloud_area_fraction,
+      uvIndex: d.ultraviolet_index_clear_sky,
+      weatherCode: stepSymbol ? metSymbolToWmo(stepSymbol) : undefined,
+    };
+  });
+
+  return {
+    temperature: details.air_temperature,
+    apparentTemperature: apparentTemperature(details.air_temperature, details.relative_humidity, windSpeed),
+    humidity: Math.round(details.relative_humidity),
+    pressure: seaLevelToSurfacePressure(details.air_pressure_at_sea_level, elevation),
+    windSpeed,
+    windDirection: details.wind_from_direction ?? 0,
+    weatherCode: metSymbolToWmo(symbol),
+    cloudCover: Math.round(details.cloud_area_fraction ?? 0),
+    sunrise,
+    sunset,
+    uvIndex: details.ultraviolet_index_clear_sky ?? 0,
+    elevation,
+    utcOffsetSeconds: estimateUtcOffsetSeconds(longitude),
+    hourly,
+  };
+}
+
+export const metNorwayProvider = {
+  id: 'met-norway',
+  name: 'MET Norway',
+
+  async fetchCurrent(latitude, longitude) {
+    // MET's terms ask for at most 4 decimals so responses cache well
+    const params = new URLSearchParams({
+      lat: latitude.toFixed(4),
+      lon: longitude.toFixed(4),
+    });
+    return parseMetNorway(await fetchJson(`${FORECAST_URL}?${params}`));
+  },
+};
@@ -0,0 +1,69 @@
+/**
+ * Local mock provider — canned JSON, no network.
+ *
+ * For offline development and for auditioning specific conditions. The
+ * fixture is a list of partial WeatherStates; each fetch returns the next
+ * one (wrapping), so a poll cycle walks through them like weather changing.
+ * Anything a frame leaves out — sunrise/sunset, feels-like, UTC offset — is
+ * derived for the requested location.
+ *
+ * Edit mock-weather.json to change what plays.
+ */
+
+import { getSunTimes } from '../sun.js';
+import { apparentTemperature, estimateUtcOffsetSeconds, fetchJson } from './common.js';
+
+const FIXTURE_URL = new URL('./mock-weather.json', import.meta.url);
+
+/**
+ * @param {string|URL|{ frames: object[] }} [fixture] - URL of the JSON, or the data itself
+ * @param {{ now?: () => Date }} [options]
+ */
+export function createMockProvider(fixture = FIXTURE_URL, { now = () => new Date() } = {}) {
+  let frames = null;
+  let index = 0;
+
+  async function loadFrames() {
+    if (frames) return frames;
+    const data = typeof fixture === 'string' || fixture instanceof URL
+      ? await fetchJson(String(fixture))
+      : fixture;
+    if (!Array.isArray(data?.frames) || data.frames.length === 0) {
+      throw new Error('Mock weather fixture has no frames');
+    }
+    frames = data.frames;
+    return frames;
+  }
+
+  return {
+    id: 'mock',
+    name: 'Mock (canned)',
+
+    async fetchCurrent(latitude, longitude) {
+      const list = await loadFrames();
+      const frame = list[index % list.length];
+      index++;
+
+      const date = now();
+      const { sunrise, sunset } = getSunTimes(latitude, longitude, date);
+      return {
+        humidity: 50,
+        pressure: 1013,
+        windSpeed: 0,
+        windDirection: 0,
+        weatherCode: 0,
+        cloudCover: 0,
+        uvIndex: 0,
+        elevation: 0,
+        sunrise,
+        sunset,
+        utcOffsetSeconds: estimateUtcOffsetSeconds(longitude),
+        ...frame,
+        apparentTemperature: frame.apparentTemperature
+          ?? apparentTemperature(frame.temperature, frame.humidity ?? 50, frame.windSpeed ?? 0),
+      };
+    },
+  };
+}
+
+export const mockProvider = createMockProvider();
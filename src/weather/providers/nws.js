@@ -0,0 +1,120 @@
+/**
+ * US National Weather Service (api.weather.gov) adapter.
+ *
+ * US territory only — anywhere else the /points lookup 404s and the failover
+ * chain moves on. Current conditions come from the nearest observation
+ * station, which takes three requests (point → stations → latest
+ * observation), so the point and station lookups are cached per location.
+ *
+ * API docs: https://www.weather.gov/documentation/services-web-api
+ */
+
+import { getSunTimes } from '../sun.js';
+import {
+  apparentTemperature,
+  fetchJson,
+  seaLevelToSurfacePressure,
+  utcOffsetForTimeZone,
+} from './common.js';
+
+const API_URL = 'https://api.weather.gov';
+const REQUEST_INIT = { headers: { Accept: 'application/geo+json' } };
+
+/** NWS icon condition codes → WMO codes */
+const ICON_TO_WMO = {
+  skc: 0, few: 1, sct: 2, bkn: 2, ovc: 3,
+  wind_skc: 0, wind_few: 1, wind_sct: 2, wind_bkn: 2, wind_ovc: 3,
+  hot: 0, cold: 0,
+  dust: 3, smoke: 3, haze: 45, fog: 45,
+  rain: 63, rain_showers: 81, rain_showers_hi: 80,
+  rain_sleet: 66, rain_fzra: 66, fzra: 67, sleet: 66, snow_sleet: 66, snow_fzra: 67,
+  snow: 73, rain_snow: 71, blizzard: 75,
+  tsra: 95, tsra_sct: 95, tsra_hi: 95,
+  tropical_storm: 95, hurricane: 99, tornado: 99,
+};
+
+/** METAR cloud layer amounts → percent cover */
+const CLOUD_AMOUNT = { SKC: 0, CLR: 0, FEW: 20, SCT: 40, BKN: 75, OVC: 100, VV: 100 };
+
+/** point key → { stationUrl, timeZone } */
+const pointCache = new Map();
+
+/**
+ * @param {string} icon - e.g. 'https://api.weather.gov/icons/land/night/tsra_sct,40?size=medium'
+ * @returns {number} WMO weather code
+ */
+export function nwsIconToWmo(icon) {
+  const match = /\/icons\/\w+\/(?:day|night)\/([a-z_]+)/.exec(icon ?? '');
+  return match ? ICON_TO_WMO[match[1]] ?? 3 : 3;
+}
+
+/**
+ * Normalize a /stations/{id}/observations/latest response.
+ * NWS values are { value, unitCode } and any of them may be null.
+ *
+ * @param {object} observation - Parsed GeoJSON feature
+ * @param {{ latitude: number, longitude: number, timeZone: string }} point
+ * @param {Date} [now]
+ * @returns {import('../fetcher.js').WeatherState}
+ */
+export function parseNwsObservation(observation, { latitude, longitude, timeZone }, now = new Date()) {
+  const p = observation.properties;
+  const value = (field, fallback = 0) => p[field]?.value ?? fallback;
+
+  if (p.temperature?.value == null) throw new Error('NWS observation has no temperature');
+  const temperature = p.temperature.value;
+  const humidity = Math.round(value('relativeHumidity', 50));
+  const windSpeed = value('windSpeed'); // already km/h
+  const elevation = p.elevation?.value ?? 0;
+  const cloudCover = (p.cloudLayers ?? []).reduce(
+    (max, layer) => Math.max(max, CLOUD_AMOUNT[layer.amount] ?? 0), 0);
+
+  // Prefer station pressure; fall back to reducing sea-level pressure (Pa → hPa)
+  const pressure = p.barometricPressure?.value != null
+    ? p.barometricPressure.value / 100
+    : seaLevelToSurfacePressure(value('seaLevelPressure', 101325) / 100, elevation);
+
+  const { sunrise, sunset } = getSunTimes(latitude, longitude, now);
+
+  return {
+    temperature,
+    apparentTemperature: p.windChill?.value ?? p.heatIndex?.value
+      ?? apparentTemperature(temperature, humidity, windSpeed),
+    humidity,
+    pressure,
+    windSpeed,
+    windDirection: value('windDirection'),
+    weatherCode: nwsIconToWmo(p.icon),
+    cloudCover,
+    sunrise,
+    sunset,
+    uvIndex: 0, // Observations don't carry UV
+    elevation,
+    utcOffsetSeconds: utcOffsetForTimeZone(timeZone, now),
+  };
+}
+
+async function getPoint(latitude, longitude) {
+  const key = `${latitude.toFixed(4)},${longitude.toFixed(4)}`;
+  if (pointCache.has(key)) return pointCache.get(key);
+
+  const data = await fetchJson(`${API_URL}/points/${key}`, REQUEST_INIT);
+  const stations = await fetchJson(data.properties.observationStations, REQUEST_INIT);
+  const station = stations.features?.[0];
+  if (!station) throw new Error('NWS: no observation station nearby');
+
+  const point = { stationUrl: station.id, timeZone: data.properties.timeZone };
+  pointCache.set(key, point);
+  return point;
+}
+
+export const nwsProvider = {
+  id: 'nws',
+  name: 'NWS (US only)',
+
+  async fetchCurrent(latitude, longitude) {
+    const point = await getPoint(latitude, longitude);
+    const observation = await fetchJson(`${point.stationUrl}/observations/latest`, REQUEST_INIT);
+    return parseNwsObservation(observation, { latitude, longitude, timeZone: point.timeZone });
+  },
+};
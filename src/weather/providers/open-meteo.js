@@ -0,0 +1,128 @@
+/**
+ * Open-Meteo forecast API adapter — the default provider.
+ *
+ * Global coverage, no key, and the only provider that reports everything
+ * WeatherState needs (feels-like, cloud cover, UV, sunrise/sunset) directly.
+ *
+ * API docs: https://open-meteo.com/en/docs
+ */
+
+import { fetchJson } from './common.js';
+
+const WEATHER_URL = 'https://api.open-meteo.com/v1/forecast';
+
+/**
+ * Open-Meteo returns times as naive local strings (no timezone suffix) when
+ * timezone: 'auto' is used. JavaScript's Date constructor parses these as
+ * the *browser's* local timezone, which is wrong for remote locations.
+ * Parse "YYYY-MM-DDTHH:MM" as UTC by appending Z, then subtract the
+ * location's UTC offset to get the correct UTC epoch for that local time.
+ * @param {string} str
+ * @param {number} utcOffsetSeconds
+ * @returns {Date}
+ */
+export function openMeteoLocalDate(str, utcOffsetSeconds) {
+  return new Date(new Date(str + 'Z').getTime() - utcOffsetSeconds * 1000);
+}
+
+/**
+ * Hourly series of a forecast or archive response as ForecastPoints.
+ * Variables the response lacks come through as undefined.
+ * @param {object} data - Parsed Open-Meteo JSON
+ * @returns {import('../forecast.js').ForecastPoint[]}
+ */
+export function parseOpenMeteoHourly(data) {
+  const utcOffsetSeconds = data.utc_offset_seconds ?? 0;
+  const hourlyData = data.hourly ?? {};
+  return (hourlyData.time ?? []).map((time, i) => ({
+    time: openMeteoLocalDate(time, utcOffsetSeconds),
+    temperature: hourlyData.temperature_2m?.[i],
+    apparentTemperature: hourlyData.apparent_temperature?.[i],
+    humidity: hourlyData.relative_humidity_2m?.[i],
+    pressure: hourlyData.surface_pressure?.[i],
+    windSpeed: hourlyData.wind_speed_10m?.[i],
+    windDirection: hourlyData.wind_direction_10m?.[i],
+    cloudCover: hourlyData.cloud_cover?.[i],
+    uvIndex: hourlyData.uv_index?.[i],
+    weatherCode: hourlyData.weather_code?.[i],
+  }));
+}
+
+/**
+ * Normalize an Open-Meteo forecast response.
+ * @param {object} data - Parsed /v1/forecast JSON
+ * @returns {import('../fetcher.js').WeatherState}
+ */
+export function parseOpenMeteo(data) {
+  const current = data.current;
+  const daily = data.daily;
+  const utcOffsetSeconds = data.utc_offset_seconds ?? 0;
+
+  // Extract current hour's UV index from hourly data using the location's
+  // local time (not the browser's local hour).
+  const locationNowMs = Date.now() + utcOffsetSeconds * 1000;
+  const currentHour = new Date(locationNowMs).getUTCHours();
+  const uvIndex = data.hourly?.uv_index?.[currentHour] ?? 0;
+
+  return {
+    temperature: current.temperature_2m,
+    apparentTemperature: current.apparent_temperature ?? current.temperature_2m,
+    humidity: current.relative_humidity_2m,
+    pressure: current.surface_pressure,
+    windSpeed: current.wind_speed_10m,
+    windDirection: current.wind_direction_10m,
+    weatherCode: current.weather_code,
+    cloudCover: current.cloud_cover ?? 0,
+    sunrise: openMeteoLocalDate(daily.sunrise[0], utcOffsetSeconds),
+    sunset: openMeteoLocalDate(daily.sunset[0], utcOffsetSeconds),
+    uvIndex,
+    elevation: data.elevation ?? 0,
+    utcOffsetSeconds,
+    hourly: parseOpenMeteoHourly(data),
+  };
+}
+
+export const openMeteoProvider = {
+  id: 'open-meteo',
+  name: 'Open-Meteo',
+
+  /**
+   * @param {number} latitude
+   * @param {number} longitude
+   * @returns {Promise<import('../fetcher.js').WeatherState>}
+   */
+  async fetchCurrent(latitude, longitude) {
+    const params = new URLSearchParams({
+      latitude: latitude.toFixed(4),
+      longitude: longitude.toFixed(4),
+      current: [
+        'temperature_2m',
+        'apparent_temperature',     // Feels-like (wind chill / heat index)
+        'relative_humidity_2m',
+        'surface_pressure',
+        'wind_speed_10m',
+        'wind_direction_10m',
+        'weather_code',
+        'cloud_cover',
+      ].join(','),
+      // UV for the current hour, plus the curve the fetcher glides along
+      hourly: [
+        'uv_index',
+        'temperature_2m',
+        'apparent_temperature',
+        'relative_humidity_2m',
+        'surface_pressure',
+        'wind_speed_10m',
+        'wind_direction_10m',
+        'cloud_cover',
+        'weather_code',
+      ].join(','),
+      daily: 'sunrise,sunset',
+      timezone: 'auto',
+      // Three days so the curve (and a 48-hour timelapse) doesn't run out
+      forecast_days: '3',
+    });
+
+    return parseOpenMeteo(await fetchJson(`${WEATHER_URL}?${params}`));
+  },
+};
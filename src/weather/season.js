@@ -5,12 +5,14 @@
  * Hemisphere-aware: southern hemisphere is inverted.
  */
 
+import { clockDate } from '../clock.js';
+
 /**
- * @param {Date} [date]
+ * @param {Date} [date] - Defaults to the app clock (see clock.js)
  * @param {number} [latitude] - Positive = northern hemisphere
  * @returns {number} 0-1 seasonal factor (1 = summer peak)
  */
-export function getSeasonalFactor(date = new Date(), latitude = 0) {
+export function getSeasonalFactor(date = clockDate(), latitude = 0) {
   const dayOfYear = getDayOfYear(date);
 
   // Sinusoidal curve peaking at summer solstice (~day 172 in northern hemisphere)
@@ -29,7 +31,7 @@ export function getSeasonalFactor(date = new Date(), latitude = 0) {
  * @param {number} [latitude] - Positive = northern hemisphere
  * @returns {'winter'|'spring'|'summer'|'autumn'}
  */
-export function getSeasonName(date = new Date(), latitude = 0) {
+export function getSeasonName(date = clockDate(), latitude = 0) {
   const doy = getDayOfYear(date);
   // Northern hemisphere astronomical boundaries (approximate day-of-year)
   // Spring: Mar 20 (day 79) – Jun 20 (day 171)
@@ -0,0 +1,236 @@
+/**
+ * Weather session recording and replay.
+ *
+ * The recorder captures every set of inputs that reached onWeatherUpdate —
+ * WeatherState plus the tide, AQI and biome side data — with timestamps, and
+ * serializes them as a JSON fixture. The replayer plays a fixture back through
+ * the same onUpdate/start/stop contract as createWeatherFetcher, at real time
+ * or accelerated, so a "that storm sounded weird" report can be reproduced
+ * without touching live APIs. The replayer's clock reproduces the recorded
+ * time of day too.
+ */
+
+import { WEATHER_TICK_MS } from './fetcher.js';
+
+export const SESSION_FORMAT_VERSION = 1;
+
+/** Most frames a recorder keeps; the oldest are dropped past it (a week of live updates) */
+export const SESSION_MAX_FRAMES = Math.round((7 * 24 * 3600000) / WEATHER_TICK_MS);
+
+/** WeatherState fields that are Dates and need reviving after JSON.parse. */
+const WEATHER_DATE_FIELDS = ['sunrise', 'sunset'];
+/** Tide payload fields that are Dates. */
+const TIDE_DATE_FIELDS = ['time'];
+
+function reviveDates(record, fields) {
+  const revived = { ...record };
+  for (const field of fields) {
+    if (revived[field] != null) revived[field] = new Date(revived[field]);
+  }
+  return revived;
+}
+
+/**
+ * @typedef {Object} SessionFrame
+ * @property {number} t - Milliseconds since the first frame
+ * @property {string} recordedAt - ISO wall-clock time of the update
+ * @property {number} latitude
+ * @property {number} longitude
+ * @property {import('./fetcher.js').WeatherState} weather
+ * @property {object|null} tide - Tide fetcher payload ({ waterLevel, … })
+ * @property {object|null} aqi - AQI fetcher payload ({ aqi, pm25, … })
+ * @property {string} biome
+ */
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.maxFrames] - Frames kept before the oldest are dropped
+ */
+export function createWeatherSessionRecorder({ maxFrames = SESSION_MAX_FRAMES } = {}) {
+  let frames = [];
+  let startMs = null;
+
+  return {
+    /** Number of frames captured so far. */
+    get frameCount() {
+      return frames.length;
+    },
+
+    /**
+     * Capture one update.
+     * @param {Omit<SessionFrame, 't' | 'recordedAt'>} inputs
+     * @param {number} [nowMs]
+     */
+    record({ latitude, longitude, weather, tide = null, aqi = null, biome = null }, nowMs = Date.now()) {
+      if (startMs === null) startMs = nowMs;
+      frames.push({
+        t: nowMs - startMs,
+        recordedAt: new Date(nowMs).toISOString(),
+        latitude,
+        longitude,
+        // structuredClone keeps Dates as Dates and decouples from later mutation
+        weather: structuredClone(weather),
+        tide: tide ? structuredClone(tide) : null,
+        aqi: aqi ? structuredClone(aqi) : null,
+        biome,
+      });
+      if (frames.length > maxFrames) frames.splice(0, frames.length - maxFrames);
+    },
+
+    /** Serializable session fixture. */
+    toJSON() {
+      return { version: SESSION_FORMAT_VERSION, frames };
+    },
+
+    clear() {
+      frames = [];
+      startMs = null;
+    },
+  };
+}
+
+/**
+ * Parse a session fixture (string or already-parsed object), reviving Dates.
+ * @returns {{ version: number, frames: SessionFrame[] }}
+ * @throws {Error} When the data isn't a usable session
+ */
+export function parseWeatherSession(input) {
+  const data = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!data || data.version !== SESSION_FORMAT_VERSION || !Array.isArray(data.frames)) {
+    throw new Error('Not a weather session file (expected version 1 with frames)');
+  }
+  if (data.frames.length === 0) {
+    throw new Error('Weather session has no frames');
+  }
+
+  const frames = data.frames.map((frame, i) => {
+    if (!frame?.weather || !Number.isFinite(frame.t)) {
+      throw new Error(`Weather session frame ${i} is missing weather or t`);
+    }
+    const weather = reviveDates(frame.weather, WEATHER_DATE_FIELDS);
+    const tide = frame.tide ? reviveDates(frame.tide, TIDE_DATE_FIELDS) : null;
+    return { ...frame, weather, tide };
+  });
+
+  return { version: data.version, frames };
+}
+
+/**
+ * Replay a recorded session with the fetcher contract.
+ * onUpdate callbacks receive (weather, frame) so callers can restore the
+ * tide/AQI/biome context that accompanied each update.
+ *
+ * @param {{ frames: SessionFrame[] }} session - Output of parseWeatherSession()
+ * @param {object} [options]
+ * @param {number} [options.speed=1] - Playback rate (60 = an hour per minute)
+ * @param {boolean} [options.loop=false] - Start over after the last frame
+ */
+export function createWeatherReplayer(session, { speed = 1, loop = false } = {}) {
+  const { frames } = session;
+  let callback = null;
+  let endCallback = null;
+  let timer = null;
+  let index = 0;
+  let lastState = null;
+  let rate = Math.max(0.01, speed);
+  let playing = false;
+  let emittedAt = null; // Date.now() of the last emit while playing
+
+  /** Recorded wall-clock time, advancing at the replay rate between frames */
+  const clock = {
+    now() {
+      const recordedMs = Date.parse(frames[index].recordedAt);
+      if (!Number.isFinite(recordedMs)) return Date.now();
+      return playing ? recordedMs + (Date.now() - emittedAt) * rate : recordedMs;
+    },
+  };
+
+  function emit() {
+    const frame = frames[index];
+    lastState = frame.weather;
+    emittedAt = Date.now();
+    if (callback) callback(frame.weather, frame);
+  }
+
+  function scheduleNext() {
+    const next = index + 1;
+    if (next >= frames.length) {
+      if (!loop) {
+        timer = null;
+        playing = false;
+        if (endCallback) endCallback();
+        return;
+      }
+      timer = setTimeout(() => {
+        index = 0;
+        emit();
+        scheduleNext();
+      }, 1000 / rate);
+      return;
+    }
+    const waitMs = Math.max(0, frames[next].t - frames[index].t) / rate;
+    timer = setTimeout(() => {
+      index = next;
+      emit();
+      scheduleNext();
+    }, waitMs);
+  }
+
+  return {
+    /** Register a callback for replayed updates: (weather, frame) */
+    onUpdate(fn) {
+      callback = fn;
+    },
+
+    /** Register a callback for when a non-looping replay runs out of frames */
+    onEnd(fn) {
+      endCallback = fn;
+    },
+
+    /** Start (or restart) from the first frame — emits it immediately */
+    async start() {
+      this.stop();
+      index = 0;
+      playing = true;
+      emit();
+      scheduleNext();
+    },
+
+    /** Stop replaying */
+    stop() {
+      playing = false;
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+    },
+
+    /** Change playback rate; takes effect from the next frame */
+    setSpeed(nextSpeed) {
+      rate = Math.max(0.01, nextSpeed);
+    },
+
+    /** Replays are location-bound; present for fetcher API parity */
+    async setLocation() {},
+
+    /** Re-emit the current frame */
+    async fetchNow() {
+      emit();
+    },
+
+    /** Get the last replayed state */
+    get lastState() {
+      return lastState;
+    },
+
+    /** App clock at the recorded time of day (see clock.js) — install with setClock() */
+    get clock() {
+      return clock;
+    },
+
+    /** Index of the frame most recently emitted */
+    get frameIndex() {
+      return index;
+    },
+  };
+}
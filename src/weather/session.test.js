@@ -0,0 +1,145 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  createWeatherSessionRecorder,
+  createWeatherReplayer,
+  parseWeatherSession,
+} from './session.js';
+
+function makeWeather(temperature) {
+  return {
+    temperature,
+    humidity: 60,
+    pressure: 1008,
+    windSpeed: 30,
+    windDirection: 200,
+    weatherCode: 95,
+    sunrise: new Date('2026-06-01T10:00:00Z'),
+    sunset: new Date('2026-06-02T01:00:00Z'),
+  };
+}
+
+function recordStorm() {
+  const recorder = createWeatherSessionRecorder();
+  const base = Date.parse('2026-06-01T18:00:00Z');
+  [0, 60_000, 180_000].forEach((offset, i) => {
+    recorder.record({
+      latitude: 35.2,
+      longitude: -97.4,
+      weather: makeWeather(20 - i),
+      tide: null,
+      aqi: { aqi: 40 + i, pm25: 8 },
+      biome: 'grassland',
+    }, base + offset);
+  });
+  return recorder;
+}
+
+describe('weather session recorder', () => {
+  it('captures frames relative to the first update and round-trips through JSON', () => {
+    const recorder = recordStorm();
+    const session = parseWeatherSession(JSON.stringify(recorder.toJSON()));
+
+    expect(session.frames.map((f) => f.t)).toEqual([0, 60_000, 180_000]);
+    expect(session.frames[1].aqi).toEqual({ aqi: 41, pm25: 8 });
+    expect(session.frames[0].recordedAt).toBe('2026-06-01T18:00:00.000Z');
+    // Dates come back as Dates, not strings
+    expect(session.frames[0].weather.sunrise).toBeInstanceOf(Date);
+    expect(session.frames[0].weather.sunset.toISOString()).toBe('2026-06-02T01:00:00.000Z');
+  });
+
+  it('revives tide times as Dates', () => {
+    const recorder = createWeatherSessionRecorder();
+    recorder.record({
+      latitude: 37.8,
+      longitude: -122.5,
+      weather: makeWeather(15),
+      tide: { waterLevel: 4.2, time: new Date('2026-06-01T17:54:00Z') },
+      biome: 'coastal',
+    }, Date.parse('2026-06-01T18:00:00Z'));
+
+    const [frame] = parseWeatherSession(JSON.stringify(recorder.toJSON())).frames;
+    expect(frame.tide.time).toBeInstanceOf(Date);
+    expect(frame.tide.time.toISOString()).toBe('2026-06-01T17:54:00.000Z');
+    expect(frame.tide.waterLevel).toBe(4.2);
+  });
+
+  it('keeps only the most recent frames past its cap', () => {
+    const recorder = createWeatherSessionRecorder({ maxFrames: 2 });
+    const base = Date.parse('2026-06-01T18:00:00Z');
+    [0, 1, 2].forEach((i) => {
+      recorder.record({ latitude: 0, longitude: 0, weather: makeWeather(20 - i) }, base + i * 60_000);
+    });
+
+    expect(recorder.frameCount).toBe(2);
+    expect(recorder.toJSON().frames.map((f) => [f.t, f.weather.temperature])).toEqual([[60_000, 19], [120_000, 18]]);
+  });
+
+  it('rejects files that are not sessions', () => {
+    expect(() => parseWeatherSession('{"foo":1}')).toThrow(/weather session/i);
+    expect(() => parseWeatherSession({ version: 1, frames: [] })).toThrow(/no frames/);
+    expect(() => parseWeatherSession({ version: 1, frames: [{ t: 0 }] })).toThrow(/frame 0/);
+  });
+});
+
+describe('createWeatherReplayer', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('replays frames with their original spacing scaled by speed', async () => {
+    const session = parseWeatherSession(recordStorm().toJSON());
+    const replayer = createWeatherReplayer(session, { speed: 60 });
+    const temps = [];
+    replayer.onUpdate((weather, frame) => temps.push([weather.temperature, frame.aqi.aqi]));
+
+    await replayer.start();
+    expect(temps).toEqual([[20, 40]]);
+
+    vi.advanceTimersByTime(999);             // 60 s at 60× = 1 s
+    expect(temps).toHaveLength(1);
+    vi.advanceTimersByTime(1);
+    expect(temps).toEqual([[20, 40], [19, 41]]);
+
+    vi.advanceTimersByTime(2000);            // 120 s at 60× = 2 s
+    expect(temps.at(-1)).toEqual([18, 42]);
+    expect(replayer.lastState.temperature).toBe(18);
+  });
+
+  it('runs its clock at the recorded time, scaled by speed', async () => {
+    const session = parseWeatherSession(recordStorm().toJSON());
+    const replayer = createWeatherReplayer(session, { speed: 60 });
+
+    await replayer.start();
+    expect(new Date(replayer.clock.now()).toISOString()).toBe('2026-06-01T18:00:00.000Z');
+    vi.advanceTimersByTime(500);             // 30 s of recorded time
+    expect(new Date(replayer.clock.now()).toISOString()).toBe('2026-06-01T18:00:30.000Z');
+
+    // Stopped, it holds at the last frame shown
+    replayer.stop();
+    vi.advanceTimersByTime(5000);
+    expect(new Date(replayer.clock.now()).toISOString()).toBe('2026-06-01T18:00:00.000Z');
+  });
+
+  it('signals the end of a non-looping replay and stops cleanly', async () => {
+    const session = parseWeatherSession(recordStorm().toJSON());
+    const replayer = createWeatherReplayer(session, { speed: 1000 });
+    const onEnd = vi.fn();
+    const onUpdate = vi.fn();
+    replayer.onEnd(onEnd);
+    replayer.onUpdate(onUpdate);
+
+    await replayer.start();
+    vi.advanceTimersByTime(1000);
+    expect(onUpdate).toHaveBeenCalledTimes(3);
+    expect(onEnd).toHaveBeenCalledTimes(1);
+
+    await replayer.start();
+    replayer.stop();
+    vi.advanceTimersByTime(10_000);
+    expect(onUpdate).toHaveBeenCalledTimes(4);
+  });
+});
@@ -1,8 +1,62 @@
-export function buildShareSearch(latitude, longitude, precision = 4) {
+const SHARE_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SHARE_STYLE_PATTERN = /^[a-z]{1,16}$/;
+
+/**
+ * Build the permalink query for a location.
+ * An optional random seed (see music/random.js) is appended as base-36 so the
+ * recipient hears the same generative choices for the same weather. An
+ * optional date ("YYYY-MM-DD") makes the link play that day's historical
+ * weather (see weather/history.js) instead of today's. Optional locks (the
+ * compact string from music/locks.js) pin the same inputs and outputs, and
+ * an optional style name (music/styles.js) plays it in the same style.
+ */
+export function buildShareSearch(latitude, longitude, { precision = 4, seed = null, date = null, locks = null, style = null } = {}) {
   if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return '';
   const lat = latitude.toFixed(precision);
   const lng = longitude.toFixed(precision);
-  return `?lat=${lat}&lng=${lng}`;
+  const seedParam = Number.isInteger(seed) && seed >= 0 ? `&seed=${seed.toString(36)}` : '';
+  const dateParam = SHARE_DATE_PATTERN.test(date ?? '') ? `&date=${date}` : '';
+  const locksParam = locks ? `&locks=${encodeURIComponent(locks)}` : '';
+  const styleParam = SHARE_STYLE_PATTERN.test(style ?? '') ? `&style=${style}` : '';
+  return `?lat=${lat}&lng=${lng}${seedParam}${dateParam}${locksParam}${styleParam}`;
+}
+
+/**
+ * Read the locks string from a share query; music/locks.js parses it.
+ * @returns {string|null}
+ */
+export function parseSharedLocks(search) {
+  return new URLSearchParams(search || '').get('locks') || null;
+}
+
+/**
+ * Read the style name from a share query; music/styles.js looks it up.
+ * @returns {string|null}
+ */
+export function parseSharedStyle(search) {
+  const raw = new URLSearchParams(search || '').get('style');
+  return raw && SHARE_STYLE_PATTERN.test(raw) ? raw : null;
+}
+
+/**
+ * Read the historical date from a share query.
+ * Only the shape is checked here; history.js decides whether the archive has it.
+ * @returns {string|null} "YYYY-MM-DD", or null when absent/malformed
+ */
+export function parseSharedDate(search) {
+  const raw = new URLSearchParams(search || '').get('date');
+  return raw && SHARE_DATE_PATTERN.test(raw) ? raw : null;
+}
+
+/**
+ * Read the random seed from a share query.
+ * @returns {number|null} Unsigned 32-bit seed, or null when absent/invalid
+ */
+export function parseSharedSeed(search) {
+  const raw = new URLSearchParams(search || '').get('seed');
+  if (!raw || !/^[0-9a-z]{1,7}$/i.test(raw)) return null;
+  const seed = Number.parseInt(raw, 36);
+  return seed <= 0xffffffff ? seed : null;
 }
 
 export function parseSharedCoordinates(search) {
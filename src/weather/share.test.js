@@ -1,5 +1,13 @@
 import { describe, expect, it } from 'vitest';
-import { buildShareSearch, parseSharedCoordinates, resolveStartupLocation } from './share.js';
+import {
+  buildShareSearch,
+  parseSharedCoordinates,
+  parseSharedDate,
+  parseSharedLocks,
+  parseSharedStyle,
+  parseSharedSeed,
+  resolveStartupLocation,
+} from './share.js';
 
 describe('share coordinate params', () => {
   it('builds a stable share query from coordinates', () => {
@@ -25,6 +33,66 @@ describe('share coordinate params', () => {
   });
 });
 
+describe('share seed param', () => {
+  it('appends the seed in base 36 and round-trips it', () => {
+    const search = buildShareSearch(42.3601, -71.0589, { seed: 123456789 });
+    expect(search).toBe('?lat=42.3601&lng=-71.0589&seed=21i3v9');
+    expect(parseSharedSeed(search)).toBe(123456789);
+    expect(parseSharedSeed(buildShareSearch(0, 0, { seed: 0xffffffff }))).toBe(0xffffffff);
+  });
+
+  it('omits the seed when none is given', () => {
+    expect(buildShareSearch(42.3601, -71.0589, { seed: null })).toBe('?lat=42.3601&lng=-71.0589');
+  });
+
+  it('rejects missing or malformed seeds', () => {
+    expect(parseSharedSeed('?lat=1&lng=2')).toBeNull();
+    expect(parseSharedSeed('?seed=not-a-seed')).toBeNull();
+    expect(parseSharedSeed('?seed=zzzzzzz')).toBeNull(); // > 32 bits
+  });
+});
+
+describe('share date param', () => {
+  it('appends a historical date after the seed and round-trips it', () => {
+    const search = buildShareSearch(42.3601, -71.0589, { seed: 35, date: '1969-07-20' });
+    expect(search).toBe('?lat=42.3601&lng=-71.0589&seed=z&date=1969-07-20');
+    expect(parseSharedDate(search)).toBe('1969-07-20');
+  });
+
+  it('omits and rejects malformed dates', () => {
+    expect(buildShareSearch(42.3601, -71.0589, { date: 'July 20' })).toBe('?lat=42.3601&lng=-71.0589');
+    expect(parseSharedDate('?lat=1&lng=2')).toBeNull();
+    expect(parseSharedDate('?date=1969-7-20')).toBeNull();
+  });
+});
+
+describe('share locks param', () => {
+  it('appends the locks string encoded and reads it back', () => {
+    const search = buildShareSearch(42.3601, -71.0589, { seed: 35, locks: 'weatherCode:63,rootNote:C#' });
+    expect(search).toBe('?lat=42.3601&lng=-71.0589&seed=z&locks=weatherCode%3A63%2CrootNote%3AC%23');
+    expect(parseSharedLocks(search)).toBe('weatherCode:63,rootNote:C#');
+  });
+
+  it('omits empty locks', () => {
+    expect(buildShareSearch(42.3601, -71.0589, { locks: '' })).toBe('?lat=42.3601&lng=-71.0589');
+    expect(parseSharedLocks('?lat=1&lng=2&locks=')).toBeNull();
+  });
+});
+
+describe('share style param', () => {
+  it('appends the style name and reads it back', () => {
+    const search = buildShareSearch(42.3601, -71.0589, { seed: 35, style: 'lofi' });
+    expect(search).toBe('?lat=42.3601&lng=-71.0589&seed=z&style=lofi');
+    expect(parseSharedStyle(search)).toBe('lofi');
+  });
+
+  it('omits and rejects malformed style names', () => {
+    expect(buildShareSearch(42.3601, -71.0589, { style: 'Lo Fi!' })).toBe('?lat=42.3601&lng=-71.0589');
+    expect(parseSharedStyle('?lat=1&lng=2')).toBeNull();
+    expect(parseSharedStyle('?style=%3Cscript%3E')).toBeNull();
+  });
+});
+
 describe('resolveStartupLocation', () => {
   it('prefers shared coordinates over browser geolocation', () => {
     const resolved = resolveStartupLocation({
@@ -0,0 +1,128 @@
+/**
+ * What-if weather — a hand-set WeatherState in place of live data.
+ *
+ * The simulator panel (ui/simulator.js) edits every field the mapper reads,
+ * plus the tide/AQI/biome context and the pressure trend. This source holds
+ * those values and emits them through the same onUpdate/start/stop shape as
+ * createWeatherFetcher, so main.js can swap it in like a replay. Nothing is
+ * fetched; each change is emitted straight away for auditioning.
+ */
+
+import { BIOME_TYPES } from './biome.js';
+import { WEATHER_CODES } from './codes.js';
+
+/**
+ * @typedef {Object} SimulatorField
+ * @property {string} key - WeatherState field, or a context key (tideLevel, aqi, pressureTrend)
+ * @property {string} label
+ * @property {number} min
+ * @property {number} max
+ * @property {number} step
+ * @property {string} unit
+ * @property {boolean} [optional] - May be switched off (no tide station, no AQI reading)
+ */
+
+/** @type {SimulatorField[]} Sliders, in panel order */
+export const SIMULATOR_FIELDS = [
+  { key: 'temperature', label: 'temperature', min: -30, max: 45, step: 0.5, unit: '°C' },
+  { key: 'apparentTemperature', label: 'feels like', min: -40, max: 50, step: 0.5, unit: '°C' },
+  { key: 'humidity', label: 'humidity', min: 0, max: 100, step: 1, unit: '%' },
+  { key: 'pressure', label: 'pressure', min: 960, max: 1050, step: 1, unit: ' hPa' },
+  { key: 'pressureTrend', label: 'pressure trend', min: -1, max: 1, step: 0.05, unit: '' },
+  { key: 'windSpeed', label: 'wind speed', min: 0, max: 120, step: 1, unit: ' km/h' },
+  { key: 'windDirection', label: 'wind direction', min: 0, max: 359, step: 1, unit: '°' },
+  { key: 'cloudCover', label: 'cloud cover', min: 0, max: 100, step: 1, unit: '%' },
+  { key: 'uvIndex', label: 'UV', min: 0, max: 12, step: 0.5, unit: '' },
+  { key: 'tideLevel', label: 'tide', min: -1, max: 8, step: 0.1, unit: ' ft', optional: true },
+  { key: 'aqi', label: 'AQI', min: 0, max: 300, step: 1, unit: '', optional: true },
+];
+
+/** Pickers, in panel order */
+export const SIMULATOR_PICKERS = [
+  { key: 'weatherCode', label: 'conditions', options: WEATHER_CODES },
+  { key: 'biome', label: 'biome', options: BIOME_TYPES },
+];
+
+const WEATHER_KEYS = new Set([
+  'temperature', 'apparentTemperature', 'humidity', 'pressure',
+  'windSpeed', 'windDirection', 'cloudCover', 'uvIndex', 'weatherCode',
+]);
+
+/**
+ * @param {import('./fetcher.js').WeatherState} base - Starting point, usually the live state
+ * @param {object} [context]
+ * @param {{ waterLevel: number }|null} [context.tide]
+ * @param {{ aqi: number, pm25?: number }|null} [context.aqi]
+ * @param {string} [context.biome='grassland']
+ * @param {number} [context.pressureTrend=0]
+ */
+export function createWeatherSimulator(base, { tide = null, aqi = null, biome = 'grassland', pressureTrend = 0 } = {}) {
+  const { hourly, provider, ...weather } = base;
+  let tideContext = tide;
+  let aqiContext = aqi;
+  let biomeContext = biome;
+  let trend = pressureTrend;
+  let callback = null;
+  let lastState = null;
+
+  function emit() {
+    lastState = { ...weather };
+    if (callback) {
+      callback(lastState, { tide: tideContext, aqi: aqiContext, biome: biomeContext, pressureTrend: trend });
+    }
+  }
+
+  return {
+    /** Register a callback: (weather, { tide, aqi, biome, pressureTrend }) */
+    onUpdate(fn) {
+      callback = fn;
+    },
+
+    /** Emit the current values */
+    async start() {
+      emit();
+    },
+
+    /** Nothing to stop; present for fetcher API parity */
+    stop() {},
+
+    /**
+     * Change one value and emit. Optional fields take null to switch off.
+     * @param {string} key - A SIMULATOR_FIELDS or SIMULATOR_PICKERS key
+     * @param {number|string|null} value
+     */
+    set(key, value) {
+      if (WEATHER_KEYS.has(key)) weather[key] = Number(value);
+      else if (key === 'tideLevel') tideContext = value === null ? null : { waterLevel: Number(value) };
+      else if (key === 'aqi') aqiContext = value === null ? null : { aqi: Number(value), pm25: null };
+      else if (key === 'pressureTrend') trend = Number(value);
+      else if (key === 'biome') biomeContext = String(value);
+      else throw new Error(`Unknown simulator field: ${key}`);
+      emit();
+    },
+
+    /** Every control's value, keyed like SIMULATOR_FIELDS/SIMULATOR_PICKERS (null = off) */
+    get values() {
+      return {
+        ...Object.fromEntries([...WEATHER_KEYS].map((key) => [key, weather[key]])),
+        tideLevel: tideContext?.waterLevel ?? null,
+        aqi: aqiContext?.aqi ?? null,
+        pressureTrend: trend,
+        biome: biomeContext,
+      };
+    },
+
+    /** Simulations are location-bound; present for fetcher API parity */
+    async setLocation() {},
+
+    /** Re-emit the current values */
+    async fetchNow() {
+      emit();
+    },
+
+    /** Get the last emitted state */
+    get lastState() {
+      return lastState;
+    },
+  };
+}
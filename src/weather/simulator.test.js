@@ -0,0 +1,65 @@
+import { describe, expect, it, vi } from 'vitest';
+import { SIMULATOR_FIELDS, SIMULATOR_PICKERS, createWeatherSimulator } from './simulator.js';
+
+const base = {
+  temperature: 12,
+  apparentTemperature: 10,
+  humidity: 70,
+  pressure: 1009,
+  windSpeed: 14,
+  windDirection: 250,
+  weatherCode: 3,
+  cloudCover: 90,
+  uvIndex: 1,
+  sunrise: new Date('2025-03-01T06:40:00Z'),
+  sunset: new Date('2025-03-01T17:45:00Z'),
+  elevation: 20,
+  utcOffsetSeconds: 0,
+  provider: 'open-meteo',
+};
+
+describe('createWeatherSimulator', () => {
+  it('starts from the live state and context', async () => {
+    const simulator = createWeatherSimulator(base, { aqi: { aqi: 42, pm25: 9 }, biome: 'coastal', pressureTrend: -0.2 });
+    const onUpdate = vi.fn();
+    simulator.onUpdate(onUpdate);
+    await simulator.start();
+
+    const [weather, context] = onUpdate.mock.calls[0];
+    expect(weather.temperature).toBe(12);
+    expect(weather.sunrise).toBe(base.sunrise);
+    expect(weather.provider).toBeUndefined();
+    expect(context).toEqual({ tide: null, aqi: { aqi: 42, pm25: 9 }, biome: 'coastal', pressureTrend: -0.2 });
+    expect(simulator.values).toMatchObject({ temperature: 12, weatherCode: 3, tideLevel: null, aqi: 42, biome: 'coastal' });
+  });
+
+  it('emits each change straight away', () => {
+    const simulator = createWeatherSimulator(base);
+    const onUpdate = vi.fn();
+    simulator.onUpdate(onUpdate);
+
+    simulator.set('weatherCode', 95);
+    simulator.set('windSpeed', '80');
+    simulator.set('tideLevel', 6.5);
+    simulator.set('biome', 'mountain');
+
+    const [weather, context] = onUpdate.mock.calls.at(-1);
+    expect(onUpdate).toHaveBeenCalledTimes(4);
+    expect(weather).toMatchObject({ weatherCode: 95, windSpeed: 80 });
+    expect(context.tide).toEqual({ waterLevel: 6.5 });
+    expect(context.biome).toBe('mountain');
+    expect(simulator.lastState.windSpeed).toBe(80);
+
+    simulator.set('tideLevel', null);
+    expect(onUpdate.mock.calls.at(-1)[1].tide).toBeNull();
+    expect(() => simulator.set('nope', 1)).toThrow(/unknown simulator field/i);
+  });
+
+  it('has a control for every WeatherState input', () => {
+    const keys = [...SIMULATOR_FIELDS, ...SIMULATOR_PICKERS].map((f) => f.key);
+    expect(keys).toEqual(expect.arrayContaining([
+      'temperature', 'apparentTemperature', 'humidity', 'pressure', 'windSpeed',
+      'windDirection', 'weatherCode', 'cloudCover', 'uvIndex', 'tideLevel', 'aqi', 'biome',
+    ]));
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Sunrise/sunset from latitude, longitude and date.
+ *
+ * Open-Meteo hands us sunrise and sunset directly; the other weather
+ * providers don't, so they compute them here. Uses the standard solar
+ * position approximation (the one NOAA and SunCalc use) with the -0.833°
+ * horizon correction for refraction and the sun's radius.
+ *
+ * Accuracy is about a minute at mid-latitudes — plenty for day/night.
+ */
+
+import { clockDate } from '../clock.js';
+
+const RAD = Math.PI / 180;
+const DAY_MS = 86400000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const OBLIQUITY = RAD * 23.4397;
+const PERIHELION = RAD * 102.9372;
+const HORIZON = RAD * -0.833;
+
+function toDays(date) {
+  return date.getTime() / DAY_MS - 0.5 + J1970 - J2000;
+}
+
+function fromJulian(j) {
+  return new Date((j + 0.5 - J1970) * DAY_MS);
+}
+
+/**
+ * Get the sunrise and sunset nearest to a date.
+ *
+ * At high latitudes the sun may not cross the horizon at all. Then `polar`
+ * is 'day' (midnight sun: sunrise/sunset span the whole day around solar
+ * noon) or 'night' (polar night: both collapse onto solar noon, so the
+ * day/night checks elsewhere always see night).
+ *
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {Date} [date] - Defaults to the app clock (see clock.js)
+ * @returns {{ sunrise: Date, sunset: Date, solarNoon: Date, polar: 'day'|'night'|null }}
+ */
+export function getSunTimes(latitude, longitude, date = clockDate()) {
+  const lw = RAD * -longitude;
+  const phi = RAD * latitude;
+
+  const cycle = Math.round(toDays(date) - 0.0009 - lw / (2 * Math.PI));
+  const approxTransit = 0.0009 + lw / (2 * Math.PI) + cycle;
+
+  const meanAnomaly = RAD * (357.5291 + 0.98560028 * approxTransit);
+  const center = RAD * (
+    1.9148 * Math.sin(meanAnomaly)
+    + 0.02 * Math.sin(2 * meanAnomaly)
+    + 0.0003 * Math.sin(3 * meanAnomaly)
+  );
+  const eclipticLongitude = meanAnomaly + center + PERIHELION + Math.PI;
+  const declination = Math.asin(Math.sin(eclipticLongitude) * Math.sin(OBLIQUITY));
+
+  const transit = (ds) => J2000 + ds + 0.0053 * Math.sin(meanAnomaly) - 0.0069 * Math.sin(2 * eclipticLongitude);
+  const jNoon = transit(approxTransit);
+  const solarNoon = fromJulian(jNoon);
+
+  const cosHourAngle = (Math.sin(HORIZON) - Math.sin(phi) * Math.sin(declination))
+    / (Math.cos(phi) * Math.cos(declination));
+
+  if (cosHourAngle > 1) {
+    return { sunrise: solarNoon, sunset: solarNoon, solarNoon, polar: 'night' };
+  }
+  if (cosHourAngle < -1) {
+    return {
+      sunrise: new Date(solarNoon.getTime() - DAY_MS / 2),
+      sunset: new Date(solarNoon.getTime() + DAY_MS / 2),
+      solarNoon,
+      polar: 'day',
+    };
+  }
+
+  const hourAngle = Math.acos(cosHourAngle);
+  const jSet = transit(0.0009 + (hourAngle + lw) / (2 * Math.PI) + cycle);
+  const jRise = jNoon - (jSet - jNoon);
+
+  return { sunrise: fromJulian(jRise), sunset: fromJulian(jSet), solarNoon, polar: null };
+}
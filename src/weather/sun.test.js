@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest';
+import { getSunTimes } from './sun.js';
+
+const minutesApart = (a, b) => Math.abs(a.getTime() - b.getTime()) / 60000;
+
+describe('getSunTimes', () => {
+  it('matches published London times at the summer solstice', () => {
+    // Sunrise 04:43 BST (03:43 UTC), sunset 21:21 BST (20:21 UTC)
+    const { sunrise, sunset, polar } = getSunTimes(51.5074, -0.1278, new Date('2024-06-21T12:00:00Z'));
+    expect(polar).toBeNull();
+    expect(minutesApart(sunrise, new Date('2024-06-21T03:43:00Z'))).toBeLessThan(3);
+    expect(minutesApart(sunset, new Date('2024-06-21T20:21:00Z'))).toBeLessThan(3);
+  });
+
+  it('handles locations west of UTC whose sunset falls on the next UTC day', () => {
+    // Los Angeles, 2024-01-20: sunrise 06:58 PST, sunset 17:13 PST
+    const { sunrise, sunset } = getSunTimes(34.0522, -118.2437, new Date('2024-01-20T20:00:00Z'));
+    expect(minutesApart(sunrise, new Date('2024-01-20T14:58:00Z'))).toBeLessThan(3);
+    expect(minutesApart(sunset, new Date('2024-01-21T01:13:00Z'))).toBeLessThan(3);
+  });
+
+  it('reports midnight sun and polar night', () => {
+    const summer = getSunTimes(78.22, 15.65, new Date('2024-06-21T12:00:00Z')); // Longyearbyen
+    expect(summer.polar).toBe('day');
+    expect(summer.sunset - summer.sunrise).toBe(86400000);
+
+    const winter = getSunTimes(78.22, 15.65, new Date('2024-12-21T12:00:00Z'));
+    expect(winter.polar).toBe('night');
+    expect(winter.sunrise.getTime()).toBe(winter.sunset.getTime());
+  });
+});
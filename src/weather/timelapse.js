@@ -0,0 +1,196 @@
+/**
+ * Forecast timelapse — "hear tomorrow".
+ *
+ * Plays the next 24–48 hours of hourly forecast compressed into a few
+ * minutes. Each tick advances a virtual clock and emits the WeatherState for
+ * that virtual moment: fields interpolated along the forecast, the hour's
+ * weather code, and sunrise/sunset recomputed for the virtual date so the
+ * day/night cycle comes round on schedule. Install the timelapse's clock as
+ * the app clock so moon, season, time-of-day and the sky follow along.
+ *
+ * Any hourly series works: history.js feeds it a past day from the archive.
+ *
+ * Same onUpdate/start/stop shape as createWeatherFetcher, plus seek() for
+ * the scrubber.
+ */
+
+import { forecastCodeAt, sampleForecast } from './forecast.js';
+import { getSunTimes } from './sun.js';
+
+const HOUR_MS = 3600000;
+
+/** Interpolated per tick; the rest of the state comes from the base observation */
+const TIMELAPSE_FIELDS = [
+  'temperature', 'apparentTemperature', 'humidity', 'pressure',
+  'windSpeed', 'windDirection', 'cloudCover', 'uvIndex',
+];
+
+/** Look-back for the pressure trend, matching the ±5 hPa live normalization */
+const PRESSURE_TREND_WINDOW_MS = 3 * HOUR_MS;
+
+/**
+ * @param {import('./forecast.js').ForecastPoint[]} hourly
+ * @param {object} options
+ * @param {number} options.latitude
+ * @param {number} options.longitude
+ * @param {import('./fetcher.js').WeatherState} options.base - Live state supplying
+ *   fields the forecast lacks (elevation, UTC offset…)
+ * @param {number} [options.startMs] - Virtual start time (default now)
+ * @param {number} [options.spanHours=24] - Forecast hours to cover
+ * @param {number} [options.durationMs=180000] - Real time to cover them in
+ * @param {number} [options.tickMs=1000] - Real time between updates
+ */
+export function createForecastTimelapse(hourly, {
+  latitude,
+  longitude,
+  base,
+  startMs = Date.now(),
+  spanHours = 24,
+  durationMs = 180000,
+  tickMs = 1000,
+}) {
+  const points = [...hourly].sort((a, b) => a.time - b.time);
+  if (points.length < 2) throw new Error('Timelapse needs an hourly forecast');
+
+  const spanMs = Math.min(spanHours * HOUR_MS, points.at(-1).time.getTime() - startMs);
+  if (!(spanMs > 0)) throw new Error('Forecast does not reach past the start time');
+
+  let callback = null;
+  let endCallback = null;
+  let timer = null;
+  let elapsedMs = 0; // Real playback time into the timelapse
+  let lastTickAt = null; // Date.now() of the last tick while playing; null when stopped
+  let lastState = null;
+
+  const getProgress = () => Math.min(1, elapsedMs / durationMs);
+
+  /** Virtual time that keeps moving between ticks (and stops when paused) */
+  const clock = {
+    now() {
+      const sinceTick = lastTickAt === null ? 0 : Date.now() - lastTickAt;
+      return startMs + Math.min(1, (elapsedMs + sinceTick) / durationMs) * spanMs;
+    },
+  };
+
+  /**
+   * WeatherState for a virtual moment.
+   * @param {number} ms
+   */
+  function stateAt(ms) {
+    const state = { ...base };
+    for (const field of TIMELAPSE_FIELDS) {
+      const value = sampleForecast(points, field, ms);
+      if (value !== null) state[field] = value;
+    }
+    state.humidity = Math.round(state.humidity);
+    state.cloudCover = Math.round(state.cloudCover);
+    state.weatherCode = forecastCodeAt(points, ms) ?? base.weatherCode;
+
+    const { sunrise, sunset } = getSunTimes(latitude, longitude, new Date(ms));
+    state.sunrise = sunrise;
+    state.sunset = sunset;
+    return state;
+  }
+
+  /** -1…+1 from the forecast pressure change over the preceding hours */
+  function pressureTrendAt(ms) {
+    const nowHpa = sampleForecast(points, 'pressure', ms);
+    const earlierHpa = sampleForecast(points, 'pressure', ms - PRESSURE_TREND_WINDOW_MS);
+    if (nowHpa === null || earlierHpa === null) return 0;
+    return Math.max(-1, Math.min(1, (nowHpa - earlierHpa) / 5));
+  }
+
+  function emit() {
+    const progress = getProgress();
+    const ms = startMs + progress * spanMs;
+    lastState = stateAt(ms);
+    if (callback) {
+      callback(lastState, { pressureTrend: pressureTrendAt(ms), progress });
+    }
+  }
+
+  function clearTimer() {
+    lastTickAt = null;
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  return {
+    /** Register a callback: (weather, { pressureTrend, progress }); the virtual time is clock.now() */
+    onUpdate(fn) {
+      callback = fn;
+    },
+
+    /** Register a callback for when the timelapse reaches the end */
+    onEnd(fn) {
+      endCallback = fn;
+    },
+
+    /** Play from the current position (emits immediately) */
+    async start() {
+      clearTimer();
+      if (elapsedMs >= durationMs) elapsedMs = 0;
+      lastTickAt = Date.now();
+      emit();
+      timer = setInterval(() => {
+        elapsedMs = Math.min(durationMs, elapsedMs + tickMs);
+        lastTickAt = Date.now();
+        emit();
+        if (elapsedMs >= durationMs) {
+          clearTimer();
+          if (endCallback) endCallback();
+        }
+      }, tickMs);
+    },
+
+    /** Pause */
+    stop() {
+      clearTimer();
+    },
+
+    /**
+     * Jump to a point in the timelapse and emit it.
+     * @param {number} fraction - 0 (start) to 1 (end)
+     */
+    seek(fraction) {
+      elapsedMs = Math.max(0, Math.min(1, fraction)) * durationMs;
+      if (lastTickAt !== null) lastTickAt = Date.now();
+      emit();
+    },
+
+    /** Timelapses are location-bound; present for fetcher API parity */
+    async setLocation() {},
+
+    /** Re-emit the current moment */
+    async fetchNow() {
+      emit();
+    },
+
+    /** 0…1 through the span */
+    get progress() {
+      return getProgress();
+    },
+
+    /** Virtual time at the current position */
+    get virtualTime() {
+      return new Date(startMs + getProgress() * spanMs);
+    },
+
+    /** App clock for the timelapse (see clock.js) — install with setClock() */
+    get clock() {
+      return clock;
+    },
+
+    /** Covered span in hours (may be shorter than requested if the forecast runs out) */
+    get spanHours() {
+      return spanMs / HOUR_MS;
+    },
+
+    /** Get the last emitted state */
+    get lastState() {
+      return lastState;
+    },
+  };
+}
@@ -0,0 +1,91 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createForecastTimelapse } from './timelapse.js';
+
+const HOUR = 3600000;
+const START = Date.parse('2024-06-21T00:00:00Z');
+
+// London, 25 hours: warming to 20 °C at noon, pressure falling 1 hPa/h, rain from 18:00
+function makeHourly() {
+  return Array.from({ length: 25 }, (_, h) => ({
+    time: new Date(START + h * HOUR),
+    temperature: 10 + 10 * Math.sin((Math.PI * Math.min(h, 24)) / 24),
+    humidity: 60,
+    pressure: 1015 - h,
+    windSpeed: 10,
+    windDirection: 200,
+    cloudCover: h >= 18 ? 100 : 20,
+    weatherCode: h >= 18 ? 63 : 1,
+  }));
+}
+
+const base = { elevation: 11, utcOffsetSeconds: 3600, weatherCode: 0, humidity: 60, cloudCover: 0 };
+
+describe('createForecastTimelapse', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('compresses the forecast span into the requested duration', async () => {
+    const timelapse = createForecastTimelapse(makeHourly(), {
+      latitude: 51.5, longitude: -0.13, base, startMs: START, spanHours: 24, durationMs: 24000, tickMs: 1000,
+    });
+    const updates = [];
+    timelapse.onUpdate((weather, context) => updates.push({ weather, ...context }));
+    const onEnd = vi.fn();
+    timelapse.onEnd(onEnd);
+
+    await timelapse.start();
+    vi.advanceTimersByTime(12000); // Halfway → virtual noon
+
+    const noon = updates.at(-1);
+    const virtualNow = new Date(timelapse.clock.now());
+    expect(virtualNow.toISOString()).toBe('2024-06-21T12:00:00.000Z');
+    expect(noon.weather.temperature).toBeCloseTo(20);
+    expect(noon.weather.elevation).toBe(11);
+    // Sun times follow the virtual date, so noon is daytime
+    expect(noon.weather.sunrise < virtualNow && virtualNow < noon.weather.sunset).toBe(true);
+    // 3 hPa lost over the trailing 3 hours
+    expect(noon.pressureTrend).toBeCloseTo(-0.6);
+
+    vi.advanceTimersByTime(12000);
+    expect(updates.at(-1).weather.weatherCode).toBe(63);
+    expect(updates.at(-1).progress).toBe(1);
+    expect(onEnd).toHaveBeenCalledTimes(1);
+  });
+
+  it('seeks to a virtual moment without waiting', () => {
+    const timelapse = createForecastTimelapse(makeHourly(), {
+      latitude: 51.5, longitude: -0.13, base, startMs: START, spanHours: 24,
+    });
+    timelapse.seek(0.75);
+    expect(timelapse.virtualTime.toISOString()).toBe('2024-06-21T18:00:00.000Z');
+    expect(timelapse.lastState.weatherCode).toBe(63);
+    expect(timelapse.lastState.cloudCover).toBe(100);
+    expect(timelapse.clock.now()).toBe(START + 18 * HOUR);
+  });
+
+  it('keeps its clock moving between ticks while playing', async () => {
+    const timelapse = createForecastTimelapse(makeHourly(), {
+      latitude: 51.5, longitude: -0.13, base, startMs: START, spanHours: 24, durationMs: 24000, tickMs: 1000,
+    });
+    await timelapse.start();
+    vi.advanceTimersByTime(1500); // One tick plus half a tick → 1.5 virtual hours
+    expect(timelapse.clock.now()).toBe(START + 1.5 * HOUR);
+
+    timelapse.stop();
+    vi.advanceTimersByTime(5000);
+    expect(timelapse.clock.now()).toBe(START + HOUR);
+  });
+
+  it('shortens the span to the forecast it has', () => {
+    const timelapse = createForecastTimelapse(makeHourly(), {
+      latitude: 51.5, longitude: -0.13, base, startMs: START + 6 * HOUR, spanHours: 48,
+    });
+    expect(timelapse.spanHours).toBe(18);
+    expect(() => createForecastTimelapse(makeHourly().slice(0, 1), { base })).toThrow(/hourly/);
+  });
+});
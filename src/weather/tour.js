@@ -0,0 +1,188 @@
+/**
+ * World tour — radio mode that hops between locations every few minutes.
+ *
+ * A tour walks a list of stops in order, calling onHop for each; the app
+ * answers by starting that location (which crossfades from the last one).
+ * Stops come from getStops(), asked again each time the tour comes round,
+ * so a list that depends on the time — cities where the sun is rising now —
+ * stays current. Pinning holds the current stop until it is unpinned.
+ */
+
+import { getSunTimes } from './sun.js';
+
+const MINUTE_MS = 60000;
+
+/**
+ * @typedef {object} TourStop
+ * @property {string} name - Location label, as shown in the info display
+ * @property {number} latitude
+ * @property {number} longitude
+ */
+
+/** Tour sources, in menu order: a curated list, sunrise-chasing, the user's own */
+export const TOUR_SOURCES = ['world', 'sunrise', 'custom'];
+
+/** Minutes between hops, in menu order; the first is the default */
+export const TOUR_INTERVALS_MINUTES = [5, 10, 20, 30, 2];
+
+/** @type {TourStop[]} Curated world list: climates, latitudes and time zones far apart */
+export const TOUR_CITIES = [
+  { name: 'Reykjavík, Iceland', latitude: 64.1466, longitude: -21.9426 },
+  { name: 'Edinburgh, United Kingdom', latitude: 55.9533, longitude: -3.1883 },
+  { name: 'Lisbon, Portugal', latitude: 38.7223, longitude: -9.1393 },
+  { name: 'Marrakesh, Morocco', latitude: 31.6295, longitude: -7.9811 },
+  { name: 'Tromsø, Norway', latitude: 69.6492, longitude: 18.9553 },
+  { name: 'Istanbul, Türkiye', latitude: 41.0082, longitude: 28.9784 },
+  { name: 'Cairo, Egypt', latitude: 30.0444, longitude: 31.2357 },
+  { name: 'Nairobi, Kenya', latitude: -1.2921, longitude: 36.8219 },
+  { name: 'Cape Town, South Africa', latitude: -33.9249, longitude: 18.4241 },
+  { name: 'Mumbai, India', latitude: 19.076, longitude: 72.8777 },
+  { name: 'Kathmandu, Nepal', latitude: 27.7172, longitude: 85.324 },
+  { name: 'Ulaanbaatar, Mongolia', latitude: 47.8864, longitude: 106.9057 },
+  { name: 'Singapore', latitude: 1.3521, longitude: 103.8198 },
+  { name: 'Kyoto, Japan', latitude: 35.0116, longitude: 135.7681 },
+  { name: 'Tokyo, Japan', latitude: 35.6762, longitude: 139.6503 },
+  { name: 'Sydney, Australia', latitude: -33.8688, longitude: 151.2093 },
+  { name: 'Wellington, New Zealand', latitude: -41.2866, longitude: 174.7756 },
+  { name: 'Honolulu, HI', latitude: 21.3069, longitude: -157.8583 },
+  { name: 'Anchorage, AK', latitude: 61.2181, longitude: -149.9003 },
+  { name: 'Seattle, WA', latitude: 47.6062, longitude: -122.3321 },
+  { name: 'Mexico City, Mexico', latitude: 19.4326, longitude: -99.1332 },
+  { name: 'New Orleans, LA', latitude: 29.9511, longitude: -90.0715 },
+  { name: 'Lima, Peru', latitude: -12.0464, longitude: -77.0428 },
+  { name: 'Rio de Janeiro, Brazil', latitude: -22.9068, longitude: -43.1729 },
+  { name: 'Buenos Aires, Argentina', latitude: -34.6037, longitude: -58.3816 },
+  { name: 'Ushuaia, Argentina', latitude: -54.8019, longitude: -68.303 },
+];
+
+/**
+ * Cities where the sun is rising now, nearest sunrise first. Places in polar
+ * day or night have no sunrise and are left out.
+ * @param {TourStop[]} [cities]
+ * @param {Date} [date]
+ * @param {number} [count=8]
+ * @returns {TourStop[]}
+ */
+export function sunriseStops(cities = TOUR_CITIES, date = new Date(), count = 8) {
+  return cities
+    .map((city) => ({ city, sun: getSunTimes(city.latitude, city.longitude, date) }))
+    .filter(({ sun }) => sun.polar === null)
+    .map(({ city, sun }) => ({ city, distanceMs: Math.abs(date.getTime() - sun.sunrise.getTime()) }))
+    .sort((a, b) => a.distanceMs - b.distanceMs)
+    .slice(0, count)
+    .map(({ city }) => city);
+}
+
+/**
+ * Split a user-entered list of places. Semicolons or new lines separate
+ * entries, so a name may keep its commas ("Portland, Oregon; Lima").
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseCityList(text) {
+  return String(text ?? '')
+    .split(/[;\n]/)
+    .map((name) => name.trim())
+    .filter(Boolean);
+}
+
+/**
+ * @param {object} options
+ * @param {() => TourStop[]} options.getStops - Asked at start and each time the tour comes round
+ * @param {number} [options.intervalMs] - Time at each stop
+ * @param {(stop: TourStop, info: { index: number, total: number, pinned: boolean }) => void} options.onHop
+ */
+export function createTour({ getStops, intervalMs = TOUR_INTERVALS_MINUTES[0] * MINUTE_MS, onHop }) {
+  let stops = [];
+  let index = -1;
+  let pinned = false;
+  let timer = null;
+  let nextHopAt = null;
+
+  function clearTimer() {
+    clearTimeout(timer);
+    timer = null;
+    nextHopAt = null;
+  }
+
+  function schedule() {
+    clearTimer();
+    if (pinned || index < 0) return;
+    nextHopAt = Date.now() + intervalMs;
+    timer = setTimeout(() => tour.next(), intervalMs);
+  }
+
+  function hop(nextIndex) {
+    index = nextIndex;
+    pinned = false;
+    schedule();
+    onHop(stops[index], { index, total: stops.length, pinned });
+  }
+
+  const tour = {
+    /** Take the first stop now; throws when there are no stops */
+    start() {
+      stops = getStops();
+      if (stops.length === 0) throw new Error('A tour needs at least one stop');
+      hop(0);
+    },
+
+    /** End the tour where it is */
+    stop() {
+      clearTimer();
+      index = -1;
+      pinned = false;
+    },
+
+    /** Skip to the next stop (coming round fetches a fresh list) */
+    next() {
+      if (index < 0) return;
+      if (index + 1 < stops.length) {
+        hop(index + 1);
+        return;
+      }
+      const fresh = getStops();
+      if (fresh.length > 0) stops = fresh;
+      hop(0);
+    },
+
+    /** Go back a stop (wrapping to the last) */
+    back() {
+      if (index < 0) return;
+      hop((index - 1 + stops.length) % stops.length);
+    },
+
+    /** Hold the current stop, or let the tour move on again (after a full interval) */
+    togglePin() {
+      if (index < 0) return;
+      pinned = !pinned;
+      schedule();
+    },
+
+    /** Time at each stop; the current stop's countdown restarts */
+    setInterval(ms) {
+      intervalMs = ms;
+      schedule();
+    },
+
+    get isActive() {
+      return index >= 0;
+    },
+
+    get isPinned() {
+      return pinned;
+    },
+
+    /** The stop playing now, or null when the tour is off */
+    get current() {
+      return index >= 0 ? stops[index] : null;
+    },
+
+    /** Date.now() of the next hop, or null while pinned or off */
+    get nextHopAt() {
+      return nextHopAt;
+    },
+  };
+
+  return tour;
+}
@@ -0,0 +1,104 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createTour, parseCityList, sunriseStops, TOUR_CITIES } from './tour.js';
+
+const MINUTE = 60000;
+const stops = [
+  { name: 'Lima, Peru', latitude: -12.05, longitude: -77.04 },
+  { name: 'Oslo, Norway', latitude: 59.91, longitude: 10.75 },
+  { name: 'Tokyo, Japan', latitude: 35.68, longitude: 139.65 },
+];
+
+describe('sunriseStops', () => {
+  it('puts the cities where the sun is rising first', () => {
+    const names = sunriseStops(TOUR_CITIES, new Date('2024-06-21T05:30:00Z')).map((city) => city.name);
+    expect(names).toHaveLength(8);
+    expect(names.slice(0, 2)).toEqual(['Marrakesh, Morocco', 'Lisbon, Portugal']);
+    expect(names).not.toContain('Tokyo, Japan');
+  });
+
+  it('leaves out places with no sunrise at all', () => {
+    const names = sunriseStops(TOUR_CITIES, new Date('2024-06-21T00:00:00Z'), TOUR_CITIES.length).map((city) => city.name);
+    expect(names).not.toContain('Tromsø, Norway'); // Midnight sun
+    expect(names).toHaveLength(TOUR_CITIES.length - 1);
+  });
+});
+
+describe('parseCityList', () => {
+  it('splits on semicolons and new lines, keeping commas in names', () => {
+    expect(parseCityList(' Portland, Oregon; Lima\nTokyo ;; ')).toEqual(['Portland, Oregon', 'Lima', 'Tokyo']);
+    expect(parseCityList(null)).toEqual([]);
+  });
+});
+
+describe('createTour', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('hops to the next stop every interval and comes round with a fresh list', () => {
+    const onHop = vi.fn();
+    const getStops = vi.fn(() => stops);
+    const tour = createTour({ getStops, intervalMs: 5 * MINUTE, onHop });
+
+    tour.start();
+    expect(onHop).toHaveBeenLastCalledWith(stops[0], { index: 0, total: 3, pinned: false });
+    expect(tour.nextHopAt).toBe(Date.now() + 5 * MINUTE);
+
+    vi.advanceTimersByTime(5 * MINUTE);
+    expect(tour.current).toBe(stops[1]);
+    vi.advanceTimersByTime(10 * MINUTE);
+    expect(tour.current).toBe(stops[0]);
+    expect(getStops).toHaveBeenCalledTimes(2);
+  });
+
+  it('skips, goes back and wraps', () => {
+    const onHop = vi.fn();
+    const tour = createTour({ getStops: () => stops, onHop });
+    tour.start();
+
+    tour.back();
+    expect(tour.current).toBe(stops[2]);
+    tour.next();
+    tour.next();
+    expect(tour.current).toBe(stops[1]);
+    expect(onHop).toHaveBeenCalledTimes(4);
+  });
+
+  it('holds a pinned stop until it is unpinned', () => {
+    const tour = createTour({ getStops: () => stops, intervalMs: MINUTE, onHop: () => {} });
+    tour.start();
+    tour.togglePin();
+    expect(tour.isPinned).toBe(true);
+    expect(tour.nextHopAt).toBeNull();
+
+    vi.advanceTimersByTime(10 * MINUTE);
+    expect(tour.current).toBe(stops[0]);
+
+    tour.togglePin();
+    vi.advanceTimersByTime(MINUTE);
+    expect(tour.current).toBe(stops[1]);
+  });
+
+  it('stops where it is and ignores skips while off', () => {
+    const onHop = vi.fn();
+    const tour = createTour({ getStops: () => stops, intervalMs: MINUTE, onHop });
+    tour.start();
+    tour.stop();
+    tour.next();
+    vi.advanceTimersByTime(10 * MINUTE);
+
+    expect(tour.isActive).toBe(false);
+    expect(tour.current).toBeNull();
+    expect(onHop).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses an empty list', () => {
+    const tour = createTour({ getStops: () => [], onHop: () => {} });
+    expect(() => tour.start()).toThrow('at least one stop');
+    expect(tour.isActive).toBe(false);
+  });
+});